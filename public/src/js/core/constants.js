@@ -581,6 +581,56 @@ SocialCalc.Constants = {
     */
    ietUnknownFunction: "Unknown function ",
 
+   /** 
+    * CSS for the argument being typed in the function prompt
+    * @type {string}
+    */
+   ietArgumentCSS: "font-weight:bold;font-style:normal;text-decoration:underline;",
+
+   /** 
+    * If present, the class of the function and name autocomplete list
+    * @type {string}
+    */
+   defaultInputEchoAutocompleteClass: "",
+
+   /** 
+    * If present, pseudo style for the function and name autocomplete list
+    * @type {string}
+    */
+   defaultInputEchoAutocompleteStyle: "display:none;backgroundColor:#FFF;" +
+      "borderLeft:1px solid #884;borderRight:1px solid #884;borderBottom:1px solid #884;" +
+      "fontSize:small;cursor:default;",
+
+   /** 
+    * CSS for an entry in the autocomplete list
+    * @type {string}
+    */
+   ietAutocompleteItemCSS: "padding:1px 10px 1px 2px;",
+
+   /** 
+    * CSS for the chosen entry in the autocomplete list
+    * @type {string}
+    */
+   ietAutocompleteSelectedCSS: "padding:1px 10px 1px 2px;color:#FFF;background-color:#884;",
+
+   /** 
+    * Most entries shown in the autocomplete list
+    * @type {number}
+    */
+   ietAutocompleteMax: 10,
+
+   /** 
+    * Colors for the references in a formula being edited, used in turn in the echo and for the outlines on the grid
+    * @type {Array<string>}
+    */
+   ietReferenceColors: ["#3366CC", "#DC3912", "#109618", "#990099", "#FF9900", "#0099C6", "#DD4477", "#66AA00"],
+
+   /** 
+    * Pseudo style for the sides of a reference outline, which also gets the color as backgroundColor
+    * @type {string}
+    */
+   ietReferenceOutlineStyle: "display:none;position:absolute;zIndex:8;fontSize:1px;cursor:move;",
+
    /**
     * SocialCalc.CellHandles
     */
@@ -1143,6 +1193,14 @@ SCFormatColwidth: "[cancel]:|[break]:|%loc!Default!:|[custom]:|[newcol]:|" +
  */
 SCFormatRecalc: "[cancel]:|[break]:|%loc!Auto!:|%loc!Manual!:off|",
 
+/** 
+ * Format options for the formula reference style setting
+ * @type {string}
+ */
+SCFormatRefstyle: "[cancel]:|[break]:|%loc!A1!:|%loc!R1C1!:r1c1|",
+/** @type {string} */
+SCFormatLocale: "[cancel]:|[break]:|%loc!Default!:|%loc!German!:de|%loc!French!:fr|",
+
 /**
  * SocialCalc.InitializeSpreadsheetControl
  */
@@ -1192,6 +1250,7 @@ s_PopupListCustom: "Custom",
  * Used extensively by socialcalcspreadsheetcontrol.js
  */
 
+/** @type {string} */ s_loc_a1: "A1",
 /** @type {string} */ s_loc_align_center: "Align Center",
 /** @type {string} */ s_loc_align_left: "Align Left",
 /** @type {string} */ s_loc_align_right: "Align Right",
@@ -1246,8 +1305,11 @@ s_PopupListCustom: "Custom",
 /** @type {string} */ s_loc_font: "Font",
 /** @type {string} */ s_loc_format: "Format",
 /** @type {string} */ s_loc_formula: "Formula",
+/** @type {string} */ s_loc_formula_locale: "Formula Locale",
+/** @type {string} */ s_loc_french: "French",
 /** @type {string} */ s_loc_function_list: "Function List",
 /** @type {string} */ s_loc_functions: "Functions",
+/** @type {string} */ s_loc_german: "German",
 /** @type {string} */ s_loc_grid: "Grid",
 /** @type {string} */ s_loc_hidden: "Hidden",
 /** @type {string} */ s_loc_horizontal: "Horizontal",
@@ -1281,9 +1343,11 @@ s_PopupListCustom: "Custom",
 /** @type {string} */ s_loc_paste: "Paste",
 /** @type {string} */ s_loc_paste_formats: "Paste Formats",
 /** @type {string} */ s_loc_plain_text: "Plain Text",
+/** @type {string} */ s_loc_r1c1: "R1C1",
 /** @type {string} */ s_loc_recalc: "Recalc",
 /** @type {string} */ s_loc_recalculation: "Recalculation",
 /** @type {string} */ s_loc_redo: "Redo",
+/** @type {string} */ s_loc_reference_style: "Reference Style",
 /** @type {string} */ s_loc_right: "Right",
 /** @type {string} */ s_loc_right_border: "Right Border",
 /** @type {string} */ s_loc_sheet_settings: "SHEET SETTINGS",
@@ -1314,6 +1378,7 @@ s_PopupListCustom: "Custom",
 /** @type {string} */ s_loc_undo: "Undo",
 /** @type {string} */ s_loc_unmerge_cells: "Unmerge Cells",
 /** @type {string} */ s_loc_up: "Up",
+/** @type {string} */ s_loc_update_links: "Update Links",
 /** @type {string} */ s_loc_value: "Value",
 /** @type {string} */ s_loc_vertical: "Vertical",
 /** @type {string} */ s_loc_wikitext: "Wikitext",
@@ -1445,6 +1510,12 @@ s_parseerrstring: "Improperly formed string",
  */
 s_parseerrspecialvalue: "Improperly formed special value",
 
+/** 
+ * Parse error: Array constant not well formed, e.g., rows of different lengths
+ * @type {string}
+ */
+s_parseerrarrayconstant: "Improperly formed array constant",
+
 /** 
  * Parse error: Two operators inappropriately in a row
  * @type {string}
@@ -1517,6 +1588,18 @@ s_calcerrnumericoverflow: "Numeric overflow",
  */
 s_sheetunavailable: "Sheet unavailable:",
 
+/** 
+ * Error message when the first or last sheet of a span of sheets (Jan:Dec!B5) is not known
+ * @type {string}
+ */
+s_sheetspanunavailable: "Sheets not available for sheet range in",
+
+/** 
+ * Error message when a span of sheets is used with a function that doesn't list them, like SUM does
+ * @type {string}
+ */
+s_sheetspannotallowed: "Sheet range (e.g., Jan:Dec!B5) not allowed in",
+
 /** 
  * Calculation error: Cell reference missing when expected
  * @type {string}
@@ -1553,6 +1636,36 @@ s_calcerrincorrectargstofunction: "Incorrect arguments to function",
  */
 s_sheetfuncunknownfunction: "Unknown function",
 
+/** 
+ * Custom function error: Name is not usable as a function name
+ * @type {string}
+ */
+s_customfuncbadname: "Function names must start with a letter and contain only letters, digits, \"_\" and \".\": ",
+
+/** 
+ * Custom function error: Name is a built-in function
+ * @type {string}
+ */
+s_customfuncbuiltin: "Cannot replace built-in function ",
+
+/** 
+ * Custom function error: Implementation is not a JavaScript function
+ * @type {string}
+ */
+s_customfuncnotfunction: "No JavaScript function given for ",
+
+/** 
+ * Custom function error: Parameter has an unknown type or is out of order
+ * @type {string}
+ */
+s_customfuncbadparam: "Parameter type must be number, text, range or any, with optional and repeat parameters last: ",
+
+/** 
+ * Custom function error: Promise did not settle in time
+ * @type {string}
+ */
+s_customfunctimeout: "Timed out waiting for ",
+
 /** 
  * Sheet function error: LN argument must be greater than 0
  * @type {string}
@@ -1600,25 +1713,63 @@ s_sheetfuncslnlife: "SLN life must be greater than 1",
  */
 
 /** @type {string} */ s_fdef_ABS: 'Absolute value function. ',
+/** @type {string} */ s_fdef_ACCRINT: 'Returns the interest accrued on a security from issue to settlement, with coupons every 12/frequency months ending on firstinterest. If calcmethod is false and settlement is after firstinterest, the interest is from firstinterest. ',
 /** @type {string} */ s_fdef_ACOS: 'Trigonometric arccosine function. ',
+/** @type {string} */ s_fdef_ADDRESS: 'Returns the text of the reference to the given row and column. Abs is 1 (the default) for $A$1, 2 for A$1, 3 for $A1, or 4 for A1. If a1 is FALSE, the reference is in R1C1 style. If sheettext is given, it is put in front of the reference. ',
 /** @type {string} */ s_fdef_AND: 'True if all arguments are true. ',
 /** @type {string} */ s_fdef_ASIN: 'Trigonometric arcsine function. ',
 /** @type {string} */ s_fdef_ATAN: 'Trigonometric arctan function. ',
 /** @type {string} */ s_fdef_ATAN2: 'Trigonometric arc tangent function (result is in radians). ',
 /** @type {string} */ s_fdef_AVERAGE: 'Averages the values. ',
+/** @type {string} */ s_fdef_AVERAGEIF: 'Averages the numeric values of cells in the range that meet the criteria. The criteria may be a value ("x", 15, 1+3) or a test (>25). If range2 is present, then range1 is tested and the corresponding range2 value is averaged. ',
+/** @type {string} */ s_fdef_AVERAGEIFS: 'Averages the numeric values in range that meet all of the criteria. Each criteria is tested against the corresponding cell of its criteria range, which must be the same shape as range. ',
+/** @type {string} */ s_fdef_BASE: 'Returns the text of a non-negative integer in the radix (2 to 36), padded with zeros to minlength characters if given. ',
+/** @type {string} */ s_fdef_BIN2DEC: 'Converts a binary number of up to 10 digits to decimal. A 10-digit number starting with 1 is negative (two\'s complement). ',
+/** @type {string} */ s_fdef_BIN2HEX: 'Converts a binary number of up to 10 digits to hexadecimal, padded with zeros to places digits if given. ',
+/** @type {string} */ s_fdef_BIN2OCT: 'Converts a binary number of up to 10 digits to octal, padded with zeros to places digits if given. ',
+/** @type {string} */ "s_fdef_BINOM.DIST": 'Returns the probability of exactly successes (or at most successes if cumulative is true) in the given number of trials, each with the given probability of success. ',
+/** @type {string} */ s_fdef_BITAND: 'Returns the bitwise AND of two integers from 0 to 2^48-1. ',
+/** @type {string} */ s_fdef_BITLSHIFT: 'Returns the integer shifted left by shift bits (right if shift is negative). ',
+/** @type {string} */ s_fdef_BITOR: 'Returns the bitwise OR of two integers from 0 to 2^48-1. ',
+/** @type {string} */ s_fdef_BITRSHIFT: 'Returns the integer shifted right by shift bits (left if shift is negative). ',
+/** @type {string} */ s_fdef_BITXOR: 'Returns the bitwise exclusive OR of two integers from 0 to 2^48-1. ',
+/** @type {string} */ s_fdef_CEILING: 'Rounds the value up to a multiple of significance (default 1). If both are negative, rounds away from zero. ',
+/** @type {string} */ "s_fdef_CEILING.MATH": 'Rounds the value up to a multiple of the size of significance (default 1). If mode is non-zero, negative values are rounded away from zero. ',
+/** @type {string} */ s_fdef_CHAR: 'Returns the character with the given code (1 to 255). ',
+/** @type {string} */ "s_fdef_CHISQ.DIST": 'Returns the probability density (or the left tail probability if cumulative is true) of the chi-squared distribution with degfreedom degrees of freedom. ',
+/** @type {string} */ "s_fdef_CHISQ.TEST": 'Returns the probability from the chi-squared test of the actual values against the expected values. ',
 /** @type {string} */ s_fdef_CHOOSE: 'Returns the value specified by the index. The values may be ranges of cells. ',
+/** @type {string} */ s_fdef_CLEAN: 'Returns the text value with the nonprinting control characters removed. ',
+/** @type {string} */ s_fdef_CODE: 'Returns the numeric code of the first character of the text value. ',
+/** @type {string} */ s_fdef_COLUMN: 'Returns the column number of the reference, or of this cell if no reference is given. If the reference has more than one column, the result is an array of the column numbers. ',
 /** @type {string} */ s_fdef_COLUMNS: 'Returns the number of columns in the range. ',
+/** @type {string} */ s_fdef_COMBIN: 'Returns the number of combinations of chosen items from number items, ignoring order. ',
+/** @type {string} */ s_fdef_CONCAT: 'Returns the values joined together as text. Ranges are joined across each row and then down. ',
+/** @type {string} */ "s_fdef_CONFIDENCE.NORM": 'Returns the half width of the confidence interval for a mean using the normal distribution, with significance alpha (e.g., 0.05 for 95%). ',
+/** @type {string} */ s_fdef_CONVERT: 'Converts the value from one unit of measure to another, e.g., "lbm" to "kg" or "F" to "C". Unit names are case sensitive and may have a prefix such as "k" or "m". Returns #N/A if the units do not measure the same thing. ',
+/** @type {string} */ s_fdef_CORREL: 'Returns the correlation coefficient of the pairs of values in the two ranges. ',
 /** @type {string} */ s_fdef_COS: 'Trigonometric cosine function (value is in radians). ',
 /** @type {string} */ s_fdef_COUNT: 'Counts the number of numeric values, not blank, text, or error. ',
 /** @type {string} */ s_fdef_COUNTA: 'Counts the number of non-blank values. ',
 /** @type {string} */ s_fdef_COUNTBLANK: 'Counts the number of blank values. (Note: "" is not blank.) ',
 /** @type {string} */ s_fdef_COUNTIF: 'Counts the number of number of cells in the range that meet the criteria. The criteria may be a value ("x", 15, 1+3) or a test (>25). ',
+/** @type {string} */ s_fdef_COUNTIFS: 'Counts the number of cells in the ranges that meet all of the criteria. Each criteria is tested against the corresponding cell of its range. The ranges must be the same shape. ',
+/** @type {string} */ s_fdef_COVAR: 'Returns the population covariance of the pairs of values in the two ranges. ',
+/** @type {string} */ s_fdef_CUMIPMT: 'Returns the total interest paid on a loan from period start to period end. ',
+/** @type {string} */ s_fdef_CUMPRINC: 'Returns the total principal paid on a loan from period start to period end. ',
 /** @type {string} */ s_fdef_DATE: 'Returns the appropriate date value given numbers for year, month, and day. For example: DATE(2006,2,1) for February 1, 2006. Note: In this program, day "1" is December 31, 1899 and the year 1900 is not a leap year. Some programs use January 1, 1900, as day "1" and treat 1900 as a leap year. In both cases, though, dates on or after March 1, 1900, are the same. ',
+/** @type {string} */ s_fdef_DATEDIF: 'Returns the number of complete units from startdate to enddate. Unit is "Y" (years), "M" (months), "D" (days), "YM" (months ignoring years), "YD" (days ignoring years), or "MD" (days ignoring months and years). ',
+/** @type {string} */ s_fdef_DATEVALUE: 'Returns the date value of a date written as text, such as "2006-02-01" or "1-Feb-2006". ',
 /** @type {string} */ s_fdef_DAVERAGE: 'Averages the values in the specified field in records that meet the criteria. ',
 /** @type {string} */ s_fdef_DAY: 'Returns the day of month for a date value. ',
+/** @type {string} */ s_fdef_DB: 'Returns the amount of depreciation at the given period of time using the fixed-declining balance method, with optional months in the first year (default 12). ',
 /** @type {string} */ s_fdef_DCOUNT: 'Counts the number of numeric values, not blank, text, or error, in the specified field in records that meet the criteria. ',
 /** @type {string} */ s_fdef_DCOUNTA: 'Counts the number of non-blank values in the specified field in records that meet the criteria. ',
 /** @type {string} */ s_fdef_DDB: 'Returns the amount of depreciation at the given period of time (the default factor is 2 for double-declining balance).   ',
+/** @type {string} */ s_fdef_DEC2BIN: 'Converts a number from -512 to 511 to binary, padded with zeros to places digits if given. Negative numbers are 10 digits (two\'s complement). ',
+/** @type {string} */ s_fdef_DEC2HEX: 'Converts a number to hexadecimal, padded with zeros to places digits if given. Negative numbers are 10 digits (two\'s complement). ',
+/** @type {string} */ s_fdef_DEC2OCT: 'Converts a number to octal, padded with zeros to places digits if given. Negative numbers are 10 digits (two\'s complement). ',
+/** @type {string} */ s_fdef_DECIMAL: 'Returns the number represented by the text in the radix (2 to 36). ',
 /** @type {string} */ s_fdef_DEGREES: 'Converts value in radians into degrees. ',
 /** @type {string} */ s_fdef_DGET: 'Returns the value of the specified field in the single record that meets the criteria. ',
 /** @type {string} */ s_fdef_DMAX: 'Returns the maximum of the numeric values in the specified field in records that meet the criteria. ',
@@ -1627,20 +1778,42 @@ s_sheetfuncslnlife: "SLN life must be greater than 1",
 /** @type {string} */ s_fdef_DSTDEV: 'Returns the sample standard deviation of the numeric values in the specified field in records that meet the criteria. ',
 /** @type {string} */ s_fdef_DSTDEVP: 'Returns the standard deviation of the numeric values in the specified field in records that meet the criteria. ',
 /** @type {string} */ s_fdef_DSUM: 'Returns the sum of the numeric values in the specified field in records that meet the criteria. ',
+/** @type {string} */ s_fdef_DURATION: 'Returns the Macaulay duration in years of a security with the given annual coupon rate and yield. ',
 /** @type {string} */ s_fdef_DVAR: 'Returns the sample variance of the numeric values in the specified field in records that meet the criteria. ',
 /** @type {string} */ s_fdef_DVARP: 'Returns the variance of the numeric values in the specified field in records that meet the criteria. ',
+/** @type {string} */ s_fdef_EDATE: 'Returns the date that is the given number of months before or after startdate, on the same day of the month or the last day if that month is shorter. ',
+/** @type {string} */ s_fdef_EFFECT: 'Returns the effective annual interest rate of a nominal rate compounded the given number of periods a year. ',
+/** @type {string} */ s_fdef_EOMONTH: 'Returns the date of the last day of the month that is the given number of months before or after startdate. ',
 /** @type {string} */ s_fdef_EVEN: 'Rounds the value up in magnitude to the nearest even integer. ',
 /** @type {string} */ s_fdef_EXACT: 'Returns "true" if the values are exactly the same, including case, type, etc. ',
 /** @type {string} */ s_fdef_EXP: 'Returns e raised to the value power. ',
+/** @type {string} */ "s_fdef_EXPON.DIST": 'Returns the probability density (or the cumulative probability if cumulative is true) of the exponential distribution with rate lambda. ',
 /** @type {string} */ s_fdef_FACT: 'Returns factorial of the value. ',
 /** @type {string} */ s_fdef_FALSE: 'Returns the logical value "false". ',
+/** @type {string} */ s_fdef_FILTER: 'Returns the rows of the range for which the corresponding value in include (a single column) is true. If include is a single row, the columns are returned instead. If no rows are included, ifempty is returned if present, otherwise #CALC!. The result spills into the cells below and to the right. ',
 /** @type {string} */ s_fdef_FIND: 'Returns the starting position within string2 of the first occurrence of string1 at or after "start". If start is omitted, 1 is assumed. ',
+/** @type {string} */ s_fdef_FLOOR: 'Rounds the value down to a multiple of significance (default 1). If both are negative, rounds toward zero. ',
+/** @type {string} */ "s_fdef_FLOOR.MATH": 'Rounds the value down to a multiple of the size of significance (default 1). If mode is non-zero, negative values are rounded toward zero. ',
+/** @type {string} */ s_fdef_FORECAST: 'Returns the value of the least squares line through the known values at x. ',
+/** @type {string} */ "s_fdef_FORECAST.LINEAR": 'Same as FORECAST. ',
 /** @type {string} */ s_fdef_FV: 'Returns the future value of repeated payments of money invested at the given rate for the specified number of periods, with optional present value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period). ',
+/** @type {string} */ s_fdef_GAMMA: 'Returns the gamma function of value. ',
+/** @type {string} */ s_fdef_GAMMALN: 'Returns the natural logarithm of the gamma function of value. ',
+/** @type {string} */ s_fdef_GCD: 'Returns the greatest common divisor of the values, truncated to integers. ',
+/** @type {string} */ s_fdef_HEX2BIN: 'Converts a hexadecimal number of up to 10 digits to binary, padded with zeros to places digits if given. ',
+/** @type {string} */ s_fdef_HEX2DEC: 'Converts a hexadecimal number of up to 10 digits to decimal. A 10-digit number starting with 8-F is negative (two\'s complement). ',
+/** @type {string} */ s_fdef_HEX2OCT: 'Converts a hexadecimal number of up to 10 digits to octal, padded with zeros to places digits if given. ',
 /** @type {string} */ s_fdef_HLOOKUP: 'Look for the matching value for the given value in the range and return the corresponding value in the cell specified by the row offset. If rangelookup is 1 (the default) and not 0, match if within numeric brackets (match<=value) instead of exact match. ',
 /** @type {string} */ s_fdef_HOUR: 'Returns the hour portion of a time or date/time value. ',
 /** @type {string} */ s_fdef_IF: 'Results in true-value if logical-expression is TRUE or non-zero, otherwise results in false-value. ',
+/** @type {string} */ s_fdef_IFERROR: 'Returns value, or valueiferror if value is an error. Only the value used is calculated. ',
+/** @type {string} */ s_fdef_IFNA: 'Returns value, or valueifna if value is #N/A. Only the value used is calculated. ',
+/** @type {string} */ s_fdef_IFS: 'Returns the value for the first condition that is true, or #N/A if none are. Only the value used is calculated. ',
 /** @type {string} */ s_fdef_INDEX: 'Returns a cell or range reference for the specified row and column in the range. If range is 1-dimensional, then only one of rownum or colnum are needed. If range is 2-dimensional and rownum or colnum are zero, a reference to the range of just the specified column or row is returned. You can use the returned reference value in a range, e.g., sum(A1:INDEX(A2:A10,4)). ',
+/** @type {string} */ s_fdef_INDIRECT: 'Returns the reference given by the text, e.g., "B3", "Sheet2!A1:C4" or a name. If a1 is FALSE, the text is in R1C1 style, e.g., "R3C2", with bracketed numbers relative to this cell, e.g., "R[-1]C". Recalculated every time. ',
 /** @type {string} */ s_fdef_INT: 'Returns the value rounded down to the nearest integer (towards -infinity). ',
+/** @type {string} */ s_fdef_INTERCEPT: 'Returns the y value where the least squares line through the known values crosses the y axis. ',
+/** @type {string} */ s_fdef_IPMT: 'Returns the interest part of the payment for period per, with optional future value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period). ',
 /** @type {string} */ s_fdef_IRR: 'Returns the interest rate at which the cash flows in the range have a net present value of zero. Uses an iterative process that will return #NUM! error if it does not converge. There may be more than one possible solution. Providing the optional guess value may help in certain situations where it does not converge or finds an inappropriate solution (the default guess is 10%). ',
 /** @type {string} */ s_fdef_ISBLANK: 'Returns "true" if the value is a reference to a blank cell. ',
 /** @type {string} */ s_fdef_ISERR: 'Returns "true" if the value is of type "Error" but not "NA". ',
@@ -1649,65 +1822,151 @@ s_sheetfuncslnlife: "SLN life must be greater than 1",
 /** @type {string} */ s_fdef_ISNA: 'Returns "true" if the value is the error type "NA". ',
 /** @type {string} */ s_fdef_ISNONTEXT: 'Returns "true" if the value is not of type "Text". ',
 /** @type {string} */ s_fdef_ISNUMBER: 'Returns "true" if the value is of type "Number" (including logical values). ',
+/** @type {string} */ s_fdef_ISOWEEKNUM: 'Returns the ISO 8601 week number of the date. Weeks start on Monday and week 1 contains the first Thursday of the year. ',
 /** @type {string} */ s_fdef_ISTEXT: 'Returns "true" if the value is of type "Text". ',
+/** @type {string} */ s_fdef_LAMBDA: 'Returns a function with the given parameters that calculates the value of calculation. Define a name (e.g., TAX) as =LAMBDA(...) to call it like the built-in functions, e.g., =TAX(B2). ',
+/** @type {string} */ s_fdef_LARGE: 'Returns the k-th largest numeric value in range. ',
+/** @type {string} */ s_fdef_LCM: 'Returns the least common multiple of the values, truncated to integers. ',
 /** @type {string} */ s_fdef_LEFT: 'Returns the specified number of characters from the text value. If count is omitted, 1 is assumed. ',
 /** @type {string} */ s_fdef_LEN: 'Returns the number of characters in the text value. ',
+/** @type {string} */ s_fdef_LET: 'Assigns the value of value1 to name1, etc., and returns the value of calculation, which may use those names. Each value may use the names before it. ',
+/** @type {string} */ s_fdef_LINEST: 'Returns the coefficients of the least squares fit of knownY to one or more x variables in knownX, last x first and then the constant. If const is false the constant is 0. If stats is true, four more rows of statistics are returned. ',
 /** @type {string} */ s_fdef_LN: 'Returns the natural logarithm of the value. ',
 /** @type {string} */ s_fdef_LOG: 'Returns the logarithm of the value using the specified base. ',
 /** @type {string} */ s_fdef_LOG10: 'Returns the base 10 logarithm of the value. ',
 /** @type {string} */ s_fdef_LOWER: 'Returns the text value with all uppercase characters converted to lowercase. ',
 /** @type {string} */ s_fdef_MATCH: 'Look for the matching value for the given value in the range and return position (the first is 1) in that range. If rangelookup is 1 (the default) and not 0, match if within numeric brackets (match<=value) instead of exact match. If rangelookup is -1, act like 1 but the bracket is match>=value. ',
 /** @type {string} */ s_fdef_MAX: 'Returns the maximum of the numeric values. ',
+/** @type {string} */ s_fdef_MAXIFS: 'Returns the maximum of the numeric values in range that meet all of the criteria, or 0 if none do. The criteria ranges must be the same shape as range. ',
+/** @type {string} */ s_fdef_MDETERM: 'Returns the determinant of the square matrix in the range. ',
+/** @type {string} */ s_fdef_MEDIAN: 'Returns the middle of the numeric values, or the average of the two middle values. ',
 /** @type {string} */ s_fdef_MID: 'Returns the specified number of characters from the text value starting from the specified position. ',
 /** @type {string} */ s_fdef_MIN: 'Returns the minimum of the numeric values. ',
+/** @type {string} */ s_fdef_MINIFS: 'Returns the minimum of the numeric values in range that meet all of the criteria, or 0 if none do. The criteria ranges must be the same shape as range. ',
 /** @type {string} */ s_fdef_MINUTE: 'Returns the minute portion of a time or date/time value. ',
+/** @type {string} */ s_fdef_MINVERSE: 'Returns the inverse of the square matrix in the range as an array. Returns #NUM! if the matrix cannot be inverted. ',
+/** @type {string} */ s_fdef_MIRR: 'Returns the modified internal rate of return of the cash flows in the range, with negative cash flows financed at financerate and positive ones reinvested at reinvestrate. ',
+/** @type {string} */ s_fdef_MMULT: 'Returns the matrix product of the two ranges as an array. The number of columns in range1 must equal the number of rows in range2. ',
 /** @type {string} */ s_fdef_MOD: 'Returns the remainder of the first value divided by the second. ',
+/** @type {string} */ s_fdef_MODE: 'Returns the most frequent of the numeric values. ',
+/** @type {string} */ "s_fdef_MODE.MULT": 'Returns all of the most frequent numeric values, in a column. ',
+/** @type {string} */ "s_fdef_MODE.SNGL": 'Same as MODE. ',
 /** @type {string} */ s_fdef_MONTH: 'Returns the month part of a date value. ',
+/** @type {string} */ s_fdef_MROUND: 'Rounds the value to the nearest multiple. ',
+/** @type {string} */ s_fdef_MUNIT: 'Returns the identity matrix with the given number of rows and columns as an array. ',
 /** @type {string} */ s_fdef_N: 'Returns the value if it is a numeric value otherwise an error. ',
 /** @type {string} */ s_fdef_NA: 'Returns the #N/A error value which propagates through most operations. ',
+/** @type {string} */ s_fdef_NETWORKDAYS: 'Returns the number of working days (Monday through Friday) from startdate to enddate, including both, not counting the dates in holidays. ',
+/** @type {string} */ "s_fdef_NETWORKDAYS.INTL": 'Returns the number of working days from startdate to enddate, including both, not counting the dates in holidays. Weekend is 1 (Saturday and Sunday, the default) through 7 (Friday and Saturday), 11 (Sunday only) through 17 (Saturday only), or text like "0000011" with 1 for each weekend day, Monday first. ',
+/** @type {string} */ s_fdef_NOMINAL: 'Returns the nominal annual interest rate that gives the effective rate when compounded the given number of periods a year. ',
+/** @type {string} */ "s_fdef_NORM.DIST": 'Returns the probability density (or the cumulative probability if cumulative is true) of the normal distribution with the given mean and standard deviation. ',
+/** @type {string} */ "s_fdef_NORM.INV": 'Returns the value where the cumulative normal distribution with the given mean and standard deviation equals probability. ',
+/** @type {string} */ "s_fdef_NORM.S.DIST": 'Returns the probability density (or the cumulative probability if cumulative is true) of the standard normal distribution. ',
 /** @type {string} */ s_fdef_NOT: 'Returns FALSE if value is true, and TRUE if it is false. ',
 /** @type {string} */ s_fdef_NOW: 'Returns the current date/time. ',
 /** @type {string} */ s_fdef_NPER: 'Returns the number of periods at which payments invested each period at the given rate with optional future value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period) has the given present value. ',
 /** @type {string} */ s_fdef_NPV: 'Returns the net present value of cash flows (which may be individual values and/or ranges) at the given rate. The flows are positive if income, negative if paid out, and are assumed at the end of each period. ',
+/** @type {string} */ s_fdef_OCT2BIN: 'Converts an octal number of up to 10 digits to binary, padded with zeros to places digits if given. ',
+/** @type {string} */ s_fdef_OCT2DEC: 'Converts an octal number of up to 10 digits to decimal. A 10-digit number starting with 4-7 is negative (two\'s complement). ',
+/** @type {string} */ s_fdef_OCT2HEX: 'Converts an octal number of up to 10 digits to hexadecimal, padded with zeros to places digits if given. ',
 /** @type {string} */ s_fdef_ODD: 'Rounds the value up in magnitude to the nearest odd integer. ',
+/** @type {string} */ s_fdef_OFFSET: 'Returns a reference to the range that is the given number of rows and columns away from the reference. The result has the size of the reference unless height and width are given. Recalculated every time. ',
 /** @type {string} */ s_fdef_OR: 'True if any argument is true ',
+/** @type {string} */ s_fdef_PERCENTILE: 'Returns the k-th percentile of the numeric values in range, where k is from 0 to 1. ',
+/** @type {string} */ "s_fdef_PERCENTILE.EXC": 'Returns the k-th percentile of the numeric values in range, where k is between 0 and 1 exclusive. ',
+/** @type {string} */ "s_fdef_PERCENTILE.INC": 'Same as PERCENTILE. ',
+/** @type {string} */ s_fdef_PERMUT: 'Returns the number of permutations of chosen items from number items. ',
 /** @type {string} */ s_fdef_PI: 'The value 3.1415926... ',
 /** @type {string} */ s_fdef_PMT: 'Returns the amount of each payment that must be invested at the given rate for the specified number of periods to have the specified present value, with optional future value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period). ',
+/** @type {string} */ "s_fdef_POISSON.DIST": 'Returns the probability of exactly x events (or at most x events if cumulative is true) for the Poisson distribution with the given mean. ',
 /** @type {string} */ s_fdef_POWER: 'Returns the first value raised to the second value power. ',
+/** @type {string} */ s_fdef_PPMT: 'Returns the principal part of the payment for period per, with optional future value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period). ',
+/** @type {string} */ s_fdef_PRICE: 'Returns the price per 100 face value of a security that pays periodic interest, given its yield. Frequency is 1, 2, or 4 coupons a year and basis is the day count basis (default 0). ',
 /** @type {string} */ s_fdef_PRODUCT: 'Returns the result of multiplying the numeric values. ',
 /** @type {string} */ s_fdef_PROPER: 'Returns the text value with the first letter of each word converted to uppercase and the others to lowercase. ',
 /** @type {string} */ s_fdef_PV: 'Returns the present value of the given number of payments each invested at the given rate, with optional future value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period). ',
+/** @type {string} */ s_fdef_QUARTILE: 'Returns quartile q of the numeric values in range: 0 is the minimum, 2 the median, and 4 the maximum. ',
+/** @type {string} */ "s_fdef_QUARTILE.EXC": 'Returns quartile q (1 to 3) of the numeric values in range, based on PERCENTILE.EXC. ',
+/** @type {string} */ "s_fdef_QUARTILE.INC": 'Same as QUARTILE. ',
+/** @type {string} */ s_fdef_QUOTIENT: 'Returns the integer part of the first value divided by the second. ',
 /** @type {string} */ s_fdef_RADIANS: 'Converts value in degrees into radians. ',
+/** @type {string} */ s_fdef_RAND: 'Returns a random number from 0 up to but not including 1. Recalculates every time unless the sheet has a seed. ',
+/** @type {string} */ s_fdef_RANDARRAY: 'Returns an array of random numbers from min to max (default 0 and 1), whole numbers if integer is true. ',
+/** @type {string} */ s_fdef_RANDBETWEEN: 'Returns a random whole number from bottom to top. ',
+/** @type {string} */ s_fdef_RANK: 'Returns the position of value in the numeric values of range, largest first if order is 0 or omitted, smallest first otherwise. Equal values get the same rank. ',
+/** @type {string} */ "s_fdef_RANK.AVG": 'Same as RANK except that equal values get the average of their ranks. ',
+/** @type {string} */ "s_fdef_RANK.EQ": 'Same as RANK. ',
 /** @type {string} */ s_fdef_RATE: 'Returns the rate at which the given number of payments each invested at the given rate has the specified present value, with optional future value (default 0) and payment type (default 0 = at end of period, 1 = beginning of period). Uses an iterative process that will return #NUM! error if it does not converge. There may be more than one possible solution. Providing the optional guess value may help in certain situations where it does not converge or finds an inappropriate solution (the default guess is 10%). ',
+/** @type {string} */ s_fdef_REGEXEXTRACT: 'Returns the first part of the text that matches the regular expression, or the first parenthesized group if it has one. Returns #N/A if there is no match. ',
+/** @type {string} */ s_fdef_REGEXMATCH: 'Returns "true" if any part of the text matches the regular expression. ',
+/** @type {string} */ s_fdef_REGEXREPLACE: 'Returns the text with every match of the regular expression replaced by newtext, which may include $1, etc., for the parenthesized groups. ',
 /** @type {string} */ s_fdef_REPLACE: 'Returns text1 with the specified number of characters starting from the specified position replaced by text2. ',
 /** @type {string} */ s_fdef_REPT: 'Returns the text repeated the specified number of times. ',
 /** @type {string} */ s_fdef_RIGHT: 'Returns the specified number of characters from the text value starting from the end. If count is omitted, 1 is assumed. ',
 /** @type {string} */ s_fdef_ROUND: 'Rounds the value to the specified number of decimal places. If precision is negative, then round to powers of 10. The default precision is 0 (round to integer). ',
+/** @type {string} */ s_fdef_ROUNDDOWN: 'Rounds the value toward zero to the specified number of decimal places. If precision is negative, then round to powers of 10. ',
+/** @type {string} */ s_fdef_ROUNDUP: 'Rounds the value away from zero to the specified number of decimal places. If precision is negative, then round to powers of 10. ',
+/** @type {string} */ s_fdef_ROW: 'Returns the row number of the reference, or of this cell if no reference is given. If the reference has more than one row, the result is an array of the row numbers. ',
 /** @type {string} */ s_fdef_ROWS: 'Returns the number of rows in the range. ',
+/** @type {string} */ s_fdef_RSQ: 'Returns the square of the correlation coefficient of the known values. ',
+/** @type {string} */ s_fdef_SEARCH: 'Returns the starting position within string2 of the first occurrence of string1 (counting from 1), ignoring case. String1 may include the wildcards * (any characters) and ? (any one character). If start is given, the search begins there. ',
 /** @type {string} */ s_fdef_SECOND: 'Returns the second portion of a time or date/time value (truncated to an integer). ',
+/** @type {string} */ s_fdef_SEQUENCE: 'Returns an array of sequential numbers with the specified number of rows and columns (default 1), beginning with start (default 1) and incremented by step (default 1). The result spills into the cells below and to the right. ',
+/** @type {string} */ s_fdef_SIGN: 'Returns 1 if the value is positive, -1 if negative, and 0 if zero. ',
 /** @type {string} */ s_fdef_SIN: 'Trigonometric sine function (value is in radians) ',
 /** @type {string} */ s_fdef_SLN: 'Returns the amount of depreciation at each period of time using the straight-line method. ',
+/** @type {string} */ s_fdef_SLOPE: 'Returns the slope of the least squares line through the known values. ',
+/** @type {string} */ s_fdef_SMALL: 'Returns the k-th smallest numeric value in range. ',
+/** @type {string} */ s_fdef_SORT: 'Returns the rows of the range sorted by the values in column sortindex (default 1). Sortorder is 1 for ascending (the default) or -1 for descending. If bycol is true, sorts the columns by the values in row sortindex. The result spills into the cells below and to the right. ',
+/** @type {string} */ s_fdef_SORTBY: 'Returns the rows of the range sorted by the values in byrange1 (a single column), then byrange2, etc. Each sortorder is 1 for ascending (the default) or -1 for descending. If the byranges are single rows, the columns are sorted instead. The result spills into the cells below and to the right. ',
+/** @type {string} */ s_fdef_SPLIT: 'Returns the pieces of text between delimiters in adjacent cells across. Each character of delimiter is a delimiter unless eachchar is false, and empty pieces are left out unless removeempty is false. ',
 /** @type {string} */ s_fdef_SQRT: 'Square root of the value ',
 /** @type {string} */ s_fdef_STDEV: 'Returns the sample standard deviation of the numeric values. ',
 /** @type {string} */ s_fdef_STDEVP: 'Returns the standard deviation of the numeric values. ',
 /** @type {string} */ s_fdef_SUBSTITUTE: 'Returns text1 with the all occurrences of oldtext replaced by newtext. If "occurrence" is present, then only that occurrence is replaced. ',
 /** @type {string} */ s_fdef_SUM: 'Adds the numeric values. The values to the sum function may be ranges in the form similar to A1:B5. ',
 /** @type {string} */ s_fdef_SUMIF: 'Sums the numeric values of cells in the range that meet the criteria. The criteria may be a value ("x", 15, 1+3) or a test (>25). If range2 is present, then range1 is tested and the corresponding range2 value is summed. ',
+/** @type {string} */ s_fdef_SUMIFS: 'Sums the numeric values in range that meet all of the criteria. Each criteria is tested against the corresponding cell of its criteria range, which must be the same shape as range. ',
+/** @type {string} */ s_fdef_SUMPRODUCT: 'Returns the sum of the products of the corresponding values in the ranges, which must all be the same size. Values that are not numbers are treated as 0. ',
+/** @type {string} */ s_fdef_SWITCH: 'Returns the value for the first match equal to expression, or the default value if there is one, or #N/A. Only the values needed are calculated. ',
 /** @type {string} */ s_fdef_SYD: 'Depreciation by Sum of Year\'s Digits method. ',
 /** @type {string} */ s_fdef_T: 'Returns the text value or else a null string. ',
+/** @type {string} */ "s_fdef_T.DIST": 'Returns the probability density (or the left tail probability if cumulative is true) of Student\'s t distribution. ',
+/** @type {string} */ "s_fdef_T.INV": 'Returns the value where the left tail probability of Student\'s t distribution equals probability. ',
+/** @type {string} */ "s_fdef_T.TEST": 'Returns the probability from Student\'s t-test that the two ranges have the same mean. Tails is 1 or 2. Type is 1 for paired values, 2 for equal variances, or 3 for unequal variances. ',
 /** @type {string} */ s_fdef_TAN: 'Trigonometric tangent function (value is in radians) ',
+/** @type {string} */ s_fdef_TEXT: 'Returns the value formatted as text with the given number, date, or time format (e.g., "#,##0.00" or "yyyy-mm-dd"). ',
+/** @type {string} */ s_fdef_TEXTJOIN: 'Returns the values joined together as text with the delimiter between them. If ignoreempty is true, empty values are left out. ',
+/** @type {string} */ s_fdef_TEXTSPLIT: 'Returns the pieces of text between delimiters, split into columns at coldelimiter and into rows at rowdelimiter. Empty pieces are left out if ignoreempty is true, and case is ignored if matchmode is 1. Short rows are filled with padwith (#N/A if omitted). ',
 /** @type {string} */ s_fdef_TIME: 'Returns the time value given the specified hour, minute, and second. ',
+/** @type {string} */ s_fdef_TIMEVALUE: 'Returns the time value (a fraction of a day) of a time written as text, such as "14:30" or "2:30 PM". ',
 /** @type {string} */ s_fdef_TODAY: 'Returns the current date (an integer). Note: In this program, day "1" is December 31, 1899 and the year 1900 is not a leap year. Some programs use January 1, 1900, as day "1" and treat 1900 as a leap year. In both cases, though, dates on or after March 1, 1900, are the same. ',
+/** @type {string} */ s_fdef_TRANSPOSE: 'Returns the range as an array with the rows as columns and the columns as rows. ',
+/** @type {string} */ s_fdef_TREND: 'Returns the values of the least squares fit of knownY to knownX at each of newX. If const is false the fit goes through 0. ',
 /** @type {string} */ s_fdef_TRIM: 'Returns the text value with leading, trailing, and repeated spaces removed. ',
 /** @type {string} */ s_fdef_TRUE: 'Returns the logical value "true". ',
 /** @type {string} */ s_fdef_TRUNC: 'Truncates the value to the specified number of decimal places. If precision is negative, truncate to powers of 10. ',
+/** @type {string} */ s_fdef_UNICHAR: 'Returns the character with the given Unicode code point. ',
+/** @type {string} */ s_fdef_UNICODE: 'Returns the Unicode code point of the first character of the text value. ',
+/** @type {string} */ s_fdef_UNIQUE: 'Returns the distinct rows of the range in the order they first appear, ignoring case. If bycol is true, returns the distinct columns. If exactlyonce is true, only returns those that appear once. The result spills into the cells below and to the right. ',
 /** @type {string} */ s_fdef_UPPER: 'Returns the text value with all lowercase characters converted to uppercase. ',
 /** @type {string} */ s_fdef_VALUE: 'Converts the specified text value into a numeric value. Various forms that look like numbers (including digits followed by %, forms that look like dates, etc.) are handled. This may not handle all of the forms accepted by other spreadsheets and may be locale dependent. ',
 /** @type {string} */ s_fdef_VAR: 'Returns the sample variance of the numeric values. ',
 /** @type {string} */ s_fdef_VARP: 'Returns the variance of the numeric values. ',
+/** @type {string} */ s_fdef_VDB: 'Returns the total depreciation from period start to period end using the declining balance method (the default factor is 2), switching to straight-line when that is larger unless noswitch is true. ',
 /** @type {string} */ s_fdef_VLOOKUP: 'Look for the matching value for the given value in the range and return the corresponding value in the cell specified by the column offset. If rangelookup is 1 (the default) and not 0, match if within numeric brackets (match>=value) instead of exact match. ',
 /** @type {string} */ s_fdef_WEEKDAY: 'Returns the day of week specified by the date value. If type is 1 (the default), Sunday is day and Saturday is day 7. If type is 2, Monday is day 1 and Sunday is day 7. If type is 3, Monday is day 0 and Sunday is day 6. ',
+/** @type {string} */ s_fdef_WEEKNUM: 'Returns the week number of the date, with the week containing January 1 being week 1. Weeks start on Sunday if type is 1 (the default) or 17, Monday if 2 or 11, and Tuesday through Saturday if 12 through 16. Type 21 gives the ISO 8601 week number. ',
+/** @type {string} */ s_fdef_WORKDAY: 'Returns the date that is the given number of working days (Monday through Friday) before or after startdate, skipping the dates in holidays. ',
+/** @type {string} */ "s_fdef_WORKDAY.INTL": 'Returns the date that is the given number of working days before or after startdate, skipping the dates in holidays. Weekend is as for NETWORKDAYS.INTL. ',
+/** @type {string} */ s_fdef_XIRR: 'Returns the interest rate at which the cash flows in the range, paid on the given dates, have a net present value of zero. Uses an iterative process that will return #NUM! error if it does not converge (the default guess is 10%). ',
+/** @type {string} */ s_fdef_XLOOKUP: 'Look for the matching value for the given value in the one-dimensional lookup range and return the corresponding cell (or row or column) of the return range. If there is no match, notfound is returned if present, otherwise #N/A. Matchmode is 0 for exact match (the default), -1 for exact match or the next smaller value, 1 for exact match or the next larger value, and 2 for wildcard match (* matches any characters, ? any one character, and ~ escapes them). Searchmode is 1 to search from first to last (the default), -1 to search from last to first, 2 to do a binary search of values sorted in ascending order, and -2 for descending order. ',
+/** @type {string} */ s_fdef_XMATCH: 'Look for the matching value for the given value in the one-dimensional range and return position (the first is 1) in that range. The matchmode and searchmode are as for XLOOKUP. ',
+/** @type {string} */ s_fdef_XNPV: 'Returns the net present value at the first date of the cash flows in the range paid on the given dates. ',
+/** @type {string} */ s_fdef_XOR: 'Returns true if an odd number of the values are true, otherwise false. ',
 /** @type {string} */ s_fdef_YEAR: 'Returns the year part of a date value. ',
+/** @type {string} */ s_fdef_YEARFRAC: 'Returns the fraction of a year from startdate to enddate. Basis is 0 (US 30/360, the default), 1 (actual/actual), 2 (actual/360), 3 (actual/365), or 4 (European 30/360). ',
+/** @type {string} */ s_fdef_YIELD: 'Returns the annual yield of a security that pays periodic interest, given its price. Uses an iterative process that will return #NUM! error if it does not converge. ',
 
 /**
  * Function argument patterns for function help
@@ -1722,6 +1981,7 @@ s_sheetfuncslnlife: "SLN life must be greater than 1",
 /** @type {string} */ s_farg_date: "year, month, day",
 /** @type {string} */ s_farg_dfunc: "databaserange, fieldname, criteriarange",
 /** @type {string} */ s_farg_ddb: "cost, salvage, lifetime, period [, factor]",
+/** @type {string} */ s_farg_filter: "range, include, [ifempty]",
 /** @type {string} */ s_farg_find: "string1, string2 [, start]",
 /** @type {string} */ s_farg_fv: "rate, n, payment, [pv, [paytype]]",
 /** @type {string} */ s_farg_hlookup: "value, range, row, [rangelookup]",
@@ -1729,6 +1989,8 @@ s_sheetfuncslnlife: "SLN life must be greater than 1",
 /** @type {string} */ s_farg_index: "range, rownum, colnum",
 /** @type {string} */ s_farg_irr: "range, [guess]",
 /** @type {string} */ s_farg_tc: "text, count",
+/** @type {string} */ s_farg_let: "name1, value1, [name2, value2, ...], calculation",
+/** @type {string} */ s_farg_lambda: "[parameter1, ...], calculation",
 /** @type {string} */ s_farg_log: "value, base",
 /** @type {string} */ s_farg_match: "value, range, [rangelookup]",
 /** @type {string} */ s_farg_mid: "text, start, length",
@@ -1744,17 +2006,96 @@ s_sheetfuncslnlife: "SLN life must be greater than 1",
 /** @type {string} */ s_farg_cslp: "cost, salvage, lifetime, period",
 /** @type {string} */ s_farg_subs: "text1, oldtext, newtext [, occurrence]",
 /** @type {string} */ s_farg_sumif: "range1, criteria [, range2]",
+/** @type {string} */ s_farg_sumifs: "range, range1, criteria1, [range2, criteria2, ...]",
+/** @type {string} */ s_farg_averageif: "range1, criteria [, range2]",
+/** @type {string} */ s_farg_averageifs: "range, range1, criteria1, [range2, criteria2, ...]",
+/** @type {string} */ s_farg_countifs: "range1, criteria1, [range2, criteria2, ...]",
+/** @type {string} */ s_farg_maxifs: "range, range1, criteria1, [range2, criteria2, ...]",
+/** @type {string} */ s_farg_sort: "range, [sortindex, [sortorder, [bycol]]]",
+/** @type {string} */ s_farg_sortby: "range, byrange1, [sortorder1], ...",
+/** @type {string} */ s_farg_sequence: "rows, [columns, [start, [step]]]",
+/** @type {string} */ s_farg_unique: "range, [bycol, [exactlyonce]]",
 /** @type {string} */ s_farg_hms: "hour, minute, second",
 /** @type {string} */ s_farg_txt: "text",
 /** @type {string} */ s_farg_vlookup: "value, range, col, [rangelookup]",
+/** @type {string} */ s_farg_xlookup: "value, lookuprange, returnrange, [notfound, [matchmode, [searchmode]]]",
+/** @type {string} */ s_farg_xmatch: "value, range, [matchmode, [searchmode]]",
 /** @type {string} */ s_farg_weekday: "date, [type]",
 /** @type {string} */ s_farg_dt: "date",
+/** @type {string} */ s_farg_regex: "text, regex",
+/** @type {string} */ s_farg_regexreplace: "text, regex, newtext",
+/** @type {string} */ s_farg_split: "text, delimiter, [eachchar, [removeempty]]",
+/** @type {string} */ s_farg_textformat: "value, format",
+/** @type {string} */ s_farg_textjoin: "delimiter, ignoreempty, value1, value2, ...",
+/** @type {string} */ s_farg_textsplit: "text, coldelimiter, [rowdelimiter, [ignoreempty, [matchmode, [padwith]]]]",
+/** @type {string} */ s_farg_edate: "startdate, months",
+/** @type {string} */ s_farg_networkdays: "startdate, enddate, [holidays]",
+/** @type {string} */ s_farg_networkdaysintl: "startdate, enddate, [weekend, [holidays]]",
+/** @type {string} */ s_farg_workday: "startdate, days, [holidays]",
+/** @type {string} */ s_farg_workdayintl: "startdate, days, [weekend, [holidays]]",
+/** @type {string} */ s_farg_datedif: "startdate, enddate, unit",
+/** @type {string} */ s_farg_weeknum: "date, [type]",
+/** @type {string} */ s_farg_yearfrac: "startdate, enddate, [basis]",
+/** @type {string} */ s_farg_rangek: "range, k",
+/** @type {string} */ s_farg_quartile: "range, q",
+/** @type {string} */ s_farg_rank: "value, range, [order]",
+/** @type {string} */ s_farg_range2: "range1, range2",
+/** @type {string} */ s_farg_knownyx: "knownY, knownX",
+/** @type {string} */ s_farg_forecast: "x, knownY, knownX",
+/** @type {string} */ s_farg_linest: "knownY, [knownX], [const], [stats]",
+/** @type {string} */ s_farg_trend: "knownY, [knownX], [newX], [const]",
+/** @type {string} */ s_farg_binomdist: "successes, trials, probability, cumulative",
+/** @type {string} */ s_farg_xdfcumulative: "x, degfreedom, cumulative",
+/** @type {string} */ s_farg_confidence: "alpha, stddev, size",
+/** @type {string} */ s_farg_expondist: "x, lambda, cumulative",
+/** @type {string} */ s_farg_normdist: "x, mean, stddev, cumulative",
+/** @type {string} */ s_farg_norminv: "probability, mean, stddev",
+/** @type {string} */ s_farg_normsdist: "z, cumulative",
+/** @type {string} */ s_farg_poissondist: "x, mean, cumulative",
+/** @type {string} */ s_farg_pdf: "probability, degfreedom",
+/** @type {string} */ s_farg_chisqtest: "actual, expected",
+/** @type {string} */ s_farg_ttest: "range1, range2, tails, type",
+/** @type {string} */ s_farg_accrint: "issue, firstinterest, settlement, rate, par, frequency, [basis, [calcmethod]]",
+/** @type {string} */ s_farg_cumipmt: "rate, n, pv, start, end, paytype",
+/** @type {string} */ s_farg_db: "cost, salvage, lifetime, period, [month]",
+/** @type {string} */ s_farg_duration: "settlement, maturity, rate, yield, frequency, [basis]",
+/** @type {string} */ s_farg_effect: "rate, periods",
+/** @type {string} */ s_farg_ipmt: "rate, per, n, pv, [fv, [paytype]]",
+/** @type {string} */ s_farg_mirr: "range, financerate, reinvestrate",
+/** @type {string} */ s_farg_price: "settlement, maturity, rate, yield, redemption, frequency, [basis]",
+/** @type {string} */ s_farg_vdb: "cost, salvage, lifetime, start, end, [factor, [noswitch]]",
+/** @type {string} */ s_farg_xirr: "values, dates, [guess]",
+/** @type {string} */ s_farg_xnpv: "rate, values, dates",
+/** @type {string} */ s_farg_yield: "settlement, maturity, rate, price, redemption, frequency, [basis]",
+/** @type {string} */ s_farg_iferror: "value, valueiferror",
+/** @type {string} */ s_farg_ifs: "condition1, value1, ...",
+/** @type {string} */ s_farg_switch: "expression, match1, value1, ..., [default]",
+/** @type {string} */ s_farg_offset: "reference, rows, cols, [height, [width]]",
+/** @type {string} */ s_farg_indirect: "text, [a1]",
+/** @type {string} */ s_farg_address: "row, col, [abs, [a1, [sheettext]]]",
+/** @type {string} */ s_farg_rowcolumn: "[reference]",
+/** @type {string} */ s_farg_matrix: "range",
+/** @type {string} */ s_farg_mmult: "range1, range2",
+/** @type {string} */ s_farg_munit: "dimension",
+/** @type {string} */ s_farg_sumproduct: "range1, range2, ...",
+/** @type {string} */ s_farg_places: "value, [places]",
+/** @type {string} */ s_farg_base: "value, radix, [minlength]",
+/** @type {string} */ s_farg_decimal: "text, radix",
+/** @type {string} */ s_farg_bits: "value1, value2",
+/** @type {string} */ s_farg_bitshift: "value, shift",
+/** @type {string} */ s_farg_convert: "value, fromunit, tounit",
+/** @type {string} */ s_farg_ceiling: "value, [significance]",
+/** @type {string} */ s_farg_ceilingmath: "value, [significance, [mode]]",
+/** @type {string} */ s_farg_mround: "value, multiple",
+/** @type {string} */ s_farg_combin: "number, chosen",
+/** @type {string} */ s_farg_randarray: "[rows, [columns, [min, [max, [integer]]]]]",
+/** @type {string} */ s_farg_randbetween: "bottom, top",
 
 /**
  * Order of function classes for categorization
  * @type {string[]}
  */
-function_classlist: ["all", "stat", "lookup", "datetime", "financial", "test", "math", "text"],
+function_classlist: ["all", "stat", "statistical", "lookup", "datetime", "financial", "test", "math", "engineering", "text"],
 
 /**
  * Function class display names
@@ -1762,12 +2103,15 @@ function_classlist: ["all", "stat", "lookup", "datetime", "financial", "test", "
 
 /** @type {string} */ s_fclass_all: "All",
 /** @type {string} */ s_fclass_stat: "Statistics",
+/** @type {string} */ s_fclass_statistical: "Statistical Distributions",
 /** @type {string} */ s_fclass_lookup: "Lookup",
 /** @type {string} */ s_fclass_datetime: "Date & Time",
 /** @type {string} */ s_fclass_financial: "Financial",
 /** @type {string} */ s_fclass_test: "Test",
 /** @type {string} */ s_fclass_math: "Math",
+/** @type {string} */ s_fclass_engineering: "Engineering",
 /** @type {string} */ s_fclass_text: "Text",
+/** @type {string} */ s_fclass_custom: "Custom", // added to function_classlist by SocialCalc.Formula.RegisterFunction
 
 /** 
  * Marker for end of constants object
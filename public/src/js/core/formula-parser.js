@@ -76,7 +76,9 @@ SocialCalc.Formula.TokenType = {
    /** @type {number} String token */
    string: 6,
    /** @type {number} Space token */
-   space: 7
+   space: 7,
+   /** @type {number} Array constant token, e.g., {1,2;3,4} */
+   array: 8
 };
 
 /**
@@ -217,6 +219,13 @@ SocialCalc.Formula.TypeLookupTable = {
  * @memberof SocialCalc.Formula
  * @description Parses a text string as if it was a spreadsheet formula using a state machine
  * 
+ * Whole column and row ranges (A:C, $3:5) are tokenized as two coords with just a column or
+ * just a row (coordToCr gives a 0 for the missing part) around the ":" operator.
+ * A span of sheets before a "!" (Jan:Dec!B5) is tokenized as one name, "JAN:DEC", even if the
+ * sheet names look like coords (Q1:Q4!B5).
+ * A sheet name in single quotes before a "!" ('[budget.wb]Summary'!B4) is one name, with the quotes and case as typed.
+ * An array constant ({1,2;3,4}) is one token, with the text as typed.
+ * 
  * @param {string} line - The formula text to parse
  * @returns {Array<Object>} parseinfo - Array of parsed tokens, each containing:
  *   - {string} text - The characters making up the parsed token
@@ -228,7 +237,7 @@ SocialCalc.Formula.TypeLookupTable = {
  * // Returns array of token objects representing the parsed formula
  */
 SocialCalc.Formula.ParseFormulaIntoTokens = function(line) {
-   let i, ch, chclass, haddecimal, last_token, last_token_type, last_token_text, t;
+   let i, ch, chclass, haddecimal, last_token, last_token_type, last_token_text, t, match;
 
    let scf = SocialCalc.Formula;
    let scc = SocialCalc.Constants;
@@ -239,6 +248,8 @@ SocialCalc.Formula.ParseFormulaIntoTokens = function(line) {
    let uppercasetable = scf.UpperCaseTable; // much faster than toUpperCase function
    let pushtoken = scf.ParsePushToken;
    let coordregex = /^\$?[A-Z]{1,2}\$?[1-9]\d*$/i;
+   let wholecolregex = /^\$?[A-Z]{1,2}$/; // names are already uppercase
+   let wholerowregex = /^\$?[1-9]\d*$/;
 
    let parseinfo = [];
    let str = "";
@@ -326,6 +337,10 @@ SocialCalc.Formula.ParseFormulaIntoTokens = function(line) {
             }
             pushtoken(parseinfo, str.toUpperCase(), t, 0);
             state = 0;
+         } else if (ch == "#" && coordregex.test(str)) { // A1# -- reference to the spill range of A1
+            pushtoken(parseinfo, str.toUpperCase()+"#", tokentype.coord, 0);
+            state = 0;
+            continue; // the "#" is part of the token
          } else {
             pushtoken(parseinfo, scc.s_parseerrchar, tokentype.error, 0);
             state = 0;
@@ -450,15 +465,123 @@ SocialCalc.Formula.ParseFormulaIntoTokens = function(line) {
             pushtoken(parseinfo, " ", tokentype.space, 0);
          } else if (cclass == charclass.eof) { // ignore -- needed to have extra loop to close out other things
             // Continue processing
+         } else if (ch == "{") { // array constant -- take it all, up to the "}" that is not in a string
+            match = /^\{(?:"(?:[^"]|"")*"|[^"{}])*\}/.exec(line.substring(i));
+            if (match && scf.ParseArrayConstant(match[0]).type == "array") {
+               pushtoken(parseinfo, match[0], tokentype.array, 0);
+               i += match[0].length-1;
+            } else {
+               pushtoken(parseinfo, scc.s_parseerrarrayconstant, tokentype.error, 0);
+               break;
+            }
+         } else if (ch == "'") { // quoted sheet name -- take it all, up to the "!"
+            match = /^'(?:[^']|'')+'(?=!)/.exec(line.substring(i));
+            if (match) {
+               pushtoken(parseinfo, match[0], tokentype.name, 0);
+               i += match[0].length-1;
+            } else {
+               pushtoken(parseinfo, scc.s_parseerrchar, tokentype.error, 0);
+            }
          } else { // unknown class - such as unknown char
             pushtoken(parseinfo, scc.s_parseerrchar, tokentype.error, 0);
          }
       }
    }
 
+   for (i = 1; i < parseinfo.length-2; i++) { // look for Jan:Dec!
+      if (parseinfo[i].type == tokentype.op && parseinfo[i].text == ":" &&
+          parseinfo[i+2].type == tokentype.op && parseinfo[i+2].text == "!" &&
+          (parseinfo[i-1].type == tokentype.name || parseinfo[i-1].type == tokentype.coord) &&
+          (parseinfo[i+1].type == tokentype.name || parseinfo[i+1].type == tokentype.coord)) { // Q1:Q4! too
+         parseinfo[i-1].type = tokentype.name;
+         parseinfo[i-1].text += ":" + parseinfo[i+1].text;
+         parseinfo.splice(i, 2);
+      }
+   }
+
+   for (i = 1; i < parseinfo.length-1; i++) { // look for A:A and 3:3
+      if (parseinfo[i].type == tokentype.op && parseinfo[i].text == ":" &&
+          parseinfo[i-1].type != tokentype.coord && parseinfo[i+1].type != tokentype.coord &&
+          ((wholecolregex.test(parseinfo[i-1].text) && wholecolregex.test(parseinfo[i+1].text)) ||
+           (wholerowregex.test(parseinfo[i-1].text) && wholerowregex.test(parseinfo[i+1].text)))) {
+         parseinfo[i-1].type = tokentype.coord;
+         parseinfo[i+1].type = tokentype.coord;
+      }
+   }
+
    return parseinfo;
 };
 
+/**
+ * @function ParseArrayConstant
+ * @memberof SocialCalc.Formula
+ * @description Returns the value of an array constant such as {1,2,3;"a",TRUE,#N/A}
+ * 
+ * Columns are separated by "," and rows by ";". Elements may be numbers (with an optional sign),
+ * strings in double quotes, TRUE, FALSE, or error values. All rows must have the same number of elements.
+ * 
+ * @param {string} text - The array constant, including the braces
+ * @returns {Object} Result object containing:
+ *   - {Array<Array<Object>>|number} value - Rows of {type, value} elements, or 0 if not well formed
+ *   - {string} type - "array", or "e#VALUE!" if not well formed
+ * 
+ * @example
+ * let value = SocialCalc.Formula.ParseArrayConstant("{1,2;3,4}");
+ * // Returns: {type: "array", value: [[{type: "n", value: 1}, {type: "n", value: 2}], [{type: "n", value: 3}, {type: "n", value: 4}]]}
+ */
+SocialCalc.Formula.ParseArrayConstant = function(text) {
+   let i, ch, str, element, specialc, pos;
+   let scf = SocialCalc.Formula;
+   let rows = [];
+   let row = [];
+   let inquote = false;
+   let bad = {type: "e#VALUE!", value: 0};
+
+   str = "";
+   for (i = 1; i < text.length; i++) { // skip the "{"
+      ch = text.charAt(i);
+      if (inquote) {
+         str += ch;
+         if (ch == '"') inquote = false; // a doubled quote just goes back in
+         continue;
+      }
+      if (ch == '"') {
+         str += ch;
+         inquote = true;
+      } else if (ch == "," || ch == ";" || ch == "}") { // end of an element
+         str = str.trim();
+         if (/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(str)) {
+            element = {type: "n", value: str-0};
+         } else if (/^"(?:[^"]|"")*"$/.test(str)) {
+            element = {type: "t", value: str.slice(1, -1).replace(/""/g, '"')};
+         } else if (str.toUpperCase() == "TRUE" || str.toUpperCase() == "FALSE") {
+            element = {type: "nl", value: str.toUpperCase() == "TRUE" ? 1 : 0};
+         } else if ((specialc = scf.SpecialConstants[str.toUpperCase()]) || str.toUpperCase() == "#N/A") {
+            pos = specialc ? specialc.indexOf(",") : 0;
+            element = specialc ? {type: specialc.substring(pos+1), value: 0} : {type: "e#N/A", value: 0};
+         } else {
+            return bad;
+         }
+         row.push(element);
+         str = "";
+         if (ch != ",") { // end of row
+            if (rows.length && rows[0].length != row.length) {
+               return bad;
+            }
+            rows.push(row);
+            row = [];
+         }
+         if (ch == "}") {
+            return i == text.length-1 ? {type: "array", value: rows} : bad;
+         }
+      } else {
+         str += ch;
+      }
+   }
+
+   return bad; // no "}"
+};
+
 /**
  * @function ParsePushToken
  * @memberof SocialCalc.Formula
@@ -476,6 +599,80 @@ SocialCalc.Formula.ParsePushToken = function(parseinfo, ttext, ttype, topcode) {
    parseinfo.push({text: ttext, type: ttype, opcode: topcode});
 };
 
+/**
+ * @function FormulaReferences
+ * @memberof SocialCalc.Formula
+ * @description Returns the cell and range references in a formula and where they are in its text
+ * 
+ * The formula is parsed with ParseFormulaIntoTokens and each token is matched back to the text,
+ * so a partly typed formula gives the references before the first token that does not parse.
+ * A reference is a coord, or two coords around ":", with an optional "sheet!" in front.
+ * 
+ * @param {string} formula - The formula text, without the "="
+ * @returns {Array<Object>} One object per reference, in order, containing:
+ *   - {number} start - Position of the first character of the reference, including any sheet name
+ *   - {number} end - Position just after the reference
+ *   - {string} coord1 - First coord as tokenized (upper case, with any "$"s and "#")
+ *   - {string} coord2 - Second coord, the same as coord1 for a single cell
+ *   - {string} sheetname - Sheet name as tokenized, or "" if none
+ * 
+ * @example
+ * let refs = SocialCalc.Formula.FormulaReferences("SUM(a1:B2)+Sheet2!C3");
+ * // Returns: [{start: 4, end: 9, coord1: "A1", coord2: "B2", sheetname: ""},
+ * //           {start: 11, end: 20, coord1: "C3", coord2: "C3", sheetname: "SHEET2"}]
+ */
+SocialCalc.Formula.FormulaReferences = function(formula) {
+   let parseinfo, i, t, ttext, ref;
+
+   let scf = SocialCalc.Formula;
+   let tokentype = scf.TokenType;
+   let refs = [];
+   let positions = [];
+   let pos = 0;
+
+   parseinfo = scf.ParseFormulaIntoTokens(formula);
+
+   for (i = 0; i < parseinfo.length; i++) { // find where each token starts in the text
+      t = parseinfo[i];
+      if (t.type == tokentype.error) {
+         break;
+      } else if (t.type == tokentype.string) {
+         ttext = '"' + t.text.replace(/"/g, '""') + '"';
+      } else if (t.type == tokentype.op) {
+         ttext = scf.TokenOpExpansion[t.text] || t.text;
+      } else {
+         ttext = t.text;
+      }
+      if (formula.substring(pos, pos+ttext.length).toUpperCase() != ttext.toUpperCase()) {
+         break; // not typed as tokenized, such as a space inside ">=" -- stop here
+      }
+      positions.push(pos);
+      pos += ttext.length;
+   }
+   positions.push(pos); // end of the last token found
+
+   for (i = 0; i < positions.length-1; i++) {
+      if (parseinfo[i].type != tokentype.coord) {
+         continue;
+      }
+      ref = {start: positions[i], end: positions[i+1], coord1: parseinfo[i].text, coord2: parseinfo[i].text, sheetname: ""};
+      if (i >= 2 && parseinfo[i-1].type == tokentype.op && parseinfo[i-1].text == "!" &&
+          parseinfo[i-2].type == tokentype.name) {
+         ref.start = positions[i-2];
+         ref.sheetname = parseinfo[i-2].text;
+      }
+      if (i+2 < positions.length-1 && parseinfo[i+1].type == tokentype.op && parseinfo[i+1].text == ":" &&
+          parseinfo[i+2].type == tokentype.coord) {
+         ref.coord2 = parseinfo[i+2].text;
+         ref.end = positions[i+3];
+         i += 2;
+      }
+      refs.push(ref);
+   }
+
+   return refs;
+};
+
 /**
  * @function evaluate_parsed_formula
  * @memberof SocialCalc.Formula
@@ -548,7 +745,7 @@ SocialCalc.Formula.ConvertInfixToPolish = function(parseinfo) {
       ttype = pii.type;
       ttext = pii.text;
       
-      if (ttype == tokentype.num || ttype == tokentype.coord || ttype == tokentype.string) {
+      if (ttype == tokentype.num || ttype == tokentype.coord || ttype == tokentype.string || ttype == tokentype.array) {
          revpolish.push(i);
       } else if (ttype == tokentype.name) {
          parsestack.push(i);
@@ -627,36 +824,41 @@ SocialCalc.Formula.ConvertInfixToPolish = function(parseinfo) {
  * 
  * Operand values are objects in the operand array with a "type" and an optional "value".
  * Type can have these values (many are type and sub-type as two or more letters):
- *    "tw", "th", "t", "n", "nt", "coord", "range", "start", "eErrorType", "b" (blank)
+ *    "tw", "th", "t", "n", "nt", "coord", "range", "array", "lambda", "start", "eErrorType", "b" (blank)
  * The value of a coord is in the form A57 or A57!sheetname
  * The value of a range is coord|coord|number where number starts at 0 and is
  * the offset of the next item to fetch if you are going through the range one by one
  * The number starts as a null string ("A1|B3|")
+ * The value of an array is an array of rows, each an array of {type, value} objects
+ * The value of a lambda is an object with params, body tokens, and scope (see LambdaFunction)
+ * 
+ * Functions listed in LazyFunctions (e.g., LET) are given their arguments unevaluated.
+ * 
+ * A formula that results in an array (or a range, unless allowrangereturn is set) returns
+ * the upper left value along with the whole array, so the rest can be spilled into the
+ * neighboring cells.
  * 
  * @param {Array<Object>} parseinfo - Array of parsed tokens from ParseFormulaIntoTokens
  * @param {Array<number>|string} revpolish - Reverse polish notation array or error string
  * @param {Object} sheet - The spreadsheet object containing cell data and context
  * @param {boolean} [allowrangereturn] - If true, allows returning range references
+ * @param {boolean} [rawresult] - If true, returns the final operand as is (references are not followed)
  * @returns {Object} Result object containing:
  *   - {*} value - The calculated value
  *   - {string} type - The type of the result value
  *   - {string} error - Error text if calculation failed
+ *   - {Array<Array<Object>>} [array] - Rows of {type, value} if the result is more than one value
  * 
  * @example
  * let result = SocialCalc.Formula.EvaluatePolish(parseinfo, rpn, sheet, false);
  * // Returns: {value: 42, type: "n", error: ""}
  */
-SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowrangereturn) {
+SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowrangereturn, rawresult) {
    let scf = SocialCalc.Formula;
    let scc = SocialCalc.Constants;
    let tokentype = scf.TokenType;
-   let lookup_result_type = scf.LookupResultType;
-   let typelookup = scf.TypeLookupTable;
-   let operand_as_number = scf.OperandAsNumber;
-   let operand_as_text = scf.OperandAsText;
    let operand_value_and_type = scf.OperandValueAndType;
    let operands_as_coord_on_sheet = scf.OperandsAsCoordOnSheet;
-   let format_number_for_display = SocialCalc.format_number_for_display || function(v, t, f) {return v+"";};
 
    let errortext = "";
    /** @type {number} Marker for function start in evaluation stack */
@@ -675,7 +877,7 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
     */
    let PushOperand = function(t, v) {operand.push({type: t, value: v});};
 
-   let i, rii, prii, ttype, ttext, value1, value2, tostype, tostype2, resulttype, valuetype, cond, vmatch, smatch;
+   let i, j, depth, rii, prii, ttype, ttext, value, value1, tostype, valuetype, vmatch, smatch, nextrii, arrayvalue, result;
 
    if (!parseinfo.length || (! (revpolish instanceof Array))) {
       return ({value: "", type: "e#VALUE!", error: (typeof revpolish == "string" ? revpolish : "")});
@@ -684,6 +886,20 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
    for (i = 0; i < revpolish.length; i++) {
       rii = revpolish[i];
       if (rii == function_start) { // Remember the start of a function argument list
+         for (j = i+1, depth = 0; j < revpolish.length; j++) { // find the function it belongs to
+            if (revpolish[j] == function_start) {
+               depth++;
+            } else if (parseinfo[revpolish[j]].type == tokentype.name) {
+               if (!depth) break;
+               depth--;
+            }
+         }
+         if (j < revpolish.length && scf.LazyFunctions[parseinfo[revpolish[j]].text]) { // evaluates its own arguments
+            errortext = scf.CalculateLazyFunction(parseinfo[revpolish[j]].text, parseinfo, revpolish[j], operand, sheet);
+            if (errortext) break;
+            i = j; // skip the arguments and the function
+            continue;
+         }
          PushOperand("start", 0);
          continue;
       }
@@ -695,45 +911,27 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
       if (ttype == tokentype.num) {
          PushOperand("n", ttext-0);
       } else if (ttype == tokentype.coord) {
-         PushOperand("coord", ttext);
+         nextrii = revpolish[i+1];
+         if (ttext.charAt(ttext.length-1) == "#" &&
+             !(nextrii >= 0 && parseinfo[nextrii].type == tokentype.op && parseinfo[nextrii].text == "!")) {
+            value1 = scf.SpillReference(sheet, ttext, ""); // A1# on this sheet (sheet!A1# is done by "!")
+            PushOperand(value1.type, value1.value);
+         } else {
+            PushOperand("coord", ttext);
+         }
       } else if (ttype == tokentype.string) {
          PushOperand("t", ttext);
+      } else if (ttype == tokentype.array) {
+         value1 = scf.ParseArrayConstant(ttext);
+         PushOperand(value1.type, value1.value);
       } else if (ttype == tokentype.op) {
          if (operand.length <= 0) { // Nothing on the stack...
             return missingOperandError;
             break; // done
          }
 
-         // Unary minus
-         if (ttext == 'M') {
-            value1 = operand_as_number(sheet, operand);
-            resulttype = lookup_result_type(value1.type, value1.type, typelookup.unaryminus);
-            PushOperand(resulttype, -value1.value);
-         }
-         // Unary plus
-         else if (ttext == 'P') {
-            value1 = operand_as_number(sheet, operand);
-            resulttype = lookup_result_type(value1.type, value1.type, typelookup.unaryplus);
-            PushOperand(resulttype, value1.value);
-         }
-         // Unary % - percent, left associative
-         else if (ttext == '%') {
-            value1 = operand_as_number(sheet, operand);
-            resulttype = lookup_result_type(value1.type, value1.type, typelookup.unarypercent);
-            PushOperand(resulttype, 0.01*value1.value);
-         }
-         // & - string concatenate
-         else if (ttext == '&') {
-            if (operand.length <= 1) { // Need at least two things on the stack...
-               return missingOperandError;
-            }
-            value2 = operand_as_text(sheet, operand);
-            value1 = operand_as_text(sheet, operand);
-            resulttype = lookup_result_type(value1.type, value1.type, typelookup.concat);
-            PushOperand(resulttype, value1.value + value2.value);
-         }
          // : - Range constructor
-         else if (ttext == ':') {
+         if (ttext == ':') {
             if (operand.length <= 1) { // Need at least two things on the stack...
                return missingOperandError;
             }
@@ -754,84 +952,16 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
             }
             PushOperand(value1.type, value1.value); // push sheetname with coord or range on that sheet
          }
-         // Comparison operators: < L = G > N (< <= = >= > <>)
-         else if (ttext == "<" || ttext == "L" || ttext == "=" || ttext == "G" || ttext == ">" || ttext == "N") {
-            if (operand.length <= 1) { // Need at least two things on the stack...
-               errortext = scc.s_parseerrmissingoperand; // remember error
-               break;
-            }
-            value2 = operand_value_and_type(sheet, operand);
-            value1 = operand_value_and_type(sheet, operand);
-            if (value1.type.charAt(0) == "n" && value2.type.charAt(0) == "n") { // compare two numbers
-               cond = 0;
-               if (ttext == "<") { cond = value1.value < value2.value ? 1 : 0; }
-               else if (ttext == "L") { cond = value1.value <= value2.value ? 1 : 0; }
-               else if (ttext == "=") { cond = value1.value == value2.value ? 1 : 0; }
-               else if (ttext == "G") { cond = value1.value >= value2.value ? 1 : 0; }
-               else if (ttext == ">") { cond = value1.value > value2.value ? 1 : 0; }
-               else if (ttext == "N") { cond = value1.value != value2.value ? 1 : 0; }
-               PushOperand("nl", cond);
-            } else if (value1.type.charAt(0) == "e") { // error on left
-               PushOperand(value1.type, 0);
-            } else if (value2.type.charAt(0) == "e") { // error on right
-               PushOperand(value2.type, 0);
-            } else { // text maybe mixed with numbers or blank
-               tostype = value1.type.charAt(0);
-               tostype2 = value2.type.charAt(0);
-               if (tostype == "n") {
-                  value1.value = format_number_for_display(value1.value, "n", "");
-               } else if (tostype == "b") {
-                  value1.value = "";
-               }
-               if (tostype2 == "n") {
-                  value2.value = format_number_for_display(value2.value, "n", "");
-               } else if (tostype2 == "b") {
-                  value2.value = "";
-               }
-               cond = 0;
-               value1.value = value1.value.toLowerCase(); // ignore case
-               value2.value = value2.value.toLowerCase();
-               if (ttext == "<") { cond = value1.value < value2.value ? 1 : 0; }
-               else if (ttext == "L") { cond = value1.value <= value2.value ? 1 : 0; }
-               else if (ttext == "=") { cond = value1.value == value2.value ? 1 : 0; }
-               else if (ttext == "G") { cond = value1.value >= value2.value ? 1 : 0; }
-               else if (ttext == ">") { cond = value1.value > value2.value ? 1 : 0; }
-               else if (ttext == "N") { cond = value1.value != value2.value ? 1 : 0; }
-               PushOperand("nl", cond);
+         // Operators on values (done element by element for ranges and arrays)
+         else {
+            value1 = scf.EvaluateOperator(ttext, operand, sheet);
+            if (value1 == null) {
+               return missingOperandError;
             }
-         }
-         // Normal infix arithmetic operators: +, -, *, /, ^
-         else { // what's left are the normal infix arithmetic operators
-            if (operand.length <= 1) { // Need at least two things on the stack...
-               errortext = scc.s_parseerrmissingoperand; // remember error
+            if (value1) { // remember error
+               errortext = value1;
                break;
             }
-            value2 = operand_as_number(sheet, operand);
-            value1 = operand_as_number(sheet, operand);
-            if (ttext == '+') {
-               resulttype = lookup_result_type(value1.type, value2.type, typelookup.plus);
-               PushOperand(resulttype, value1.value + value2.value);
-            } else if (ttext == '-') {
-               resulttype = lookup_result_type(value1.type, value2.type, typelookup.plus);
-               PushOperand(resulttype, value1.value - value2.value);
-            } else if (ttext == '*') {
-               resulttype = lookup_result_type(value1.type, value2.type, typelookup.plus);
-               PushOperand(resulttype, value1.value * value2.value);
-            } else if (ttext == '/') {
-               if (value2.value != 0) {
-                  PushOperand("n", value1.value / value2.value); // gives plain numeric result type
-               } else {
-                  PushOperand("e#DIV/0!", 0);
-               }
-            } else if (ttext == '^') {
-               value1.value = Math.pow(value1.value, value2.value);
-               value1.type = "n"; // gives plain numeric result type
-               if (isNaN(value1.value)) {
-                  value1.value = 0;
-                  value1.type = "e#NUM!";
-               }
-               PushOperand(value1.type, value1.value);
-            }
          }
       }
       // function or name
@@ -843,6 +973,10 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
          break;
       }
    }
+   if (rawresult && !errortext && operand.length == 1) { // e.g., LET values, which may be references
+      return {value: operand[0].value, type: operand[0].type, error: ""};
+   }
+
    // Look at final value and handle special cases
 
    value = operand[0] ? operand[0].value : "";
@@ -853,6 +987,19 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
       value = value1.value;
       tostype = value1.type;
       errortext = errortext || value1.error;
+      if (operand[0]) { // so range and array processing below see the expanded value
+         operand[0] = {type: tostype, value: value};
+      }
+   }
+
+   if (tostype == "lambda" && !allowrangereturn) { // needs to be called to get a value
+      value = 0;
+      tostype = "e#CALC!";
+   }
+
+   if (tostype == "ref3d") { // Jan:Dec!B5 is only allowed as a function argument
+      value = 0;
+      tostype = "e#VALUE!";
    }
 
    if (tostype == "coord") { // the value is a coord reference, get its value and type
@@ -865,6 +1012,22 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
       }
    }
 
+   if (tostype == "array" || (tostype == "range" && !allowrangereturn)) { // may spill into other cells
+      value1 = scf.OperandAsArray(sheet, operand);
+      if (value1.type == "array") {
+         if (value1.value.length > 1 || value1.value[0].length > 1) {
+            arrayvalue = value1.value;
+         }
+         value1 = value1.value[0][0]; // the upper left value goes in this cell
+      }
+      value = value1.value;
+      tostype = value1.type;
+      if (tostype == "b") {
+         tostype = "n";
+         value = 0;
+      }
+   }
+
    if (operand.length > 1 && !errortext) { // something left - error
       errortext += scc.s_parseerrerrorinformula;
    }
@@ -900,7 +1063,271 @@ SocialCalc.Formula.EvaluatePolish = function(parseinfo, revpolish, sheet, allowr
       errortext = isNaN(value) ? scc.s_calcerrnumericnan: scc.s_calcerrnumericoverflow;
    }
 
-   return ({value: value, type: valuetype, error: errortext});
+   result = {value: value, type: valuetype, error: errortext};
+   if (arrayvalue && valuetype != "e") { // formula errors don't spill
+      result.array = arrayvalue;
+   }
+
+   return result;
+};
+
+/**
+ * @function EvaluateOperator
+ * @memberof SocialCalc.Formula
+ * @description Applies a unary or binary value operator to the operands on top of the stack
+ * 
+ * Handles unary minus/plus/percent, "&", the comparison operators, and +, -, *, /, ^.
+ * The result is pushed onto the stack. If an operand is a range or an array, the operator
+ * is applied element by element and the result is an array (see EvaluateArrayOperator).
+ * 
+ * @param {string} ttext - The operator token text (single character form, e.g., "G" for ">=")
+ * @param {Array<Object>} operand - The operand stack
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string|null} Empty string if OK, error text, or null if operands are missing
+ * 
+ * @example
+ * let errortext = SocialCalc.Formula.EvaluateOperator("+", operand, sheet);
+ */
+SocialCalc.Formula.EvaluateOperator = function(ttext, operand, sheet) {
+   let scf = SocialCalc.Formula;
+   let scc = SocialCalc.Constants;
+   let lookup_result_type = scf.LookupResultType;
+   let typelookup = scf.TypeLookupTable;
+   let operand_as_number = scf.OperandAsNumber;
+   let operand_as_text = scf.OperandAsText;
+   let operand_value_and_type = scf.OperandValueAndType;
+   let format_number_for_display = SocialCalc.format_number_for_display || function(v, t, f) {return v+"";};
+
+   let value1, value2, tostype, tostype2, resulttype, cond;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push an operand onto the evaluation stack
+    * @param {string} t - Type of the operand
+    * @param {*} v - Value of the operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   if (ttext == 'M' || ttext == 'P' || ttext == '%') { // unary
+      if (scf.IsArrayOperand(sheet, operand[operand.length-1])) {
+         return scf.EvaluateArrayOperator(ttext, operand, sheet);
+      }
+   } else if (operand.length > 1 && (scf.IsArrayOperand(sheet, operand[operand.length-1])
+              || scf.IsArrayOperand(sheet, operand[operand.length-2]))) {
+      return scf.EvaluateArrayOperator(ttext, operand, sheet);
+   }
+
+   // Unary minus
+   if (ttext == 'M') {
+      value1 = operand_as_number(sheet, operand);
+      resulttype = lookup_result_type(value1.type, value1.type, typelookup.unaryminus);
+      PushOperand(resulttype, -value1.value);
+   }
+   // Unary plus
+   else if (ttext == 'P') {
+      value1 = operand_as_number(sheet, operand);
+      resulttype = lookup_result_type(value1.type, value1.type, typelookup.unaryplus);
+      PushOperand(resulttype, value1.value);
+   }
+   // Unary % - percent, left associative
+   else if (ttext == '%') {
+      value1 = operand_as_number(sheet, operand);
+      resulttype = lookup_result_type(value1.type, value1.type, typelookup.unarypercent);
+      PushOperand(resulttype, 0.01*value1.value);
+   }
+   // & - string concatenate
+   else if (ttext == '&') {
+      if (operand.length <= 1) { // Need at least two things on the stack...
+         return null;
+      }
+      value2 = operand_as_text(sheet, operand);
+      value1 = operand_as_text(sheet, operand);
+      resulttype = lookup_result_type(value1.type, value1.type, typelookup.concat);
+      PushOperand(resulttype, value1.value + value2.value);
+   }
+   // Comparison operators: < L = G > N (< <= = >= > <>)
+   else if (ttext == "<" || ttext == "L" || ttext == "=" || ttext == "G" || ttext == ">" || ttext == "N") {
+      if (operand.length <= 1) { // Need at least two things on the stack...
+         return scc.s_parseerrmissingoperand;
+      }
+      value2 = operand_value_and_type(sheet, operand);
+      value1 = operand_value_and_type(sheet, operand);
+      if (value1.type.charAt(0) == "n" && value2.type.charAt(0) == "n") { // compare two numbers
+         cond = 0;
+         if (ttext == "<") { cond = value1.value < value2.value ? 1 : 0; }
+         else if (ttext == "L") { cond = value1.value <= value2.value ? 1 : 0; }
+         else if (ttext == "=") { cond = value1.value == value2.value ? 1 : 0; }
+         else if (ttext == "G") { cond = value1.value >= value2.value ? 1 : 0; }
+         else if (ttext == ">") { cond = value1.value > value2.value ? 1 : 0; }
+         else if (ttext == "N") { cond = value1.value != value2.value ? 1 : 0; }
+         PushOperand("nl", cond);
+      } else if (value1.type.charAt(0) == "e") { // error on left
+         PushOperand(value1.type, 0);
+      } else if (value2.type.charAt(0) == "e") { // error on right
+         PushOperand(value2.type, 0);
+      } else { // text maybe mixed with numbers or blank
+         tostype = value1.type.charAt(0);
+         tostype2 = value2.type.charAt(0);
+         if (tostype == "n") {
+            value1.value = format_number_for_display(value1.value, "n", "");
+         } else if (tostype == "b") {
+            value1.value = "";
+         }
+         if (tostype2 == "n") {
+            value2.value = format_number_for_display(value2.value, "n", "");
+         } else if (tostype2 == "b") {
+            value2.value = "";
+         }
+         cond = 0;
+         value1.value = value1.value.toLowerCase(); // ignore case
+         value2.value = value2.value.toLowerCase();
+         if (ttext == "<") { cond = value1.value < value2.value ? 1 : 0; }
+         else if (ttext == "L") { cond = value1.value <= value2.value ? 1 : 0; }
+         else if (ttext == "=") { cond = value1.value == value2.value ? 1 : 0; }
+         else if (ttext == "G") { cond = value1.value >= value2.value ? 1 : 0; }
+         else if (ttext == ">") { cond = value1.value > value2.value ? 1 : 0; }
+         else if (ttext == "N") { cond = value1.value != value2.value ? 1 : 0; }
+         PushOperand("nl", cond);
+      }
+   }
+   // Normal infix arithmetic operators: +, -, *, /, ^
+   else { // what's left are the normal infix arithmetic operators
+      if (operand.length <= 1) { // Need at least two things on the stack...
+         return scc.s_parseerrmissingoperand;
+      }
+      value2 = operand_as_number(sheet, operand);
+      value1 = operand_as_number(sheet, operand);
+      if (ttext == '+') {
+         resulttype = lookup_result_type(value1.type, value2.type, typelookup.plus);
+         PushOperand(resulttype, value1.value + value2.value);
+      } else if (ttext == '-') {
+         resulttype = lookup_result_type(value1.type, value2.type, typelookup.plus);
+         PushOperand(resulttype, value1.value - value2.value);
+      } else if (ttext == '*') {
+         resulttype = lookup_result_type(value1.type, value2.type, typelookup.plus);
+         PushOperand(resulttype, value1.value * value2.value);
+      } else if (ttext == '/') {
+         if (value2.value != 0) {
+            PushOperand("n", value1.value / value2.value); // gives plain numeric result type
+         } else {
+            PushOperand("e#DIV/0!", 0);
+         }
+      } else if (ttext == '^') {
+         value1.value = Math.pow(value1.value, value2.value);
+         value1.type = "n"; // gives plain numeric result type
+         if (isNaN(value1.value)) {
+            value1.value = 0;
+            value1.type = "e#NUM!";
+         }
+         PushOperand(value1.type, value1.value);
+      }
+   }
+
+   return "";
+};
+
+/**
+ * @function IsArrayOperand
+ * @memberof SocialCalc.Formula
+ * @description Returns true if the operand is a range or an array (including names of ranges)
+ * 
+ * @param {Object} sheet - The spreadsheet object containing names
+ * @param {Object} op - Operand object with type and value
+ * @returns {boolean} True if operators should be applied element by element
+ */
+SocialCalc.Formula.IsArrayOperand = function(sheet, op) {
+   if (!op) return false;
+   if (op.type == "name") {
+      return SocialCalc.Formula.LookupName(sheet, op.value).type == "range";
+   }
+   return op.type == "range" || op.type == "array";
+};
+
+/**
+ * @function EvaluateArrayOperator
+ * @memberof SocialCalc.Formula
+ * @description Applies an operator element by element to ranges and arrays
+ * 
+ * Single values, single rows, and single columns are repeated to match the other operand.
+ * Elements that are outside of a smaller operand result in #N/A.
+ * The result array is pushed onto the stack.
+ * 
+ * @param {string} ttext - The operator token text
+ * @param {Array<Object>} operand - The operand stack
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string} Empty string if OK, otherwise error text
+ * 
+ * @example
+ * // =A1:A3*2 gives an array of three values
+ * SocialCalc.Formula.EvaluateArrayOperator("*", operand, sheet);
+ */
+SocialCalc.Formula.EvaluateArrayOperator = function(ttext, operand, sheet) {
+   let scf = SocialCalc.Formula;
+   let unary = ttext == 'M' || ttext == 'P' || ttext == '%';
+   let value1, value2, nrows, ncols, r, c, e1, e2, eoperand, row, errortext;
+   let result = [];
+
+   value2 = unary ? null : scf.OperandAsArray(sheet, operand);
+   value1 = scf.OperandAsArray(sheet, operand);
+
+   if (value1.type != "array") { // bad reference
+      operand.push({type: value1.type, value: 0});
+      return "";
+   }
+   if (value2 && value2.type != "array") {
+      operand.push({type: value2.type, value: 0});
+      return "";
+   }
+
+   nrows = value1.value.length;
+   ncols = value1.value[0].length;
+   if (value2) {
+      nrows = Math.max(nrows, value2.value.length);
+      ncols = Math.max(ncols, value2.value[0].length);
+   }
+
+   for (r = 0; r < nrows; r++) {
+      row = [];
+      for (c = 0; c < ncols; c++) {
+         e1 = scf.ArrayElement(value1.value, r, c);
+         e2 = value2 ? scf.ArrayElement(value2.value, r, c) : null;
+         if (!e1 || (value2 && !e2)) {
+            row.push({type: "e#N/A", value: 0});
+            continue;
+         }
+         eoperand = [{type: e1.type, value: e1.value}];
+         if (e2) {
+            eoperand.push({type: e2.type, value: e2.value});
+         }
+         errortext = scf.EvaluateOperator(ttext, eoperand, sheet);
+         if (errortext) {
+            return errortext;
+         }
+         row.push(eoperand[0]);
+      }
+      result.push(row);
+   }
+
+   operand.push({type: "array", value: result});
+
+   return "";
+};
+
+/**
+ * @function ArrayElement
+ * @memberof SocialCalc.Formula
+ * @description Returns the element of an array for a position in a result, repeating single rows and columns
+ * 
+ * @param {Array<Array<Object>>} rows - The rows of the array
+ * @param {number} r - Row in the result, starting at 0
+ * @param {number} c - Column in the result, starting at 0
+ * @returns {Object|null} The element, or null if outside of the array
+ */
+SocialCalc.Formula.ArrayElement = function(rows, r, c) {
+   if (rows.length == 1) r = 0;
+   if (rows[0].length == 1) c = 0;
+   if (r >= rows.length || c >= rows[0].length) return null;
+   return rows[r][c];
 };
 
 /**
@@ -995,6 +1422,10 @@ SocialCalc.Formula.TopOfStackValueAndType = function(sheet, operand) {
       result = scf.LookupName(sheet, result.value);
    }
 
+   if (result.type == "ref3d") { // a span of sheets is only for functions that list them, like SUM
+      result = {type: "e#VALUE!", value: 0};
+   }
+
    return result;
 };
 
@@ -1127,10 +1558,22 @@ SocialCalc.Formula.OperandValueAndType = function(sheet, operand) {
       result = scf.LookupName(sheet, result.value);
    }
 
+   if (result.type == "lambda") { // only has a value when called
+      result = {type: "e#CALC!", value: 0};
+   }
+
+   if (result.type == "ref3d") { // a span of sheets is only for functions that list them, like SUM
+      result = {type: "e#VALUE!", value: 0};
+   }
+
    if (result.type == "range") {
       result = scf.StepThroughRangeDown(operand, result.value);
    }
 
+   if (result.type == "array") {
+      result = scf.StepThroughArray(operand, result.value);
+   }
+
    if (result.type == "coord") { // value is a coord reference
       coordsheet = sheet;
       pos = result.value.indexOf("!");
@@ -1215,6 +1658,8 @@ SocialCalc.Formula.OperandAsCoord = function(sheet, operand) {
  * Returns stack-style coord value (coord!sheetname, or coord!sheetname|coord|) with
  * a type of coord or range. All others are treated as an error.
  * If sheetname not available, sets result.error.
+ * A span of sheets (Jan:Dec!B5) returns coord!first:last with a type of ref3d,
+ * which CalculateFunction turns into a reference for each sheet.
  * 
  * @param {Object} sheet - The current spreadsheet object
  * @param {Array<Object>} operand - The operand stack
@@ -1239,6 +1684,14 @@ SocialCalc.Formula.OperandsAsCoordOnSheet = function(sheet, operand) {
    operand.pop(); // we have data - pop stack
 
    sheetname = scf.OperandAsSheetName(sheet, operand); // get sheetname as text
+
+   if (sheetname.value.indexOf(":") != -1) { // span of sheets - the sheets are found when used
+      if (value1.type != "coord" || value1.value.charAt(value1.value.length-1) == "#") {
+         return {type: "e#REF!", value: 0, error: SocialCalc.Constants.s_calcerrcellrefmissing};
+      }
+      return {type: "ref3d", value: value1.value + "!" + sheetname.value};
+   }
+
    othersheet = scf.FindInSheetCache(sheetname.value);
    if (othersheet == null) { // unavailable
       result.type = "e#REF!";
@@ -1251,6 +1704,10 @@ SocialCalc.Formula.OperandsAsCoordOnSheet = function(sheet, operand) {
       value1 = scf.LookupName(othersheet, value1.value);
    }
    
+   if (value1.type == "coord" && value1.value.charAt(value1.value.length-1) == "#") { // sheetname!A1#
+      return scf.SpillReference(othersheet, value1.value, sheetname.value);
+   }
+
    result.type = value1.type;
    if (value1.type == "coord") { // value is a coord reference
       result.value = value1.value + "!" + sheetname.value; // return in the format as used on stack
@@ -1276,6 +1733,7 @@ SocialCalc.Formula.OperandsAsCoordOnSheet = function(sheet, operand) {
  * @description Gets 2 operands from top of stack, treating them as coord2-or-name:coord1
  * 
  * Name is evaluated on sheet of coord1.
+ * Whole column and row ranges are limited to the used part of that sheet (see BoundWholeRange).
  * Returns result with "value" of stack-style range value (coord!sheetname|coord|) and
  * "type" of "range". All others are treated as an error.
  * 
@@ -1291,7 +1749,7 @@ SocialCalc.Formula.OperandsAsCoordOnSheet = function(sheet, operand) {
  * // Returns: {value: "A1!Sheet1|B2|", type: "range"}
  */
 SocialCalc.Formula.OperandsAsRangeOnSheet = function(sheet, operand) {
-   let value1, othersheet, pos1, pos2;
+   let value1, othersheet, pos1, pos2, bounds;
    let value2 = {};
    let scf = SocialCalc.Formula;
    let scc = SocialCalc.Constants;
@@ -1301,6 +1759,14 @@ SocialCalc.Formula.OperandsAsRangeOnSheet = function(sheet, operand) {
    value2.type = operand[stacklen-1].type;
    operand.pop(); // we have data - pop stack
 
+   if (operand[stacklen-2].type == "ref3d" && operand[stacklen-2].value.indexOf("|") == -1) { // Jan:Dec!A1:B2
+      value1 = operand.pop();
+      if (value2.type != "coord") {
+         return {value: scc.s_calcerrcellrefmissing, type: "e#REF!"};
+      }
+      return {value: value1.value+"|"+value2.value+"|", type: "ref3d"};
+   }
+
    value1 = scf.OperandAsCoord(sheet, operand); // get "left" coord
    if (value1.type != "coord") { // not a coord, which it must be
       return {value: 0, type: "e#REF!"};
@@ -1322,7 +1788,16 @@ SocialCalc.Formula.OperandsAsRangeOnSheet = function(sheet, operand) {
    }
 
    if (value2.type == "coord") { // value is a coord reference, so return the combined range
-      return {value: value1.value+"|"+value2.value+"|", type: "range"}; // return range in the format as used on stack
+      bounds = scf.BoundWholeRange(othersheet, pos1 == -1 ? value1.value : value1.value.substring(0, pos1), value2.value);
+      if (!bounds) {
+         return {value: scc.s_calcerrcellrefmissing, type: "e#REF!"};
+      }
+      if (pos1 == -1) {
+         value1.value = bounds.coord1;
+      } else {
+         value1.value = bounds.coord1 + value1.value.substring(pos1);
+      }
+      return {value: value1.value+"|"+bounds.coord2+"|", type: "range"}; // return range in the format as used on stack
    } else { // bad form
       return {value: scc.s_calcerrcellrefmissing, type: "e#REF!"};
    }
@@ -1359,6 +1834,11 @@ SocialCalc.Formula.OperandAsSheetName = function(sheet, operand) {
    result.value = operand[stacklen-1].value; // get top of stack
    result.type = operand[stacklen-1].type;
    operand.pop(); // we have data - pop stack
+
+   if (result.type == "name" && result.value.charAt(0) == "'") { // quoted sheet name
+      result.value = result.value.substring(1, result.value.length-1).replace(/''/g, "'");
+      return result;
+   }
    
    if (result.type == "name") {
       nvalue = SocialCalc.Formula.LookupName(sheet, result.value);
@@ -1413,9 +1893,17 @@ SocialCalc.Formula.OperandAsSheetName = function(sheet, operand) {
 SocialCalc.Formula.LookupName = function(sheet, name) {
    let pos, specialc, parseinfo;
    let names = sheet.names;
+   let scopes = SocialCalc.Formula.NameScopes;
    let value = {};
    let startedwalk = false;
 
+   for (pos = scopes.length-1; pos >= 0; pos--) { // LET and LAMBDA names come first
+      if (scopes[pos][name.toUpperCase()]) {
+         value = scopes[pos][name.toUpperCase()];
+         return {value: value.value, type: value.type};
+      }
+   }
+
    if (names[name.toUpperCase()]) { // is name defined?
       value.value = names[name.toUpperCase()].definition; // yes
 
@@ -1448,8 +1936,12 @@ SocialCalc.Formula.LookupName = function(sheet, name) {
       pos = value.value.indexOf(":");
       if (pos != -1) { // range
          value.type = "range";
-         value.value = value.value.substring(0, pos) + "|" + value.value.substring(pos+1)+"|";
          value.value = value.value.toUpperCase();
+         specialc = SocialCalc.Formula.BoundWholeRange(sheet, value.value.substring(0, pos), value.value.substring(pos+1)); // A:A
+         if (!specialc) {
+            return {value: "", type: "e#REF!", error: SocialCalc.Constants.s_calcerrcellrefmissing};
+         }
+         value.value = specialc.coord1 + "|" + specialc.coord2 + "|";
       } else {
          value.type = "coord";
          value.value = value.value.toUpperCase();
@@ -1531,7 +2023,7 @@ SocialCalc.Formula.StepThroughRangeDown = function(operand, rangevalue) {
  * 
  * Returns sheetdata for the sheet where the range is, as well as
  * the number of the first column in the range, the number of columns,
- * and equivalent row information.
+ * and equivalent row information. Whole columns and rows stop at the used part of the sheet.
  * 
  * @param {Object} sheetdata - The current sheet data object
  * @param {string} range - Range in format "coord1|coord2|sequence"
@@ -1549,7 +2041,7 @@ SocialCalc.Formula.StepThroughRangeDown = function(operand, rangevalue) {
  * // Returns: {sheetdata: sheet, sheetname: "", col1num: 1, ncols: 3, row1num: 1, nrows: 3}
  */
 SocialCalc.Formula.DecodeRangeParts = function(sheetdata, range) {
-   let value1, value2, pos1, pos2, sheet1, coordsheetdata, rp;
+   let value1, value2, pos1, pos2, sheet1, coordsheetdata, rp, bounds;
 
    let scf = SocialCalc.Formula;
 
@@ -1579,7 +2071,12 @@ SocialCalc.Formula.DecodeRangeParts = function(sheetdata, range) {
       }
    }
 
-   rp = scf.OrderRangeParts(value1, value2);
+   bounds = scf.BoundWholeRange(coordsheetdata, value1, value2);
+   if (!bounds) {
+      return null;
+   }
+
+   rp = scf.OrderRangeParts(bounds.coord1, bounds.coord2);
 
    return {
       sheetdata: coordsheetdata, 
@@ -1592,25 +2089,253 @@ SocialCalc.Formula.DecodeRangeParts = function(sheetdata, range) {
 };
 
 /**
- * @namespace SocialCalc.Formula Function Handling
- * @description Function handling system for spreadsheet formulas
- */
-
-/**
- * @type {Object<string, Array>}
- * @description List of functions with their definitions
+ * @function ArrayRangeParts
+ * @memberof SocialCalc.Formula
+ * @description Returns range parts for an array value so functions that read ranges can read arrays too
  * 
- * Format: SocialCalc.Formula.FunctionList["function_name"] = [function_subroutine, number_of_arguments, arg_def, func_def, func_class]
+ * The array is treated as a range starting at A1 on a small stand-in sheet that only has
+ * the cells and GetAssuredCell of a real one. Functions that return references into
+ * a range should use ArraySlice instead when the array property is set.
  * 
- * - function_subroutine: takes arguments (fname, operand, foperand, sheet), returns errortext or null
- * - number_of_arguments: 0=no args, >0=exact count, <0=minimum count, 100=don't check
- * - arg_def: optional name of element in SocialCalc.Formula.FunctionArgDefs
- * - func_def: optional string explaining the function, or looked up in SocialCalc.Constants
- * - func_class: optional comma-separated class names from SocialCalc.Formula.FunctionClasses
+ * @param {Array<Array<Object>>} rows - The rows of the array, each element {type, value}
+ * @returns {Object} The same parts as DecodeRangeParts, plus {Array} array - the rows
+ * 
+ * @example
+ * let parts = SocialCalc.Formula.ArrayRangeParts([[{type: "n", value: 1}, {type: "n", value: 2}]]);
+ * // Returns: {sheetdata: {...}, sheetname: "", col1num: 1, ncols: 2, row1num: 1, nrows: 1, array: [...]}
  */
-if (!SocialCalc.Formula.FunctionList) { // make sure it is defined (could have been in another module)
-   SocialCalc.Formula.FunctionList = {};
-}
+SocialCalc.Formula.ArrayRangeParts = function(rows) {
+   let r, c;
+   let cells = {};
+
+   for (r = 0; r < rows.length; r++) {
+      for (c = 0; c < rows[r].length; c++) {
+         cells[SocialCalc.crToCoord(c+1, r+1)] = {datavalue: rows[r][c].value, valuetype: rows[r][c].type};
+      }
+   }
+
+   return {
+      sheetdata: {
+         cells: cells,
+         GetAssuredCell: function(coord) {
+            return cells[coord] || {datavalue: "", valuetype: "b"};
+         }
+      },
+      sheetname: "",
+      col1num: 1,
+      ncols: rows.length ? rows[0].length : 0,
+      row1num: 1,
+      nrows: rows.length,
+      array: rows
+   };
+};
+
+/**
+ * @function ArraySlice
+ * @memberof SocialCalc.Formula
+ * @description Returns part of an array value, the array equivalent of a reference into a range
+ * 
+ * @param {Array<Array<Object>>} rows - The rows of the array
+ * @param {number} col1num - First column, starting at 1
+ * @param {number} ncols - Number of columns
+ * @param {number} row1num - First row, starting at 1
+ * @param {number} nrows - Number of rows
+ * @returns {Object} The single element as {type, value} if one, otherwise {type: "array", value: rows}
+ */
+SocialCalc.Formula.ArraySlice = function(rows, col1num, ncols, row1num, nrows) {
+   let r;
+   let result = [];
+
+   if (ncols == 1 && nrows == 1) {
+      return {type: rows[row1num-1][col1num-1].type, value: rows[row1num-1][col1num-1].value};
+   }
+
+   for (r = row1num-1; r < row1num-1+nrows; r++) {
+      result.push(rows[r].slice(col1num-1, col1num-1+ncols));
+   }
+
+   return {type: "array", value: result};
+};
+
+/**
+ * @function BoundWholeRange
+ * @memberof SocialCalc.Formula
+ * @description Returns the corners of a range with whole columns or rows limited to the used part of the sheet
+ * 
+ * A whole column corner is just a column ("A", "$C") and a whole row corner is just a row ("3", "$5").
+ * Whole columns go from row 1 to attribs.lastrow and whole rows from column A to attribs.lastcol,
+ * so they cost no more than a range over the cells in use. Other corners are returned unchanged.
+ * 
+ * @param {Object} sheet - The sheet the range is on
+ * @param {string} coord1 - One corner of the range
+ * @param {string} coord2 - The other corner
+ * @returns {Object|null} {coord1, coord2}, or null if a whole column is mixed with a row or cell
+ * 
+ * @example
+ * let bounds = SocialCalc.Formula.BoundWholeRange(sheet, "A", "$B");
+ * // Returns: {coord1: "A1", coord2: "B20"} if the last row used is 20
+ */
+SocialCalc.Formula.BoundWholeRange = function(sheet, coord1, coord2) {
+   let cr1 = SocialCalc.coordToCr(coord1);
+   let cr2 = SocialCalc.coordToCr(coord2);
+
+   if (cr1.row && cr1.col && cr2.row && cr2.col) { // ordinary range
+      return {coord1: coord1, coord2: coord2};
+   }
+
+   if (!cr1.row && !cr2.row && cr1.col && cr2.col) { // A:C
+      return {coord1: SocialCalc.crToCoord(cr1.col, 1), coord2: SocialCalc.crToCoord(cr2.col, Math.max(sheet.attribs.lastrow, 1))};
+   }
+
+   if (!cr1.col && !cr2.col && cr1.row && cr2.row) { // 3:5
+      return {coord1: SocialCalc.crToCoord(1, cr1.row), coord2: SocialCalc.crToCoord(Math.max(sheet.attribs.lastcol, 1), cr2.row)};
+   }
+
+   return null;
+};
+
+/**
+ * @function StepThroughArray
+ * @memberof SocialCalc.Formula
+ * @description Returns next value in an array, keeping track on the operand stack
+ * 
+ * Goes from upper left across and down to bottom right through the array,
+ * just like StepThroughRangeDown does for ranges.
+ * 
+ * @param {Array<Object>} operand - The operand stack for tracking position
+ * @param {Array<Array<Object>>} rows - The array value (rows of {type, value} objects)
+ * @returns {Object} Result object containing:
+ *   - {*} value - The value of the next element
+ *   - {string} type - The type of the next element
+ * 
+ * @example
+ * let next = SocialCalc.Formula.StepThroughArray(operand, [[{type: "n", value: 1}, {type: "n", value: 2}]]);
+ * // Returns: {value: 1, type: "n"} and pushes an array with the rest
+ */
+SocialCalc.Formula.StepThroughArray = function(operand, rows) {
+   let r;
+   let rest = [];
+
+   for (r = 0; r < rows.length; r++) {
+      rest = rest.concat(rows[r]);
+   }
+
+   if (rest.length > 1) { // keep on stack until done
+      SocialCalc.Formula.PushOperand(operand, "array", [rest.slice(1)]);
+   }
+
+   return {value: rest[0].value, type: rest[0].type};
+};
+
+/**
+ * @function OperandAsArray
+ * @memberof SocialCalc.Formula
+ * @description Gets top of stack and pops it, returning the values as a two dimensional array
+ * 
+ * Ranges are read from the sheet they are on, coords and single values become a 1x1 array,
+ * and arrays are returned as is. Each element is an object with type and value, blank cells
+ * having a type of "b".
+ * 
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @param {Array<Object>} operand - The operand stack
+ * @returns {Object} Result object containing:
+ *   - {Array<Array<Object>>|number} value - Rows of elements, or 0 if error
+ *   - {string} type - "array", or error type (e.g., "e#REF!") if the range is not available
+ * 
+ * @example
+ * let info = SocialCalc.Formula.OperandAsArray(sheet, operandStack);
+ * // Returns: {value: [[{type: "n", value: 1}], [{type: "b", value: 0}]], type: "array"} for A1:A2
+ */
+SocialCalc.Formula.OperandAsArray = function(sheet, operand) {
+   let rangeinfo, cell, r, c, row, value1;
+   let scf = SocialCalc.Formula;
+   let rows = [];
+
+   value1 = scf.TopOfStackValueAndType(sheet, operand);
+
+   if (value1.type == "array") {
+      return value1;
+   }
+
+   if (value1.type == "range") {
+      rangeinfo = scf.DecodeRangeParts(sheet, value1.value);
+      if (!rangeinfo) {
+         return {value: 0, type: "e#REF!"};
+      }
+      for (r = 0; r < rangeinfo.nrows; r++) {
+         row = [];
+         for (c = 0; c < rangeinfo.ncols; c++) {
+            cell = rangeinfo.sheetdata.cells[SocialCalc.crToCoord(rangeinfo.col1num+c, rangeinfo.row1num+r)];
+            if (cell && cell.valuetype && cell.valuetype != "b") {
+               row.push({type: cell.valuetype, value: cell.datavalue});
+            } else {
+               row.push({type: "b", value: 0});
+            }
+         }
+         rows.push(row);
+      }
+      return {value: rows, type: "array"};
+   }
+
+   if (value1.type == "coord") { // get the value it points to
+      operand.push(value1);
+      value1 = scf.OperandValueAndType(sheet, operand);
+   }
+
+   return {value: [[{type: value1.type, value: value1.value}]], type: "array"};
+};
+
+/**
+ * @function SpillReference
+ * @memberof SocialCalc.Formula
+ * @description Returns the range that the formula in a cell spills into (the "A1#" syntax)
+ * 
+ * @param {Object} sheet - The spreadsheet object the coord is on
+ * @param {string} coord - The coord, possibly with "$"s and a trailing "#"
+ * @param {string} sheetname - Name of the other sheet to add to the range, or "" for this sheet
+ * @returns {Object} Result object containing:
+ *   - {string|number} value - Range in stack format, or 0 if error
+ *   - {string} type - "range", or "e#REF!" if the cell does not spill
+ * 
+ * @example
+ * let spill = SocialCalc.Formula.SpillReference(sheet, "A1#", "");
+ * // Returns: {value: "A1|A5|", type: "range"} if A1 has =SEQUENCE(5)
+ */
+SocialCalc.Formula.SpillReference = function(sheet, coord, sheetname) {
+   let cell, parts;
+
+   coord = SocialCalc.Formula.PlainCoord(coord).replace(/#$/, "").toUpperCase();
+   cell = sheet.cells[coord];
+
+   if (!cell || cell.datatype != "f" || !cell.spillrange) {
+      return {value: 0, type: "e#REF!"};
+   }
+
+   parts = cell.spillrange.split(":");
+
+   return {value: parts[0] + (sheetname ? "!"+sheetname : "") + "|" + parts[1] + "|", type: "range"};
+};
+
+/**
+ * @namespace SocialCalc.Formula Function Handling
+ * @description Function handling system for spreadsheet formulas
+ */
+
+/**
+ * @type {Object<string, Array>}
+ * @description List of functions with their definitions
+ * 
+ * Format: SocialCalc.Formula.FunctionList["function_name"] = [function_subroutine, number_of_arguments, arg_def, func_def, func_class]
+ * 
+ * - function_subroutine: takes arguments (fname, operand, foperand, sheet), returns errortext or null
+ * - number_of_arguments: 0=no args, >0=exact count, <0=minimum count, 100=don't check
+ * - arg_def: optional name of element in SocialCalc.Formula.FunctionArgDefs
+ * - func_def: optional string explaining the function, or looked up in SocialCalc.Constants
+ * - func_class: optional comma-separated class names from SocialCalc.Formula.FunctionClasses
+ */
+if (!SocialCalc.Formula.FunctionList) { // make sure it is defined (could have been in another module)
+   SocialCalc.Formula.FunctionList = {};
+}
 
 /**
  * @type {Object<string, Object>|null}
@@ -1628,6 +2353,55 @@ SocialCalc.Formula.FunctionClasses = null; // start null to say needs filling in
  */
 SocialCalc.Formula.FunctionArgDefs = {};
 
+/**
+ * @type {Object<string, boolean>}
+ * @description Functions that evaluate their own arguments
+ * 
+ * The function subroutines of these get an array of unevaluated arguments, each an array of
+ * parsed tokens, in place of foperand. See CalculateLazyFunction.
+ */
+SocialCalc.Formula.LazyFunctions = {};
+
+/**
+ * @type {Object<string, boolean>}
+ * @description Functions whose arguments are all single values
+ * 
+ * When any argument is a range or an array, these are called once for each element and the
+ * result is an array, the way operators work (see EvaluateElementFunction).
+ */
+SocialCalc.Formula.ElementFunctions = {
+   ABS: true, ACOS: true, ASIN: true, ATAN: true, ATAN2: true, CHAR: true, CLEAN: true, CODE: true,
+   COS: true, DATE: true, DAY: true, DEGREES: true, EVEN: true, EXACT: true, EXP: true, FACT: true,
+   FIND: true, HOUR: true, IF: true, INT: true, ISBLANK: true, ISERR: true, ISERROR: true,
+   ISLOGICAL: true, ISNA: true, ISNONTEXT: true, ISNUMBER: true, ISTEXT: true, LEFT: true, LEN: true,
+   LN: true, LOG: true, LOG10: true, LOWER: true, MID: true, MINUTE: true, MOD: true, MONTH: true,
+   N: true, NOT: true, ODD: true, POWER: true, PROPER: true, QUOTIENT: true, RADIANS: true,
+   REPLACE: true, REPT: true, RIGHT: true, ROUND: true, ROUNDDOWN: true, ROUNDUP: true, SEARCH: true,
+   SECOND: true, SIGN: true, SIN: true, SQRT: true, SUBSTITUTE: true, T: true, TAN: true, TIME: true,
+   TRIM: true, TRUNC: true, UNICHAR: true, UNICODE: true, UPPER: true, VALUE: true, WEEKDAY: true,
+   YEAR: true
+};
+
+/**
+ * @type {Array<Object>}
+ * @description Stack of local names defined by LET and LAMBDA
+ * Format: NameScopes[n][uppercase-name] = {type: operand-type, value: operand-value}
+ * Names in later scopes hide those in earlier scopes and those defined for the sheet.
+ */
+SocialCalc.Formula.NameScopes = [];
+
+/** @type {number} Number of lambda calls in progress */
+SocialCalc.Formula.LambdaDepth = 0;
+
+/** @type {number} Maximum number of nested lambda calls, to stop runaway recursion */
+SocialCalc.Formula.MaxLambdaDepth = 100;
+
+/** @type {number} Maximum number of columns in an array made by a function, the last sheet column (ZZ) */
+SocialCalc.Formula.MaxArrayColumns = 702;
+
+/** @type {number} Maximum number of elements in an array made by a function, so =SEQUENCE(100000,100000) doesn't use up memory */
+SocialCalc.Formula.MaxArrayElements = 100000;
+
 /**
  * @function CalculateFunction
  * @memberof SocialCalc.Formula
@@ -1643,18 +2417,38 @@ SocialCalc.Formula.FunctionArgDefs = {};
  * // Returns: "" if successful, error message if failed
  */
 SocialCalc.Formula.CalculateFunction = function(fname, operand, sheet) {
-   let fobj, foperand, ffunc, argnum, ttext;
+   let i, fobj, foperand, ffunc, argnum, ttext, spanoperands;
    let scf = SocialCalc.Formula;
    let ok = 1;
    let errortext = "";
 
    fobj = scf.FunctionList[fname];
 
+   if (fobj && operand.length && operand[operand.length-1].type == "start") { // no arguments - may be a LET or LAMBDA name
+      for (i = 0; i < scf.NameScopes.length; i++) {
+         if (scf.NameScopes[i][fname]) fobj = null;
+      }
+   }
+
    if (fobj) {
       foperand = [];
       ffunc = fobj[0];
       argnum = fobj[1];
       scf.CopyFunctionArgs(operand, foperand);
+
+      for (i = foperand.length-1; i >= 0; i--) { // Jan:Dec!B5 is an argument for each sheet
+         if (foperand[i].type != "ref3d") continue;
+         if (!scf.SheetSpanFunctions[fname]) {
+            scf.FunctionSpecificError(fname, operand, "e#VALUE!", SocialCalc.Constants.s_sheetspannotallowed+" "+fname);
+            return "";
+         }
+         spanoperands = scf.SheetSpanOperands(foperand[i].value);
+         if (!spanoperands) {
+            scf.FunctionSpecificError(fname, operand, "e#REF!", SocialCalc.Constants.s_sheetspanunavailable+" "+fname);
+            return "";
+         }
+         foperand.splice.apply(foperand, [i, 1].concat(spanoperands.reverse())); // foperand is last argument first
+      }
       
       if (argnum != 100) {
          if (argnum < 0) {
@@ -1669,6 +2463,13 @@ SocialCalc.Formula.CalculateFunction = function(fname, operand, sheet) {
             }
          }
       }
+      if (scf.ElementFunctions[fname]) {
+         for (i = 0; i < foperand.length; i++) {
+            if (scf.IsArrayOperand(sheet, foperand[i])) {
+               return scf.EvaluateElementFunction(fname, operand, foperand, sheet);
+            }
+         }
+      }
       errortext = ffunc(fname, operand, foperand, sheet);
    } else {
       ttext = fname;
@@ -1676,6 +2477,10 @@ SocialCalc.Formula.CalculateFunction = function(fname, operand, sheet) {
       if (operand.length && operand[operand.length-1].type == "start") { // no arguments - name or zero arg function
          operand.pop();
          scf.PushOperand(operand, "name", ttext);
+      } else if ((fobj = scf.LookupName(sheet, ttext)).type == "lambda") { // user defined function, e.g., in names
+         foperand = [];
+         scf.CopyFunctionArgs(operand, foperand);
+         errortext = scf.CallLambda(fname, fobj.value, operand, foperand, sheet);
       } else {
          errortext = SocialCalc.Constants.s_sheetfuncunknownfunction+" " + ttext +". ";
       }
@@ -1683,6 +2488,222 @@ SocialCalc.Formula.CalculateFunction = function(fname, operand, sheet) {
 
    return errortext;
 };
+
+/**
+ * @function EvaluateElementFunction
+ * @memberof SocialCalc.Formula
+ * @description Calls a function listed in ElementFunctions once for each element of its range and array arguments
+ * 
+ * Arguments are matched up element by element like the operands of EvaluateArrayOperator,
+ * with single values, single rows, and single columns repeated. The function gets only single
+ * values, so it never steps through what is left of a range or array in place of its next argument.
+ * The results are pushed onto the stack as an array.
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string} Error text if the function failed, empty string if successful
+ * 
+ * @example
+ * // =IF(A1:A3>1, "y", "n") gives an array of three values
+ * SocialCalc.Formula.EvaluateElementFunction("IF", operand, foperand, sheet);
+ */
+SocialCalc.Formula.EvaluateElementFunction = function(fname, operand, foperand, sheet) {
+   let i, r, c, value, row, element, eoperand, efoperand, errortext;
+   let scf = SocialCalc.Formula;
+   let ffunc = scf.FunctionList[fname][0];
+   let args = []; // first argument first, each an array or an operand
+   let nrows = 1;
+   let ncols = 1;
+   let result = [];
+
+   while (foperand.length) {
+      if (scf.IsArrayOperand(sheet, foperand[foperand.length-1])) {
+         value = scf.OperandAsArray(sheet, foperand);
+         if (value.type != "array") { // bad reference
+            scf.PushOperand(operand, value.type, 0);
+            return "";
+         }
+         nrows = Math.max(nrows, value.value.length);
+         ncols = Math.max(ncols, value.value[0].length);
+         args.push(value.value);
+      } else {
+         args.push(foperand.pop());
+      }
+   }
+
+   for (r = 0; r < nrows; r++) {
+      row = [];
+      for (c = 0; c < ncols; c++) {
+         efoperand = [];
+         for (i = args.length-1; i >= 0; i--) { // foperand is last argument first
+            element = Array.isArray(args[i]) ? scf.ArrayElement(args[i], r, c) : args[i];
+            if (!element) break;
+            efoperand.push({type: element.type, value: element.value});
+         }
+         if (i >= 0) { // outside of a smaller argument
+            row.push({type: "e#N/A", value: 0});
+            continue;
+         }
+         eoperand = [];
+         errortext = ffunc(fname, eoperand, efoperand, sheet);
+         if (errortext) {
+            return errortext;
+         }
+         value = scf.OperandValueAndType(sheet, eoperand);
+         row.push({type: value.type, value: value.value});
+      }
+      result.push(row);
+   }
+
+   scf.PushOperand(operand, "array", result);
+
+   return "";
+};
+
+/**
+ * @function CalculateLazyFunction
+ * @memberof SocialCalc.Formula
+ * @description Calls a function listed in LazyFunctions with its arguments unevaluated
+ * 
+ * The tokens of each argument are collected from the parsed formula, starting at the
+ * function name, and passed to the function subroutine as arrays of tokens. The subroutine
+ * evaluates them as needed with EvaluateTokens.
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} parseinfo - Array of parsed tokens containing the function
+ * @param {number} nameindex - Index in parseinfo of the function name token
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string} Error text if function call failed, empty string if successful
+ * 
+ * @example
+ * // Called internally by EvaluatePolish for =LET(x, 5, x*2)
+ * let error = SocialCalc.Formula.CalculateLazyFunction("LET", parseinfo, 0, operand, sheet);
+ */
+SocialCalc.Formula.CalculateLazyFunction = function(fname, parseinfo, nameindex, operand, sheet) {
+   let i, pii, fobj, argnum;
+   let scf = SocialCalc.Formula;
+   let tokentype = scf.TokenType;
+   let args = [];
+   let arg = [];
+   let depth = 0;
+
+   for (i = nameindex+1; i < parseinfo.length; i++) { // find the open paren
+      if (parseinfo[i].type != tokentype.space) break;
+   }
+
+   for (i++; i < parseinfo.length; i++) { // split the argument list at the top level commas
+      pii = parseinfo[i];
+      if (pii.type == tokentype.op && pii.text == "(") {
+         depth++;
+      } else if (pii.type == tokentype.op && pii.text == ")") {
+         if (!depth) break;
+         depth--;
+      } else if (pii.type == tokentype.op && pii.text == "," && !depth) {
+         args.push(arg);
+         arg = [];
+         continue;
+      }
+      arg.push(pii);
+   }
+   if (args.length || arg.length) {
+      args.push(arg);
+   }
+
+   fobj = scf.FunctionList[fname];
+   argnum = fobj[1];
+   if ((argnum < 0 && args.length < -argnum) || (argnum >= 0 && argnum != 100 && args.length != argnum)) {
+      return scf.FunctionArgsError(fname, operand);
+   }
+
+   return fobj[0](fname, operand, args, sheet) || "";
+};
+
+/**
+ * @function EvaluateTokens
+ * @memberof SocialCalc.Formula
+ * @description Evaluates an unevaluated function argument, such as those given to LazyFunctions
+ * 
+ * The result is the operand left on the stack, so references and lambdas are returned as is.
+ * 
+ * @param {Array<Object>} tokens - Array of parsed tokens making up the expression
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {Object} Result object with value, type, and error (see EvaluatePolish)
+ * 
+ * @example
+ * let result = SocialCalc.Formula.EvaluateTokens(args[1], sheet);
+ * // Returns: {value: "A1|A3|", type: "range", error: ""} for A1:A3
+ */
+SocialCalc.Formula.EvaluateTokens = function(tokens, sheet) {
+   let scf = SocialCalc.Formula;
+
+   return scf.EvaluatePolish(tokens, scf.ConvertInfixToPolish(tokens), sheet, false, true);
+};
+
+/**
+ * @function CallLambda
+ * @memberof SocialCalc.Formula
+ * @description Calls a function created by LAMBDA with the given arguments
+ * 
+ * The parameters are set to the argument values and the body is evaluated with
+ * them and the names that were in scope when the LAMBDA was evaluated.
+ * 
+ * @param {string} fname - The name the lambda was called by
+ * @param {Object} lambda - The lambda value: {params: [names], body: [tokens], scope: {names}}
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string} Error text if the call failed, empty string if successful
+ * 
+ * @example
+ * // With the name TAX defined as =LAMBDA(x, x*0.2)
+ * // =TAX(B2) returns B2*0.2
+ * let error = SocialCalc.Formula.CallLambda("TAX", lambda, operand, foperand, sheet);
+ */
+SocialCalc.Formula.CallLambda = function(fname, lambda, operand, foperand, sheet) {
+   let i, name, result, savedscopes;
+   let scf = SocialCalc.Formula;
+   let scope = {};
+
+   if (foperand.length != lambda.params.length) {
+      return scf.FunctionArgsError(fname, operand);
+   }
+
+   if (scf.LambdaDepth >= scf.MaxLambdaDepth) { // probably recursion without an end
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return "";
+   }
+
+   for (name in lambda.scope) {
+      scope[name] = lambda.scope[name];
+   }
+   for (i = 0; i < lambda.params.length; i++) {
+      result = scf.TopOfStackValueAndType(sheet, foperand);
+      scope[lambda.params[i]] = {type: result.type, value: result.value};
+   }
+
+   savedscopes = scf.NameScopes;
+   scf.NameScopes = [scope]; // only the names the lambda was created with
+   scf.LambdaDepth++;
+
+   result = scf.EvaluateTokens(lambda.body, sheet);
+   if (result.type == "name") { // get the value while the parameters are still defined
+      result = scf.LookupName(sheet, result.value);
+   }
+
+   scf.LambdaDepth--;
+   scf.NameScopes = savedscopes;
+
+   if (result.type == "e") { // error in the formula itself
+      return scf.FunctionSpecificError(fname, operand, "e#VALUE!", result.value);
+   }
+
+   scf.PushOperand(operand, result.type, result.value);
+
+   return "";
+};
 /**
  * @function PushOperand
  * @memberof SocialCalc.Formula
@@ -1899,42 +2920,623 @@ SocialCalc.Formula.FunctionArgString = function(fname) {
 };
 
 /**
- * @namespace SocialCalc.Formula Function Definitions
- * @description Standard function definitions for spreadsheet calculations
- * Note that some functions require SocialCalc.DetermineValueType to be defined.
+ * @type {Object<string, Object>}
+ * @description Functions added with SocialCalc.Formula.RegisterFunction
+ * Format: CustomFunctions[fname] = {func: JavaScript function, params: [{name, type, optional, repeat}], volatile: boolean,
+ *    timeout: milliseconds, async: true once it has returned a Promise}
  */
+SocialCalc.Formula.CustomFunctions = {};
 
 /**
- * @function SeriesFunctions
+ * @function RegisterFunction
  * @memberof SocialCalc.Formula
- * @description Calculates statistical functions that operate on series of values
- * 
- * Handles: AVERAGE, COUNT, COUNTA, COUNTBLANK, MAX, MIN, PRODUCT, STDEV, STDEVP, SUM, VAR, VARP
- * 
- * Calculates all statistical measures and then returns the desired one.
- * The overhead is in accessing values, not calculating, so this approach is efficient.
- * If this routine is changed, check the dseries_functions, too.
- * 
- * @param {string} fname - The specific function name to calculate
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {null} Always returns null (errors are pushed to operand stack)
+ * @description Adds a spreadsheet function implemented by a plain JavaScript function
+ * 
+ * The JavaScript function is called with one argument per parameter, already converted
+ * according to the parameter's type:
+ * - "number": a number; text that looks like a number is converted, other text gives #VALUE!
+ * - "text": a string; numbers are formatted as they would display
+ * - "range": rows of values (array of arrays), even for a single value or cell
+ * - "any": a number, string, boolean, or null for blank; ranges of more than one cell are rows of values
+ * 
+ * In ranges, numbers, strings, booleans and null (blank) are passed the same way. An error value in any
+ * argument becomes the result without calling the function. Omitted optional parameters are undefined.
+ * A parameter with "repeat" must be last, and takes all remaining arguments, each passed separately.
+ * 
+ * The function may return a number, string, boolean, null (0), or an array of rows, which spills
+ * like other array results. Throwing an Error whose message is an error value such as "#N/A" makes that
+ * the result; any other Error gives #VALUE! with the message as the error text.
+ * 
+ * The function may also return a Promise (see WaitForAsyncResult). The cell shows #BUSY! until it settles
+ * and the sheet is then recalculated. The result is kept for those arguments, so later recalcs use it
+ * without calling the function again until ClearAsyncResults is called, the "recalc" command is done,
+ * or no cell uses it any more. Results of volatile functions are only used by one recalc.
+ * 
+ * Registering a name again replaces the earlier custom function. Built-in functions cannot be replaced.
+ * The function classes are refreshed, so the function list shows the function right away.
+ * 
+ * @param {string} fname - The function name, letters, digits, "_" and "." starting with a letter
+ * @param {Function} func - The JavaScript function
+ * @param {Object} [options] - Optional settings:
+ *   - {Array<Object>} params - Parameters in order: {name: string, type: "number"|"text"|"range"|"any",
+ *     optional: boolean, repeat: boolean}. Defaults to none.
+ *   - {string} description - Help text for the function list
+ *   - {string} fclass - Function class to list it in (default "custom"); new classes are added
+ *   - {string} classname - Display name for a new function class
+ *   - {boolean} volatile - If true, the function is treated like NOW() and RAND()
+ *   - {number} timeout - Milliseconds to wait for a Promise before giving #N/A (default AsyncFunctionInfo.timeout)
+ * @returns {string|null} Error text if the function could not be registered, otherwise null
  * 
  * @example
- * // Called internally by CalculateFunction for functions like SUM, AVERAGE, etc.
- * SocialCalc.Formula.SeriesFunctions("SUM", operand, foperand, sheet);
+ * SocialCalc.Formula.RegisterFunction("TAXED", function(amount, rate) {
+ *    return amount * (1 + (rate === undefined ? 0.2 : rate));
+ * }, {
+ *    params: [{name: "amount", type: "number"}, {name: "rate", type: "number", optional: true}],
+ *    description: "Returns the amount with tax added."
+ * });
+ * // =TAXED(100) returns 120
  */
-SocialCalc.Formula.SeriesFunctions = function(fname, operand, foperand, sheet) {
-   let value1, t, v1;
+SocialCalc.Formula.RegisterFunction = function(fname, func, options) {
+   let i, param, pname, nargs, argstr, cname;
 
    let scf = SocialCalc.Formula;
-   let operand_value_and_type = scf.OperandValueAndType;
-   let lookup_result_type = scf.LookupResultType;
-   let typelookupplus = scf.TypeLookupTable.plus;
+   let scc = SocialCalc.Constants;
+   let required = 0;
+   let optional = false; // true if any parameter is optional or repeats
 
-   /**
-    * @function PushOperand
+   options = options || {};
+   let params = options.params || [];
+
+   fname = (fname + "").toUpperCase();
+   if (!/^[A-Z][A-Z0-9_.]*$/.test(fname) || /^[A-Z]{1,2}[1-9]\d*$/.test(fname)) { // not a coord like AB12
+      return scc.s_customfuncbadname + fname;
+   }
+   if (scf.FunctionList[fname] && !scf.CustomFunctions[fname]) {
+      return scc.s_customfuncbuiltin + fname;
+   }
+   if (typeof func != "function") {
+      return scc.s_customfuncnotfunction + fname;
+   }
+
+   argstr = "";
+   for (i = 0; i < params.length; i++) {
+      param = params[i];
+      pname = param.name || "value" + (i + 1);
+      if (!/^(number|text|range|any)$/.test(param.type) || (param.repeat && i < params.length - 1) ||
+          (optional && !param.optional)) { // required ones must come first
+         return scc.s_customfuncbadparam + fname + " " + pname;
+      }
+      if (param.repeat) {
+         argstr += (i ? ", " : "") + pname + "1, " + pname + "2, ...";
+         optional = true;
+      } else if (param.optional) {
+         argstr += (i ? ", [" : "[") + pname;
+         optional = true;
+      } else {
+         argstr += (i ? ", " : "") + pname;
+      }
+      if (!param.optional) required++;
+   }
+   for (i = 0; i < params.length; i++) {
+      if (params[i].optional && !params[i].repeat) argstr += "]";
+   }
+
+   if (optional) { // CustomFunctionHandler checks the maximum
+      nargs = required ? -required : 100;
+   } else {
+      nargs = required;
+   }
+
+   cname = options.fclass || "custom";
+   if (scc.function_classlist.indexOf(cname) < 0) {
+      scc.function_classlist.push(cname);
+      if (!scc["s_fclass_" + cname]) scc["s_fclass_" + cname] = options.classname || cname;
+   }
+
+   scf.CustomFunctions[fname] = {func: func, params: params, volatile: !!options.volatile, timeout: options.timeout};
+   scf.ClearAsyncResults(fname); // results from an earlier version
+   scf.FunctionList[fname] = [scf.CustomFunctionHandler, nargs, argstr, options.description || "", cname];
+
+   scf.FunctionClasses = null; // fill in again with the new function
+   scf.FillFunctionInfo();
+
+   return null;
+};
+
+/**
+ * @function UnregisterFunction
+ * @memberof SocialCalc.Formula
+ * @description Removes a function added with RegisterFunction
+ * 
+ * @param {string} fname - The function name
+ * @returns {boolean} True if there was such a custom function
+ * 
+ * @example
+ * SocialCalc.Formula.UnregisterFunction("TAXED");
+ */
+SocialCalc.Formula.UnregisterFunction = function(fname) {
+   let scf = SocialCalc.Formula;
+
+   fname = (fname + "").toUpperCase();
+   if (!scf.CustomFunctions[fname]) {
+      return false;
+   }
+
+   delete scf.CustomFunctions[fname];
+   delete scf.FunctionList[fname];
+   scf.ClearAsyncResults(fname);
+
+   scf.FunctionClasses = null;
+   scf.FillFunctionInfo();
+
+   return true;
+};
+
+/**
+ * @function CustomFunctionHandler
+ * @memberof SocialCalc.Formula
+ * @description Calls a function added with RegisterFunction
+ * 
+ * Converts the arguments to JavaScript values as described for RegisterFunction,
+ * calls the JavaScript function, and pushes its result converted back to a value.
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string|undefined} Error text for the wrong number of arguments, otherwise undefined
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * SocialCalc.Formula.CustomFunctionHandler("TAXED", operand, foperand, sheet);
+ */
+SocialCalc.Formula.CustomFunctionHandler = function(fname, operand, foperand, sheet) {
+   let i, param, arg, result, errortype, key, entry;
+   let args = [];
+
+   let scf = SocialCalc.Formula;
+   let fdef = scf.CustomFunctions[fname];
+   let params = fdef.params;
+
+   if (fdef.volatile) {
+      scf.FreshnessInfo.volatile[fname] = true;
+   }
+
+   if (foperand.length > params.length && !(params.length && params[params.length - 1].repeat)) {
+      return scf.FunctionArgsError(fname, operand);
+   }
+
+   for (i = 0; foperand.length; i++) {
+      param = params[Math.min(i, params.length - 1)];
+      arg = scf.CustomFunctionArgument(sheet, foperand, param.type);
+      if (arg.type.charAt(0) == "e") {
+         errortype = errortype || arg.type;
+      }
+      args.push(arg.value);
+   }
+   if (errortype) {
+      scf.PushOperand(operand, errortype, 0);
+      return;
+   }
+
+   if (fdef.async) { // may have a result, or be waiting for one, from an earlier call
+      key = fname + JSON.stringify(args);
+      entry = scf.AsyncFunctionInfo.results[key];
+      if (entry) {
+         if (entry.state == "pending" && entry.sheets.indexOf(sheet) < 0) {
+            entry.sheets.push(sheet);
+         }
+         if (entry.state == "done") {
+            entry.delivered = true;
+         }
+         scf.AsyncResultUsed(key, sheet);
+         operand.push({type: entry.result.type, value: entry.result.value});
+         return;
+      }
+   }
+
+   try {
+      result = fdef.func.apply(null, args);
+   } catch (e) {
+      operand.push(scf.CustomFunctionError(e));
+      return;
+   }
+
+   if (result && typeof result.then == "function") { // a Promise
+      fdef.async = true;
+      key = key || fname + JSON.stringify(args);
+      result = scf.WaitForAsyncResult(key, result, sheet, fdef.timeout || scf.AsyncFunctionInfo.timeout);
+      scf.AsyncResultUsed(key, sheet);
+   } else {
+      result = scf.CustomFunctionResult(result);
+   }
+   operand.push({type: result.type, value: result.value});
+
+   return;
+};
+
+/**
+ * @function CustomFunctionArgument
+ * @memberof SocialCalc.Formula
+ * @description Pops one argument and converts it to a JavaScript value for a custom function
+ * 
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @param {Array<Object>} operand - The operand stack
+ * @param {string} ptype - The parameter type: "number", "text", "range", or "any"
+ * @returns {Object} Result object containing:
+ *   - {*} value - The JavaScript value
+ *   - {string} type - "" if OK, or error type (e.g., "e#VALUE!")
+ * 
+ * @example
+ * let arg = SocialCalc.Formula.CustomFunctionArgument(sheet, foperand, "number");
+ * // Returns: {value: 42, type: ""}
+ */
+SocialCalc.Formula.CustomFunctionArgument = function(sheet, operand, ptype) {
+   let value, r, c, element, row;
+   let rows = [];
+   let errortype = "";
+
+   let scf = SocialCalc.Formula;
+
+   if (ptype == "number") {
+      value = scf.OperandAsNumber(sheet, operand);
+      if (value.type.charAt(0) != "n") {
+         return {value: 0, type: value.type.charAt(0) == "e" ? value.type : "e#VALUE!"};
+      }
+      return {value: value.value, type: ""};
+   }
+
+   if (ptype == "text") {
+      value = scf.OperandAsText(sheet, operand);
+      return {value: value.value + "", type: value.type.charAt(0) == "e" ? value.type : ""};
+   }
+
+   value = scf.OperandAsArray(sheet, operand); // "range" or "any"
+   if (value.type.charAt(0) == "e") {
+      return {value: null, type: value.type};
+   }
+
+   for (r = 0; r < value.value.length; r++) {
+      row = [];
+      for (c = 0; c < value.value[r].length; c++) {
+         element = value.value[r][c];
+         switch (element.type.charAt(0)) {
+            case "n":
+               row.push(element.type == "nl" ? element.value != 0 : element.value - 0);
+               break;
+            case "t":
+               row.push(element.value + "");
+               break;
+            case "e":
+               errortype = errortype || element.type;
+               row.push(null);
+               break;
+            default: // blank
+               row.push(null);
+               break;
+         }
+      }
+      rows.push(row);
+   }
+
+   if (ptype == "any" && rows.length == 1 && rows[0].length == 1) {
+      return {value: rows[0][0], type: errortype};
+   }
+
+   return {value: rows, type: errortype};
+};
+
+/**
+ * @function CustomFunctionResult
+ * @memberof SocialCalc.Formula
+ * @description Converts the value returned by a custom function to an operand
+ * 
+ * Numbers, strings and booleans become "n", "t" and "nl" values, null and undefined become 0,
+ * and an array becomes an array value with one row per element (or a single row if the
+ * elements are not arrays). Rows shorter than the longest are filled out with blanks.
+ * An empty array, or one with only empty rows, is #CALC!.
+ * Numbers that are not finite become #NUM!.
+ * 
+ * @param {*} value - The JavaScript value
+ * @returns {Object} The operand, with type and value
+ * 
+ * @example
+ * let result = SocialCalc.Formula.CustomFunctionResult([[1, 2], ["a", true]]);
+ * // Returns: {type: "array", value: [[{type: "n", value: 1}, ...], ...]}
+ */
+SocialCalc.Formula.CustomFunctionResult = function(value) {
+   let r, c, row, elements;
+   let rows = [];
+   let width = 0;
+
+   let scf = SocialCalc.Formula;
+
+   if (Array.isArray(value)) {
+      if (!value.length) {
+         return {type: "e#CALC!", value: 0}; // empty array
+      }
+      if (!Array.isArray(value[0])) {
+         value = [value];
+      }
+      for (r = 0; r < value.length; r++) {
+         row = [];
+         elements = Array.isArray(value[r]) ? value[r] : [value[r]]; // a row may be just one value
+         for (c = 0; c < elements.length; c++) {
+            row.push(scf.CustomFunctionResult(Array.isArray(elements[c]) ? null : elements[c]));
+         }
+         width = Math.max(width, row.length);
+         rows.push(row);
+      }
+      if (!width) {
+         return {type: "e#CALC!", value: 0}; // only empty rows
+      }
+      for (r = 0; r < rows.length; r++) { // pad short rows so the result is rectangular
+         while (rows[r].length < width) {
+            rows[r].push({type: "b", value: 0});
+         }
+      }
+      return {type: "array", value: rows};
+   }
+
+   switch (typeof value) {
+      case "number":
+         return isFinite(value) ? {type: "n", value: value} : {type: "e#NUM!", value: 0};
+      case "boolean":
+         return {type: "nl", value: value ? 1 : 0};
+      case "string":
+         return {type: "t", value: value};
+      default:
+         return value == null ? {type: "n", value: 0} : {type: "t", value: value + ""};
+   }
+};
+
+/**
+ * @function CustomFunctionError
+ * @memberof SocialCalc.Formula
+ * @description Converts an error thrown (or a Promise rejection) by a custom function to an error value
+ * 
+ * @param {*} e - The Error or other thrown value
+ * @returns {Object} The operand: that error value if the message is one (e.g., "#N/A"),
+ *    otherwise #VALUE! with the message as the error text
+ * 
+ * @example
+ * let result = SocialCalc.Formula.CustomFunctionError(new Error("#DIV/0!"));
+ * // Returns: {type: "e#DIV/0!", value: 0}
+ */
+SocialCalc.Formula.CustomFunctionError = function(e) {
+   let message = (e && e.message) || e + "";
+   let match = message.match(/^#(NULL!|NUM!|DIV\/0!|VALUE!|REF!|NAME\?|N\/A|CALC!)$/);
+
+   return match ? {type: "e" + match[0], value: 0} : {type: "e#VALUE!", value: message};
+};
+
+/**
+ * @namespace SocialCalc.Formula.AsyncFunctionInfo
+ * @description Results of custom functions that returned a Promise
+ */
+SocialCalc.Formula.AsyncFunctionInfo = {
+   /**
+    * @type {Object<string, Object>}
+    * @description Calls by function name and arguments
+    * 
+    * Format: results[fname + JSON of args] = {state: "pending" or "done", result: operand,
+    *    sheets: [sheets to recalc when it settles], timer: timeout timer,
+    *    users: [{sheet, coord} of formulas that used it], delivered: true once a formula got the settled result}
+    */
+   results: {},
+
+   /**
+    * @type {number}
+    * @description Default milliseconds to wait for a Promise before giving #N/A
+    */
+   timeout: 30000
+};
+
+/**
+ * @function WaitForAsyncResult
+ * @memberof SocialCalc.Formula
+ * @description Remembers a Promise returned by a custom function and returns the value to use meanwhile
+ * 
+ * Until the Promise settles the result is #BUSY!. When it is fulfilled the value is converted with
+ * CustomFunctionResult; if it is rejected, or it takes longer than the timeout, the result is an error
+ * (see CustomFunctionError). Either way the result is kept for these arguments, and each sheet that
+ * was waiting is recalculated with SocialCalc.RecalcAsyncResult so the cell and its dependents update.
+ * 
+ * @param {string} key - The function name and arguments, as used in AsyncFunctionInfo.results
+ * @param {Promise} promise - The Promise returned by the function
+ * @param {Object} sheet - The sheet with the formula being evaluated
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Object} The operand to use while waiting
+ * 
+ * @example
+ * let result = SocialCalc.Formula.WaitForAsyncResult('LOOKUPPART["X-100"]', promise, sheet, 30000);
+ * // Returns: {type: "e#BUSY!", value: 0}
+ */
+SocialCalc.Formula.WaitForAsyncResult = function(key, promise, sheet, timeout) {
+   let scf = SocialCalc.Formula;
+   let results = scf.AsyncFunctionInfo.results;
+   let entry = {state: "pending", result: {type: "e#BUSY!", value: 0}, sheets: [sheet], timer: null,
+                users: [], delivered: false};
+
+   /**
+    * @function settle
+    * @description Stores the result the first time the call settles or times out, and recalcs
+    * @param {Object} result - The operand to keep
+    */
+   let settle = function(result) {
+      let i;
+      if (results[key] !== entry || entry.state != "pending") return; // cleared, or already timed out
+      window.clearTimeout(entry.timer);
+      entry.state = "done";
+      entry.result = result;
+      for (i = 0; i < entry.sheets.length; i++) {
+         SocialCalc.RecalcAsyncResult(entry.sheets[i]);
+      }
+      entry.sheets = [];
+   };
+
+   results[key] = entry;
+   entry.timer = window.setTimeout(function() {
+      settle({type: "e#N/A", value: SocialCalc.Constants.s_customfunctimeout + key.match(/^[^\[]*/)[0]});
+   }, timeout);
+   promise.then(function(value) {
+      settle(scf.CustomFunctionResult(value));
+   }, function(e) {
+      settle(scf.CustomFunctionError(e));
+   });
+
+   return entry.result;
+};
+
+/**
+ * @function ClearAsyncResults
+ * @memberof SocialCalc.Formula
+ * @description Forgets kept results of custom functions that returned a Promise
+ * 
+ * The next recalc calls the functions again. Calls still waiting are forgotten too, and their
+ * results are ignored when they settle.
+ * 
+ * @param {string} [fname] - Only forget results of this function; all functions if omitted
+ * 
+ * @example
+ * SocialCalc.Formula.ClearAsyncResults("LOOKUPPART");
+ * SocialCalc.RecalcSheet(sheet); // get fresh values
+ */
+SocialCalc.Formula.ClearAsyncResults = function(fname) {
+   let key;
+   let results = SocialCalc.Formula.AsyncFunctionInfo.results;
+
+   for (key in results) {
+      if (!fname || key.substring(0, key.indexOf("[")) == fname.toUpperCase()) {
+         window.clearTimeout(results[key].timer);
+         delete results[key];
+      }
+   }
+};
+
+/**
+ * @function AsyncResultUsed
+ * @memberof SocialCalc.Formula
+ * @description Notes that the formula being recalculated uses a kept result, so PruneAsyncResults keeps it
+ * 
+ * The key is added to the cell's asynckeys, which the recalc clears before calculating the cell again.
+ * Nothing is noted outside of a recalc.
+ * 
+ * @param {string} key - The function name and arguments, as used in AsyncFunctionInfo.results
+ * @param {Object} sheet - The sheet with the formula being evaluated
+ */
+SocialCalc.Formula.AsyncResultUsed = function(key, sheet) {
+   let i, cell;
+   let entry = SocialCalc.Formula.AsyncFunctionInfo.results[key];
+   let coord = sheet.recalcdata && sheet.recalcdata.calccoord;
+
+   if (!entry || !coord || !(cell = sheet.cells[coord])) return;
+
+   if (!cell.asynckeys) {
+      cell.asynckeys = [];
+   }
+   if (cell.asynckeys.indexOf(key) < 0) {
+      cell.asynckeys.push(key);
+   }
+   for (i = 0; i < entry.users.length; i++) {
+      if (entry.users[i].sheet === sheet && entry.users[i].coord == coord) return;
+   }
+   entry.users.push({sheet: sheet, coord: coord});
+};
+
+/**
+ * @function ExpireAsyncResults
+ * @memberof SocialCalc.Formula
+ * @description Forgets settled results that should be fetched again, called when a recalc starts
+ * 
+ * Results of volatile functions are forgotten once a formula has used them. Calls still waiting are kept.
+ * 
+ * @param {boolean} all - If true, forget all settled results (for the "recalc" command)
+ * 
+ * @example
+ * SocialCalc.Formula.ExpireAsyncResults(false);
+ */
+SocialCalc.Formula.ExpireAsyncResults = function(all) {
+   let key, entry, fdef;
+   let scf = SocialCalc.Formula;
+   let results = scf.AsyncFunctionInfo.results;
+
+   for (key in results) {
+      entry = results[key];
+      if (entry.state != "done") continue;
+      fdef = scf.CustomFunctions[key.substring(0, key.indexOf("["))];
+      if (all || (entry.delivered && fdef && fdef.volatile)) {
+         delete results[key];
+      }
+   }
+};
+
+/**
+ * @function PruneAsyncResults
+ * @memberof SocialCalc.Formula
+ * @description Forgets settled results no formula uses any more, called when a recalc finishes
+ * 
+ * A use (see AsyncResultUsed) still counts if the cell is there and still lists the key in its asynckeys.
+ * 
+ * @example
+ * SocialCalc.Formula.PruneAsyncResults();
+ */
+SocialCalc.Formula.PruneAsyncResults = function() {
+   let key, entry, i, cell;
+   let results = SocialCalc.Formula.AsyncFunctionInfo.results;
+
+   for (key in results) {
+      entry = results[key];
+      if (entry.state != "done") continue;
+      for (i = entry.users.length - 1; i >= 0; i--) {
+         cell = entry.users[i].sheet.cells[entry.users[i].coord];
+         if (!cell || !cell.asynckeys || cell.asynckeys.indexOf(key) < 0) {
+            entry.users.splice(i, 1);
+         }
+      }
+      if (!entry.users.length) {
+         delete results[key];
+      }
+   }
+};
+
+/**
+ * @namespace SocialCalc.Formula Function Definitions
+ * @description Standard function definitions for spreadsheet calculations
+ * Note that some functions require SocialCalc.DetermineValueType to be defined.
+ */
+
+/**
+ * @function SeriesFunctions
+ * @memberof SocialCalc.Formula
+ * @description Calculates statistical functions that operate on series of values
+ * 
+ * Handles: AVERAGE, COUNT, COUNTA, COUNTBLANK, MAX, MIN, PRODUCT, STDEV, STDEVP, SUM, VAR, VARP
+ * 
+ * Calculates all statistical measures and then returns the desired one.
+ * The overhead is in accessing values, not calculating, so this approach is efficient.
+ * If this routine is changed, check the dseries_functions, too.
+ * 
+ * @param {string} fname - The specific function name to calculate
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {null} Always returns null (errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction for functions like SUM, AVERAGE, etc.
+ * SocialCalc.Formula.SeriesFunctions("SUM", operand, foperand, sheet);
+ */
+SocialCalc.Formula.SeriesFunctions = function(fname, operand, foperand, sheet) {
+   let value1, t, v1;
+
+   let scf = SocialCalc.Formula;
+   let operand_value_and_type = scf.OperandValueAndType;
+   let lookup_result_type = scf.LookupResultType;
+   let typelookupplus = scf.TypeLookupTable.plus;
+
+   /**
+    * @function PushOperand
     * @description Helper function to push operand onto stack
     * @param {string} t - Type of operand
     * @param {*} v - Value of operand
@@ -2079,42 +3681,167 @@ SocialCalc.Formula.FunctionList["VAR"] = [SocialCalc.Formula.SeriesFunctions, -1
 SocialCalc.Formula.FunctionList["VARP"] = [SocialCalc.Formula.SeriesFunctions, -1, "vn", null, "stat"];
 
 /**
- * @function DSeriesFunctions
+ * @function ArgumentNumbers
  * @memberof SocialCalc.Formula
- * @description Calculates database statistical functions that operate on filtered data
- * 
- * Handles: DAVERAGE, DCOUNT, DCOUNTA, DGET, DMAX, DMIN, DPRODUCT, DSTDEV, DSTDEVP, DSUM, DVAR, DVARP
+ * @description Pops one argument and adds the numbers in it to a list
  * 
- * These functions work on database ranges with criteria filtering:
- * - Database range contains the data with headers in first row
- * - Field name specifies which column to perform the calculation on
- * - Criteria range specifies filtering conditions
+ * The argument may be a single value, a coord, a range, or an array. Text and blank values
+ * are skipped.
  * 
- * Calculates all statistical measures and then returns the desired one.
- * The overhead is in accessing values, not calculating, so this approach is efficient.
- * If this routine is changed, check the series_functions, too.
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @param {Array<Object>} operand - The operand stack
+ * @param {Array<number>} values - The list to add to
+ * @returns {string} The first error type found (e.g., "e#N/A"), or "" if none
  * 
- * @param {string} fname - The specific database function name to calculate
+ * @example
+ * let errortype = SocialCalc.Formula.ArgumentNumbers(sheet, foperand, values);
+ */
+SocialCalc.Formula.ArgumentNumbers = function(sheet, operand, values) {
+   let r, c, element;
+   let errortype = "";
+   let value1 = SocialCalc.Formula.OperandAsArray(sheet, operand);
+
+   if (value1.type.charAt(0) == "e") {
+      return value1.type;
+   }
+
+   for (r = 0; r < value1.value.length; r++) {
+      for (c = 0; c < value1.value[r].length; c++) {
+         element = value1.value[r][c];
+         if (element.type.charAt(0) == "n") {
+            values.push(element.value - 0);
+         } else if (element.type.charAt(0) == "e") {
+            errortype = errortype || element.type;
+         }
+      }
+   }
+
+   return errortype;
+};
+
+/**
+ * @function ArgumentValues
+ * @memberof SocialCalc.Formula
+ * @description Pops one argument and returns its values as a single list, row by row
+ * 
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @param {Array<Object>} operand - The operand stack
+ * @returns {Object} Result object containing:
+ *   - {Array<Object>|number} value - The elements, each with type and value, or 0 if error
+ *   - {string} type - "array", or error type (e.g., "e#REF!")
+ * 
+ * @example
+ * let info = SocialCalc.Formula.ArgumentValues(sheet, foperand);
+ * // Returns: {value: [{type: "n", value: 1}, {type: "b", value: 0}], type: "array"} for A1:B1
+ */
+SocialCalc.Formula.ArgumentValues = function(sheet, operand) {
+   let r;
+   let list = [];
+   let value1 = SocialCalc.Formula.OperandAsArray(sheet, operand);
+
+   if (value1.type.charAt(0) == "e") {
+      return value1;
+   }
+
+   for (r = 0; r < value1.value.length; r++) {
+      list = list.concat(value1.value[r]);
+   }
+
+   return {value: list, type: "array"};
+};
+
+/**
+ * @function ArrayToNumbers
+ * @memberof SocialCalc.Formula
+ * @description Returns the values of an array as rows of plain numbers
+ * 
+ * @param {Array<Array<Object>>} rows - The array value
+ * @returns {Array<Array<number>>|null} The numbers, or null if any element is not a number
+ * 
+ * @example
+ * SocialCalc.Formula.ArrayToNumbers([[{type: "n", value: 1}]]); // Returns: [[1]]
+ */
+SocialCalc.Formula.ArrayToNumbers = function(rows) {
+   let r, c;
+   let result = [];
+
+   for (r = 0; r < rows.length; r++) {
+      result.push([]);
+      for (c = 0; c < rows[r].length; c++) {
+         if (rows[r][c].type.charAt(0) != "n") {
+            return null;
+         }
+         result[r].push(rows[r][c].value - 0);
+      }
+   }
+
+   return result;
+};
+
+/**
+ * @function ArgumentsAsNumbers
+ * @memberof SocialCalc.Formula
+ * @description Pops all of the remaining arguments as numbers
+ * 
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @param {Array<Object>} operand - The function operand stack
+ * @returns {Object} Result object containing:
+ *   - {Array<number>} value - The values, first argument first
+ *   - {string} type - "n", or the type of the first argument that is not a number (e.g., "e#VALUE!")
+ * 
+ * @example
+ * let args = SocialCalc.Formula.ArgumentsAsNumbers(sheet, foperand);
+ * // Returns: {value: [0.1, 12, 1000], type: "n"} for (10%, 12, 1000)
+ */
+SocialCalc.Formula.ArgumentsAsNumbers = function(sheet, operand) {
+   let value1;
+   let scf = SocialCalc.Formula;
+   let result = {value: [], type: "n"};
+
+   while (operand.length) {
+      value1 = scf.OperandAsNumber(sheet, operand);
+      result.type = scf.LookupResultType(result.type, value1.type, scf.TypeLookupTable.twoargnumeric);
+      result.value.push(value1.value - 0);
+   }
+
+   return result;
+};
+
+/**
+ * @function OrderStatFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements statistics based on the order of the values
+ * 
+ * - MEDIAN(value1, ...): Middle value (average of the two middle values if there are an even number)
+ * - MODE(value1, ...) and MODE.SNGL: Most frequent value (the first one if there is a tie), #N/A if none repeat
+ * - MODE.MULT(value1, ...): All of the most frequent values, as a column
+ * - PERCENTILE(range, k) and PERCENTILE.INC: The k-th percentile, 0 <= k <= 1, interpolating between values
+ * - PERCENTILE.EXC(range, k): The k-th percentile, 0 < k < 1, excluding the end points
+ * - QUARTILE(range, q) and QUARTILE.INC: Quartile 0 (minimum) through 4 (maximum)
+ * - QUARTILE.EXC(range, q): Quartile 1 through 3, excluding the end points
+ * - LARGE(range, k) and SMALL(range, k): The k-th largest or smallest value
+ * 
+ * Only numeric values are used. Text and blank cells are ignored and error values are returned.
+ * With no numeric values the result is #NUM! (#N/A for MODE).
+ * 
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (errors are pushed to operand stack)
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
  * @example
- * // Called internally by CalculateFunction for functions like DSUM, DAVERAGE, etc.
- * // =DSUM(A1:D10, "Sales", F1:F2) - sums Sales column where criteria in F1:F2 are met
- * SocialCalc.Formula.DSeriesFunctions("DSUM", operand, foperand, sheet);
+ * // Called internally by CalculateFunction
+ * // =MEDIAN(1, 3, 2, 4) returns 2.5
+ * // =PERCENTILE(A1:A10, 0.9) returns the 90th percentile of A1:A10
+ * // =LARGE(A1:A10, 2) returns the second largest value
+ * SocialCalc.Formula.OrderStatFunctions("MEDIAN", operand, foperand, sheet);
  */
-SocialCalc.Formula.DSeriesFunctions = function(fname, operand, foperand, sheet) {
-   let value1, tostype, cr, dbrange, fieldname, criteriarange, dbinfo, criteriainfo;
-   let fieldasnum, targetcol, i, j, k, cell, criteriafieldnums;
-   let testok, criteriacr, criteria, testcol, testcr;
-   let t;
-
+SocialCalc.Formula.OrderStatFunctions = function(fname, operand, foperand, sheet) {
+   let i, k, rank, errortype, counts, maxcount, modes, value;
    let scf = SocialCalc.Formula;
-   let operand_value_and_type = scf.OperandValueAndType;
-   let lookup_result_type = scf.LookupResultType;
-   let typelookupplus = scf.TypeLookupTable.plus;
+   let values = [];
+   let argument = null;
 
    /**
     * @function PushOperand
@@ -2124,303 +3851,246 @@ SocialCalc.Formula.DSeriesFunctions = function(fname, operand, foperand, sheet)
     */
    let PushOperand = function(t, v) {operand.push({type: t, value: v});};
 
-   value1 = {};
-
-   // Statistical accumulator variables
-   let sum = 0;
-   let resulttypesum = "";
-   let count = 0;
-   let counta = 0;
-   let countblank = 0;
-   let product = 1;
-   let maxval;
-   let minval;
-   /** @type {number} Variance calculation variables as per Knuth */
-   let mk, sk, mk1, sk1; // For variance, etc.: M sub k, k-1, and S sub k-1
-                          // as per Knuth "The Art of Computer Programming" Vol. 2 3rd edition, page 232
-
-   // Get function arguments: database range, field name, criteria range
-   dbrange = scf.TopOfStackValueAndType(sheet, foperand); // get a range
-   fieldname = scf.OperandValueAndType(sheet, foperand); // get a value
-   criteriarange = scf.TopOfStackValueAndType(sheet, foperand); // get a range
-
-   if (dbrange.type != "range" || criteriarange.type != "range") {
-      return scf.FunctionArgsError(fname, operand);
+   if (fname == "MEDIAN" || fname.indexOf("MODE") == 0) { // series of values
+      while (foperand.length) {
+         value = scf.ArgumentNumbers(sheet, foperand, values);
+         errortype = errortype || value;
+      }
+   } else { // range and one value
+      errortype = scf.ArgumentNumbers(sheet, foperand, values);
+      argument = scf.OperandAsNumber(sheet, foperand);
+      if (foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      if (argument.type.charAt(0) != "n") {
+         errortype = errortype || (argument.type.charAt(0) == "e" ? argument.type : "e#VALUE!");
+      }
    }
 
-   // Decode the ranges into usable information
-   dbinfo = scf.DecodeRangeParts(sheet, dbrange.value);
-   criteriainfo = scf.DecodeRangeParts(sheet, criteriarange.value);
-
-   // Find the target column number for the field to calculate on
-   fieldasnum = scf.FieldToColnum(dbinfo.sheetdata, dbinfo.col1num, dbinfo.ncols, dbinfo.row1num, fieldname.value, fieldname.type);
-   if (fieldasnum <= 0) {
-      PushOperand("e#VALUE!", 0);
+   if (errortype) {
+      PushOperand(errortype, 0);
       return;
    }
 
-   targetcol = dbinfo.col1num + fieldasnum - 1;
-   criteriafieldnums = [];
-
-   // Map criteria field names to column numbers
-   for (i = 0; i < criteriainfo.ncols; i++) { // get criteria field colnums
-      cell = criteriainfo.sheetdata.GetAssuredCell(SocialCalc.crToCoord(criteriainfo.col1num + i, criteriainfo.row1num));
-      criterianum = scf.FieldToColnum(dbinfo.sheetdata, dbinfo.col1num, dbinfo.ncols, dbinfo.row1num, cell.datavalue, cell.valuetype);
-      if (criterianum <= 0) {
-         PushOperand("e#VALUE!", 0);
+   if (fname.indexOf("MODE") == 0) { // in the order given, so not sorted
+      counts = {};
+      maxcount = 1;
+      modes = [];
+      for (i = 0; i < values.length; i++) {
+         counts[values[i]] = (counts[values[i]] || 0) + 1;
+         maxcount = Math.max(maxcount, counts[values[i]]);
+      }
+      if (maxcount == 1) { // no value repeats
+         PushOperand("e#N/A", 0);
          return;
       }
-      criteriafieldnums.push(dbinfo.col1num + criterianum - 1);
-   }
-
-   // Process each row of the database (skip header row)
-   for (i = 1; i < dbinfo.nrows; i++) { // go through each row of the database
-      testok = false;
-      
-      // Test against all criteria rows
-CRITERIAROW:
-      for (j = 1; j < criteriainfo.nrows; j++) { // go through each criteria row
-         // Check all criteria columns for this criteria row
-         for (k = 0; k < criteriainfo.ncols; k++) { // look at each column
-            criteriacr = SocialCalc.crToCoord(criteriainfo.col1num + k, criteriainfo.row1num + j); // where criteria is
-            cell = criteriainfo.sheetdata.GetAssuredCell(criteriacr);
-            criteria = cell.datavalue;
-            if (typeof criteria == "string" && criteria.length == 0) continue; // blank items are OK
-            
-            testcol = criteriafieldnums[k];
-            testcr = SocialCalc.crToCoord(testcol, dbinfo.row1num + i); // cell to check
-            cell = criteriainfo.sheetdata.GetAssuredCell(testcr);
-            
-            if (!scf.TestCriteria(cell.datavalue, cell.valuetype || "b", criteria)) {
-               continue CRITERIAROW; // does not meet criteria - check next row
-            }
+      for (i = 0; i < values.length; i++) {
+         if (counts[values[i]] == maxcount) {
+            modes.push([{type: "n", value: values[i]}]);
+            counts[values[i]] = 0; // only once
          }
-         testok = true; // met all the criteria
-         break CRITERIAROW;
       }
-      
-      if (!testok) {
-         continue; // Skip this database row if it doesn't meet any criteria row
+      if (fname == "MODE.MULT") {
+         PushOperand("array", modes);
+      } else {
+         PushOperand("n", modes[0][0].value);
       }
+      return;
+   }
 
-      // Get the target cell value for statistical calculation
-      cr = SocialCalc.crToCoord(targetcol, dbinfo.row1num + i); // get cell of this row to do the function on
-      cell = dbinfo.sheetdata.GetAssuredCell(cr);
-
-      value1.value = cell.datavalue;
-      value1.type = cell.valuetype;
-      t = value1.type.charAt(0);
-      
-      // Update counters
-      if (t == "n") count += 1;
-      if (t != "b") counta += 1;
-      if (t == "b") countblank += 1;
+   values.sort(function(a, b) {return a - b;});
 
-      // Perform statistical calculations for numeric values
-      if (t == "n") {
-         v1 = value1.value-0; // get it as a number
-         sum += v1;
-         product *= v1;
-         maxval = (maxval != undefined) ? (v1 > maxval ? v1 : maxval) : v1;
-         minval = (minval != undefined) ? (v1 < minval ? v1 : minval) : v1;
-         
-         if (count == 1) { // initialize with first values for variance used in STDEV, VAR, etc.
-            mk1 = v1;
-            sk1 = 0;
-         } else { // Accumulate S sub 1 through n as per Knuth noted above
-            mk = mk1 + (v1 - mk1) / count;
-            sk = sk1 + (v1 - mk1) * (v1 - mk);
-            sk1 = sk;
-            mk1 = mk;
-         }
-         resulttypesum = lookup_result_type(value1.type, resulttypesum || value1.type, typelookupplus);
-      } else if (t == "e" && resulttypesum.charAt(0) != "e") {
-         resulttypesum = value1.type;
-      }
+   if (!values.length) {
+      PushOperand("e#NUM!", 0);
+      return;
    }
 
-   resulttypesum = resulttypesum || "n";
-
-   // Return the appropriate result based on the function name
    switch (fname) {
-      case "DSUM":
-         PushOperand(resulttypesum, sum);
-         break;
+      case "MEDIAN":
+         PushOperand("n", scf.SortedPercentile(values, (values.length - 1) / 2));
+         return;
 
-      case "DPRODUCT": // may handle cases with text differently than some other spreadsheets
-         PushOperand(resulttypesum, product);
-         break;
+      case "LARGE":
+      case "SMALL":
+         k = Math.ceil(argument.value);
+         if (k < 1 || k > values.length) {
+            PushOperand("e#NUM!", 0);
+            return;
+         }
+         PushOperand("n", values[fname == "SMALL" ? k - 1 : values.length - k]);
+         return;
 
-      case "DMIN":
-         PushOperand(resulttypesum, minval || 0);
+      case "QUARTILE":
+      case "QUARTILE.INC":
+      case "QUARTILE.EXC":
+         value = Math.floor(argument.value);
+         if (value < (fname == "QUARTILE.EXC" ? 1 : 0) || value > (fname == "QUARTILE.EXC" ? 3 : 4)) {
+            PushOperand("e#NUM!", 0);
+            return;
+         }
+         k = value / 4;
          break;
 
-      case "DMAX":
-         PushOperand(resulttypesum, maxval || 0);
+      default: // PERCENTILE
+         k = argument.value - 0;
          break;
+   }
 
-      case "DCOUNT":
-         PushOperand("n", count);
-         break;
+   if (fname.indexOf(".EXC") != -1) {
+      rank = k * (values.length + 1) - 1;
+      if (k <= 0 || k >= 1 || rank < 0 || rank > values.length - 1) {
+         PushOperand("e#NUM!", 0);
+         return;
+      }
+   } else {
+      rank = k * (values.length - 1);
+      if (k < 0 || k > 1) {
+         PushOperand("e#NUM!", 0);
+         return;
+      }
+   }
 
-      case "DCOUNTA":
-         PushOperand("n", counta);
-         break;
+   PushOperand("n", scf.SortedPercentile(values, rank));
 
-      case "DAVERAGE":
-         if (count > 0) {
-            PushOperand(resulttypesum, sum/count);
-         } else {
-            PushOperand("e#DIV/0!", 0);
-         }
-         break;
+   return;
+};
 
-      case "DSTDEV":
-         if (count > 1) {
-            PushOperand(resulttypesum, Math.sqrt(sk / (count - 1))); // sk is never negative according to Knuth
-         } else {
-            PushOperand("e#DIV/0!", 0);
-         }
-         break;
+SocialCalc.Formula.FunctionList["LARGE"] = [SocialCalc.Formula.OrderStatFunctions, 2, "rangek", "", "stat"];
+SocialCalc.Formula.FunctionList["MEDIAN"] = [SocialCalc.Formula.OrderStatFunctions, -1, "vn", "", "stat"];
+SocialCalc.Formula.FunctionList["MODE"] = [SocialCalc.Formula.OrderStatFunctions, -1, "vn", "", "stat"];
+SocialCalc.Formula.FunctionList["MODE.MULT"] = [SocialCalc.Formula.OrderStatFunctions, -1, "vn", "", "stat"];
+SocialCalc.Formula.FunctionList["MODE.SNGL"] = [SocialCalc.Formula.OrderStatFunctions, -1, "vn", "", "stat"];
+SocialCalc.Formula.FunctionList["PERCENTILE"] = [SocialCalc.Formula.OrderStatFunctions, 2, "rangek", "", "stat"];
+SocialCalc.Formula.FunctionList["PERCENTILE.EXC"] = [SocialCalc.Formula.OrderStatFunctions, 2, "rangek", "", "stat"];
+SocialCalc.Formula.FunctionList["PERCENTILE.INC"] = [SocialCalc.Formula.OrderStatFunctions, 2, "rangek", "", "stat"];
+SocialCalc.Formula.FunctionList["QUARTILE"] = [SocialCalc.Formula.OrderStatFunctions, 2, "quartile", "", "stat"];
+SocialCalc.Formula.FunctionList["QUARTILE.EXC"] = [SocialCalc.Formula.OrderStatFunctions, 2, "quartile", "", "stat"];
+SocialCalc.Formula.FunctionList["QUARTILE.INC"] = [SocialCalc.Formula.OrderStatFunctions, 2, "quartile", "", "stat"];
+SocialCalc.Formula.FunctionList["SMALL"] = [SocialCalc.Formula.OrderStatFunctions, 2, "rangek", "", "stat"];
 
-      case "DSTDEVP":
-         if (count > 1) {
-            PushOperand(resulttypesum, Math.sqrt(sk / count));
-         } else {
-            PushOperand("e#DIV/0!", 0);
-         }
-         break;
+/**
+ * @function SortedPercentile
+ * @memberof SocialCalc.Formula
+ * @description Returns the value at a fractional position in sorted values, interpolating linearly
+ * 
+ * @param {Array<number>} values - The values, sorted smallest first
+ * @param {number} rank - The position, from 0 to values.length-1
+ * @returns {number} The interpolated value
+ * 
+ * @example
+ * SocialCalc.Formula.SortedPercentile([1, 2, 4], 1.5) // Returns: 3
+ */
+SocialCalc.Formula.SortedPercentile = function(values, rank) {
+   let i = Math.floor(rank);
 
-      case "DVAR":
-         if (count > 1) {
-            PushOperand(resulttypesum, sk / (count - 1));
-         } else {
-            PushOperand("e#DIV/0!", 0);
-         }
-         break;
-
-      case "DVARP":
-         if (count > 1) {
-            PushOperand(resulttypesum, sk / count);
-         } else {
-            PushOperand("e#DIV/0!", 0);
-         }
-         break;
-
-      case "DGET":
-         if (count == 1) {
-            PushOperand(resulttypesum, sum);
-         } else if (count == 0) {
-            PushOperand("e#VALUE!", 0);
-         } else {
-            PushOperand("e#NUM!", 0);
-         }
-         break;
+   if (i >= values.length - 1) {
+      return values[values.length - 1];
    }
 
-   return;
+   return values[i] + (rank - i) * (values[i+1] - values[i]);
 };
-/**
- * @description Function list registrations for database statistical functions
- * Each entry follows the format: [function_handler, arg_count, arg_def, func_def, func_class]
- * - arg_count: 3 means exactly three arguments (database range, field name, criteria range)
- * - arg_def: "dfunc" refers to database function arguments
- * - func_class: "stat" indicates statistical function category
- */
-
-SocialCalc.Formula.FunctionList["DAVERAGE"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DCOUNT"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DCOUNTA"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DGET"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DMAX"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DMIN"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DPRODUCT"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DSTDEV"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DSTDEVP"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DSUM"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DVAR"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
-SocialCalc.Formula.FunctionList["DVARP"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
 
 /**
- * @function FieldToColnum
+ * @function RankFunctions
  * @memberof SocialCalc.Formula
- * @description Converts a field name to a column number within a database range
+ * @description Implements RANK, RANK.EQ, and RANK.AVG for the position of a value in a list
  * 
- * If fieldname is a number, uses it directly (if valid), otherwise looks up the string
- * in the header row cells to find the matching field number.
+ * RANK(value, range, [order]) returns the position of value among the numbers in range,
+ * largest first if order is 0 (the default) or smallest first otherwise. RANK and RANK.EQ give
+ * equal values the same (top) rank and RANK.AVG gives them the average of their ranks.
+ * The value must be in the range (#N/A).
  * 
+ * @param {string} fname - The function name ("RANK", "RANK.EQ", or "RANK.AVG")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @param {number} col1num - The first column number of the database range
- * @param {number} ncols - The number of columns in the database range
- * @param {number} row1num - The header row number of the database range
- * @param {*} fieldname - The field name to look up (string or number)
- * @param {string} fieldtype - The type of the fieldname parameter
- * @returns {number} Column number (1-based) if found, 0 if not found
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
  * @example
- * let colNum = SocialCalc.Formula.FieldToColnum(sheet, 1, 5, 1, "Sales", "t");
- * // Returns: 3 if "Sales" is found in the 3rd column header
+ * // Called internally by CalculateFunction
+ * // =RANK(A1, A1:A10) returns 1 if A1 is the largest value
+ * // =RANK.AVG(5, {5, 5, 3}, 0) returns 1.5
+ * SocialCalc.Formula.RankFunctions("RANK", operand, foperand, sheet);
  */
-SocialCalc.Formula.FieldToColnum = function(sheet, col1num, ncols, row1num, fieldname, fieldtype) {
-   let colnum, cell, value;
+SocialCalc.Formula.RankFunctions = function(fname, operand, foperand, sheet) {
+   let i, errortype;
+   let scf = SocialCalc.Formula;
+   let values = [];
+   let order = {type: "n", value: 0};
+   let higher = 0;
+   let same = 0;
 
-   if (fieldtype.charAt(0) == "n") { // number - return it if legal
-      colnum = fieldname - 0; // make sure a number
-      if (colnum <= 0 || colnum > ncols) {
-         return 0;
+   let value = scf.OperandAsNumber(sheet, foperand);
+   errortype = scf.ArgumentNumbers(sheet, foperand, values);
+
+   if (foperand.length) {
+      order = scf.OperandAsNumber(sheet, foperand);
+      if (foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
       }
-      return Math.floor(colnum);
    }
 
-   if (fieldtype.charAt(0) != "t") { // must be text otherwise
-      return 0;
+   if (value.type.charAt(0) != "n" || order.type.charAt(0) != "n" || errortype) {
+      scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : (errortype || (order.type.charAt(0) == "e" ? order.type : "e#VALUE!")), 0);
+      return;
    }
 
-   fieldname = fieldname ? fieldname.toLowerCase() : "";
+   for (i = 0; i < values.length; i++) {
+      if (values[i] == value.value) {
+         same++;
+      } else if (order.value == 0 ? values[i] > value.value : values[i] < value.value) {
+         higher++;
+      }
+   }
 
-   for (colnum = 0; colnum < ncols; colnum++) { // look through column headers for a match
-      cell = sheet.GetAssuredCell(SocialCalc.crToCoord(col1num+colnum, row1num));
-      value = cell.datavalue;
-      value = (value+"").toLowerCase(); // ignore case
-      if (value == fieldname) { // match
-         return colnum+1;
-      }         
+   if (!same) {
+      scf.PushOperand(operand, "e#N/A", 0);
+   } else if (fname == "RANK.AVG") {
+      scf.PushOperand(operand, "n", higher + (same + 1) / 2);
+   } else {
+      scf.PushOperand(operand, "n", higher + 1);
    }
-   return 0; // looked at all and no match
+
+   return;
 };
 
+SocialCalc.Formula.FunctionList["RANK"] = [SocialCalc.Formula.RankFunctions, -2, "rank", "", "stat"];
+SocialCalc.Formula.FunctionList["RANK.AVG"] = [SocialCalc.Formula.RankFunctions, -2, "rank", "", "stat"];
+SocialCalc.Formula.FunctionList["RANK.EQ"] = [SocialCalc.Formula.RankFunctions, -2, "rank", "", "stat"];
+
 /**
- * @function LookupFunctions
+ * @function BivariateFunctions
  * @memberof SocialCalc.Formula
- * @description Implements HLOOKUP, VLOOKUP, and MATCH functions for table lookups
+ * @description Implements statistics of paired values, including simple linear regression
  * 
- * These functions search for values in tables and return corresponding values or positions:
- * - HLOOKUP: Horizontal lookup in the first row, returns value from specified row
- * - VLOOKUP: Vertical lookup in the first column, returns value from specified column  
- * - MATCH: Returns the position of a value in a range
+ * - CORREL(range1, range2): Correlation coefficient
+ * - COVAR(range1, range2): Population covariance
+ * - SLOPE(known_y, known_x): Slope of the least squares line
+ * - INTERCEPT(known_y, known_x): Y intercept of the least squares line
+ * - RSQ(known_y, known_x): Square of the correlation coefficient
+ * - FORECAST(x, known_y, known_x) and FORECAST.LINEAR: Y value of the least squares line at x
  * 
- * Supports both exact match and range lookup modes.
+ * The ranges must have the same number of values (#N/A). Only pairs where both values are
+ * numeric are used.
  * 
- * @param {string} fname - The specific lookup function name (HLOOKUP, VLOOKUP, or MATCH)
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
  * @example
- * // Called internally by CalculateFunction for lookup functions
- * // =VLOOKUP("Product A", A1:D10, 3, FALSE) - exact match lookup
- * // =HLOOKUP(100, A1:Z3, 2, TRUE) - range lookup with approximate match
- * SocialCalc.Formula.LookupFunctions("VLOOKUP", operand, foperand, sheet);
+ * // Called internally by CalculateFunction
+ * // =CORREL(A1:A10, B1:B10) returns the correlation of the A and B values
+ * // =FORECAST(11, B1:B10, A1:A10) returns the B value predicted for an A value of 11
+ * SocialCalc.Formula.BivariateFunctions("CORREL", operand, foperand, sheet);
  */
-SocialCalc.Formula.LookupFunctions = function(fname, operand, foperand, sheet) {
-   let lookupvalue, range, offset, rangelookup, offsetvalue, rangeinfo;
-   let c, r, cincr, rincr, previousOK, csave, rsave, cell, value, valuetype, cr;
-
+SocialCalc.Formula.BivariateFunctions = function(fname, operand, foperand, sheet) {
+   let i, x, ys, xs, n, meanx, meany, sxx, syy, sxy, slope;
    let scf = SocialCalc.Formula;
-   let operand_value_and_type = scf.OperandValueAndType;
-   let lookup_result_type = scf.LookupResultType;
-   let typelookupplus = scf.TypeLookupTable.plus;
+   let pairs = [];
 
    /**
     * @function PushOperand
@@ -2430,226 +4100,539 @@ SocialCalc.Formula.LookupFunctions = function(fname, operand, foperand, sheet) {
     */
    let PushOperand = function(t, v) {operand.push({type: t, value: v});};
 
-   // Get the lookup value and convert strings to lowercase for case-insensitive comparison
-   lookupvalue = operand_value_and_type(sheet, foperand);
-   if (typeof lookupvalue.value == "string") {
-      lookupvalue.value = lookupvalue.value.toLowerCase();
+   if (fname.indexOf("FORECAST") == 0) {
+      x = scf.OperandAsNumber(sheet, foperand);
+      if (x.type.charAt(0) != "n") {
+         PushOperand(x.type.charAt(0) == "e" ? x.type : "e#VALUE!", 0);
+         return;
+      }
    }
 
-   // Get the range to search in
-   range = scf.TopOfStackValueAndType(sheet, foperand);
+   ys = scf.ArgumentValues(sheet, foperand);
+   xs = scf.ArgumentValues(sheet, foperand);
+   if (ys.type.charAt(0) == "e" || xs.type.charAt(0) == "e") {
+      PushOperand(ys.type.charAt(0) == "e" ? ys.type : xs.type, 0);
+      return;
+   }
+   if (ys.value.length != xs.value.length) {
+      PushOperand("e#N/A", 0);
+      return;
+   }
 
-   // Set default range lookup behavior and process optional arguments
-   rangelookup = 1; // default to true or 1
-   if (fname == "MATCH") {
-      if (foperand.length) {
-         rangelookup = scf.OperandAsNumber(sheet, foperand);
-         if (rangelookup.type.charAt(0) != "n") {
-            PushOperand("e#VALUE!", 0);
-            return;
-         }
-         if (foperand.length) {
-            scf.FunctionArgsError(fname, operand);
-            return 0;
-         }
-         rangelookup = rangelookup.value - 0;
-      }
-   } else {
-      // For HLOOKUP/VLOOKUP, get the offset (row/column index)
-      offsetvalue = scf.OperandAsNumber(sheet, foperand);
-      if (offsetvalue.type.charAt(0) != "n") {
-         PushOperand("e#VALUE!", 0);
+   for (i = 0; i < ys.value.length; i++) {
+      if (ys.value[i].type.charAt(0) == "e" || xs.value[i].type.charAt(0) == "e") {
+         PushOperand(ys.value[i].type.charAt(0) == "e" ? ys.value[i].type : xs.value[i].type, 0);
          return;
       }
-      offsetvalue = Math.floor(offsetvalue.value);
-      
-      if (foperand.length) {
-         rangelookup = scf.OperandAsNumber(sheet, foperand);
-         if (rangelookup.type.charAt(0) != "n") {
-            PushOperand("e#VALUE!", 0);
-            return;
-         }
-         if (foperand.length) {
-            scf.FunctionArgsError(fname, operand);
-            return 0;
-         }
-         rangelookup = rangelookup.value ? 1 : 0; // convert to 1 or 0
+      if (ys.value[i].type.charAt(0) == "n" && xs.value[i].type.charAt(0) == "n") {
+         pairs.push([xs.value[i].value - 0, ys.value[i].value - 0]); // the first range is "y" for all but COVAR and CORREL, where it doesn't matter
       }
    }
-   
-   // Normalize lookup value type and ensure numbers are numeric
-   lookupvalue.type = lookupvalue.type.charAt(0); // only deal with general type
-   if (lookupvalue.type == "n") { // if number, make sure a number
-      lookupvalue.value = lookupvalue.value - 0;
+
+   n = pairs.length;
+   if (!n) {
+      PushOperand("e#DIV/0!", 0);
+      return;
    }
 
-   // Validate range argument
-   if (range.type != "range") {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
+   meanx = 0;
+   meany = 0;
+   for (i = 0; i < n; i++) {
+      meanx += pairs[i][0];
+      meany += pairs[i][1];
    }
+   meanx /= n;
+   meany /= n;
 
-   rangeinfo = scf.DecodeRangeParts(sheet, range.value, range.type);
-   if (!rangeinfo) {
-      PushOperand("e#REF!", 0);
+   sxx = 0;
+   syy = 0;
+   sxy = 0;
+   for (i = 0; i < n; i++) { // sums of squares about the means
+      sxx += (pairs[i][0] - meanx) * (pairs[i][0] - meanx);
+      syy += (pairs[i][1] - meany) * (pairs[i][1] - meany);
+      sxy += (pairs[i][0] - meanx) * (pairs[i][1] - meany);
+   }
+
+   if (fname == "COVAR") {
+      PushOperand("n", sxy / n);
       return;
    }
 
-   // Set up search direction and validate offset bounds
-   c = 0;
-   r = 0;
-   cincr = 0;
-   rincr = 0;
-   
-   if (fname == "HLOOKUP") {
-      cincr = 1; // search horizontally
-      if (offsetvalue > rangeinfo.nrows) {
-         PushOperand("e#REF!", 0);
-         return;
-      }
-   } else if (fname == "VLOOKUP") {
-      rincr = 1; // search vertically
-      if (offsetvalue > rangeinfo.ncols) {
-         PushOperand("e#REF!", 0);
+   if (sxx == 0 || (syy == 0 && (fname == "CORREL" || fname == "RSQ"))) {
+      PushOperand("e#DIV/0!", 0);
+      return;
+   }
+
+   slope = sxy / sxx;
+
+   switch (fname) {
+      case "CORREL":
+         PushOperand("n", sxy / Math.sqrt(sxx * syy));
+         break;
+
+      case "RSQ":
+         PushOperand("n", sxy * sxy / (sxx * syy));
+         break;
+
+      case "SLOPE":
+         PushOperand("n", slope);
+         break;
+
+      case "INTERCEPT":
+         PushOperand("n", meany - slope * meanx);
+         break;
+
+      default: // FORECAST
+         PushOperand("n", meany + slope * (x.value - meanx));
+         break;
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["CORREL"] = [SocialCalc.Formula.BivariateFunctions, 2, "range2", "", "stat"];
+SocialCalc.Formula.FunctionList["COVAR"] = [SocialCalc.Formula.BivariateFunctions, 2, "range2", "", "stat"];
+SocialCalc.Formula.FunctionList["FORECAST"] = [SocialCalc.Formula.BivariateFunctions, 3, "forecast", "", "stat"];
+SocialCalc.Formula.FunctionList["FORECAST.LINEAR"] = [SocialCalc.Formula.BivariateFunctions, 3, "forecast", "", "stat"];
+SocialCalc.Formula.FunctionList["INTERCEPT"] = [SocialCalc.Formula.BivariateFunctions, 2, "knownyx", "", "stat"];
+SocialCalc.Formula.FunctionList["RSQ"] = [SocialCalc.Formula.BivariateFunctions, 2, "knownyx", "", "stat"];
+SocialCalc.Formula.FunctionList["SLOPE"] = [SocialCalc.Formula.BivariateFunctions, 2, "knownyx", "", "stat"];
+
+/**
+ * @function RegressionFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements LINEST and TREND for least squares fitting with one or more x variables
+ * 
+ * - LINEST(known_y, [known_x], [const], [stats]): Returns the coefficients of the fit as a row,
+ *   last x variable first and then the y intercept. If const is false, the intercept is 0.
+ *   If stats is true, four more rows are returned: the standard errors of the coefficients;
+ *   r squared and the standard error of y; the F statistic and the degrees of freedom;
+ *   and the regression and residual sums of squares. Unused cells are #N/A.
+ * - TREND(known_y, [known_x], [new_x], [const]): Returns the fitted y values for new_x
+ *   (known_x if omitted).
+ * 
+ * known_y is a single row or column. For one x variable known_x has the same shape, and for
+ * several each variable is a column (or row) of the same length as known_y. If known_x is
+ * omitted, it is 1, 2, 3, ...
+ * 
+ * @param {string} fname - The function name ("LINEST" or "TREND")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =LINEST(B1:B10, A1:A10) returns the slope and intercept in two cells across
+ * // =TREND(B1:B10, A1:A10, A11:A12) returns the fitted values for A11 and A12
+ * SocialCalc.Formula.RegressionFunctions("LINEST", operand, foperand, sheet);
+ */
+SocialCalc.Formula.RegressionFunctions = function(fname, operand, foperand, sheet) {
+   let i, j, r, c, value, ys, xs, newxs, n, k, bycol, fit, row, result, df;
+   let scf = SocialCalc.Formula;
+   let useconst = true;
+   let stats = false;
+   let args = [];
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   while (foperand.length) { // known_y, known_x, and then new_x (TREND) and options
+      if (args.length >= 4) {
+         scf.FunctionArgsError(fname, operand);
          return;
       }
-   } else if (fname == "MATCH") {
-      // Determine search direction based on range shape
-      if (rangeinfo.ncols > 1) {
-         if (rangeinfo.nrows > 1) {
-            PushOperand("e#N/A", 0);
-            return;
-         }
-         cincr = 1; // horizontal range
+      if (args.length < (fname == "TREND" ? 3 : 2)) {
+         value = scf.OperandAsArray(sheet, foperand);
       } else {
-         rincr = 1; // vertical range
+         value = scf.OperandValueAndType(sheet, foperand);
       }
-   } else {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
+      if (value.type.charAt(0) == "e") {
+         PushOperand(value.type, 0);
+         return;
+      }
+      args.push(value);
    }
-   
-   if (offsetvalue < 1 && fname != "MATCH") {
+
+   if (args.length > (fname == "TREND" ? 3 : 2)) {
+      useconst = args[fname == "TREND" ? 3 : 2].value ? true : false;
+   }
+   if (fname == "LINEST" && args.length > 3) {
+      stats = args[3].value ? true : false;
+   }
+
+   ys = args[0].value;
+   bycol = ys[0].length == 1; // observations down a column
+   if (!bycol && ys.length != 1) {
+      PushOperand("e#REF!", 0);
+      return;
+   }
+   ys = scf.ArrayToNumbers(bycol ? ys : scf.TransposeArray(ys));
+   if (!ys) { // something not a number
       PushOperand("e#VALUE!", 0);
-      return 0;
+      return;
    }
+   n = ys.length;
 
-   /** @type {number|undefined} Tracks previous acceptable match for range lookups */
-   previousOK; // if 1, previous test was <. If 2, also this one wasn't
-
-   // Main search loop
-   while (1) {
-      cr = SocialCalc.crToCoord(rangeinfo.col1num + c, rangeinfo.row1num + r);
-      cell = rangeinfo.sheetdata.GetAssuredCell(cr);
-      value = cell.datavalue;
-      valuetype = cell.valuetype ? cell.valuetype.charAt(0) : "b"; // only deal with general types
-      
-      if (valuetype == "n") {
-         value = value - 0; // make sure number
+   if (args[1]) {
+      xs = args[1].value;
+      if (!bycol || (xs.length == 1 && xs[0].length == n && n > 1)) {
+         xs = scf.TransposeArray(xs); // observations along a row
       }
-      
-      if (rangelookup) { // rangelookup type 1 or -1: look for within brackets for matches
-         if (lookupvalue.type == "n" && valuetype == "n") {
-            if (lookupvalue.value == value) { // exact match
-               break;
-            }
-            if ((rangelookup > 0 && lookupvalue.value > value)
-                || (rangelookup < 0 && lookupvalue.value < value)) { // possible match: wait and see
-               previousOK = 1;
-               csave = c; // remember col and row of last OK
-               rsave = r;
-            } else if (previousOK) { // last one was OK, this one isn't
-               previousOK = 2;
-               break;
-            }
-         } else if (lookupvalue.type == "t" && valuetype == "t") {
-            value = typeof value == "string" ? value.toLowerCase() : "";
-            if (lookupvalue.value == value) { // exact match
-               break;
-            }
-            if ((rangelookup > 0 && lookupvalue.value > value)
-                || (rangelookup < 0 && lookupvalue.value < value)) { // possible match: wait and see
-               previousOK = 1;
-               csave = c;
-               rsave = r;
-            } else if (previousOK) { // last one was OK, this one isn't
-               previousOK = 2;
-               break;
+      if (xs.length != n) {
+         PushOperand("e#REF!", 0);
+         return;
+      }
+      xs = scf.ArrayToNumbers(xs);
+      if (!xs) {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+   } else {
+      xs = [];
+      for (i = 0; i < n; i++) {
+         xs.push([i+1]);
+      }
+   }
+
+   k = xs[0].length;
+   for (i = 0; i < n; i++) {
+      ys[i] = ys[i][0];
+   }
+
+   fit = scf.LinearRegression(ys, xs, useconst);
+   if (!fit) {
+      PushOperand("e#NUM!", 0);
+      return;
+   }
+
+   if (fname == "TREND") {
+      if (args[2]) {
+         newxs = args[2].value;
+         if (k == 1) { // each value is an x, result is the same shape
+            result = [];
+            for (r = 0; r < newxs.length; r++) {
+               row = [];
+               for (c = 0; c < newxs[r].length; c++) {
+                  if (newxs[r][c].type.charAt(0) != "n") {
+                     PushOperand("e#VALUE!", 0);
+                     return;
+                  }
+                  row.push({type: "n", value: fit.intercept + fit.coefs[0] * newxs[r][c].value});
+               }
+               result.push(row);
             }
+            PushOperand("array", result);
+            return;
          }
-      } else { // exact value matches only
-         if (lookupvalue.type == "n" && valuetype == "n") {
-            if (lookupvalue.value == value) { // exact match
-               break;
-            }
-         } else if (lookupvalue.type == "t" && valuetype == "t") {
-            value = typeof value == "string" ? value.toLowerCase() : "";
-            if (lookupvalue.value == value) { // exact match
-               break;
+         if (!bycol) {
+            newxs = scf.TransposeArray(newxs);
+         }
+         if (newxs[0].length != k) {
+            PushOperand("e#REF!", 0);
+            return;
+         }
+         newxs = scf.ArrayToNumbers(newxs);
+         if (!newxs) {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+      } else {
+         newxs = xs;
+      }
+      result = [];
+      for (i = 0; i < newxs.length; i++) {
+         value = fit.intercept;
+         for (j = 0; j < k; j++) {
+            value += fit.coefs[j] * newxs[i][j];
+         }
+         result.push([{type: "n", value: value}]);
+      }
+      PushOperand("array", bycol ? result : scf.TransposeArray(result));
+      return;
+   }
+
+   result = [[]];
+   for (j = k - 1; j >= 0; j--) {
+      result[0].push({type: "n", value: fit.coefs[j]});
+   }
+   result[0].push({type: "n", value: fit.intercept});
+
+   if (stats) {
+      df = n - k - (useconst ? 1 : 0);
+      for (i = 1; i < 5; i++) {
+         result.push([]);
+         for (j = 0; j <= k; j++) {
+            result[i].push({type: "e#N/A", value: 0});
+         }
+      }
+      for (j = k - 1; j >= 0; j--) {
+         result[1][k - 1 - j] = {type: "n", value: fit.secoefs[j]};
+      }
+      if (useconst) {
+         result[1][k] = {type: "n", value: fit.seintercept};
+      }
+      result[2][0] = {type: "n", value: fit.ssreg / (fit.ssreg + fit.ssresid)};
+      result[2][1] = {type: "n", value: Math.sqrt(fit.ssresid / df)};
+      result[3][0] = {type: "n", value: (fit.ssreg / k) / (fit.ssresid / df)};
+      result[3][1] = {type: "n", value: df};
+      result[4][0] = {type: "n", value: fit.ssreg};
+      result[4][1] = {type: "n", value: fit.ssresid};
+      for (i = 2; i < 5; i++) {
+         for (j = 0; j < 2; j++) {
+            if (result[i][j].type == "n" && !isFinite(result[i][j].value)) {
+               result[i][j] = {type: "e#NUM!", value: 0};
             }
          }
       }
+   }
 
-      // Move to next position
-      r += rincr;
-      c += cincr;
-      
-      if (r >= rangeinfo.nrows || c >= rangeinfo.ncols) { // end of range to check, no exact match
-         if (previousOK) { // at least one could have been OK
-            previousOK = 2;
-            break;
+   PushOperand("array", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["LINEST"] = [SocialCalc.Formula.RegressionFunctions, -1, "linest", "", "stat"];
+SocialCalc.Formula.FunctionList["TREND"] = [SocialCalc.Formula.RegressionFunctions, -1, "trend", "", "stat"];
+
+/**
+ * @function LinearRegression
+ * @memberof SocialCalc.Formula
+ * @description Fits y = b + m1*x1 + m2*x2 + ... by least squares
+ * 
+ * The x values are centered on their means before solving, so large values like years
+ * don't lose precision.
+ * 
+ * @param {Array<number>} ys - The y value of each observation
+ * @param {Array<Array<number>>} xs - The x values of each observation
+ * @param {boolean} useconst - If false, the intercept b is 0
+ * @returns {Object|null} Result object, or null if there are too few observations or the x's are linearly dependent:
+ *   - {Array<number>} coefs - m1, m2, ...
+ *   - {number} intercept - b
+ *   - {Array<number>} secoefs - Standard error of each coefficient
+ *   - {number} seintercept - Standard error of the intercept
+ *   - {number} ssreg - Regression sum of squares
+ *   - {number} ssresid - Residual sum of squares
+ * 
+ * @example
+ * SocialCalc.Formula.LinearRegression([3, 5, 7], [[1], [2], [3]], true)
+ * // Returns: {coefs: [2], intercept: 1, ...}
+ */
+SocialCalc.Formula.LinearRegression = function(ys, xs, useconst) {
+   let i, j, l, value, a, inverse, s2, df;
+   let n = ys.length;
+   let k = xs[0].length;
+   let meanx = [];
+   let meany = 0;
+   let xty = [];
+   let fit = {coefs: [], intercept: 0, secoefs: [], seintercept: 0, ssreg: 0, ssresid: 0};
+
+   for (j = 0; j < k; j++) {
+      meanx[j] = 0;
+      if (useconst) {
+         for (i = 0; i < n; i++) {
+            meanx[j] += xs[i][j] / n;
          }
-         PushOperand("e#N/A", 0);
-         return;
+      }
+   }
+   if (useconst) {
+      for (i = 0; i < n; i++) {
+         meany += ys[i] / n;
       }
    }
 
-   // Use the best available match
-   if (previousOK == 2) { // back to last OK
-      r = rsave;
-      c = csave;
+   a = [];
+   for (j = 0; j < k; j++) { // X'X and X'y with centered values
+      a.push([]);
+      xty[j] = 0;
+      for (l = 0; l < k; l++) {
+         a[j][l] = 0;
+         for (i = 0; i < n; i++) {
+            a[j][l] += (xs[i][j] - meanx[j]) * (xs[i][l] - meanx[l]);
+         }
+      }
+      for (i = 0; i < n; i++) {
+         xty[j] += (xs[i][j] - meanx[j]) * (ys[i] - meany);
+      }
    }
 
-   // Return appropriate result based on function type
-   if (fname == "MATCH") {
-      value = c + r + 1; // only one may be <> 0
-      valuetype = "n";
-   } else {
-      // Get the value from the offset position
-      cr = SocialCalc.crToCoord(
-         rangeinfo.col1num + c + (fname == "VLOOKUP" ? offsetvalue-1 : 0), 
-         rangeinfo.row1num + r + (fname == "HLOOKUP" ? offsetvalue-1 : 0)
-      );
-      cell = rangeinfo.sheetdata.GetAssuredCell(cr);
-      value = cell.datavalue;
-      valuetype = cell.valuetype;
+   inverse = SocialCalc.Formula.InvertMatrix(a);
+   if (!inverse) {
+      return null;
    }
-   
-   PushOperand(valuetype, value);
 
-   return;
+   fit.intercept = meany;
+   for (j = 0; j < k; j++) {
+      fit.coefs[j] = 0;
+      for (l = 0; l < k; l++) {
+         fit.coefs[j] += inverse[j][l] * xty[l];
+      }
+      fit.intercept -= fit.coefs[j] * meanx[j];
+   }
+
+   for (i = 0; i < n; i++) {
+      value = fit.intercept;
+      for (j = 0; j < k; j++) {
+         value += fit.coefs[j] * xs[i][j];
+      }
+      fit.ssresid += (ys[i] - value) * (ys[i] - value);
+      fit.ssreg += (value - meany) * (value - meany); // about 0 if no constant
+   }
+
+   df = n - k - (useconst ? 1 : 0);
+   s2 = df > 0 ? fit.ssresid / df : NaN;
+   for (j = 0; j < k; j++) {
+      fit.secoefs[j] = Math.sqrt(inverse[j][j] * s2);
+   }
+   if (useconst) {
+      value = 1 / n;
+      for (j = 0; j < k; j++) {
+         for (l = 0; l < k; l++) {
+            value += meanx[j] * inverse[j][l] * meanx[l];
+         }
+      }
+      fit.seintercept = Math.sqrt(value * s2);
+   }
+
+   return fit;
 };
 
 /**
- * @description Function list registrations for lookup functions
- * Each entry follows the format: [function_handler, arg_count, arg_def, func_def, func_class]
- * - arg_count: negative values indicate minimum number of arguments (-2 means 2+, -3 means 3+)
- * - func_class: "lookup" indicates lookup/reference function category
+ * @function InvertMatrix
+ * @memberof SocialCalc.Formula
+ * @description Returns the inverse of a square matrix, using Gauss-Jordan elimination with partial pivoting
+ * 
+ * @param {Array<Array<number>>} matrix - The matrix, as an array of rows (not changed)
+ * @returns {Array<Array<number>>|null} The inverse, or null if the matrix is singular
+ * 
+ * @example
+ * SocialCalc.Formula.InvertMatrix([[2, 0], [0, 4]]) // Returns: [[0.5, 0], [0, 0.25]]
  */
-SocialCalc.Formula.FunctionList["HLOOKUP"] = [SocialCalc.Formula.LookupFunctions, -3, "hlookup", "", "lookup"];
-SocialCalc.Formula.FunctionList["MATCH"] = [SocialCalc.Formula.LookupFunctions, -2, "match", "", "lookup"];
-SocialCalc.Formula.FunctionList["VLOOKUP"] = [SocialCalc.Formula.LookupFunctions, -3, "vlookup", "", "lookup"];
+SocialCalc.Formula.InvertMatrix = function(matrix) {
+   let i, j, l, pivot, value, row, scale;
+   let n = matrix.length;
+   let a = [];
+   let inverse = [];
+
+   for (i = 0; i < n; i++) {
+      a.push(matrix[i].slice(0));
+      inverse.push([]);
+      for (j = 0; j < n; j++) {
+         inverse[i][j] = i == j ? 1 : 0;
+      }
+   }
+
+   scale = 0;
+   for (i = 0; i < n; i++) {
+      for (j = 0; j < n; j++) {
+         scale = Math.max(scale, Math.abs(a[i][j]));
+      }
+   }
+
+   for (j = 0; j < n; j++) {
+      pivot = j;
+      for (i = j + 1; i < n; i++) { // largest remaining value in the column
+         if (Math.abs(a[i][j]) > Math.abs(a[pivot][j])) {
+            pivot = i;
+         }
+      }
+      if (Math.abs(a[pivot][j]) <= scale * 1e-13) { // singular
+         return null;
+      }
+      row = a[j];
+      a[j] = a[pivot];
+      a[pivot] = row;
+      row = inverse[j];
+      inverse[j] = inverse[pivot];
+      inverse[pivot] = row;
+
+      value = a[j][j];
+      for (l = 0; l < n; l++) {
+         a[j][l] /= value;
+         inverse[j][l] /= value;
+      }
+      for (i = 0; i < n; i++) {
+         if (i != j && a[i][j] != 0) {
+            value = a[i][j];
+            for (l = 0; l < n; l++) {
+               a[i][l] -= value * a[j][l];
+               inverse[i][l] -= value * inverse[j][l];
+            }
+         }
+      }
+   }
+
+   return inverse;
+};
+
 /**
- * @function IndexFunction
+ * @function Determinant
  * @memberof SocialCalc.Formula
- * @description Implements the INDEX function for retrieving values from ranges by position
+ * @description Returns the determinant of a square matrix, using LU decomposition with partial pivoting
  * 
- * INDEX(range, rownum, colnum) returns a reference to a cell or range at the specified position.
- * - If both row and column are specified, returns the cell at that intersection
- * - If only row is specified (or only column for single-row ranges), returns the entire row/column
- * - If neither is specified, returns the entire range
+ * @param {Array<Array<number>>} matrix - The matrix, as an array of rows (not changed)
+ * @returns {number} The determinant
  * 
- * @param {string} fname - The function name ("INDEX")
+ * @example
+ * SocialCalc.Formula.Determinant([[1, 2], [3, 4]]) // Returns: -2
+ */
+SocialCalc.Formula.Determinant = function(matrix) {
+   let i, j, l, pivot, value, row;
+   let n = matrix.length;
+   let a = [];
+   let result = 1;
+
+   for (i = 0; i < n; i++) {
+      a.push(matrix[i].slice(0));
+   }
+
+   for (j = 0; j < n; j++) {
+      pivot = j;
+      for (i = j + 1; i < n; i++) { // largest remaining value in the column
+         if (Math.abs(a[i][j]) > Math.abs(a[pivot][j])) {
+            pivot = i;
+         }
+      }
+      if (a[pivot][j] == 0) { // singular
+         return 0;
+      }
+      if (pivot != j) { // swapping rows changes the sign
+         row = a[j];
+         a[j] = a[pivot];
+         a[pivot] = row;
+         result = -result;
+      }
+      result *= a[j][j];
+      for (i = j + 1; i < n; i++) {
+         value = a[i][j] / a[j][j];
+         for (l = j + 1; l < n; l++) {
+            a[i][l] -= value * a[j][l];
+         }
+      }
+   }
+
+   return result;
+};
+
+/**
+ * @function MatrixFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements matrix functions, most of which return an array
+ * 
+ * - MMULT(array1, array2): Matrix product (the columns of array1 must equal the rows of array2)
+ * - MINVERSE(array): Inverse of a square matrix, #NUM! if it is singular
+ * - MDETERM(array): Determinant of a square matrix
+ * - TRANSPOSE(array): The rows as columns and the columns as rows
+ * - MUNIT(n): The n by n identity matrix, limited in size like SEQUENCE
+ * 
+ * All values of MMULT, MINVERSE, and MDETERM arrays must be numbers. TRANSPOSE returns blanks as 0.
+ * 
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -2657,14 +4640,16 @@ SocialCalc.Formula.FunctionList["VLOOKUP"] = [SocialCalc.Formula.LookupFunctions
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =INDEX(A1:C5, 2, 3) returns reference to C2
- * // =INDEX(A1:A10, 5) returns reference to A5 (single column)
- * SocialCalc.Formula.IndexFunction("INDEX", operand, foperand, sheet);
+ * // =MMULT(A1:B2,D1:D2) returns a 2 by 1 array
+ * // =MDETERM(A1:B2) returns -2 if A1:B2 is {1,2;3,4}
+ * // =TRANSPOSE(A1:C1) returns the values of A1:C1 as a column
+ * // =MUNIT(3) returns the 3 by 3 identity matrix
+ * SocialCalc.Formula.MatrixFunctions("MMULT", operand, foperand, sheet);
  */
-SocialCalc.Formula.IndexFunction = function(fname, operand, foperand, sheet) {
-   let range, sheetname, indexinfo, rowindex, colindex, result, resulttype;
-
+SocialCalc.Formula.MatrixFunctions = function(fname, operand, foperand, sheet) {
+   let value, a, b, n, r, c, i, sum, row, result;
    let scf = SocialCalc.Formula;
+   let args = [];
 
    /**
     * @function PushOperand
@@ -2674,116 +4659,149 @@ SocialCalc.Formula.IndexFunction = function(fname, operand, foperand, sheet) {
     */
    let PushOperand = function(t, v) {operand.push({type: t, value: v});};
 
-   // Get the range argument
-   range = scf.TopOfStackValueAndType(sheet, foperand); // get range
-   if (range.type != "range") {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
-   }
-   
-   indexinfo = scf.DecodeRangeParts(sheet, range.value, range.type);
-   if (indexinfo.sheetname) {
-      sheetname = "!" + indexinfo.sheetname;
-   } else {
-      sheetname = "";
-   }
-
-   // Initialize row and column indices
-   rowindex = {value: 0};
-   colindex = {value: 0};
+   /**
+    * @function PushNumbers
+    * @description Pushes rows of numbers as an array result
+    * @param {Array<Array<number>>} rows - The numbers
+    */
+   let PushNumbers = function(rows) {
+      let r, c;
+      let result = [];
+      for (r = 0; r < rows.length; r++) {
+         result.push([]);
+         for (c = 0; c < rows[r].length; c++) {
+            result[r].push({type: "n", value: rows[r][c]});
+         }
+      }
+      PushOperand("array", result);
+   };
 
-   if (foperand.length) { // look for row number
-      rowindex = scf.OperandAsNumber(sheet, foperand);
-      if (rowindex.type.charAt(0) != "n" || rowindex.value < 0) {
+   if (fname == "MUNIT") {
+      value = scf.OperandAsNumber(sheet, foperand);
+      if (value.type.charAt(0) != "n") {
+         PushOperand(value.type.charAt(0) == "e" ? value.type : "e#VALUE!", 0);
+         return;
+      }
+      n = Math.trunc(value.value);
+      if (n < 1) {
          PushOperand("e#VALUE!", 0);
          return;
       }
-      
-      if (foperand.length) { // look for col number
-         colindex = scf.OperandAsNumber(sheet, foperand);
-         if (colindex.type.charAt(0) != "n" || colindex.value < 0) {
-            PushOperand("e#VALUE!", 0);
-            return;
-         }
-         if (foperand.length) {
-            scf.FunctionArgsError(fname, operand);
-            return 0;
-         }
-      } else { // col number missing
-         if (indexinfo.nrows == 1) { // if only one row, then rowindex is really colindex
-            colindex.value = rowindex.value;
-            rowindex.value = 0;
+      if (n > scf.MaxArrayColumns || n * n > scf.MaxArrayElements) {
+         PushOperand("e#NUM!", 0);
+         return;
+      }
+      result = [];
+      for (r = 0; r < n; r++) {
+         result.push([]);
+         for (c = 0; c < n; c++) {
+            result[r].push(r == c ? 1 : 0);
          }
       }
-   }
-
-   // Validate indices are within range bounds
-   if (rowindex.value > indexinfo.nrows || colindex.value > indexinfo.ncols) {
-      PushOperand("e#REF!", 0);
+      PushNumbers(result);
       return;
    }
 
-   // Generate the appropriate result based on the indices provided
-   if (rowindex.value == 0) {
-      if (colindex.value == 0) {
-         // Return entire range
-         if (indexinfo.nrows == 1 && indexinfo.ncols == 1) {
-            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num) + sheetname;
-            resulttype = "coord";
-         } else {
-            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num) + sheetname + "|" +
-                     SocialCalc.crToCoord(indexinfo.col1num+indexinfo.ncols-1, indexinfo.row1num+indexinfo.nrows-1) + 
-                     "|";
-            resulttype = "range";
+   while (foperand.length) {
+      value = scf.OperandAsArray(sheet, foperand);
+      if (value.type.charAt(0) == "e") {
+         PushOperand(value.type, 0);
+         return;
+      }
+      args.push(value.value);
+   }
+   if (args.length != (fname == "MMULT" ? 2 : 1)) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+
+   if (fname == "TRANSPOSE") {
+      result = scf.TransposeArray(args[0]);
+      for (r = 0; r < result.length; r++) {
+         for (c = 0; c < result[r].length; c++) {
+            if (result[r][c].type == "b") {
+               result[r][c] = {type: "n", value: 0};
+            }
          }
-      } else {
-         // Return entire column
-         if (indexinfo.nrows == 1) {
-            result = SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num) + sheetname;
-            resulttype = "coord";
-         } else {
-            result = SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num) + sheetname + "|" +
-                     SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num+indexinfo.nrows-1) +
-                     "|";
-            resulttype = "range";
+      }
+      PushOperand("array", result);
+      return;
+   }
+
+   for (i = 0; i < args.length; i++) { // errors in the values are the result
+      for (r = 0; r < args[i].length; r++) {
+         for (c = 0; c < args[i][r].length; c++) {
+            if (args[i][r][c].type.charAt(0) == "e") {
+               PushOperand(args[i][r][c].type, 0);
+               return;
+            }
          }
       }
-   } else {
-      if (colindex.value == 0) {
-         // Return entire row
-         if (indexinfo.ncols == 1) {
-            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num+rowindex.value-1) + sheetname;
-            resulttype = "coord";
-         } else {
-            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num+rowindex.value-1) + sheetname + "|" +
-                     SocialCalc.crToCoord(indexinfo.col1num+indexinfo.ncols-1, indexinfo.row1num+rowindex.value-1) +
-                     "|";
-            resulttype = "range";
+   }
+
+   a = scf.ArrayToNumbers(args[0]);
+   b = args[1] ? scf.ArrayToNumbers(args[1]) : null;
+   if (!a || (args[1] && !b)) { // something not a number
+      PushOperand("e#VALUE!", 0);
+      return;
+   }
+
+   if (fname == "MMULT") {
+      if (a[0].length != b.length) {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      result = [];
+      for (r = 0; r < a.length; r++) {
+         row = [];
+         for (c = 0; c < b[0].length; c++) {
+            sum = 0;
+            for (i = 0; i < b.length; i++) {
+               sum += a[r][i] * b[i][c];
+            }
+            row.push(sum);
          }
-      } else {
-         // Return specific cell
-         result = SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num+rowindex.value-1) + sheetname;
-         resulttype = "coord";
+         result.push(row);
       }
+      PushNumbers(result);
+      return;
    }
 
-   PushOperand(resulttype, result);
+   if (a.length != a[0].length) { // MINVERSE and MDETERM need a square matrix
+      PushOperand("e#VALUE!", 0);
+      return;
+   }
+
+   if (fname == "MDETERM") {
+      PushOperand("n", scf.Determinant(a));
+      return;
+   }
+
+   result = scf.InvertMatrix(a); // MINVERSE
+   if (!result) {
+      PushOperand("e#NUM!", 0);
+      return;
+   }
+   PushNumbers(result);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["INDEX"] = [SocialCalc.Formula.IndexFunction, -1, "index", "", "lookup"];
+SocialCalc.Formula.FunctionList["MDETERM"] = [SocialCalc.Formula.MatrixFunctions, 1, "matrix", "", "math"];
+SocialCalc.Formula.FunctionList["MINVERSE"] = [SocialCalc.Formula.MatrixFunctions, 1, "matrix", "", "math"];
+SocialCalc.Formula.FunctionList["MMULT"] = [SocialCalc.Formula.MatrixFunctions, 2, "mmult", "", "math"];
+SocialCalc.Formula.FunctionList["MUNIT"] = [SocialCalc.Formula.MatrixFunctions, 1, "munit", "", "math"];
+SocialCalc.Formula.FunctionList["TRANSPOSE"] = [SocialCalc.Formula.MatrixFunctions, 1, "matrix", "", "math"];
 
 /**
- * @function CountifSumifFunctions
+ * @function SumproductFunction
  * @memberof SocialCalc.Formula
- * @description Implements COUNTIF and SUMIF functions for conditional counting and summing
+ * @description Implements SUMPRODUCT, the sum of the products of corresponding values
  * 
- * - COUNTIF(range, criteria): Counts cells in range that meet criteria
- * - SUMIF(range, criteria, [sum_range]): Sums values where criteria are met
- *   If sum_range is omitted, sums the values in the criteria range
+ * SUMPRODUCT(array1, [array2, ...]): The arrays must all be the same size.
+ * Values that are not numbers are treated as 0, and an error in any value is the result.
  * 
- * @param {string} fname - The function name ("COUNTIF" or "SUMIF")
+ * @param {string} fname - The function name ("SUMPRODUCT")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -2791,1198 +4809,6954 @@ SocialCalc.Formula.FunctionList["INDEX"] = [SocialCalc.Formula.IndexFunction, -1
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =COUNTIF(A1:A10, ">5") counts cells > 5
- * // =SUMIF(A1:A10, ">5", B1:B10) sums B values where A > 5
- * SocialCalc.Formula.CountifSumifFunctions("SUMIF", operand, foperand, sheet);
+ * // =SUMPRODUCT(A1:A3,B1:B3) returns A1*B1+A2*B2+A3*B3
+ * // =SUMPRODUCT(A1:A3,B1:B2) returns #VALUE! (different sizes)
+ * SocialCalc.Formula.SumproductFunction("SUMPRODUCT", operand, foperand, sheet);
  */
-SocialCalc.Formula.CountifSumifFunctions = function(fname, operand, foperand, sheet) {
-   let range, criteria, sumrange, f2operand, result, resulttype, value1, value2;
-   let sum = 0;
-   let resulttypesum = "";
-   let count = 0;
-
+SocialCalc.Formula.SumproductFunction = function(fname, operand, foperand, sheet) {
+   let value, products, i, r, c, element;
    let scf = SocialCalc.Formula;
-   let operand_value_and_type = scf.OperandValueAndType;
-   let lookup_result_type = scf.LookupResultType;
-   let typelookupplus = scf.TypeLookupTable.plus;
-
-   /**
-    * @function PushOperand
-    * @description Helper function to push operand onto stack
-    * @param {string} t - Type of operand
-    * @param {*} v - Value of operand
-    */
-   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+   let args = [];
+   let sum = 0;
 
-   // Get function arguments
-   range = scf.TopOfStackValueAndType(sheet, foperand); // get range or coord
-   criteria = scf.OperandAsText(sheet, foperand); // get criteria
-   
-   if (fname == "SUMIF") {
-      if (foperand.length == 1) { // three arg form of SUMIF
-         sumrange = scf.TopOfStackValueAndType(sheet, foperand);
-      } else if (foperand.length == 0) { // two arg form
-         sumrange = {value: range.value, type: range.type};
-      } else {
-         scf.FunctionArgsError(fname, operand);
-         return 0;
+   while (foperand.length) {
+      value = scf.OperandAsArray(sheet, foperand);
+      if (value.type.charAt(0) == "e") {
+         scf.PushOperand(operand, value.type, 0);
+         return;
       }
-   } else {
-      sumrange = {value: range.value, type: range.type};
+      args.push(value.value);
    }
 
-   // Process criteria value
-   if (criteria.type.charAt(0) == "n") {
-      criteria.value = criteria.value + ""; // make text
-   } else if (criteria.type.charAt(0) == "e") { // error
-      criteria.value = null;
-   } else if (criteria.type.charAt(0) == "b") { // blank here is undefined
-      criteria.value = null;
+   for (i = 1; i < args.length; i++) {
+      if (args[i].length != args[0].length || args[i][0].length != args[0][0].length) {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
    }
 
-   // Validate range arguments
-   if (range.type != "coord" && range.type != "range") {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
+   for (r = 0; r < args[0].length; r++) {
+      for (c = 0; c < args[0][r].length; c++) {
+         products = 1;
+         for (i = 0; i < args.length; i++) {
+            element = args[i][r][c];
+            if (element.type.charAt(0) == "e") {
+               scf.PushOperand(operand, element.type, 0);
+               return;
+            }
+            products *= element.type.charAt(0) == "n" ? element.value - 0 : 0;
+         }
+         sum += products;
+      }
    }
 
-   if (fname == "SUMIF" && sumrange.type != "coord" && sumrange.type != "range") {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
+   scf.PushOperand(operand, "n", sum);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["SUMPRODUCT"] = [SocialCalc.Formula.SumproductFunction, -1, "sumproduct", "", "math"];
+
+/**
+ * @function DistributionFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements probability distribution and related functions with numeric arguments
+ * 
+ * - NORM.DIST(x, mean, stddev, cumulative): Normal distribution
+ * - NORM.INV(probability, mean, stddev): Inverse of the cumulative normal distribution
+ * - NORM.S.DIST(z, cumulative): Standard normal distribution
+ * - T.DIST(x, degfreedom, cumulative): Student's t distribution (left tail)
+ * - T.INV(probability, degfreedom): Inverse of the left tailed t distribution
+ * - CHISQ.DIST(x, degfreedom, cumulative): Chi-squared distribution (left tail)
+ * - BINOM.DIST(successes, trials, probability, cumulative): Binomial distribution
+ * - POISSON.DIST(x, mean, cumulative): Poisson distribution
+ * - EXPON.DIST(x, lambda, cumulative): Exponential distribution
+ * - GAMMA(x) and GAMMALN(x): Gamma function and its natural logarithm
+ * - CONFIDENCE.NORM(alpha, stddev, size): Half width of the normal confidence interval for a mean
+ * 
+ * If cumulative is false, the probability density (or mass) is returned instead of the
+ * cumulative probability. Degrees of freedom, counts, and sizes are truncated to integers.
+ * Arguments out of range return #NUM!.
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =NORM.DIST(1, 0, 1, TRUE) returns 0.841344746
+ * // =T.INV(0.975, 10) returns 2.228138852
+ * // =BINOM.DIST(3, 10, 0.5, FALSE) returns 0.1171875
+ * SocialCalc.Formula.DistributionFunctions("NORM.DIST", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DistributionFunctions = function(fname, operand, foperand, sheet) {
+   let x, df, n, k, p, mean, sd, cumulative, result;
+   let scf = SocialCalc.Formula;
+   let args = scf.ArgumentsAsNumbers(sheet, foperand);
+
+   if (args.type.charAt(0) != "n") {
+      scf.PushOperand(operand, args.type, 0);
+      return;
    }
+   args = args.value;
 
-   // Set up operand stacks for parallel processing of criteria and sum ranges
-   foperand.push(range);
-   f2operand = []; // to allow for 3 arg form
-   f2operand.push(sumrange);
+   switch (fname) {
+      case "NORM.DIST":
+      case "NORM.S.DIST":
+         if (fname == "NORM.S.DIST") {
+            args = [args[0], 0, 1, args[1]];
+         }
+         x = args[0];
+         mean = args[1];
+         sd = args[2];
+         cumulative = args[3];
+         if (sd <= 0) {
+            break;
+         }
+         x = (x - mean) / sd;
+         if (cumulative) {
+            result = scf.NormalDistribution(x);
+         } else {
+            result = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI) / sd;
+         }
+         break;
 
-   // Process each cell in the ranges
-   while (foperand.length) {
-      value1 = operand_value_and_type(sheet, foperand); // criteria range value
-      value2 = operand_value_and_type(sheet, f2operand); // sum range value
+      case "NORM.INV":
+         p = args[0];
+         mean = args[1];
+         sd = args[2];
+         if (p <= 0 || p >= 1 || sd <= 0) {
+            break;
+         }
+         result = mean + sd * scf.NormalInverse(p);
+         break;
 
-      if (!scf.TestCriteria(value1.value, value1.type, criteria.value)) {
-         continue; // doesn't meet criteria
-      }
+      case "T.DIST":
+         x = args[0];
+         df = Math.floor(args[1]);
+         cumulative = args[2];
+         if (df < 1) {
+            break;
+         }
+         if (cumulative) {
+            result = x > 0 ? 1 - scf.StudentTTail(x, df) : scf.StudentTTail(-x, df);
+         } else {
+            result = Math.exp(scf.GammaLn((df + 1) / 2) - scf.GammaLn(df / 2) - Math.log(df * Math.PI) / 2 -
+                        (df + 1) / 2 * Math.log(1 + x * x / df));
+         }
+         break;
 
-      count += 1;
+      case "T.INV":
+         p = args[0];
+         df = Math.floor(args[1]);
+         if (p <= 0 || p >= 1 || df < 1) {
+            break;
+         }
+         result = p < 0.5 ? -scf.StudentTInverseTail(p, df) : scf.StudentTInverseTail(1 - p, df);
+         break;
 
-      if (value2.type.charAt(0) == "n") {
-         sum += value2.value-0;
-         resulttypesum = lookup_result_type(value2.type, resulttypesum || value2.type, typelookupplus);
-      } else if (value2.type.charAt(0) == "e" && resulttypesum.charAt(0) != "e") {
-         resulttypesum = value2.type;
-      }
-   }
+      case "CHISQ.DIST":
+         x = args[0];
+         df = Math.floor(args[1]);
+         cumulative = args[2];
+         if (x < 0 || df < 1 || df > 1e10) {
+            break;
+         }
+         if (cumulative) {
+            result = scf.IncompleteGamma(df / 2, x / 2, false);
+         } else if (x == 0) {
+            result = df == 2 ? 0.5 : (df > 2 ? 0 : null);
+         } else {
+            result = Math.exp((df / 2 - 1) * Math.log(x) - x / 2 - (df / 2) * Math.LN2 - scf.GammaLn(df / 2));
+         }
+         break;
 
-   resulttypesum = resulttypesum || "n";
+      case "BINOM.DIST":
+         k = Math.floor(args[0]);
+         n = Math.floor(args[1]);
+         p = args[2];
+         cumulative = args[3];
+         if (k < 0 || k > n || p < 0 || p > 1) {
+            break;
+         }
+         if (cumulative) {
+            if (k == n || p == 0) {
+               result = 1;
+            } else if (p == 1) {
+               result = 0;
+            } else {
+               result = scf.IncompleteBeta(n - k, k + 1, 1 - p);
+            }
+         } else if (p == 0 || p == 1) {
+            result = (p == 0 ? k == 0 : k == n) ? 1 : 0;
+         } else {
+            result = Math.exp(scf.GammaLn(n + 1) - scf.GammaLn(k + 1) - scf.GammaLn(n - k + 1) +
+                        k * Math.log(p) + (n - k) * Math.log(1 - p));
+         }
+         break;
 
-   // Return appropriate result
-   if (fname == "SUMIF") {
-      PushOperand(resulttypesum, sum);
-   } else if (fname == "COUNTIF") {
-      PushOperand("n", count);
+      case "POISSON.DIST":
+         k = Math.floor(args[0]);
+         mean = args[1];
+         cumulative = args[2];
+         if (k < 0 || mean < 0) {
+            break;
+         }
+         if (mean == 0) {
+            result = cumulative || k == 0 ? 1 : 0;
+         } else if (cumulative) {
+            result = scf.IncompleteGamma(k + 1, mean, true);
+         } else {
+            result = Math.exp(k * Math.log(mean) - mean - scf.GammaLn(k + 1));
+         }
+         break;
+
+      case "EXPON.DIST":
+         x = args[0];
+         mean = args[1]; // lambda
+         cumulative = args[2];
+         if (x < 0 || mean <= 0) {
+            break;
+         }
+         result = cumulative ? 1 - Math.exp(-mean * x) : mean * Math.exp(-mean * x);
+         break;
+
+      case "GAMMA":
+         result = scf.GammaFunction(args[0]);
+         break;
+
+      case "GAMMALN":
+         if (args[0] > 0) {
+            result = scf.GammaLn(args[0]);
+         }
+         break;
+
+      case "CONFIDENCE.NORM":
+         p = args[0];
+         sd = args[1];
+         n = Math.floor(args[2]);
+         if (p <= 0 || p >= 1 || sd <= 0 || n < 1) {
+            break;
+         }
+         result = scf.NormalInverse(1 - p / 2) * sd / Math.sqrt(n);
+         break;
+   }
+
+   if (result == null || !isFinite(result)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+   } else {
+      scf.PushOperand(operand, "n", result);
    }
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["COUNTIF"] = [SocialCalc.Formula.CountifSumifFunctions, 2, "rangec", "", "stat"];
-SocialCalc.Formula.FunctionList["SUMIF"] = [SocialCalc.Formula.CountifSumifFunctions, -2, "sumif", "", "stat"];
+SocialCalc.Formula.FunctionList["BINOM.DIST"] = [SocialCalc.Formula.DistributionFunctions, 4, "binomdist", "", "statistical"];
+SocialCalc.Formula.FunctionList["CHISQ.DIST"] = [SocialCalc.Formula.DistributionFunctions, 3, "xdfcumulative", "", "statistical"];
+SocialCalc.Formula.FunctionList["CONFIDENCE.NORM"] = [SocialCalc.Formula.DistributionFunctions, 3, "confidence", "", "statistical"];
+SocialCalc.Formula.FunctionList["EXPON.DIST"] = [SocialCalc.Formula.DistributionFunctions, 3, "expondist", "", "statistical"];
+SocialCalc.Formula.FunctionList["GAMMA"] = [SocialCalc.Formula.DistributionFunctions, 1, "v", "", "statistical"];
+SocialCalc.Formula.FunctionList["GAMMALN"] = [SocialCalc.Formula.DistributionFunctions, 1, "v", "", "statistical"];
+SocialCalc.Formula.FunctionList["NORM.DIST"] = [SocialCalc.Formula.DistributionFunctions, 4, "normdist", "", "statistical"];
+SocialCalc.Formula.FunctionList["NORM.INV"] = [SocialCalc.Formula.DistributionFunctions, 3, "norminv", "", "statistical"];
+SocialCalc.Formula.FunctionList["NORM.S.DIST"] = [SocialCalc.Formula.DistributionFunctions, 2, "normsdist", "", "statistical"];
+SocialCalc.Formula.FunctionList["POISSON.DIST"] = [SocialCalc.Formula.DistributionFunctions, 3, "poissondist", "", "statistical"];
+SocialCalc.Formula.FunctionList["T.DIST"] = [SocialCalc.Formula.DistributionFunctions, 3, "xdfcumulative", "", "statistical"];
+SocialCalc.Formula.FunctionList["T.INV"] = [SocialCalc.Formula.DistributionFunctions, 2, "pdf", "", "statistical"];
 
 /**
- * @function IfFunction
+ * @function StatTestFunctions
  * @memberof SocialCalc.Formula
- * @description Implements the IF function for conditional value selection
+ * @description Implements T.TEST and CHISQ.TEST, which return the probability of a test statistic
  * 
- * IF(condition, true_value, false_value) returns true_value if condition is true,
- * false_value otherwise. The condition must be numeric or boolean.
+ * - T.TEST(range1, range2, tails, type): Student's t-test that the two samples have the same mean.
+ *   tails is 1 or 2. type is 1 for paired values, 2 for two samples with equal variance,
+ *   or 3 for two samples with unequal variance.
+ * - CHISQ.TEST(actual, expected): Chi-squared test of the actual counts against the expected ones.
+ *   The degrees of freedom are (rows-1)*(columns-1), or the count less 1 for a single row or column.
  * 
- * @param {string} fname - The function name ("IF")
+ * @param {string} fname - The function name ("T.TEST" or "CHISQ.TEST")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {null} Always returns null (results/errors are pushed to operand stack)
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =IF(A1>5, "High", "Low") returns "High" if A1>5, "Low" otherwise
- * SocialCalc.Formula.IfFunction("IF", operand, foperand, sheet);
+ * // =T.TEST(A1:A10, B1:B10, 2, 1) returns the two tailed probability for paired values
+ * // =CHISQ.TEST(A1:B3, D1:E3) returns the probability for a 3x2 table (2 degrees of freedom)
+ * SocialCalc.Formula.StatTestFunctions("T.TEST", operand, foperand, sheet);
  */
-SocialCalc.Formula.IfFunction = function(fname, operand, foperand, sheet) {
-   let cond, t;
+SocialCalc.Formula.StatTestFunctions = function(fname, operand, foperand, sheet) {
+   let i, r, c, value1, value2, tails, testtype, errortype, n, mean1, mean2, var1, var2, t, df, chisq, actual, expected;
+   let scf = SocialCalc.Formula;
+   let values1 = [];
+   let values2 = [];
 
-   cond = SocialCalc.Formula.OperandValueAndType(sheet, foperand);
-   t = cond.type.charAt(0);
-   
-   if (t != "n" && t != "b") {
-      operand.push({type: "e#VALUE!", value: 0});
-      return;
-   }
+   /**
+    * @function Variance
+    * @description Helper function returning the mean and sample variance of a list
+    * @param {Array<number>} values - The numbers
+    * @returns {Array<number>} The mean and variance
+    */
+   let Variance = function(values) {
+      let j;
+      let mean = 0;
+      let sumsq = 0;
+      for (j = 0; j < values.length; j++) {
+         mean += values[j] / values.length;
+      }
+      for (j = 0; j < values.length; j++) {
+         sumsq += (values[j] - mean) * (values[j] - mean);
+      }
+      return [mean, sumsq / (values.length - 1)];
+   };
 
-   // Select the appropriate value based on condition
-   if (!cond.value) foperand.pop(); // remove true_value if condition is false
-   operand.push(foperand.pop()); // push the selected value
-   if (cond.value) foperand.pop(); // remove false_value if condition is true
+   if (fname == "CHISQ.TEST") {
+      actual = scf.OperandAsArray(sheet, foperand);
+      expected = scf.OperandAsArray(sheet, foperand);
+      if (actual.type.charAt(0) == "e" || expected.type.charAt(0) == "e") {
+         scf.PushOperand(operand, actual.type.charAt(0) == "e" ? actual.type : expected.type, 0);
+         return;
+      }
+      actual = actual.value;
+      expected = expected.value;
+      if (actual.length != expected.length || actual[0].length != expected[0].length) {
+         scf.PushOperand(operand, "e#N/A", 0);
+         return;
+      }
+      chisq = 0;
+      for (r = 0; r < actual.length; r++) {
+         for (c = 0; c < actual[r].length; c++) {
+            value1 = actual[r][c];
+            value2 = expected[r][c];
+            if (value1.type.charAt(0) == "e" || value2.type.charAt(0) == "e") {
+               scf.PushOperand(operand, value1.type.charAt(0) == "e" ? value1.type : value2.type, 0);
+               return;
+            }
+            if (value1.type.charAt(0) != "n" || value2.type.charAt(0) != "n") {
+               continue;
+            }
+            if (value2.value == 0) {
+               scf.PushOperand(operand, "e#DIV/0!", 0);
+               return;
+            }
+            chisq += (value1.value - value2.value) * (value1.value - value2.value) / value2.value;
+         }
+      }
+      r = actual.length;
+      c = actual[0].length;
+      df = r == 1 ? c - 1 : (c == 1 ? r - 1 : (r - 1) * (c - 1));
+      if (df < 1 || chisq < 0) {
+         scf.PushOperand(operand, df < 1 ? "e#N/A" : "e#NUM!", 0);
+         return;
+      }
+      scf.PushOperand(operand, "n", scf.IncompleteGamma(df / 2, chisq / 2, true));
+      return;
+   }
 
-   return null;
+   value1 = scf.ArgumentValues(sheet, foperand);
+   value2 = scf.ArgumentValues(sheet, foperand);
+   tails = scf.OperandAsNumber(sheet, foperand);
+   testtype = scf.OperandAsNumber(sheet, foperand);
+
+   errortype = value1.type.charAt(0) == "e" ? value1.type : (value2.type.charAt(0) == "e" ? value2.type : "");
+   errortype = errortype || scf.LookupResultType(tails.type, testtype.type, scf.TypeLookupTable.twoargnumeric);
+   if (errortype.charAt(0) != "n") {
+      scf.PushOperand(operand, errortype, 0);
+      return;
+   }
+
+   tails = Math.floor(tails.value);
+   testtype = Math.floor(testtype.value);
+   if ((tails != 1 && tails != 2) || testtype < 1 || testtype > 3) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   if (testtype == 1 && value1.value.length != value2.value.length) {
+      scf.PushOperand(operand, "e#N/A", 0);
+      return;
+   }
+
+   for (i = 0; i < Math.max(value1.value.length, value2.value.length); i++) {
+      if ((value1.value[i] && value1.value[i].type.charAt(0) == "e") || (value2.value[i] && value2.value[i].type.charAt(0) == "e")) {
+         scf.PushOperand(operand, value1.value[i] && value1.value[i].type.charAt(0) == "e" ? value1.value[i].type : value2.value[i].type, 0);
+         return;
+      }
+      if (testtype == 1) { // paired - use the differences
+         if (value1.value[i].type.charAt(0) == "n" && value2.value[i].type.charAt(0) == "n") {
+            values1.push(value1.value[i].value - value2.value[i].value);
+         }
+         continue;
+      }
+      if (value1.value[i] && value1.value[i].type.charAt(0) == "n") {
+         values1.push(value1.value[i].value - 0);
+      }
+      if (value2.value[i] && value2.value[i].type.charAt(0) == "n") {
+         values2.push(value2.value[i].value - 0);
+      }
+   }
+
+   if (values1.length < 2 || (testtype != 1 && values2.length < 2)) {
+      scf.PushOperand(operand, "e#DIV/0!", 0);
+      return;
+   }
+
+   value1 = Variance(values1);
+   mean1 = value1[0];
+   var1 = value1[1];
+   n = values1.length;
+
+   if (testtype == 1) {
+      t = mean1 / Math.sqrt(var1 / n);
+      df = n - 1;
+   } else {
+      value2 = Variance(values2);
+      mean2 = value2[0];
+      var2 = value2[1];
+      if (testtype == 2) { // pooled variance
+         df = n + values2.length - 2;
+         t = (mean1 - mean2) / Math.sqrt(((n - 1) * var1 + (values2.length - 1) * var2) / df * (1 / n + 1 / values2.length));
+      } else { // Welch's approximation of the degrees of freedom
+         var1 /= n;
+         var2 /= values2.length;
+         t = (mean1 - mean2) / Math.sqrt(var1 + var2);
+         df = (var1 + var2) * (var1 + var2) / (var1 * var1 / (n - 1) + var2 * var2 / (values2.length - 1));
+      }
+   }
+
+   if (!isFinite(t)) { // no variance
+      scf.PushOperand(operand, "e#DIV/0!", 0);
+      return;
+   }
+
+   scf.PushOperand(operand, "n", tails * scf.StudentTTail(Math.abs(t), df));
+
+   return;
 };
 
-// Add to function list
-SocialCalc.Formula.FunctionList["IF"] = [SocialCalc.Formula.IfFunction, 3, "iffunc", "", "test"];
+SocialCalc.Formula.FunctionList["CHISQ.TEST"] = [SocialCalc.Formula.StatTestFunctions, 2, "chisqtest", "", "statistical"];
+SocialCalc.Formula.FunctionList["T.TEST"] = [SocialCalc.Formula.StatTestFunctions, 4, "ttest", "", "statistical"];
 
 /**
- * @function DateFunction
+ * @function GammaLn
  * @memberof SocialCalc.Formula
- * @description Implements the DATE function for creating date values
+ * @description Returns the natural logarithm of the gamma function, using the Lanczos approximation
  * 
- * DATE(year, month, day) returns a date serial number for the specified date.
- * Uses the Gregorian to Julian calendar conversion system.
- * 
- * @param {string} fname - The function name ("DATE")
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @param {number} x - The value, greater than 0
+ * @returns {number} ln(Gamma(x))
  * 
  * @example
- * // Called internally by CalculateFunction
- * // =DATE(2023, 12, 25) returns the serial number for December 25, 2023
- * SocialCalc.Formula.DateFunction("DATE", operand, foperand, sheet);
+ * SocialCalc.Formula.GammaLn(5) // Returns: 3.178053830347945 (ln 24)
  */
-SocialCalc.Formula.DateFunction = function(fname, operand, foperand, sheet) {
-   let scf = SocialCalc.Formula;
-   let result = 0;
-   
-   let year = scf.OperandAsNumber(sheet, foperand);
-   let month = scf.OperandAsNumber(sheet, foperand);
-   let day = scf.OperandAsNumber(sheet, foperand);
-   
-   let resulttype = scf.LookupResultType(year.type, month.type, scf.TypeLookupTable.twoargnumeric);
-   resulttype = scf.LookupResultType(resulttype, day.type, scf.TypeLookupTable.twoargnumeric);
-   
-   if (resulttype.charAt(0) == "n") {
-      result = SocialCalc.FormatNumber.convert_date_gregorian_to_julian(
-                  Math.floor(year.value), Math.floor(month.value), Math.floor(day.value)
-                  ) - SocialCalc.FormatNumber.datevalues.julian_offset;
-      resulttype = "nd";
+SocialCalc.Formula.GammaLn = function(x) {
+   let i, sum, t;
+   let coefs = SocialCalc.Formula.LanczosCoefs;
+
+   if (x < 0.5) { // reflection formula
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - SocialCalc.Formula.GammaLn(1 - x);
    }
-   
-   scf.PushOperand(operand, resulttype, result);
-   return;
+
+   x -= 1;
+   sum = coefs[0];
+   for (i = 1; i < coefs.length; i++) {
+      sum += coefs[i] / (x + i);
+   }
+   t = x + 7.5;
+
+   return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
 };
 
-SocialCalc.Formula.FunctionList["DATE"] = [SocialCalc.Formula.DateFunction, 3, "date", "", "datetime"];
+/**
+ * Coefficients of the Lanczos approximation of the gamma function (g = 7, n = 9)
+ * @type {Array<number>}
+ */
+SocialCalc.Formula.LanczosCoefs = [0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+   771.32342877765313, -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+   9.9843695780195716e-6, 1.5056327351493116e-7];
 
 /**
- * @function TimeFunction
+ * @function GammaFunction
  * @memberof SocialCalc.Formula
- * @description Implements the TIME function for creating time values
- * 
- * TIME(hour, minute, second) returns a time serial number (fraction of a day)
- * for the specified time components.
+ * @description Returns the gamma function, exactly for small positive integers
  * 
- * @param {string} fname - The function name ("TIME")
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @param {number} x - The value
+ * @returns {number} Gamma(x), or NaN for 0 and negative integers, or Infinity if too large
  * 
  * @example
- * // Called internally by CalculateFunction
- * // =TIME(14, 30, 0) returns 0.604167 (2:30 PM as fraction of day)
- * SocialCalc.Formula.TimeFunction("TIME", operand, foperand, sheet);
+ * SocialCalc.Formula.GammaFunction(0.5) // Returns: 1.772453850905516 (square root of pi)
  */
-SocialCalc.Formula.TimeFunction = function(fname, operand, foperand, sheet) {
-   let scf = SocialCalc.Formula;
-   let result = 0;
-   
-   let hours = scf.OperandAsNumber(sheet, foperand);
-   let minutes = scf.OperandAsNumber(sheet, foperand);
-   let seconds = scf.OperandAsNumber(sheet, foperand);
-   
-   let resulttype = scf.LookupResultType(hours.type, minutes.type, scf.TypeLookupTable.twoargnumeric);
-   resulttype = scf.LookupResultType(resulttype, seconds.type, scf.TypeLookupTable.twoargnumeric);
-   
-   if (resulttype.charAt(0) == "n") {
-      result = ((hours.value * 60 * 60) + (minutes.value * 60) + seconds.value) / (24*60*60);
-      resulttype = "nt";
+SocialCalc.Formula.GammaFunction = function(x) {
+   let i, sum, t, half, result;
+   let coefs = SocialCalc.Formula.LanczosCoefs;
+
+   if (x <= 0 && x == Math.floor(x)) {
+      return NaN;
    }
-   
-   scf.PushOperand(operand, resulttype, result);
-   return;
-};
 
-SocialCalc.Formula.FunctionList["TIME"] = [SocialCalc.Formula.TimeFunction, 3, "hms", "", "datetime"];
+   if (x == Math.floor(x) && x <= 171) { // (x-1)!
+      result = 1;
+      for (i = 2; i < x; i++) {
+         result *= i;
+      }
+      return result;
+   }
+
+   if (x < 0.5) { // reflection formula
+      return Math.PI / (Math.sin(Math.PI * x) * SocialCalc.Formula.GammaFunction(1 - x));
+   }
+
+   x -= 1;
+   sum = coefs[0];
+   for (i = 1; i < coefs.length; i++) {
+      sum += coefs[i] / (x + i);
+   }
+   t = x + 7.5;
+   half = Math.pow(t, (x + 0.5) / 2); // split so it doesn't overflow before the exponential
+
+   return Math.sqrt(2 * Math.PI) * half * (half * Math.exp(-t)) * sum;
+};
 
 /**
- * @function DMYFunctions
+ * @function IncompleteGamma
  * @memberof SocialCalc.Formula
- * @description Implements date extraction functions (DAY, MONTH, YEAR, WEEKDAY)
+ * @description Returns the regularized incomplete gamma function P(a, x), or Q(a, x) = 1 - P(a, x)
  * 
- * - DAY(date): Returns the day of the month (1-31)
- * - MONTH(date): Returns the month (1-12)
- * - YEAR(date): Returns the year
- * - WEEKDAY(date, [type]): Returns day of week (1-7), with optional type parameter
+ * Uses a series when x < a+1 and a continued fraction otherwise, computing whichever of P and Q
+ * is smaller directly so small tail probabilities keep their precision.
  * 
- * @param {string} fname - The function name ("DAY", "MONTH", "YEAR", or "WEEKDAY")
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @param {number} a - The shape, greater than 0
+ * @param {number} x - The upper limit of integration, 0 or more
+ * @param {boolean} upper - If true, returns the upper tail Q(a, x)
+ * @returns {number} The probability
  * 
  * @example
- * // Called internally by CalculateFunction
- * // =DAY(DATE(2023,12,25)) returns 25
- * // =WEEKDAY(DATE(2023,12,25), 1) returns day of week for Christmas 2023
- * SocialCalc.Formula.DMYFunctions("DAY", operand, foperand, sheet);
+ * SocialCalc.Formula.IncompleteGamma(1, 1, false) // Returns: 0.6321205588285577 (1 - 1/e)
  */
-SocialCalc.Formula.DMYFunctions = function(fname, operand, foperand, sheet) {
-   let ymd, dtype, doffset;
-   let scf = SocialCalc.Formula;
-   let result = 0;
-
-   let datevalue = scf.OperandAsNumber(sheet, foperand);
-   let resulttype = scf.LookupResultType(datevalue.type, datevalue.type, scf.TypeLookupTable.oneargnumeric);
-
-   if (resulttype.charAt(0) == "n") {
-      ymd = SocialCalc.FormatNumber.convert_date_julian_to_gregorian(
-               Math.floor(datevalue.value + SocialCalc.FormatNumber.datevalues.julian_offset));
-      
-      switch (fname) {
-         case "DAY":
-            result = ymd.day;
-            break;
+SocialCalc.Formula.IncompleteGamma = function(a, x, upper) {
+   let i, sum, term, ap, b, c, d, h, an, factor;
+   let tiny = 1e-300;
 
-         case "MONTH":
-            result = ymd.month;
-            break;
+   if (x <= 0) {
+      return upper ? 1 : 0;
+   }
 
-         case "YEAR":
-            result = ymd.year;
-            break;
+   factor = Math.exp(a * Math.log(x) - x - SocialCalc.Formula.GammaLn(a));
 
-         case "WEEKDAY":
-            dtype = {value: 1};
-            if (foperand.length) { // get type if present
-               dtype = scf.OperandAsNumber(sheet, foperand);
-               if (dtype.type.charAt(0) != "n" || dtype.value < 1 || dtype.value > 3) {
-                  scf.PushOperand(operand, "e#VALUE!", 0);
-                  return;
-               }
-               if (foperand.length) { // extra args
-                  scf.FunctionArgsError(fname, operand);
-                  return;
-               }
-            }
-            doffset = 6;
-            if (dtype.value > 1) {
-               doffset -= 1;
-            }
-            result = Math.floor(datevalue.value+doffset) % 7 + (dtype.value < 3 ? 1 : 0);
+   if (x < a + 1) { // series for P
+      ap = a;
+      term = 1 / a;
+      sum = term;
+      for (i = 0; i < 10000; i++) {
+         ap += 1;
+         term *= x / ap;
+         sum += term;
+         if (Math.abs(term) < Math.abs(sum) * 1e-16) {
             break;
+         }
+      }
+      return upper ? 1 - sum * factor : sum * factor;
+   }
+
+   b = x + 1 - a; // continued fraction for Q (Lentz's method)
+   c = 1 / tiny;
+   d = 1 / b;
+   h = d;
+   for (i = 1; i < 10000; i++) {
+      an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) {
+         d = tiny;
+      }
+      c = b + an / c;
+      if (Math.abs(c) < tiny) {
+         c = tiny;
+      }
+      d = 1 / d;
+      h *= d * c;
+      if (Math.abs(d * c - 1) < 1e-16) {
+         break;
       }
    }
 
-   scf.PushOperand(operand, resulttype, result);
-   return;
+   return upper ? h * factor : 1 - h * factor;
 };
 
-SocialCalc.Formula.FunctionList["DAY"] = [SocialCalc.Formula.DMYFunctions, 1, "v", "", "datetime"];
-SocialCalc.Formula.FunctionList["MONTH"] = [SocialCalc.Formula.DMYFunctions, 1, "v", "", "datetime"];
-SocialCalc.Formula.FunctionList["YEAR"] = [SocialCalc.Formula.DMYFunctions, 1, "v", "", "datetime"];
-SocialCalc.Formula.FunctionList["WEEKDAY"] = [SocialCalc.Formula.DMYFunctions, -1, "weekday", "", "datetime"];
 /**
- * @function HMSFunctions
+ * @function IncompleteBeta
  * @memberof SocialCalc.Formula
- * @description Implements time extraction functions (HOUR, MINUTE, SECOND)
- * 
- * These functions extract time components from datetime values:
- * - HOUR(datetime): Returns the hour component (0-23)
- * - MINUTE(datetime): Returns the minute component (0-59)
- * - SECOND(datetime): Returns the second component (0-59)
+ * @description Returns the regularized incomplete beta function I_x(a, b)
  * 
- * The datetime value is expected to be a fraction of a day, where the integer
- * part represents the date and the fractional part represents the time.
+ * Uses a continued fraction, on 1-x with a and b swapped where that converges faster.
  * 
- * @param {string} fname - The function name ("HOUR", "MINUTE", or "SECOND")
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @param {number} a - The first shape, greater than 0
+ * @param {number} b - The second shape, greater than 0
+ * @param {number} x - The value, from 0 to 1
+ * @returns {number} The probability
  * 
  * @example
- * // Called internally by CalculateFunction
- * // =HOUR(0.5) returns 12 (noon)
- * // =MINUTE(TIME(14,30,45)) returns 30
- * // =SECOND(TIME(14,30,45)) returns 45
- * SocialCalc.Formula.HMSFunctions("HOUR", operand, foperand, sheet);
+ * SocialCalc.Formula.IncompleteBeta(2, 3, 0.5) // Returns: 0.6875
  */
-SocialCalc.Formula.HMSFunctions = function(fname, operand, foperand, sheet) {
-   let hours, minutes, seconds, fraction;
+SocialCalc.Formula.IncompleteBeta = function(a, b, x) {
+   let factor;
    let scf = SocialCalc.Formula;
-   let result = 0;
 
-   let datetime = scf.OperandAsNumber(sheet, foperand);
-   let resulttype = scf.LookupResultType(datetime.type, datetime.type, scf.TypeLookupTable.oneargnumeric);
+   if (x <= 0) {
+      return 0;
+   }
+   if (x >= 1) {
+      return 1;
+   }
 
-   if (resulttype.charAt(0) == "n") {
-      if (datetime.value < 0) {
-         scf.PushOperand(operand, "e#NUM!", 0); // must be non-negative
-         return;
-      }
-      
-      // Extract time components from fractional part of day
-      fraction = datetime.value - Math.floor(datetime.value); // fraction of a day
-      fraction *= 24; // convert to hours
-      hours = Math.floor(fraction);
-      fraction -= Math.floor(fraction);
-      fraction *= 60; // convert to minutes
-      minutes = Math.floor(fraction);
-      fraction -= Math.floor(fraction);
-      fraction *= 60; // convert to seconds
-      seconds = Math.floor(fraction + (datetime.value >= 0 ? 0.5: -0.5)); // round to nearest second
-      
-      if (fname == "HOUR") {
-         result = hours;
-      } else if (fname == "MINUTE") {
-         result = minutes;
-      } else if (fname == "SECOND") {
-         result = seconds;
-      }
+   factor = Math.exp(scf.GammaLn(a + b) - scf.GammaLn(a) - scf.GammaLn(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+   if (x < (a + 1) / (a + b + 2)) {
+      return factor * scf.BetaContinuedFraction(a, b, x) / a;
    }
 
-   scf.PushOperand(operand, resulttype, result);
-   return;
+   return 1 - factor * scf.BetaContinuedFraction(b, a, 1 - x) / b;
 };
 
-SocialCalc.Formula.FunctionList["HOUR"] = [SocialCalc.Formula.HMSFunctions, 1, "v", "", "datetime"];
-SocialCalc.Formula.FunctionList["MINUTE"] = [SocialCalc.Formula.HMSFunctions, 1, "v", "", "datetime"];
-SocialCalc.Formula.FunctionList["SECOND"] = [SocialCalc.Formula.HMSFunctions, 1, "v", "", "datetime"];
-
 /**
- * @function ExactFunction
+ * @function BetaContinuedFraction
  * @memberof SocialCalc.Formula
- * @description Implements the EXACT function for case-sensitive comparison
- * 
- * EXACT(value1, value2) compares two values and returns TRUE (1) if they are exactly equal,
- * FALSE (0) otherwise. The comparison is case-sensitive for text values.
- * 
- * Type conversion rules:
- * - Text vs Text: Case-sensitive string comparison
- * - Number vs Number: Numeric comparison
- * - Text vs Number: Convert number to text for comparison
- * - Blank vs Text: TRUE only if text is empty string
- * - Blank vs Blank: Always TRUE
- * - Any vs Error: Returns the error
+ * @description Evaluates the continued fraction for the incomplete beta function (Lentz's method)
  * 
- * @param {string} fname - The function name ("EXACT")
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @param {number} a - The first shape
+ * @param {number} b - The second shape
+ * @param {number} x - The value
+ * @returns {number} The value of the continued fraction
  * 
  * @example
- * // Called internally by CalculateFunction
- * // =EXACT("Hello", "hello") returns 0 (FALSE - case sensitive)
- * // =EXACT("Hello", "Hello") returns 1 (TRUE - exact match)
- * // =EXACT(123, "123") returns 1 (TRUE - number converted to text)
- * SocialCalc.Formula.ExactFunction("EXACT", operand, foperand, sheet);
+ * let cf = SocialCalc.Formula.BetaContinuedFraction(2, 3, 0.3);
  */
-SocialCalc.Formula.ExactFunction = function(fname, operand, foperand, sheet) {
-   let scf = SocialCalc.Formula;
-   let result = 0;
-   let resulttype = "nl";
-
-   let value1 = scf.OperandValueAndType(sheet, foperand);
-   let v1type = value1.type.charAt(0);
-   let value2 = scf.OperandValueAndType(sheet, foperand);
-   let v2type = value2.type.charAt(0);
-
-   if (v1type == "t") { // First value is text
-      if (v2type == "t") {
-         result = value1.value == value2.value ? 1 : 0; // Case-sensitive text comparison
-      } else if (v2type == "b") {
-         result = value1.value.length ? 0 : 1; // Text vs blank
-      } else if (v2type == "n") {
-         result = value1.value == value2.value+"" ? 1 : 0; // Text vs number (convert number to string)
-      } else if (v2type == "e") {
-         result = value2.value;
-         resulttype = value2.type; // Propagate error
-      } else {
-         result = 0;
+SocialCalc.Formula.BetaContinuedFraction = function(a, b, x) {
+   let m, m2, aa, c, d, h, delta;
+   let tiny = 1e-300;
+
+   c = 1;
+   d = 1 - (a + b) * x / (a + 1);
+   if (Math.abs(d) < tiny) {
+      d = tiny;
+   }
+   d = 1 / d;
+   h = d;
+
+   for (m = 1; m < 10000; m++) {
+      m2 = 2 * m;
+      aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2)); // even step
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) {
+         d = tiny;
       }
-   } else if (v1type == "n") { // First value is number
-      if (v2type == "n") {
-         result = value1.value-0 == value2.value-0 ? 1 : 0; // Numeric comparison
-      } else if (v2type == "b") {
-         result = 0; // Number vs blank is never equal
-      } else if (v2type == "t") {
-         result = value1.value+"" == value2.value ? 1 : 0; // Number vs text (convert number to string)
-      } else if (v2type == "e") {
-         result = value2.value;
-         resulttype = value2.type; // Propagate error
-      } else {
-         result = 0;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) {
+         c = tiny;
       }
-   } else if (v1type == "b") { // First value is blank
-      if (v2type == "t") {
-         result = value2.value.length ? 0 : 1; // Blank vs text
-      } else if (v2type == "b") {
-         result = 1; // Blank vs blank is always equal
-      } else if (v2type == "n") {
-         result = 0; // Blank vs number is never equal
-      } else if (v2type == "e") {
-         result = value2.value;
-         resulttype = value2.type; // Propagate error
-      } else {
-         result = 0;
+      d = 1 / d;
+      h *= d * c;
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1)); // odd step
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) {
+         d = tiny;
+      }
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) {
+         c = tiny;
+      }
+      d = 1 / d;
+      delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-16) {
+         break;
       }
-   } else if (v1type == "e") { // First value is error
-      result = value1.value;
-      resulttype = value1.type; // Propagate error
    }
 
-   scf.PushOperand(operand, resulttype, result);
-   return;
+   return h;
 };
 
-SocialCalc.Formula.FunctionList["EXACT"] = [SocialCalc.Formula.ExactFunction, 2, "", "", "text"];
+/**
+ * @function NormalDistribution
+ * @memberof SocialCalc.Formula
+ * @description Returns the cumulative standard normal distribution
+ * 
+ * @param {number} z - The value
+ * @returns {number} The probability that a standard normal value is z or less
+ * 
+ * @example
+ * SocialCalc.Formula.NormalDistribution(1.96) // Returns: 0.9750021048517795
+ */
+SocialCalc.Formula.NormalDistribution = function(z) {
+   let tail = 0.5 * SocialCalc.Formula.IncompleteGamma(0.5, z * z / 2, true);
+
+   return z < 0 ? tail : 1 - tail;
+};
 
 /**
- * @type {Object<string, Array<number>>}
- * @description Argument type definitions for string functions
+ * @function NormalInverse
+ * @memberof SocialCalc.Formula
+ * @description Returns the inverse of the cumulative standard normal distribution
  * 
- * Each function has an array specifying argument types:
- * - 1: Text argument (converted to string)
- * - 0: Numeric argument (converted to number)
- * - -1: Accept any type as-is
+ * Starts from Acklam's rational approximation and then takes a Halley step to full precision.
  * 
- * Text values are manipulated as UTF-8, converting from and back to byte strings.
+ * @param {number} p - The probability, between 0 and 1 exclusive
+ * @returns {number} The z with that cumulative probability
+ * 
+ * @example
+ * SocialCalc.Formula.NormalInverse(0.975) // Returns: 1.959963984540054
  */
-SocialCalc.Formula.ArgList = {
-   FIND: [1, 1, 0],        // key (text), string (text), start (numeric)
-   LEFT: [1, 0],           // string (text), length (numeric)
-   LEN: [1],               // string (text)
-   LOWER: [1],             // string (text)
-   MID: [1, 0, 0],         // string (text), start (numeric), length (numeric)
-   PROPER: [1],            // string (text)
-   REPLACE: [1, 0, 0, 1],  // string (text), start (numeric), length (numeric), new (text)
-   REPT: [1, 0],           // string (text), count (numeric)
-   RIGHT: [1, 0],          // string (text), length (numeric)
-   SUBSTITUTE: [1, 1, 1, 0], // string (text), old (text), new (text), which (numeric)
-   TRIM: [1],              // string (text)
-   UPPER: [1]              // string (text)
+SocialCalc.Formula.NormalInverse = function(p) {
+   let q, r, x, e, u;
+   let a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+   let b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+   let c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+   let d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+
+   if (p < 0.02425) { // lower tail
+      q = Math.sqrt(-2 * Math.log(p));
+      x = (((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) / ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+   } else if (p <= 1 - 0.02425) { // central region
+      q = p - 0.5;
+      r = q * q;
+      x = (((((a[0]*r + a[1])*r + a[2])*r + a[3])*r + a[4])*r + a[5]) * q / (((((b[0]*r + b[1])*r + b[2])*r + b[3])*r + b[4])*r + 1);
+   } else { // upper tail
+      q = Math.sqrt(-2 * Math.log(1 - p));
+      x = -(((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) / ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+   }
+
+   e = SocialCalc.Formula.NormalDistribution(x) - p;
+   u = e * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+
+   return x - u / (1 + x * u / 2);
 };
 
 /**
- * @function StringFunctions
+ * @function StudentTTail
  * @memberof SocialCalc.Formula
- * @description Implements various string manipulation functions
+ * @description Returns the upper tail probability of Student's t distribution
  * 
- * Handles multiple text functions:
- * - FIND(key, string, [start]): Find position of key in string
- * - LEFT(string, [length]): Extract leftmost characters
- * - LEN(string): Get string length
- * - LOWER(string): Convert to lowercase
- * - MID(string, start, length): Extract middle portion
- * - PROPER(string): Convert to proper case (title case)
- * - REPLACE(string, start, length, new): Replace portion of string
- * - REPT(string, count): Repeat string multiple times
- * - RIGHT(string, [length]): Extract rightmost characters
- * - SUBSTITUTE(string, old, new, [which]): Replace occurrences of substring
- * - TRIM(string): Remove leading/trailing spaces
- * - UPPER(string): Convert to uppercase
+ * @param {number} t - The value, 0 or more
+ * @param {number} df - The degrees of freedom (need not be an integer)
+ * @returns {number} The probability that a t value is greater than t
  * 
- * @param {string} fname - The specific string function name
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @example
+ * SocialCalc.Formula.StudentTTail(2.228138852, 10) // Returns: about 0.025
+ */
+SocialCalc.Formula.StudentTTail = function(t, df) {
+   return 0.5 * SocialCalc.Formula.IncompleteBeta(df / 2, 0.5, df / (df + t * t));
+};
+
+/**
+ * @function StudentTInverseTail
+ * @memberof SocialCalc.Formula
+ * @description Returns the t value with the given upper tail probability, by bisection
+ * 
+ * @param {number} p - The probability, between 0 and 0.5
+ * @param {number} df - The degrees of freedom
+ * @returns {number} The t value, 0 or more
  * 
  * @example
- * // Called internally by CalculateFunction for string functions
- * // =LEFT("Hello World", 5) returns "Hello"
- * // =FIND("o", "Hello World", 1) returns 5
- * // =UPPER("hello") returns "HELLO"
- * SocialCalc.Formula.StringFunctions("LEFT", operand, foperand, sheet);
+ * SocialCalc.Formula.StudentTInverseTail(0.025, 10) // Returns: 2.228138851986274
  */
-SocialCalc.Formula.StringFunctions = function(fname, operand, foperand, sheet) {
-   let i, value, offset, len, start, count;
-   let scf = SocialCalc.Formula;
-   let result = 0;
-   let resulttype = "e#VALUE!";
+SocialCalc.Formula.StudentTInverseTail = function(p, df) {
+   let i, mid;
+   let low = 0;
+   let high = 1;
 
-   let numargs = foperand.length;
-   let argdef = scf.ArgList[fname];
-   let operand_value = [];
-   let operand_type = [];
+   while (SocialCalc.Formula.StudentTTail(high, df) > p && high < 1e300) { // find an upper bound
+      low = high;
+      high *= 2;
+   }
 
-   // Process and validate all arguments
-   for (i = 1; i <= numargs; i++) { // go through each arg, get value and type, and check for errors
-      if (i > argdef.length) { // too many args
-         scf.FunctionArgsError(fname, operand);
-         return;
-      }
-      
-      if (argdef[i-1] == 0) {
-         value = scf.OperandAsNumber(sheet, foperand);
-      } else if (argdef[i-1] == 1) {
-         value = scf.OperandAsText(sheet, foperand);
-      } else if (argdef[i-1] == -1) {
-         value = scf.OperandValueAndType(sheet, foperand);
+   for (i = 0; i < 2000 && high - low > high * 1e-16; i++) {
+      mid = (low + high) / 2;
+      if (mid == low || mid == high) {
+         break;
       }
-      
-      operand_value[i] = value.value;
-      operand_type[i] = value.type;
-      
-      if (value.type.charAt(0) == "e") {
-         scf.PushOperand(operand, value.type, result);
-         return;
+      if (SocialCalc.Formula.StudentTTail(mid, df) > p) {
+         low = mid;
+      } else {
+         high = mid;
       }
    }
 
-   // Execute the specific string function
-   switch (fname) {
-      case "FIND":
-         offset = operand_type[3] ? operand_value[3]-1 : 0;
-         if (offset < 0) {
-            result = "Start is before string"; // !! not displayed, no need to translate
-         } else {
-            result = operand_value[2].indexOf(operand_value[1], offset); // (null string matches first char)
-            if (result >= 0) {
-               result += 1; // Convert to 1-based indexing
-               resulttype = "n";
-            } else {
-               result = "Not found"; // !! not displayed, error is e#VALUE!
-            }
-         }
-         break;
+   return (low + high) / 2;
+};
 
-      case "LEFT":
-         len = operand_type[2] ? operand_value[2]-0 : 1;
-         if (len < 0) {
-            result = "Negative length";
-         } else {
-            result = operand_value[1].substring(0, len);
-            resulttype = "t";
-         }
-         break;
+/**
+ * @function DSeriesFunctions
+ * @memberof SocialCalc.Formula
+ * @description Calculates database statistical functions that operate on filtered data
+ * 
+ * Handles: DAVERAGE, DCOUNT, DCOUNTA, DGET, DMAX, DMIN, DPRODUCT, DSTDEV, DSTDEVP, DSUM, DVAR, DVARP
+ * 
+ * These functions work on database ranges with criteria filtering:
+ * - Database range contains the data with headers in first row
+ * - Field name specifies which column to perform the calculation on
+ * - Criteria range specifies filtering conditions
+ * 
+ * Calculates all statistical measures and then returns the desired one.
+ * The overhead is in accessing values, not calculating, so this approach is efficient.
+ * If this routine is changed, check the series_functions, too.
+ * 
+ * @param {string} fname - The specific database function name to calculate
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction for functions like DSUM, DAVERAGE, etc.
+ * // =DSUM(A1:D10, "Sales", F1:F2) - sums Sales column where criteria in F1:F2 are met
+ * SocialCalc.Formula.DSeriesFunctions("DSUM", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DSeriesFunctions = function(fname, operand, foperand, sheet) {
+   let value1, tostype, cr, dbrange, fieldname, criteriarange, dbinfo, criteriainfo;
+   let fieldasnum, targetcol, i, j, k, cell, criteriafieldnums;
+   let testok, criteriacr, criteria, testcol, testcr;
+   let t;
 
-      case "LEN":
-         result = operand_value[1].length;
-         resulttype = "n";
-         break;
+   let scf = SocialCalc.Formula;
+   let operand_value_and_type = scf.OperandValueAndType;
+   let lookup_result_type = scf.LookupResultType;
+   let typelookupplus = scf.TypeLookupTable.plus;
 
-      case "LOWER":
-         result = operand_value[1].toLowerCase();
-         resulttype = "t";
-         break;
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
 
-      case "MID":
-         start = operand_value[2]-0;
-         len = operand_value[3]-0;
-         if (len < 1 || start < 1) {
-            result = "Bad arguments";
-         } else {
-            result = operand_value[1].substring(start-1, start+len-1);
-            resulttype = "t";
+   value1 = {};
+
+   // Statistical accumulator variables
+   let sum = 0;
+   let resulttypesum = "";
+   let count = 0;
+   let counta = 0;
+   let countblank = 0;
+   let product = 1;
+   let maxval;
+   let minval;
+   /** @type {number} Variance calculation variables as per Knuth */
+   let mk, sk, mk1, sk1; // For variance, etc.: M sub k, k-1, and S sub k-1
+                          // as per Knuth "The Art of Computer Programming" Vol. 2 3rd edition, page 232
+
+   // Get function arguments: database range, field name, criteria range
+   dbrange = scf.TopOfStackValueAndType(sheet, foperand); // get a range
+   fieldname = scf.OperandValueAndType(sheet, foperand); // get a value
+   criteriarange = scf.TopOfStackValueAndType(sheet, foperand); // get a range
+
+   if (dbrange.type != "range" || criteriarange.type != "range") {
+      return scf.FunctionArgsError(fname, operand);
+   }
+
+   // Decode the ranges into usable information
+   dbinfo = scf.DecodeRangeParts(sheet, dbrange.value);
+   criteriainfo = scf.DecodeRangeParts(sheet, criteriarange.value);
+
+   // Find the target column number for the field to calculate on
+   fieldasnum = scf.FieldToColnum(dbinfo.sheetdata, dbinfo.col1num, dbinfo.ncols, dbinfo.row1num, fieldname.value, fieldname.type);
+   if (fieldasnum <= 0) {
+      PushOperand("e#VALUE!", 0);
+      return;
+   }
+
+   targetcol = dbinfo.col1num + fieldasnum - 1;
+   criteriafieldnums = [];
+
+   // Map criteria field names to column numbers
+   for (i = 0; i < criteriainfo.ncols; i++) { // get criteria field colnums
+      cell = criteriainfo.sheetdata.GetAssuredCell(SocialCalc.crToCoord(criteriainfo.col1num + i, criteriainfo.row1num));
+      criterianum = scf.FieldToColnum(dbinfo.sheetdata, dbinfo.col1num, dbinfo.ncols, dbinfo.row1num, cell.datavalue, cell.valuetype);
+      if (criterianum <= 0) {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      criteriafieldnums.push(dbinfo.col1num + criterianum - 1);
+   }
+
+   // Process each row of the database (skip header row)
+   for (i = 1; i < dbinfo.nrows; i++) { // go through each row of the database
+      testok = false;
+      
+      // Test against all criteria rows
+CRITERIAROW:
+      for (j = 1; j < criteriainfo.nrows; j++) { // go through each criteria row
+         // Check all criteria columns for this criteria row
+         for (k = 0; k < criteriainfo.ncols; k++) { // look at each column
+            criteriacr = SocialCalc.crToCoord(criteriainfo.col1num + k, criteriainfo.row1num + j); // where criteria is
+            cell = criteriainfo.sheetdata.GetAssuredCell(criteriacr);
+            criteria = cell.datavalue;
+            if (typeof criteria == "string" && criteria.length == 0) continue; // blank items are OK
+            
+            testcol = criteriafieldnums[k];
+            testcr = SocialCalc.crToCoord(testcol, dbinfo.row1num + i); // cell to check
+            cell = criteriainfo.sheetdata.GetAssuredCell(testcr);
+            
+            if (!scf.TestCriteria(cell.datavalue, cell.valuetype || "b", criteria)) {
+               continue CRITERIAROW; // does not meet criteria - check next row
+            }
+         }
+         testok = true; // met all the criteria
+         break CRITERIAROW;
+      }
+      
+      if (!testok) {
+         continue; // Skip this database row if it doesn't meet any criteria row
+      }
+
+      // Get the target cell value for statistical calculation
+      cr = SocialCalc.crToCoord(targetcol, dbinfo.row1num + i); // get cell of this row to do the function on
+      cell = dbinfo.sheetdata.GetAssuredCell(cr);
+
+      value1.value = cell.datavalue;
+      value1.type = cell.valuetype;
+      t = value1.type.charAt(0);
+      
+      // Update counters
+      if (t == "n") count += 1;
+      if (t != "b") counta += 1;
+      if (t == "b") countblank += 1;
+
+      // Perform statistical calculations for numeric values
+      if (t == "n") {
+         v1 = value1.value-0; // get it as a number
+         sum += v1;
+         product *= v1;
+         maxval = (maxval != undefined) ? (v1 > maxval ? v1 : maxval) : v1;
+         minval = (minval != undefined) ? (v1 < minval ? v1 : minval) : v1;
+         
+         if (count == 1) { // initialize with first values for variance used in STDEV, VAR, etc.
+            mk1 = v1;
+            sk1 = 0;
+         } else { // Accumulate S sub 1 through n as per Knuth noted above
+            mk = mk1 + (v1 - mk1) / count;
+            sk = sk1 + (v1 - mk1) * (v1 - mk);
+            sk1 = sk;
+            mk1 = mk;
          }
+         resulttypesum = lookup_result_type(value1.type, resulttypesum || value1.type, typelookupplus);
+      } else if (t == "e" && resulttypesum.charAt(0) != "e") {
+         resulttypesum = value1.type;
+      }
+   }
+
+   resulttypesum = resulttypesum || "n";
+
+   // Return the appropriate result based on the function name
+   switch (fname) {
+      case "DSUM":
+         PushOperand(resulttypesum, sum);
          break;
 
-      case "PROPER":
-         result = operand_value[1].replace(/\b\w+\b/g, function(word) {
-                     return word.substring(0,1).toUpperCase() + 
-                        word.substring(1);
-                     }); // uppercase first character of words (see JavaScript, Flanagan, 5th edition, page 704)
-         resulttype = "t";
+      case "DPRODUCT": // may handle cases with text differently than some other spreadsheets
+         PushOperand(resulttypesum, product);
          break;
 
-      case "REPLACE":
-         start = operand_value[2]-0;
-         len = operand_value[3]-0;
-         if (len < 0 || start < 1) {
-            result = "Bad arguments";
+      case "DMIN":
+         PushOperand(resulttypesum, minval || 0);
+         break;
+
+      case "DMAX":
+         PushOperand(resulttypesum, maxval || 0);
+         break;
+
+      case "DCOUNT":
+         PushOperand("n", count);
+         break;
+
+      case "DCOUNTA":
+         PushOperand("n", counta);
+         break;
+
+      case "DAVERAGE":
+         if (count > 0) {
+            PushOperand(resulttypesum, sum/count);
          } else {
-            result = operand_value[1].substring(0, start-1) + operand_value[4] + 
-               operand_value[1].substring(start-1+len);
-            resulttype = "t";
+            PushOperand("e#DIV/0!", 0);
          }
          break;
-      case "REPT":
-         count = operand_value[2]-0;
-         if (count < 0) {
-            result = "Negative count";
+
+      case "DSTDEV":
+         if (count > 1) {
+            PushOperand(resulttypesum, Math.sqrt(sk / (count - 1))); // sk is never negative according to Knuth
          } else {
-            result = "";
-            for (; count > 0; count--) {
-               result += operand_value[1];
-            }
-            resulttype = "t";
+            PushOperand("e#DIV/0!", 0);
          }
          break;
 
-      case "RIGHT":
-         len = operand_type[2] ? operand_value[2]-0 : 1;
-         if (len < 0) {
-            result = "Negative length";
+      case "DSTDEVP":
+         if (count > 1) {
+            PushOperand(resulttypesum, Math.sqrt(sk / count));
          } else {
-            result = operand_value[1].slice(-len);
-            resulttype = "t";
+            PushOperand("e#DIV/0!", 0);
          }
          break;
 
-      case "SUBSTITUTE":
-         fulltext = operand_value[1];
-         oldtext = operand_value[2];
-         newtext = operand_value[3];
-         if (operand_value[4] != null) {
-            which = operand_value[4]-0;
-            if (which <= 0) {
-               result = "Non-positive instance number";
-               break;
-            }
+      case "DVAR":
+         if (count > 1) {
+            PushOperand(resulttypesum, sk / (count - 1));
          } else {
-            which = 0; // Replace all occurrences
-         }
-         count = 0;
-         oldpos = 0;
-         result = "";
-         while (true) {
-            pos = fulltext.indexOf(oldtext, oldpos);
-            if (pos >= 0) {
-               count++; //!!!!!! old test just in case: if (count>1000) {alert(pos); break;}
-               result += fulltext.substring(oldpos, pos);
-               if (which == 0) {
-                  result += newtext; // substitute all occurrences
-               } else if (which == count) {
-                  result += newtext + fulltext.substring(pos+oldtext.length);
-                  break; // Found the specific occurrence to replace
-               } else {
-                  result += oldtext; // leave as was - not the target occurrence
-               }
-               oldpos = pos + oldtext.length;
-            } else { // no more occurrences found
-               result += fulltext.substring(oldpos);
-               break;
-            }
+            PushOperand("e#DIV/0!", 0);
          }
-         resulttype = "t";
          break;
 
-      case "TRIM":
-         result = operand_value[1];
-         result = result.replace(/^ */, "");    // Remove leading spaces
-         result = result.replace(/ *$/, "");    // Remove trailing spaces
-         result = result.replace(/ +/g, " ");   // Replace multiple spaces with single space
-         resulttype = "t";
+      case "DVARP":
+         if (count > 1) {
+            PushOperand(resulttypesum, sk / count);
+         } else {
+            PushOperand("e#DIV/0!", 0);
+         }
          break;
 
-      case "UPPER":
-         result = operand_value[1].toUpperCase();
-         resulttype = "t";
+      case "DGET":
+         if (count == 1) {
+            PushOperand(resulttypesum, sum);
+         } else if (count == 0) {
+            PushOperand("e#VALUE!", 0);
+         } else {
+            PushOperand("e#NUM!", 0);
+         }
          break;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+/**
+ * @description Function list registrations for database statistical functions
+ * Each entry follows the format: [function_handler, arg_count, arg_def, func_def, func_class]
+ * - arg_count: 3 means exactly three arguments (database range, field name, criteria range)
+ * - arg_def: "dfunc" refers to database function arguments
+ * - func_class: "stat" indicates statistical function category
+ */
+
+SocialCalc.Formula.FunctionList["DAVERAGE"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DCOUNT"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DCOUNTA"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DGET"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DMAX"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DMIN"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DPRODUCT"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DSTDEV"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DSTDEVP"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DSUM"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DVAR"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+SocialCalc.Formula.FunctionList["DVARP"] = [SocialCalc.Formula.DSeriesFunctions, 3, "dfunc", "", "stat"];
+
+/**
+ * @function FieldToColnum
+ * @memberof SocialCalc.Formula
+ * @description Converts a field name to a column number within a database range
+ * 
+ * If fieldname is a number, uses it directly (if valid), otherwise looks up the string
+ * in the header row cells to find the matching field number.
+ * 
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @param {number} col1num - The first column number of the database range
+ * @param {number} ncols - The number of columns in the database range
+ * @param {number} row1num - The header row number of the database range
+ * @param {*} fieldname - The field name to look up (string or number)
+ * @param {string} fieldtype - The type of the fieldname parameter
+ * @returns {number} Column number (1-based) if found, 0 if not found
+ * 
+ * @example
+ * let colNum = SocialCalc.Formula.FieldToColnum(sheet, 1, 5, 1, "Sales", "t");
+ * // Returns: 3 if "Sales" is found in the 3rd column header
+ */
+SocialCalc.Formula.FieldToColnum = function(sheet, col1num, ncols, row1num, fieldname, fieldtype) {
+   let colnum, cell, value;
+
+   if (fieldtype.charAt(0) == "n") { // number - return it if legal
+      colnum = fieldname - 0; // make sure a number
+      if (colnum <= 0 || colnum > ncols) {
+         return 0;
+      }
+      return Math.floor(colnum);
+   }
+
+   if (fieldtype.charAt(0) != "t") { // must be text otherwise
+      return 0;
+   }
+
+   fieldname = fieldname ? fieldname.toLowerCase() : "";
+
+   for (colnum = 0; colnum < ncols; colnum++) { // look through column headers for a match
+      cell = sheet.GetAssuredCell(SocialCalc.crToCoord(col1num+colnum, row1num));
+      value = cell.datavalue;
+      value = (value+"").toLowerCase(); // ignore case
+      if (value == fieldname) { // match
+         return colnum+1;
+      }         
+   }
+   return 0; // looked at all and no match
+};
+
+/**
+ * @function LookupFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements HLOOKUP, VLOOKUP, and MATCH functions for table lookups
+ * 
+ * These functions search for values in tables and return corresponding values or positions:
+ * - HLOOKUP: Horizontal lookup in the first row, returns value from specified row
+ * - VLOOKUP: Vertical lookup in the first column, returns value from specified column  
+ * - MATCH: Returns the position of a value in a range
+ * 
+ * Supports both exact match and range lookup modes.
+ * 
+ * @param {string} fname - The specific lookup function name (HLOOKUP, VLOOKUP, or MATCH)
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction for lookup functions
+ * // =VLOOKUP("Product A", A1:D10, 3, FALSE) - exact match lookup
+ * // =HLOOKUP(100, A1:Z3, 2, TRUE) - range lookup with approximate match
+ * SocialCalc.Formula.LookupFunctions("VLOOKUP", operand, foperand, sheet);
+ */
+SocialCalc.Formula.LookupFunctions = function(fname, operand, foperand, sheet) {
+   let lookupvalue, range, offset, rangelookup, offsetvalue, rangeinfo;
+   let c, r, cincr, rincr, previousOK, csave, rsave, cell, value, valuetype, cr;
+
+   let scf = SocialCalc.Formula;
+   let operand_value_and_type = scf.OperandValueAndType;
+   let lookup_result_type = scf.LookupResultType;
+   let typelookupplus = scf.TypeLookupTable.plus;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   // Get the lookup value and convert strings to lowercase for case-insensitive comparison
+   lookupvalue = operand_value_and_type(sheet, foperand);
+   if (typeof lookupvalue.value == "string") {
+      lookupvalue.value = lookupvalue.value.toLowerCase();
+   }
+
+   // Get the range to search in
+   range = scf.TopOfStackValueAndType(sheet, foperand);
+
+   // Set default range lookup behavior and process optional arguments
+   rangelookup = 1; // default to true or 1
+   if (fname == "MATCH") {
+      if (foperand.length) {
+         rangelookup = scf.OperandAsNumber(sheet, foperand);
+         if (rangelookup.type.charAt(0) != "n") {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         if (foperand.length) {
+            scf.FunctionArgsError(fname, operand);
+            return 0;
+         }
+         rangelookup = rangelookup.value - 0;
+      }
+   } else {
+      // For HLOOKUP/VLOOKUP, get the offset (row/column index)
+      offsetvalue = scf.OperandAsNumber(sheet, foperand);
+      if (offsetvalue.type.charAt(0) != "n") {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      offsetvalue = Math.floor(offsetvalue.value);
+      
+      if (foperand.length) {
+         rangelookup = scf.OperandAsNumber(sheet, foperand);
+         if (rangelookup.type.charAt(0) != "n") {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         if (foperand.length) {
+            scf.FunctionArgsError(fname, operand);
+            return 0;
+         }
+         rangelookup = rangelookup.value ? 1 : 0; // convert to 1 or 0
+      }
+   }
+   
+   // Normalize lookup value type and ensure numbers are numeric
+   lookupvalue.type = lookupvalue.type.charAt(0); // only deal with general type
+   if (lookupvalue.type == "n") { // if number, make sure a number
+      lookupvalue.value = lookupvalue.value - 0;
+   }
+
+   // Validate range argument
+   if (range.type == "array") {
+      rangeinfo = scf.ArrayRangeParts(range.value);
+   } else if (range.type == "range") {
+      rangeinfo = scf.DecodeRangeParts(sheet, range.value, range.type);
+   } else {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+
+   if (!rangeinfo) {
+      PushOperand("e#REF!", 0);
+      return;
+   }
+
+   // Set up search direction and validate offset bounds
+   c = 0;
+   r = 0;
+   cincr = 0;
+   rincr = 0;
+   
+   if (fname == "HLOOKUP") {
+      cincr = 1; // search horizontally
+      if (offsetvalue > rangeinfo.nrows) {
+         PushOperand("e#REF!", 0);
+         return;
+      }
+   } else if (fname == "VLOOKUP") {
+      rincr = 1; // search vertically
+      if (offsetvalue > rangeinfo.ncols) {
+         PushOperand("e#REF!", 0);
+         return;
+      }
+   } else if (fname == "MATCH") {
+      // Determine search direction based on range shape
+      if (rangeinfo.ncols > 1) {
+         if (rangeinfo.nrows > 1) {
+            PushOperand("e#N/A", 0);
+            return;
+         }
+         cincr = 1; // horizontal range
+      } else {
+         rincr = 1; // vertical range
+      }
+   } else {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+   
+   if (offsetvalue < 1 && fname != "MATCH") {
+      PushOperand("e#VALUE!", 0);
+      return 0;
+   }
+
+   /** @type {number|undefined} Tracks previous acceptable match for range lookups */
+   previousOK; // if 1, previous test was <. If 2, also this one wasn't
+
+   // Main search loop
+   while (1) {
+      cr = SocialCalc.crToCoord(rangeinfo.col1num + c, rangeinfo.row1num + r);
+      cell = rangeinfo.sheetdata.GetAssuredCell(cr);
+      value = cell.datavalue;
+      valuetype = cell.valuetype ? cell.valuetype.charAt(0) : "b"; // only deal with general types
+      
+      if (valuetype == "n") {
+         value = value - 0; // make sure number
+      }
+      
+      if (rangelookup) { // rangelookup type 1 or -1: look for within brackets for matches
+         if (lookupvalue.type == "n" && valuetype == "n") {
+            if (lookupvalue.value == value) { // exact match
+               break;
+            }
+            if ((rangelookup > 0 && lookupvalue.value > value)
+                || (rangelookup < 0 && lookupvalue.value < value)) { // possible match: wait and see
+               previousOK = 1;
+               csave = c; // remember col and row of last OK
+               rsave = r;
+            } else if (previousOK) { // last one was OK, this one isn't
+               previousOK = 2;
+               break;
+            }
+         } else if (lookupvalue.type == "t" && valuetype == "t") {
+            value = typeof value == "string" ? value.toLowerCase() : "";
+            if (lookupvalue.value == value) { // exact match
+               break;
+            }
+            if ((rangelookup > 0 && lookupvalue.value > value)
+                || (rangelookup < 0 && lookupvalue.value < value)) { // possible match: wait and see
+               previousOK = 1;
+               csave = c;
+               rsave = r;
+            } else if (previousOK) { // last one was OK, this one isn't
+               previousOK = 2;
+               break;
+            }
+         }
+      } else { // exact value matches only
+         if (lookupvalue.type == "n" && valuetype == "n") {
+            if (lookupvalue.value == value) { // exact match
+               break;
+            }
+         } else if (lookupvalue.type == "t" && valuetype == "t") {
+            value = typeof value == "string" ? value.toLowerCase() : "";
+            if (lookupvalue.value == value) { // exact match
+               break;
+            }
+         }
+      }
+
+      // Move to next position
+      r += rincr;
+      c += cincr;
+      
+      if (r >= rangeinfo.nrows || c >= rangeinfo.ncols) { // end of range to check, no exact match
+         if (previousOK) { // at least one could have been OK
+            previousOK = 2;
+            break;
+         }
+         PushOperand("e#N/A", 0);
+         return;
+      }
+   }
+
+   // Use the best available match
+   if (previousOK == 2) { // back to last OK
+      r = rsave;
+      c = csave;
+   }
+
+   // Return appropriate result based on function type
+   if (fname == "MATCH") {
+      value = c + r + 1; // only one may be <> 0
+      valuetype = "n";
+   } else {
+      // Get the value from the offset position
+      cr = SocialCalc.crToCoord(
+         rangeinfo.col1num + c + (fname == "VLOOKUP" ? offsetvalue-1 : 0), 
+         rangeinfo.row1num + r + (fname == "HLOOKUP" ? offsetvalue-1 : 0)
+      );
+      cell = rangeinfo.sheetdata.GetAssuredCell(cr);
+      value = cell.datavalue;
+      valuetype = cell.valuetype;
+   }
+   
+   PushOperand(valuetype, value);
+
+   return;
+};
+
+/**
+ * @description Function list registrations for lookup functions
+ * Each entry follows the format: [function_handler, arg_count, arg_def, func_def, func_class]
+ * - arg_count: negative values indicate minimum number of arguments (-2 means 2+, -3 means 3+)
+ * - func_class: "lookup" indicates lookup/reference function category
+ */
+SocialCalc.Formula.FunctionList["HLOOKUP"] = [SocialCalc.Formula.LookupFunctions, -3, "hlookup", "", "lookup"];
+SocialCalc.Formula.FunctionList["MATCH"] = [SocialCalc.Formula.LookupFunctions, -2, "match", "", "lookup"];
+SocialCalc.Formula.FunctionList["VLOOKUP"] = [SocialCalc.Formula.LookupFunctions, -3, "vlookup", "", "lookup"];
+
+/**
+ * @function XLookupFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements XLOOKUP and XMATCH functions for lookups in one-dimensional ranges
+ *
+ * - XLOOKUP(value, lookuprange, returnrange, [notfound], [matchmode], [searchmode]):
+ *   Returns the row (or column) of returnrange corresponding to the match in lookuprange.
+ *   The result is a reference, so it may be used in other ranges, e.g., SUM(A1:XLOOKUP(...)).
+ * - XMATCH(value, lookuprange, [matchmode], [searchmode]): Returns the position of the match
+ *
+ * Match modes: 0 = exact (default), -1 = exact or next smaller, 1 = exact or next larger,
+ * 2 = wildcard match with * and ? (use ~ to match them literally).
+ * Search modes: 1 = first to last (default), -1 = last to first,
+ * 2 = binary search of ascending data, -2 = binary search of descending data.
+ *
+ * @param {string} fname - The function name ("XLOOKUP" or "XMATCH")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ *
+ * @example
+ * // Called internally by CalculateFunction
+ * // =XLOOKUP("Pear", B1:B10, A1:A10) - looks to the left of the lookup column
+ * // =XLOOKUP(95, A1:A10, B1:B10, "none", -1, -1) - next smaller, searching from the end
+ * // =XMATCH("a*", A1:A10, 2) - position of first value starting with "a"
+ * SocialCalc.Formula.XLookupFunctions("XLOOKUP", operand, foperand, sheet);
+ */
+SocialCalc.Formula.XLookupFunctions = function(fname, operand, foperand, sheet) {
+   let lookupvalue, lookuprange, returnrange, notfound, matchmode, searchmode, value;
+   let rangeinfo, returninfo, vertical, count, i, found, lo, hi, mid, cmp, wildcard, sheetname, cr, result;
+   let values = [];
+
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   /**
+    * @function GetRangeInfo
+    * @description Decodes a range or single coord argument into range parts
+    * @param {Object} r - Value and type from TopOfStackValueAndType
+    * @returns {Object|null} Range parts from DecodeRangeParts, or null if not a usable reference
+    */
+   let GetRangeInfo = function(r) {
+      if (r.type == "coord") {
+         return scf.DecodeRangeParts(sheet, r.value + "|" + r.value.replace(/!.*$/, "") + "|");
+      } else if (r.type == "range") {
+         return scf.DecodeRangeParts(sheet, r.value);
+      } else if (r.type == "array") {
+         return scf.ArrayRangeParts(r.value);
+      }
+      return null;
+   };
+
+   /**
+    * @function CompareValues
+    * @description Compares lookup value to a range value: numbers sort before text, which sort before others
+    * @param {Object} v - Lookup range value and type
+    * @returns {number} Negative if v is less than the lookup value, zero if equal, positive if greater
+    */
+   let CompareValues = function(v) {
+      let rank = {n: 1, t: 2};
+      let r1 = rank[v.type] || 3;
+      let r2 = rank[lookupvalue.type] || 3;
+      if (r1 != r2) {
+         return r1 - r2;
+      }
+      if (v.value < lookupvalue.value) return -1;
+      if (v.value > lookupvalue.value) return 1;
+      return 0;
+   };
+
+   // Get the required arguments
+   lookupvalue = scf.OperandValueAndType(sheet, foperand);
+   lookuprange = scf.TopOfStackValueAndType(sheet, foperand);
+   if (fname == "XLOOKUP") {
+      returnrange = scf.TopOfStackValueAndType(sheet, foperand);
+      if (foperand.length) {
+         notfound = scf.TopOfStackValueAndType(sheet, foperand); // keep references as references
+      }
+   }
+
+   // Get the optional mode arguments
+   matchmode = 0;
+   searchmode = 1;
+   if (foperand.length) {
+      value = scf.OperandAsNumber(sheet, foperand);
+      if (value.type.charAt(0) != "n") {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      matchmode = value.value - 0;
+      if (foperand.length) {
+         value = scf.OperandAsNumber(sheet, foperand);
+         if (value.type.charAt(0) != "n") {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         searchmode = value.value - 0;
+         if (foperand.length) {
+            scf.FunctionArgsError(fname, operand);
+            return 0;
+         }
+      }
+   }
+
+   if ((matchmode != 0 && matchmode != -1 && matchmode != 1 && matchmode != 2)
+       || (searchmode != 1 && searchmode != -1 && searchmode != 2 && searchmode != -2)
+       || (matchmode == 2 && (searchmode == 2 || searchmode == -2))) { // no wildcards with binary search
+      PushOperand("e#VALUE!", 0);
+      return;
+   }
+
+   if (lookupvalue.type.charAt(0) == "e") { // propagate errors
+      PushOperand(lookupvalue.type, 0);
+      return;
+   }
+
+   // Normalize lookup value: only deal with general types and ignore case
+   lookupvalue.type = lookupvalue.type.charAt(0);
+   if (lookupvalue.type == "n") {
+      lookupvalue.value = lookupvalue.value - 0;
+   } else if (lookupvalue.type == "t") {
+      lookupvalue.value = lookupvalue.value.toLowerCase();
+      if (matchmode == 2) {
+         wildcard = scf.WildcardToRegExp(lookupvalue.value);
+      }
+   }
+
+   // Validate ranges
+   if (lookuprange.type != "coord" && lookuprange.type != "range" && lookuprange.type != "array") {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+   rangeinfo = GetRangeInfo(lookuprange);
+   if (!rangeinfo) {
+      PushOperand("e#REF!", 0);
+      return;
+   }
+   if (rangeinfo.nrows > 1 && rangeinfo.ncols > 1) { // must be a single row or column
+      PushOperand("e#VALUE!", 0);
+      return;
+   }
+   vertical = rangeinfo.ncols == 1;
+   count = vertical ? rangeinfo.nrows : rangeinfo.ncols;
+
+   if (fname == "XLOOKUP") {
+      if (returnrange.type != "coord" && returnrange.type != "range" && returnrange.type != "array") {
+         scf.FunctionArgsError(fname, operand);
+         return 0;
+      }
+      returninfo = GetRangeInfo(returnrange);
+      if (!returninfo) {
+         PushOperand("e#REF!", 0);
+         return;
+      }
+      if ((vertical ? returninfo.nrows : returninfo.ncols) != count) { // ranges must line up
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+   }
+
+   // Get the values to search
+   for (i = 0; i < count; i++) {
+      cr = SocialCalc.crToCoord(rangeinfo.col1num + (vertical ? 0 : i), rangeinfo.row1num + (vertical ? i : 0));
+      value = rangeinfo.sheetdata.GetAssuredCell(cr);
+      values.push({
+         value: value.valuetype && value.valuetype.charAt(0) == "n" ? value.datavalue - 0 :
+                (typeof value.datavalue == "string" ? value.datavalue.toLowerCase() : value.datavalue),
+         type: value.valuetype ? value.valuetype.charAt(0) : "b"
+      });
+   }
+
+   found = -1;
+
+   if (searchmode == 1 || searchmode == -1) { // linear search
+      for (i = 0; i < count; i++) {
+         value = values[searchmode == 1 ? i : count - i - 1];
+         if (matchmode == 2 && wildcard) {
+            if (value.type == "t" && wildcard.test(value.value)) {
+               found = searchmode == 1 ? i : count - i - 1;
+               break;
+            }
+            continue;
+         }
+         if (value.type != lookupvalue.type) { // only compare like types
+            continue;
+         }
+         cmp = CompareValues(value);
+         if (cmp == 0) { // exact match
+            found = searchmode == 1 ? i : count - i - 1;
+            break;
+         }
+         if ((matchmode == -1 && cmp < 0 && (found < 0 || value.value > values[found].value))
+             || (matchmode == 1 && cmp > 0 && (found < 0 || value.value < values[found].value))) {
+            found = searchmode == 1 ? i : count - i - 1; // best approximate match so far
+         }
+      }
+   } else { // binary search -- data must be sorted ascending (2) or descending (-2)
+      lo = 0;
+      hi = count - 1;
+      while (lo <= hi) {
+         mid = Math.floor((lo + hi) / 2);
+         cmp = CompareValues(values[mid]) * (searchmode == 2 ? 1 : -1);
+         if (cmp == 0) {
+            found = mid;
+            break;
+         } else if (cmp < 0) {
+            lo = mid + 1;
+         } else {
+            hi = mid - 1;
+         }
+      }
+      if (found < 0 && matchmode != 0) { // lo is where the value would be inserted
+         if ((matchmode == -1) == (searchmode == 2)) {
+            found = lo - 1; // the one before is smaller (ascending) or larger (descending)
+         } else {
+            found = lo;
+         }
+         if (found < 0 || found >= count || values[found].type != lookupvalue.type) {
+            found = -1;
+         }
+      }
+   }
+
+   // Return the result
+   if (found < 0) {
+      if (notfound) {
+         PushOperand(notfound.type, notfound.value);
+      } else {
+         PushOperand("e#N/A", 0);
+      }
+      return;
+   }
+
+   if (fname == "XMATCH") {
+      PushOperand("n", found + 1);
+      return;
+   }
+
+   if (returninfo.array) { // return values from an array constant
+      result = vertical ? scf.ArraySlice(returninfo.array, 1, returninfo.ncols, found + 1, 1) :
+                          scf.ArraySlice(returninfo.array, found + 1, 1, 1, returninfo.nrows);
+      PushOperand(result.type, result.value);
+      return;
+   }
+
+   sheetname = returninfo.sheetname ? "!" + returninfo.sheetname : "";
+   if (vertical) {
+      result = SocialCalc.crToCoord(returninfo.col1num, returninfo.row1num + found) + sheetname;
+      if (returninfo.ncols > 1) { // return the whole row
+         result += "|" + SocialCalc.crToCoord(returninfo.col1num + returninfo.ncols - 1, returninfo.row1num + found) + "|";
+      }
+   } else {
+      result = SocialCalc.crToCoord(returninfo.col1num + found, returninfo.row1num) + sheetname;
+      if (returninfo.nrows > 1) { // return the whole column
+         result += "|" + SocialCalc.crToCoord(returninfo.col1num + found, returninfo.row1num + returninfo.nrows - 1) + "|";
+      }
+   }
+
+   PushOperand(result.indexOf("|") != -1 ? "range" : "coord", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["XLOOKUP"] = [SocialCalc.Formula.XLookupFunctions, -3, "xlookup", "", "lookup"];
+SocialCalc.Formula.FunctionList["XMATCH"] = [SocialCalc.Formula.XLookupFunctions, -2, "xmatch", "", "lookup"];
+
+/**
+ * @function CompareArrayValues
+ * @memberof SocialCalc.Formula
+ * @description Compares two array elements for sorting
+ * 
+ * Numbers sort before text, then errors, with blanks last. Text is compared ignoring case.
+ * 
+ * @param {Object} a - First element with type and value
+ * @param {Object} b - Second element with type and value
+ * @returns {number} Negative if a sorts first, positive if b sorts first, zero if equal
+ * 
+ * @example
+ * SocialCalc.Formula.CompareArrayValues({type: "n", value: 5}, {type: "t", value: "a"}); // Returns: -1
+ */
+SocialCalc.Formula.CompareArrayValues = function(a, b) {
+   let rank = {n: 1, t: 2, e: 3, b: 4};
+   let ta = a.type.charAt(0);
+   let tb = b.type.charAt(0);
+   let va = a.value;
+   let vb = b.value;
+
+   if (ta != tb) {
+      return (rank[ta] || 3) - (rank[tb] || 3);
+   }
+   if (ta == "t") {
+      va = va.toLowerCase();
+      vb = vb.toLowerCase();
+   } else if (ta == "n") {
+      va = va - 0;
+      vb = vb - 0;
+   }
+   if (va < vb) return -1;
+   if (va > vb) return 1;
+   return 0;
+};
+
+/**
+ * @function TransposeArray
+ * @memberof SocialCalc.Formula
+ * @description Returns the rows of an array as columns and the columns as rows
+ * 
+ * @param {Array<Array<Object>>} rows - The array value
+ * @returns {Array<Array<Object>>} The transposed array
+ * 
+ * @example
+ * SocialCalc.Formula.TransposeArray([[a, b]]); // Returns: [[a], [b]]
+ */
+SocialCalc.Formula.TransposeArray = function(rows) {
+   let r, c;
+   let result = [];
+
+   for (c = 0; c < rows[0].length; c++) {
+      result.push([]);
+      for (r = 0; r < rows.length; r++) {
+         result[c].push(rows[r][c]);
+      }
+   }
+
+   return result;
+};
+
+/**
+ * @function FilterFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the FILTER function for dynamic arrays
+ * 
+ * FILTER(range, include, [ifempty]) returns the rows of range where the corresponding value
+ * of include (a single column) is true. If include is a single row, columns are returned instead.
+ * If nothing is included, ifempty is returned if present, otherwise #CALC!.
+ * The result spills into the cells below and to the right.
+ * 
+ * @param {string} fname - The function name ("FILTER")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =FILTER(A1:C10, B1:B10>100, "none") - rows where column B is more than 100
+ * SocialCalc.Formula.FilterFunction("FILTER", operand, foperand, sheet);
+ */
+SocialCalc.Formula.FilterFunction = function(fname, operand, foperand, sheet) {
+   let data, include, ifempty, bycol, i, t, list;
+   let result = [];
+
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   data = scf.OperandAsArray(sheet, foperand);
+   include = scf.OperandAsArray(sheet, foperand);
+   if (foperand.length) {
+      ifempty = scf.TopOfStackValueAndType(sheet, foperand); // keep references as references
+      if (foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return 0;
+      }
+   }
+
+   if (data.type != "array") {
+      PushOperand(data.type, 0);
+      return;
+   }
+   if (include.type != "array") {
+      PushOperand(include.type, 0);
+      return;
+   }
+
+   data = data.value;
+   include = include.value;
+   if (include[0].length == 1 && include.length == data.length) { // filter rows
+      bycol = false;
+   } else if (include.length == 1 && include[0].length == data[0].length) { // filter columns
+      bycol = true;
+      data = scf.TransposeArray(data);
+      include = scf.TransposeArray(include);
+   } else {
+      PushOperand("e#VALUE!", 0);
+      return;
+   }
+
+   for (i = 0; i < data.length; i++) {
+      t = include[i][0].type.charAt(0);
+      if (t == "e") { // propagate errors
+         PushOperand(include[i][0].type, 0);
+         return;
+      } else if (t == "t") {
+         PushOperand("e#VALUE!", 0);
+         return;
+      } else if (t == "n" && include[i][0].value != 0) {
+         result.push(data[i]);
+      }
+   }
+
+   if (!result.length) {
+      if (ifempty) {
+         PushOperand(ifempty.type, ifempty.value);
+      } else {
+         PushOperand("e#CALC!", 0);
+      }
+      return;
+   }
+
+   PushOperand("array", bycol ? scf.TransposeArray(result) : result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["FILTER"] = [SocialCalc.Formula.FilterFunction, -2, "filter", "", "lookup"];
+
+/**
+ * @function SortFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements SORT and SORTBY functions for dynamic arrays
+ * 
+ * - SORT(range, [sortindex], [sortorder], [bycol]): Sorts the rows of range by the values in
+ *   column sortindex (default 1). If bycol is true, sorts the columns by the values in row sortindex.
+ * - SORTBY(range, byrange1, [sortorder1], ...): Sorts the rows of range by the values in the
+ *   single column byranges (or the columns of range if the byranges are single rows).
+ * 
+ * Sortorder is 1 for ascending (the default) or -1 for descending. Numbers sort before text,
+ * then errors, with blanks last. Rows with equal values keep their original order.
+ * The result spills into the cells below and to the right.
+ * 
+ * @param {string} fname - The function name ("SORT" or "SORTBY")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =SORT(A1:C10, 2, -1) - sorted by the second column, largest first
+ * // =SORTBY(A1:A10, B1:B10) - names in column A sorted by the scores in column B
+ * SocialCalc.Formula.SortFunctions("SORT", operand, foperand, sheet);
+ */
+SocialCalc.Formula.SortFunctions = function(fname, operand, foperand, sheet) {
+   let data, value, by, bycol, i, indexes;
+   let keys = [];
+
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   /**
+    * @function GetSortOrder
+    * @description Gets an optional sort order argument
+    * @returns {number} 1 or -1, or 0 if bad value
+    */
+   let GetSortOrder = function() {
+      let v = scf.OperandAsNumber(sheet, foperand);
+      if (v.type.charAt(0) != "n" || (v.value != 1 && v.value != -1)) {
+         return 0;
+      }
+      return v.value - 0;
+   };
+
+   data = scf.OperandAsArray(sheet, foperand);
+   if (data.type != "array") {
+      PushOperand(data.type, 0);
+      return;
+   }
+   data = data.value;
+
+   if (fname == "SORT") {
+      keys.push({index: 1, order: 1, values: []});
+      if (foperand.length) {
+         value = scf.OperandAsNumber(sheet, foperand);
+         if (value.type.charAt(0) != "n") {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         keys[0].index = Math.floor(value.value);
+         if (foperand.length) {
+            keys[0].order = GetSortOrder();
+            if (foperand.length) {
+               value = scf.OperandAsNumber(sheet, foperand);
+               if (value.type.charAt(0) != "n") {
+                  PushOperand("e#VALUE!", 0);
+                  return;
+               }
+               bycol = value.value != 0;
+               if (foperand.length) {
+                  scf.FunctionArgsError(fname, operand);
+                  return 0;
+               }
+            }
+         }
+      }
+      if (bycol) {
+         data = scf.TransposeArray(data);
+      }
+      if (!keys[0].order || keys[0].index < 1 || keys[0].index > data[0].length) {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      for (i = 0; i < data.length; i++) {
+         keys[0].values.push(data[i][keys[0].index-1]);
+      }
+   } else { // SORTBY
+      while (foperand.length) {
+         by = scf.OperandAsArray(sheet, foperand);
+         if (by.type != "array") {
+            PushOperand(by.type, 0);
+            return;
+         }
+         by = by.value;
+         if (bycol == null) { // first one decides direction
+            bycol = !(by[0].length == 1 && by.length == data.length) && by.length == 1;
+            if (bycol) {
+               data = scf.TransposeArray(data);
+            }
+         }
+         if (bycol) {
+            by = scf.TransposeArray(by);
+         }
+         if (by[0].length != 1 || by.length != data.length) { // must match sorted rows or columns
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         keys.push({values: by.map(function(row) {return row[0];}), order: 1});
+         if (foperand.length && !scf.IsArrayOperand(sheet, foperand[foperand.length-1])) { // sort order
+            keys[keys.length-1].order = GetSortOrder();
+            if (!keys[keys.length-1].order) {
+               PushOperand("e#VALUE!", 0);
+               return;
+            }
+         }
+      }
+   }
+
+   indexes = [];
+   for (i = 0; i < data.length; i++) {
+      indexes.push(i);
+   }
+   indexes.sort(function(a, b) {
+      let k, cmp;
+      for (k = 0; k < keys.length; k++) {
+         cmp = scf.CompareArrayValues(keys[k].values[a], keys[k].values[b]) * keys[k].order;
+         if (cmp) return cmp;
+      }
+      return a - b; // keep original order if equal
+   });
+
+   data = indexes.map(function(i) {return data[i];});
+
+   PushOperand("array", bycol ? scf.TransposeArray(data) : data);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["SORT"] = [SocialCalc.Formula.SortFunctions, -1, "sort", "", "lookup"];
+SocialCalc.Formula.FunctionList["SORTBY"] = [SocialCalc.Formula.SortFunctions, -2, "sortby", "", "lookup"];
+
+/**
+ * @function UniqueFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the UNIQUE function for dynamic arrays
+ * 
+ * UNIQUE(range, [bycol], [exactlyonce]) returns the distinct rows of range (or columns if bycol
+ * is true) in the order they first appear. Text is compared ignoring case. If exactlyonce is
+ * true, only the rows that appear once are returned. The result spills into the cells below.
+ * 
+ * @param {string} fname - The function name ("UNIQUE")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =UNIQUE(A1:A100) - list of the different values in A1:A100
+ * SocialCalc.Formula.UniqueFunction("UNIQUE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.UniqueFunction = function(fname, operand, foperand, sheet) {
+   let data, value, bycol, exactlyonce, i, key;
+   let keys = [];
+   let counts = {};
+   let result = [];
+
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   data = scf.OperandAsArray(sheet, foperand);
+   if (foperand.length) {
+      value = scf.OperandAsNumber(sheet, foperand);
+      if (value.type.charAt(0) != "n") {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      bycol = value.value != 0;
+      if (foperand.length) {
+         value = scf.OperandAsNumber(sheet, foperand);
+         if (value.type.charAt(0) != "n") {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         exactlyonce = value.value != 0;
+         if (foperand.length) {
+            scf.FunctionArgsError(fname, operand);
+            return 0;
+         }
+      }
+   }
+
+   if (data.type != "array") {
+      PushOperand(data.type, 0);
+      return;
+   }
+   data = bycol ? scf.TransposeArray(data.value) : data.value;
+
+   for (i = 0; i < data.length; i++) {
+      key = data[i].map(function(v) {
+         return v.type.charAt(0) + ":" + (v.type.charAt(0) == "t" ? v.value.toLowerCase() : v.value);
+      }).join("\n");
+      if (counts[key]) {
+         counts[key]++;
+      } else {
+         counts[key] = 1;
+         keys.push({key: key, row: data[i]});
+      }
+   }
+
+   for (i = 0; i < keys.length; i++) {
+      if (!exactlyonce || counts[keys[i].key] == 1) {
+         result.push(keys[i].row);
+      }
+   }
+
+   if (!result.length) {
+      PushOperand("e#CALC!", 0);
+      return;
+   }
+
+   PushOperand("array", bycol ? scf.TransposeArray(result) : result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["UNIQUE"] = [SocialCalc.Formula.UniqueFunction, -1, "unique", "", "lookup"];
+
+/**
+ * @function SequenceFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the SEQUENCE function for dynamic arrays
+ * 
+ * SEQUENCE(rows, [columns], [start], [step]) returns an array of sequential numbers,
+ * going across and then down. Columns, start, and step default to 1.
+ * The result spills into the cells below and to the right. Arrays larger than
+ * MaxArrayColumns wide or MaxArrayElements in all are #NUM!.
+ * 
+ * @param {string} fname - The function name ("SEQUENCE")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =SEQUENCE(5) - 1 through 5 in a column
+ * // =SEQUENCE(2, 3, 0, 10) - 0, 10, 20 in the first row and 30, 40, 50 in the second
+ * SocialCalc.Formula.SequenceFunction("SEQUENCE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.SequenceFunction = function(fname, operand, foperand, sheet) {
+   let value, r, c, row;
+   let args = [0, 1, 1, 1]; // rows, columns, start, step
+   let result = [];
+
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   for (c = 0; foperand.length; c++) {
+      if (c >= args.length) {
+         scf.FunctionArgsError(fname, operand);
+         return 0;
+      }
+      value = scf.OperandAsNumber(sheet, foperand);
+      if (value.type.charAt(0) != "n") {
+         PushOperand(value.type.charAt(0) == "e" ? value.type : "e#VALUE!", 0);
+         return;
+      }
+      args[c] = value.value - 0;
+   }
+
+   args[0] = Math.floor(args[0]);
+   args[1] = Math.floor(args[1]);
+   if (args[0] < 1 || args[1] < 1) {
+      PushOperand("e#CALC!", 0);
+      return;
+   }
+   if (args[1] > scf.MaxArrayColumns || args[0] * args[1] > scf.MaxArrayElements) {
+      PushOperand("e#NUM!", 0);
+      return;
+   }
+
+   for (r = 0; r < args[0]; r++) {
+      row = [];
+      for (c = 0; c < args[1]; c++) {
+         row.push({type: "n", value: args[2] + (r * args[1] + c) * args[3]});
+      }
+      result.push(row);
+   }
+
+   PushOperand("array", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["SEQUENCE"] = [SocialCalc.Formula.SequenceFunction, -1, "sequence", "", "math"];
+
+/**
+ * @function IndexFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the INDEX function for retrieving values from ranges by position
+ * 
+ * INDEX(range, rownum, colnum) returns a reference to a cell or range at the specified position.
+ * - If both row and column are specified, returns the cell at that intersection
+ * - If only row is specified (or only column for single-row ranges), returns the entire row/column
+ * - If neither is specified, returns the entire range
+ * 
+ * @param {string} fname - The function name ("INDEX")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =INDEX(A1:C5, 2, 3) returns reference to C2
+ * // =INDEX(A1:A10, 5) returns reference to A5 (single column)
+ * SocialCalc.Formula.IndexFunction("INDEX", operand, foperand, sheet);
+ */
+SocialCalc.Formula.IndexFunction = function(fname, operand, foperand, sheet) {
+   let range, sheetname, indexinfo, rowindex, colindex, result, resulttype;
+
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   // Get the range argument
+   range = scf.TopOfStackValueAndType(sheet, foperand); // get range
+   if (range.type == "array") {
+      indexinfo = scf.ArrayRangeParts(range.value);
+   } else if (range.type == "range") {
+      indexinfo = scf.DecodeRangeParts(sheet, range.value, range.type);
+   } else {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+
+   if (indexinfo.sheetname) {
+      sheetname = "!" + indexinfo.sheetname;
+   } else {
+      sheetname = "";
+   }
+
+   // Initialize row and column indices
+   rowindex = {value: 0};
+   colindex = {value: 0};
+
+   if (foperand.length) { // look for row number
+      rowindex = scf.OperandAsNumber(sheet, foperand);
+      if (rowindex.type.charAt(0) != "n" || rowindex.value < 0) {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      
+      if (foperand.length) { // look for col number
+         colindex = scf.OperandAsNumber(sheet, foperand);
+         if (colindex.type.charAt(0) != "n" || colindex.value < 0) {
+            PushOperand("e#VALUE!", 0);
+            return;
+         }
+         if (foperand.length) {
+            scf.FunctionArgsError(fname, operand);
+            return 0;
+         }
+      } else { // col number missing
+         if (indexinfo.nrows == 1) { // if only one row, then rowindex is really colindex
+            colindex.value = rowindex.value;
+            rowindex.value = 0;
+         }
+      }
+   }
+
+   // Validate indices are within range bounds
+   if (rowindex.value > indexinfo.nrows || colindex.value > indexinfo.ncols) {
+      PushOperand("e#REF!", 0);
+      return;
+   }
+
+   if (indexinfo.array) { // values rather than references for an array constant
+      result = scf.ArraySlice(indexinfo.array,
+         colindex.value || 1, colindex.value ? 1 : indexinfo.ncols,
+         rowindex.value || 1, rowindex.value ? 1 : indexinfo.nrows);
+      PushOperand(result.type, result.value);
+      return;
+   }
+
+   // Generate the appropriate result based on the indices provided
+   if (rowindex.value == 0) {
+      if (colindex.value == 0) {
+         // Return entire range
+         if (indexinfo.nrows == 1 && indexinfo.ncols == 1) {
+            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num) + sheetname;
+            resulttype = "coord";
+         } else {
+            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num) + sheetname + "|" +
+                     SocialCalc.crToCoord(indexinfo.col1num+indexinfo.ncols-1, indexinfo.row1num+indexinfo.nrows-1) + 
+                     "|";
+            resulttype = "range";
+         }
+      } else {
+         // Return entire column
+         if (indexinfo.nrows == 1) {
+            result = SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num) + sheetname;
+            resulttype = "coord";
+         } else {
+            result = SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num) + sheetname + "|" +
+                     SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num+indexinfo.nrows-1) +
+                     "|";
+            resulttype = "range";
+         }
+      }
+   } else {
+      if (colindex.value == 0) {
+         // Return entire row
+         if (indexinfo.ncols == 1) {
+            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num+rowindex.value-1) + sheetname;
+            resulttype = "coord";
+         } else {
+            result = SocialCalc.crToCoord(indexinfo.col1num, indexinfo.row1num+rowindex.value-1) + sheetname + "|" +
+                     SocialCalc.crToCoord(indexinfo.col1num+indexinfo.ncols-1, indexinfo.row1num+rowindex.value-1) +
+                     "|";
+            resulttype = "range";
+         }
+      } else {
+         // Return specific cell
+         result = SocialCalc.crToCoord(indexinfo.col1num+colindex.value-1, indexinfo.row1num+rowindex.value-1) + sheetname;
+         resulttype = "coord";
+      }
+   }
+
+   PushOperand(resulttype, result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["INDEX"] = [SocialCalc.Formula.IndexFunction, -1, "index", "", "lookup"];
+
+/**
+ * @function CountifSumifFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements COUNTIF, SUMIF, and AVERAGEIF functions for conditional counting and summing
+ * 
+ * - COUNTIF(range, criteria): Counts cells in range that meet criteria
+ * - SUMIF(range, criteria, [sum_range]): Sums values where criteria are met
+ *   If sum_range is omitted, sums the values in the criteria range
+ * - AVERAGEIF(range, criteria, [average_range]): Averages numeric values where criteria are met
+ *   If average_range is omitted, averages the values in the criteria range
+ * 
+ * @param {string} fname - The function name ("COUNTIF", "SUMIF", or "AVERAGEIF")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =COUNTIF(A1:A10, ">5") counts cells > 5
+ * // =SUMIF(A1:A10, ">5", B1:B10) sums B values where A > 5
+ * // =AVERAGEIF(A1:A10, "East", C1:C10) averages C values where A is "East"
+ * SocialCalc.Formula.CountifSumifFunctions("SUMIF", operand, foperand, sheet);
+ */
+SocialCalc.Formula.CountifSumifFunctions = function(fname, operand, foperand, sheet) {
+   let range, criteria, sumrange, f2operand, result, resulttype, value1, value2;
+   let sum = 0;
+   let resulttypesum = "";
+   let count = 0;
+   let numcount = 0;
+
+   let scf = SocialCalc.Formula;
+   let operand_value_and_type = scf.OperandValueAndType;
+   let lookup_result_type = scf.LookupResultType;
+   let typelookupplus = scf.TypeLookupTable.plus;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   // Get function arguments
+   range = scf.TopOfStackValueAndType(sheet, foperand); // get range or coord
+   criteria = scf.OperandAsText(sheet, foperand); // get criteria
+   
+   if (fname == "SUMIF" || fname == "AVERAGEIF") {
+      if (foperand.length == 1) { // three arg form of SUMIF
+         sumrange = scf.TopOfStackValueAndType(sheet, foperand);
+      } else if (foperand.length == 0) { // two arg form
+         sumrange = {value: range.value, type: range.type};
+      } else {
+         scf.FunctionArgsError(fname, operand);
+         return 0;
+      }
+   } else {
+      sumrange = {value: range.value, type: range.type};
+   }
+
+   // Process criteria value
+   if (criteria.type.charAt(0) == "n") {
+      criteria.value = criteria.value + ""; // make text
+   } else if (criteria.type.charAt(0) == "e") { // error
+      criteria.value = null;
+   } else if (criteria.type.charAt(0) == "b") { // blank here is undefined
+      criteria.value = null;
+   }
+
+   // Validate range arguments
+   if (range.type != "coord" && range.type != "range" && range.type != "array") {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+
+   if (fname != "COUNTIF" && sumrange.type != "coord" && sumrange.type != "range" && sumrange.type != "array") {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+
+   /**
+    * @function PushRange
+    * @description Pushes a range for stepping through, or the elements of an array in the same order
+    * @param {Array<Object>} stack - Operand stack to push onto
+    * @param {Object} r - The range, coord or array
+    */
+   let PushRange = function(stack, r) {
+      let row, col;
+      if (r.type != "array") {
+         stack.push(r);
+         return;
+      }
+      for (col = r.value[0].length - 1; col >= 0; col--) { // last pushed is first used, going down each column
+         for (row = r.value.length - 1; row >= 0; row--) {
+            stack.push(r.value[row][col]);
+         }
+      }
+   };
+
+   // Set up operand stacks for parallel processing of criteria and sum ranges
+   PushRange(foperand, range);
+   f2operand = []; // to allow for 3 arg form
+   PushRange(f2operand, sumrange);
+
+   // Process each cell in the ranges
+   while (foperand.length) {
+      value1 = operand_value_and_type(sheet, foperand); // criteria range value
+      value2 = operand_value_and_type(sheet, f2operand); // sum range value
+
+      if (!scf.TestCriteria(value1.value, value1.type, criteria.value)) {
+         continue; // doesn't meet criteria
+      }
+
+      count += 1;
+
+      if (value2.type.charAt(0) == "n") {
+         sum += value2.value-0;
+         numcount += 1;
+         resulttypesum = lookup_result_type(value2.type, resulttypesum || value2.type, typelookupplus);
+      } else if (value2.type.charAt(0) == "e" && resulttypesum.charAt(0) != "e") {
+         resulttypesum = value2.type;
+      }
+   }
+
+   resulttypesum = resulttypesum || "n";
+
+   // Return appropriate result
+   if (fname == "SUMIF") {
+      PushOperand(resulttypesum, sum);
+   } else if (fname == "COUNTIF") {
+      PushOperand("n", count);
+   } else if (fname == "AVERAGEIF") {
+      if (resulttypesum.charAt(0) == "e") {
+         PushOperand(resulttypesum, 0);
+      } else if (numcount == 0) {
+         PushOperand("e#DIV/0!", 0);
+      } else {
+         PushOperand(resulttypesum, sum / numcount);
+      }
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["COUNTIF"] = [SocialCalc.Formula.CountifSumifFunctions, 2, "rangec", "", "stat"];
+SocialCalc.Formula.FunctionList["SUMIF"] = [SocialCalc.Formula.CountifSumifFunctions, -2, "sumif", "", "stat"];
+SocialCalc.Formula.FunctionList["AVERAGEIF"] = [SocialCalc.Formula.CountifSumifFunctions, -2, "averageif", "", "stat"];
+
+/**
+ * @function IfsFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements SUMIFS, COUNTIFS, AVERAGEIFS, MAXIFS, and MINIFS with multiple criteria
+ * 
+ * - COUNTIFS(range1, criteria1, [range2, criteria2, ...]): Counts positions where all criteria are met
+ * - SUMIFS(sum_range, range1, criteria1, ...): Sums values where all criteria are met
+ * - AVERAGEIFS(average_range, range1, criteria1, ...): Averages numeric values where all criteria are met
+ * - MAXIFS/MINIFS(value_range, range1, criteria1, ...): Maximum/minimum numeric value where all criteria are met
+ * 
+ * The criteria are tested with TestCriteria, the same as COUNTIF and SUMIF.
+ * All of the ranges must be the same shape or the result is #VALUE!.
+ * 
+ * @param {string} fname - The function name ("SUMIFS", "COUNTIFS", "AVERAGEIFS", "MAXIFS", or "MINIFS")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =SUMIFS(C1:C10, A1:A10, "East", B1:B10, ">100") sums C where A is "East" and B > 100
+ * // =COUNTIFS(A1:A10, "a*", B1:B10, "<>0") counts rows where A starts with "a" and B isn't 0
+ * SocialCalc.Formula.IfsFunctions("SUMIFS", operand, foperand, sheet);
+ */
+SocialCalc.Formula.IfsFunctions = function(fname, operand, foperand, sheet) {
+   let i, r, c, range, criteria, value, values, ok;
+   let ranges = [];
+   let criterias = [];
+   let sum = 0;
+   let resulttypesum = "";
+   let count = 0;
+   let numcount = 0;
+   let extreme = null;
+
+   let scf = SocialCalc.Formula;
+   let lookup_result_type = scf.LookupResultType;
+   let typelookupplus = scf.TypeLookupTable.plus;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   if ((fname == "COUNTIFS") == (foperand.length % 2 == 1)) { // range/criteria pairs after the value range, if any
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+
+   // Get function arguments, each range as an array of values
+   while (foperand.length) {
+      range = scf.TopOfStackValueAndType(sheet, foperand);
+      if (range.type != "coord" && range.type != "range" && range.type != "array") {
+         scf.FunctionArgsError(fname, operand);
+         return 0;
+      }
+      foperand.push(range);
+      range = scf.OperandAsArray(sheet, foperand);
+      if (range.type != "array") {
+         PushOperand(range.type, 0);
+         return;
+      }
+      if (ranges.length && (range.value.length != ranges[0].length || range.value[0].length != ranges[0][0].length)) {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      ranges.push(range.value);
+
+      if (ranges.length == 1 && fname != "COUNTIFS") { // value range has no criteria
+         continue;
+      }
+
+      criteria = scf.OperandAsText(sheet, foperand);
+      if (criteria.type.charAt(0) == "n") {
+         criteria.value = criteria.value + ""; // make text
+      } else if (criteria.type.charAt(0) == "e" || criteria.type.charAt(0) == "b") { // matches nothing
+         criteria.value = null;
+      }
+      criterias.push(criteria.value);
+   }
+
+   values = fname == "COUNTIFS" ? null : ranges.shift();
+
+   // Process each position in the ranges
+   for (r = 0; r < ranges[0].length; r++) {
+      for (c = 0; c < ranges[0][0].length; c++) {
+         ok = true;
+         for (i = 0; i < ranges.length && ok; i++) {
+            ok = scf.TestCriteria(ranges[i][r][c].value, ranges[i][r][c].type, criterias[i]);
+         }
+         if (!ok) {
+            continue; // doesn't meet criteria
+         }
+
+         count += 1;
+
+         if (!values) {
+            continue;
+         }
+         value = values[r][c];
+         if (value.type.charAt(0) == "n") {
+            sum += value.value-0;
+            numcount += 1;
+            resulttypesum = lookup_result_type(value.type, resulttypesum || value.type, typelookupplus);
+            if (extreme == null || (fname == "MAXIFS" ? value.value-0 > extreme : value.value-0 < extreme)) {
+               extreme = value.value-0;
+            }
+         } else if (value.type.charAt(0) == "e" && resulttypesum.charAt(0) != "e") {
+            resulttypesum = value.type;
+         }
+      }
+   }
+
+   resulttypesum = resulttypesum || "n";
+
+   // Return appropriate result
+   if (fname == "COUNTIFS") {
+      PushOperand("n", count);
+   } else if (resulttypesum.charAt(0) == "e") {
+      PushOperand(resulttypesum, 0);
+   } else if (fname == "SUMIFS") {
+      PushOperand(resulttypesum, sum);
+   } else if (fname == "AVERAGEIFS") {
+      if (numcount == 0) {
+         PushOperand("e#DIV/0!", 0);
+      } else {
+         PushOperand(resulttypesum, sum / numcount);
+      }
+   } else { // MAXIFS and MINIFS are 0 if nothing matches
+      PushOperand(resulttypesum, extreme == null ? 0 : extreme);
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["AVERAGEIFS"] = [SocialCalc.Formula.IfsFunctions, -3, "averageifs", "", "stat"];
+SocialCalc.Formula.FunctionList["COUNTIFS"] = [SocialCalc.Formula.IfsFunctions, -2, "countifs", "", "stat"];
+SocialCalc.Formula.FunctionList["MAXIFS"] = [SocialCalc.Formula.IfsFunctions, -3, "maxifs", "", "stat"];
+SocialCalc.Formula.FunctionList["MINIFS"] = [SocialCalc.Formula.IfsFunctions, -3, "maxifs", "", "stat"];
+SocialCalc.Formula.FunctionList["SUMIFS"] = [SocialCalc.Formula.IfsFunctions, -3, "sumifs", "", "stat"];
+
+/**
+ * @function IfFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the IF function for conditional value selection
+ * 
+ * IF(condition, true_value, false_value) returns true_value if condition is true,
+ * false_value otherwise. The condition must be numeric or boolean.
+ * 
+ * @param {string} fname - The function name ("IF")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {null} Always returns null (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =IF(A1>5, "High", "Low") returns "High" if A1>5, "Low" otherwise
+ * SocialCalc.Formula.IfFunction("IF", operand, foperand, sheet);
+ */
+SocialCalc.Formula.IfFunction = function(fname, operand, foperand, sheet) {
+   let cond, t;
+
+   cond = SocialCalc.Formula.OperandValueAndType(sheet, foperand);
+   t = cond.type.charAt(0);
+   
+   if (t != "n" && t != "b") {
+      operand.push({type: "e#VALUE!", value: 0});
+      return;
+   }
+
+   // Select the appropriate value based on condition
+   if (!cond.value) foperand.pop(); // remove true_value if condition is false
+   operand.push(foperand.pop()); // push the selected value
+   if (cond.value) foperand.pop(); // remove false_value if condition is true
+
+   return null;
+};
+
+// Add to function list
+SocialCalc.Formula.FunctionList["IF"] = [SocialCalc.Formula.IfFunction, 3, "iffunc", "", "test"];
+
+/**
+ * @function LetFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the LET function for naming values within a formula
+ * 
+ * LET(name1, value1, [name2, value2, ...], calculation) evaluates each value in turn,
+ * assigns it to its name, and returns the value of the calculation. Each value, and
+ * the calculation, may use the names assigned before it.
+ * 
+ * This is listed in LazyFunctions, so the arguments are passed unevaluated.
+ * 
+ * @param {string} fname - The function name ("LET")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Array<Object>>} args - The arguments, each an array of parsed tokens
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string} Error text if there was an error in an argument, empty string otherwise
+ * 
+ * @example
+ * // Called internally by CalculateLazyFunction
+ * // =LET(x, 5, y, x+1, x*y) returns 30
+ * // =LET(r, A1:A3, SUM(r)/COUNT(r)) returns the average of A1:A3
+ * SocialCalc.Formula.LetFunction("LET", operand, args, sheet);
+ */
+SocialCalc.Formula.LetFunction = function(fname, operand, args, sheet) {
+   let i, name, result;
+   let scf = SocialCalc.Formula;
+   let scope = {};
+
+   if (args.length % 2 == 0) { // needs name/value pairs and a calculation
+      return scf.FunctionArgsError(fname, operand);
+   }
+
+   for (i = 0; i < args.length - 1; i += 2) {
+      name = scf.ArgumentAsName(args[i]);
+      if (!name) {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return "";
+      }
+   }
+
+   scf.NameScopes.push(scope);
+
+   for (i = 0; i < args.length; i += 2) {
+      result = scf.EvaluateTokens(args[i == args.length - 1 ? i : i+1], sheet);
+      if (result.type == "name") {
+         result = scf.LookupName(sheet, result.value);
+      }
+      if (result.type == "e" || i == args.length - 1) { // error in the formula itself or done
+         break;
+      }
+      scope[scf.ArgumentAsName(args[i])] = {type: result.type, value: result.value};
+   }
+
+   scf.NameScopes.pop();
+
+   if (result.type == "e") {
+      return scf.FunctionSpecificError(fname, operand, "e#VALUE!", result.value);
+   }
+
+   scf.PushOperand(operand, result.type, result.value);
+
+   return "";
+};
+
+SocialCalc.Formula.FunctionList["LET"] = [SocialCalc.Formula.LetFunction, -3, "let", "", "test"];
+SocialCalc.Formula.LazyFunctions["LET"] = true;
+
+/**
+ * @function LambdaFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the LAMBDA function for user defined functions
+ * 
+ * LAMBDA([parameter1, ...], calculation) returns a function that, when called with
+ * a value for each parameter, returns the value of the calculation. The calculation is
+ * not evaluated until then. Define a name as a LAMBDA to call it like the built-in
+ * functions (see CallLambda). The result can't be shown in a cell itself (#CALC!).
+ * 
+ * This is listed in LazyFunctions, so the arguments are passed unevaluated.
+ * 
+ * @param {string} fname - The function name ("LAMBDA")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Array<Object>>} args - The arguments, each an array of parsed tokens
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateLazyFunction
+ * // With the name TAX defined as =LAMBDA(amount, amount*0.2), =TAX(B2) returns B2*0.2
+ * // =LET(sq, LAMBDA(x, x*x), sq(3)) returns 9
+ * SocialCalc.Formula.LambdaFunction("LAMBDA", operand, args, sheet);
+ */
+SocialCalc.Formula.LambdaFunction = function(fname, operand, args, sheet) {
+   let i, name;
+   let scf = SocialCalc.Formula;
+   let lambda = {params: [], body: args[args.length-1], scope: {}};
+
+   for (i = 0; i < args.length - 1; i++) {
+      name = scf.ArgumentAsName(args[i]);
+      if (!name) {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
+      lambda.params.push(name);
+   }
+
+   for (i = 0; i < scf.NameScopes.length; i++) { // remember the names in scope now
+      for (name in scf.NameScopes[i]) {
+         lambda.scope[name] = scf.NameScopes[i][name];
+      }
+   }
+
+   scf.PushOperand(operand, "lambda", lambda);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["LAMBDA"] = [SocialCalc.Formula.LambdaFunction, -1, "lambda", "", "test"];
+SocialCalc.Formula.LazyFunctions["LAMBDA"] = true;
+
+/**
+ * @function ArgumentAsName
+ * @memberof SocialCalc.Formula
+ * @description Returns the name given as an unevaluated argument, such as in LET and LAMBDA
+ * 
+ * @param {Array<Object>} tokens - Array of parsed tokens making up the argument
+ * @returns {string} The name in uppercase, or "" if the argument isn't just a name
+ * 
+ * @example
+ * let name = SocialCalc.Formula.ArgumentAsName(args[0]);
+ * // Returns: "RATE" for the argument "rate"
+ */
+SocialCalc.Formula.ArgumentAsName = function(tokens) {
+   let i;
+   let name = "";
+
+   for (i = 0; i < tokens.length; i++) {
+      if (tokens[i].type == SocialCalc.Formula.TokenType.space) {
+         continue;
+      }
+      if (name || tokens[i].type != SocialCalc.Formula.TokenType.name) {
+         return "";
+      }
+      name = tokens[i].text.toUpperCase();
+   }
+
+   return name;
+};
+
+/**
+ * @function BranchFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements IFERROR, IFNA, IFS, and SWITCH, which only evaluate the arguments they use
+ * 
+ * - IFERROR(value, valueiferror): value, or valueiferror if value is an error
+ * - IFNA(value, valueifna): value, or valueifna if value is #N/A
+ * - IFS(condition1, value1, [condition2, value2, ...]): The value of the first true condition,
+ *   or #N/A if none are true
+ * - SWITCH(expression, match1, value1, [match2, value2, ...], [default]): The value for the
+ *   first match equal to expression (text is compared ignoring case), or default, or #N/A
+ * 
+ * These are LazyFunctions, so the arguments not needed are not evaluated and can't cause
+ * errors or load other sheets. References are returned as references.
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Array<Object>>} args - The unevaluated arguments, each an array of parsed tokens
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {string} Error text, or "" if none
+ * 
+ * @example
+ * // Called internally by CalculateLazyFunction
+ * // =IFERROR(A1/B1, 0) returns 0 if B1 is 0
+ * // =IFS(A1>=90, "A", A1>=80, "B", TRUE, "C") returns the grade for A1
+ * // =SWITCH(A1, 1, "One", 2, "Two", "Other") returns the name for A1
+ * SocialCalc.Formula.BranchFunctions("IFERROR", operand, args, sheet);
+ */
+SocialCalc.Formula.BranchFunctions = function(fname, operand, args, sheet) {
+   let i, value, match, t;
+   let scf = SocialCalc.Formula;
+   let result = null;
+
+   /**
+    * @function Evaluate
+    * @description Helper function evaluating an argument and returning it and its value
+    * @param {number} n - Which argument
+    * @returns {Object} The result, with the value (type and value) of a name or coord in "current"
+    */
+   let Evaluate = function(n) {
+      let r = scf.EvaluateTokens(args[n], sheet);
+      if (r.type == "name") {
+         r = scf.LookupName(sheet, r.value);
+      }
+      if (r.type == "range" || r.type == "array" || r.type == "e") {
+         r.current = {type: r.type, value: r.value};
+      } else {
+         r.current = scf.OperandValueAndType(sheet, [{type: r.type, value: r.value}]);
+      }
+      return r;
+   };
+
+   switch (fname) {
+      case "IFERROR":
+      case "IFNA":
+         result = Evaluate(0);
+         t = result.current.type;
+         if (t != "e" && (fname == "IFERROR" ? t.charAt(0) == "e" : t == "e#N/A")) {
+            result = Evaluate(1);
+         }
+         break;
+
+      case "IFS":
+         if (args.length % 2) { // needs condition/value pairs
+            return scf.FunctionArgsError(fname, operand);
+         }
+         for (i = 0; i < args.length; i += 2) {
+            value = Evaluate(i);
+            t = value.current.type.charAt(0);
+            if (t == "e") {
+               result = value;
+               break;
+            }
+            if (t != "n" && t != "b") {
+               result = {type: "e#VALUE!", value: 0};
+               break;
+            }
+            if (value.current.value - 0) {
+               result = Evaluate(i+1);
+               break;
+            }
+         }
+         break;
+
+      case "SWITCH":
+         value = Evaluate(0);
+         if (value.current.type.charAt(0) == "e") {
+            result = value;
+            break;
+         }
+         for (i = 1; i + 1 < args.length; i += 2) {
+            match = Evaluate(i);
+            if (match.current.type.charAt(0) == "e") {
+               result = match;
+               break;
+            }
+            if (scf.SwitchValuesEqual(value.current, match.current)) {
+               result = Evaluate(i+1);
+               break;
+            }
+         }
+         if (!result && i < args.length) { // default
+            result = Evaluate(i);
+         }
+         break;
+   }
+
+   if (!result) {
+      result = {type: "e#N/A", value: 0};
+   }
+
+   if (result.type == "e") { // error in the formula itself
+      return scf.FunctionSpecificError(fname, operand, "e#VALUE!", result.value);
+   }
+
+   scf.PushOperand(operand, result.type, result.value);
+
+   return "";
+};
+
+SocialCalc.Formula.FunctionList["IFERROR"] = [SocialCalc.Formula.BranchFunctions, 2, "iferror", "", "test"];
+SocialCalc.Formula.FunctionList["IFNA"] = [SocialCalc.Formula.BranchFunctions, 2, "iferror", "", "test"];
+SocialCalc.Formula.FunctionList["IFS"] = [SocialCalc.Formula.BranchFunctions, -2, "ifs", "", "test"];
+SocialCalc.Formula.FunctionList["SWITCH"] = [SocialCalc.Formula.BranchFunctions, -3, "switch", "", "test"];
+SocialCalc.Formula.LazyFunctions["IFERROR"] = true;
+SocialCalc.Formula.LazyFunctions["IFNA"] = true;
+SocialCalc.Formula.LazyFunctions["IFS"] = true;
+SocialCalc.Formula.LazyFunctions["SWITCH"] = true;
+
+/**
+ * @function SwitchValuesEqual
+ * @memberof SocialCalc.Formula
+ * @description Returns true if two values match for SWITCH
+ * 
+ * Numbers match if they are equal and text matches ignoring case. A blank matches 0 and "".
+ * 
+ * @param {Object} value1 - First value, with type and value
+ * @param {Object} value2 - Second value, with type and value
+ * @returns {boolean} Whether they match
+ * 
+ * @example
+ * SocialCalc.Formula.SwitchValuesEqual({type: "t", value: "Yes"}, {type: "t", value: "YES"}) // Returns: true
+ */
+SocialCalc.Formula.SwitchValuesEqual = function(value1, value2) {
+   let t1 = value1.type.charAt(0);
+   let t2 = value2.type.charAt(0);
+
+   if (t1 == "b") {
+      return t2 == "b" || (t2 == "n" && value2.value == 0) || (t2 == "t" && value2.value == "");
+   }
+   if (t2 == "b") {
+      return SocialCalc.Formula.SwitchValuesEqual(value2, value1);
+   }
+   if (t1 != t2) {
+      return false;
+   }
+   if (t1 == "n") {
+      return value1.value - 0 == value2.value - 0;
+   }
+
+   return String(value1.value).toLowerCase() == String(value2.value).toLowerCase();
+};
+
+/**
+ * @function DateFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the DATE function for creating date values
+ * 
+ * DATE(year, month, day) returns a date serial number for the specified date.
+ * Uses the Gregorian to Julian calendar conversion system.
+ * 
+ * @param {string} fname - The function name ("DATE")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =DATE(2023, 12, 25) returns the serial number for December 25, 2023
+ * SocialCalc.Formula.DateFunction("DATE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DateFunction = function(fname, operand, foperand, sheet) {
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   
+   let year = scf.OperandAsNumber(sheet, foperand);
+   let month = scf.OperandAsNumber(sheet, foperand);
+   let day = scf.OperandAsNumber(sheet, foperand);
+   
+   let resulttype = scf.LookupResultType(year.type, month.type, scf.TypeLookupTable.twoargnumeric);
+   resulttype = scf.LookupResultType(resulttype, day.type, scf.TypeLookupTable.twoargnumeric);
+   
+   if (resulttype.charAt(0) == "n") {
+      result = SocialCalc.FormatNumber.convert_date_gregorian_to_julian(
+                  Math.floor(year.value), Math.floor(month.value), Math.floor(day.value)
+                  ) - SocialCalc.FormatNumber.datevalues.julian_offset;
+      resulttype = "nd";
+   }
+   
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["DATE"] = [SocialCalc.Formula.DateFunction, 3, "date", "", "datetime"];
+
+/**
+ * @function TimeFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the TIME function for creating time values
+ * 
+ * TIME(hour, minute, second) returns a time serial number (fraction of a day)
+ * for the specified time components.
+ * 
+ * @param {string} fname - The function name ("TIME")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =TIME(14, 30, 0) returns 0.604167 (2:30 PM as fraction of day)
+ * SocialCalc.Formula.TimeFunction("TIME", operand, foperand, sheet);
+ */
+SocialCalc.Formula.TimeFunction = function(fname, operand, foperand, sheet) {
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   
+   let hours = scf.OperandAsNumber(sheet, foperand);
+   let minutes = scf.OperandAsNumber(sheet, foperand);
+   let seconds = scf.OperandAsNumber(sheet, foperand);
+   
+   let resulttype = scf.LookupResultType(hours.type, minutes.type, scf.TypeLookupTable.twoargnumeric);
+   resulttype = scf.LookupResultType(resulttype, seconds.type, scf.TypeLookupTable.twoargnumeric);
+   
+   if (resulttype.charAt(0) == "n") {
+      result = ((hours.value * 60 * 60) + (minutes.value * 60) + seconds.value) / (24*60*60);
+      resulttype = "nt";
+   }
+   
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["TIME"] = [SocialCalc.Formula.TimeFunction, 3, "hms", "", "datetime"];
+
+/**
+ * @function DMYFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements date extraction functions (DAY, MONTH, YEAR, WEEKDAY)
+ * 
+ * - DAY(date): Returns the day of the month (1-31)
+ * - MONTH(date): Returns the month (1-12)
+ * - YEAR(date): Returns the year
+ * - WEEKDAY(date, [type]): Returns day of week (1-7), with optional type parameter
+ * 
+ * @param {string} fname - The function name ("DAY", "MONTH", "YEAR", or "WEEKDAY")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =DAY(DATE(2023,12,25)) returns 25
+ * // =WEEKDAY(DATE(2023,12,25), 1) returns day of week for Christmas 2023
+ * SocialCalc.Formula.DMYFunctions("DAY", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DMYFunctions = function(fname, operand, foperand, sheet) {
+   let ymd, dtype, doffset;
+   let scf = SocialCalc.Formula;
+   let result = 0;
+
+   let datevalue = scf.OperandAsNumber(sheet, foperand);
+   let resulttype = scf.LookupResultType(datevalue.type, datevalue.type, scf.TypeLookupTable.oneargnumeric);
+
+   if (resulttype.charAt(0) == "n") {
+      ymd = SocialCalc.FormatNumber.convert_date_julian_to_gregorian(
+               Math.floor(datevalue.value + SocialCalc.FormatNumber.datevalues.julian_offset));
+      
+      switch (fname) {
+         case "DAY":
+            result = ymd.day;
+            break;
+
+         case "MONTH":
+            result = ymd.month;
+            break;
+
+         case "YEAR":
+            result = ymd.year;
+            break;
+
+         case "WEEKDAY":
+            dtype = {value: 1};
+            if (foperand.length) { // get type if present
+               dtype = scf.OperandAsNumber(sheet, foperand);
+               if (dtype.type.charAt(0) != "n" || dtype.value < 1 || dtype.value > 3) {
+                  scf.PushOperand(operand, "e#VALUE!", 0);
+                  return;
+               }
+               if (foperand.length) { // extra args
+                  scf.FunctionArgsError(fname, operand);
+                  return;
+               }
+            }
+            doffset = 6;
+            if (dtype.value > 1) {
+               doffset -= 1;
+            }
+            result = Math.floor(datevalue.value+doffset) % 7 + (dtype.value < 3 ? 1 : 0);
+            break;
+      }
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["DAY"] = [SocialCalc.Formula.DMYFunctions, 1, "v", "", "datetime"];
+SocialCalc.Formula.FunctionList["MONTH"] = [SocialCalc.Formula.DMYFunctions, 1, "v", "", "datetime"];
+SocialCalc.Formula.FunctionList["YEAR"] = [SocialCalc.Formula.DMYFunctions, 1, "v", "", "datetime"];
+SocialCalc.Formula.FunctionList["WEEKDAY"] = [SocialCalc.Formula.DMYFunctions, -1, "weekday", "", "datetime"];
+
+/**
+ * @function DateToYMD
+ * @memberof SocialCalc.Formula
+ * @description Converts a date value (days since December 30, 1899) to year, month, and day
+ * 
+ * @param {number} datevalue - The date value (any fraction for the time of day is ignored)
+ * @returns {Object} Object with year, month (1-12), and day
+ * 
+ * @example
+ * SocialCalc.Formula.DateToYMD(45356) // Returns: {year: 2024, month: 3, day: 5}
+ */
+SocialCalc.Formula.DateToYMD = function(datevalue) {
+   return SocialCalc.FormatNumber.convert_date_julian_to_gregorian(
+             Math.floor(datevalue + SocialCalc.FormatNumber.datevalues.julian_offset));
+};
+
+/**
+ * @function YMDToDate
+ * @memberof SocialCalc.Formula
+ * @description Converts year, month, and day to a date value (days since December 30, 1899)
+ * 
+ * Months outside of 1-12 and days outside of the month roll over into other months and years,
+ * as with the DATE function (e.g., month 13 is January of the next year and day 0 is the last
+ * day of the previous month).
+ * 
+ * @param {number} year - The year
+ * @param {number} month - The month
+ * @param {number} day - The day
+ * @returns {number} The date value
+ * 
+ * @example
+ * SocialCalc.Formula.YMDToDate(2024, 3, 0) // Returns: 45351 (February 29, 2024)
+ */
+SocialCalc.Formula.YMDToDate = function(year, month, day) {
+   year += Math.floor((month - 1) / 12);
+   month = ((month - 1) % 12 + 12) % 12 + 1;
+
+   return SocialCalc.FormatNumber.convert_date_gregorian_to_julian(year, month, day) -
+             SocialCalc.FormatNumber.datevalues.julian_offset;
+};
+
+/**
+ * @function EdateFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements EDATE and EOMONTH for dates a number of months away
+ * 
+ * - EDATE(start, months): Same day of the month, months later (or earlier if negative),
+ *   using the last day of the month if that month is shorter
+ * - EOMONTH(start, months): Last day of the month, months later (or earlier if negative)
+ * 
+ * @param {string} fname - The function name ("EDATE" or "EOMONTH")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =EDATE(DATE(2024,1,31), 1) returns February 29, 2024
+ * // =EOMONTH(DATE(2024,1,15), -1) returns December 31, 2023
+ * SocialCalc.Formula.EdateFunctions("EDATE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.EdateFunctions = function(fname, operand, foperand, sheet) {
+   let ymd, lastday;
+   let scf = SocialCalc.Formula;
+   let result = 0;
+
+   let start = scf.OperandAsNumber(sheet, foperand);
+   let months = scf.OperandAsNumber(sheet, foperand);
+   let resulttype = scf.LookupResultType(start.type, months.type, scf.TypeLookupTable.twoargnumeric);
+
+   if (resulttype.charAt(0) == "n") {
+      if (start.value < 0) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      ymd = scf.DateToYMD(start.value);
+      ymd.month += SocialCalc.intFunc(months.value);
+      lastday = scf.YMDToDate(ymd.year, ymd.month+1, 0);
+      if (fname == "EOMONTH") {
+         result = lastday;
+      } else {
+         result = Math.min(scf.YMDToDate(ymd.year, ymd.month, ymd.day), lastday);
+      }
+      resulttype = "nd";
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["EDATE"] = [SocialCalc.Formula.EdateFunctions, 2, "edate", "", "datetime"];
+SocialCalc.Formula.FunctionList["EOMONTH"] = [SocialCalc.Formula.EdateFunctions, 2, "edate", "", "datetime"];
+
+/**
+ * @function WorkdayFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements NETWORKDAYS, WORKDAY, and their .INTL forms for business-day calculations
+ * 
+ * - NETWORKDAYS(start, end, [holidays]): Number of working days from start to end, including both
+ *   (negative if end is before start)
+ * - WORKDAY(start, days, [holidays]): The date that many working days after (or before) start
+ * - NETWORKDAYS.INTL(start, end, [weekend], [holidays]) and WORKDAY.INTL(start, days, [weekend], [holidays]):
+ *   The same with other weekend days (see WeekendDays)
+ * 
+ * Saturday and Sunday are the weekend days unless given. Holidays may be a value, range, or array
+ * of dates that are not working days.
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =NETWORKDAYS(DATE(2024,1,1), DATE(2024,1,31), H1:H5) returns working days in January not in H1:H5
+ * // =WORKDAY.INTL(A1, 10, "0000110") returns 10 working days after A1 with Friday/Saturday weekends
+ * SocialCalc.Formula.WorkdayFunctions("NETWORKDAYS", operand, foperand, sheet);
+ */
+SocialCalc.Formula.WorkdayFunctions = function(fname, operand, foperand, sheet) {
+   let value, end, days, day, step, count, workdays, i;
+   let scf = SocialCalc.Formula;
+   let weekend = [0, 0, 0, 0, 0, 1, 1]; // Monday first
+   let holidays = {};
+
+   let start = scf.OperandAsNumber(sheet, foperand);
+   let second = scf.OperandAsNumber(sheet, foperand);
+   let resulttype = scf.LookupResultType(start.type, second.type, scf.TypeLookupTable.twoargnumeric);
+
+   if (resulttype.charAt(0) != "n") {
+      scf.PushOperand(operand, resulttype, 0);
+      return;
+   }
+
+   if (fname.indexOf(".INTL") != -1 && foperand.length) {
+      value = scf.OperandValueAndType(sheet, foperand);
+      if (value.type.charAt(0) != "b") {
+         weekend = scf.WeekendDays(value);
+         if (!weekend) {
+            scf.PushOperand(operand, value.type.charAt(0) == "n" ? "e#NUM!" : "e#VALUE!", 0);
+            return;
+         }
+      }
+   }
+
+   while (foperand.length) { // get holidays
+      value = scf.OperandValueAndType(sheet, foperand);
+      if (value.type.charAt(0) == "n") {
+         holidays[Math.floor(value.value)] = true;
+      } else if (value.type.charAt(0) != "b") {
+         scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : "e#VALUE!", 0);
+         return;
+      }
+   }
+
+   /**
+    * @function IsWorkday
+    * @description Returns true if the date is not a weekend day or holiday
+    * @param {number} d - Date value
+    * @returns {boolean} Whether d is a working day
+    */
+   let IsWorkday = function(d) {return !weekend[((d + 5) % 7 + 7) % 7] && !holidays[d];}; // date 0 is a Saturday
+
+   start = Math.floor(start.value);
+
+   if (fname.indexOf("NETWORKDAYS") == 0) {
+      end = Math.floor(second.value);
+      step = 1;
+      if (start > end) {
+         step = start;
+         start = end;
+         end = step;
+         step = -1;
+      }
+      workdays = 0;
+      for (i = 0; i < 7; i++) {
+         workdays += weekend[i] ? 0 : 1;
+      }
+      count = Math.floor((end - start + 1) / 7) * workdays; // full weeks
+      for (day = start + (end - start + 1) - (end - start + 1) % 7; day <= end; day++) {
+         count += weekend[((day + 5) % 7 + 7) % 7] ? 0 : 1;
+      }
+      for (day in holidays) {
+         day = day - 0;
+         if (day >= start && day <= end && !weekend[((day + 5) % 7 + 7) % 7]) {
+            count--;
+         }
+      }
+      scf.PushOperand(operand, "n", count * step);
+   } else {
+      days = SocialCalc.intFunc(second.value);
+      step = days < 0 ? -1 : 1;
+      for (day = start; days; ) {
+         day += step;
+         if (IsWorkday(day)) {
+            days -= step;
+         }
+      }
+      scf.PushOperand(operand, "nd", day);
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["NETWORKDAYS"] = [SocialCalc.Formula.WorkdayFunctions, -2, "networkdays", "", "datetime"];
+SocialCalc.Formula.FunctionList["NETWORKDAYS.INTL"] = [SocialCalc.Formula.WorkdayFunctions, -2, "networkdaysintl", "", "datetime"];
+SocialCalc.Formula.FunctionList["WORKDAY"] = [SocialCalc.Formula.WorkdayFunctions, -2, "workday", "", "datetime"];
+SocialCalc.Formula.FunctionList["WORKDAY.INTL"] = [SocialCalc.Formula.WorkdayFunctions, -2, "workdayintl", "", "datetime"];
+
+/**
+ * @function WeekendDays
+ * @memberof SocialCalc.Formula
+ * @description Decodes the weekend argument of NETWORKDAYS.INTL and WORKDAY.INTL
+ * 
+ * The weekend may be a number: 1 (Saturday and Sunday) through 7 (Friday and Saturday) for two day
+ * weekends, starting with the day before, or 11 (Sunday only) through 17 (Saturday only). It may
+ * also be text of seven 0s and 1s, Monday first, with 1 for weekend days (e.g., "0000011").
+ * 
+ * @param {Object} value - The argument value and type
+ * @returns {Array<number>|null} Seven entries, Monday first, 1 for weekend days, or null if not valid
+ * 
+ * @example
+ * SocialCalc.Formula.WeekendDays({type: "n", value: 2})          // Returns: [1,0,0,0,0,0,1]
+ * SocialCalc.Formula.WeekendDays({type: "t", value: "0000110"})  // Returns: [0,0,0,0,1,1,0]
+ */
+SocialCalc.Formula.WeekendDays = function(value) {
+   let i;
+   let weekend = [0, 0, 0, 0, 0, 0, 0];
+
+   if (value.type.charAt(0) == "n") {
+      value = Math.floor(value.value);
+      if (value >= 1 && value <= 7) {
+         weekend[(value + 4) % 7] = 1;
+         weekend[(value + 5) % 7] = 1;
+      } else if (value >= 11 && value <= 17) {
+         weekend[(value - 5) % 7] = 1;
+      } else {
+         return null;
+      }
+   } else if (value.type.charAt(0) == "t" && /^[01]{7}$/.test(value.value) && value.value != "1111111") {
+      for (i = 0; i < 7; i++) {
+         weekend[i] = value.value.charAt(i) - 0;
+      }
+   } else {
+      return null;
+   }
+
+   return weekend;
+};
+
+/**
+ * @function DatedifFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the DATEDIF function for the difference between two dates
+ * 
+ * DATEDIF(start, end, unit) returns the number of complete units from start to end:
+ * - "Y": Years
+ * - "M": Months
+ * - "D": Days
+ * - "YM": Months, ignoring the years
+ * - "YD": Days, ignoring the years
+ * - "MD": Days, ignoring the months and years
+ * 
+ * The start must not be after the end (#NUM!).
+ * 
+ * @param {string} fname - The function name ("DATEDIF")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =DATEDIF(DATE(2020,5,15), DATE(2024,3,1), "Y") returns 3
+ * // =DATEDIF(DATE(2020,5,15), DATE(2024,3,1), "YM") returns 9
+ * SocialCalc.Formula.DatedifFunction("DATEDIF", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DatedifFunction = function(fname, operand, foperand, sheet) {
+   let s, e, months, result, anniversary;
+   let scf = SocialCalc.Formula;
+
+   let start = scf.OperandAsNumber(sheet, foperand);
+   let end = scf.OperandAsNumber(sheet, foperand);
+   let unit = scf.OperandAsText(sheet, foperand);
+   let resulttype = scf.LookupResultType(start.type, end.type, scf.TypeLookupTable.twoargnumeric);
+
+   /**
+    * @function ClampedDate
+    * @description Returns the date for year, month, and day, using the last day of the month if day is past it
+    * @param {number} y - Year
+    * @param {number} m - Month
+    * @param {number} d - Day
+    * @returns {number} Date value
+    */
+   let ClampedDate = function(y, m, d) {return Math.min(scf.YMDToDate(y, m, d), scf.YMDToDate(y, m+1, 0));};
+
+   if (resulttype.charAt(0) != "n" || unit.type.charAt(0) == "e") {
+      scf.PushOperand(operand, resulttype.charAt(0) != "n" ? resulttype : unit.type, 0);
+      return;
+   }
+
+   start = Math.floor(start.value);
+   end = Math.floor(end.value);
+   if (start > end) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   s = scf.DateToYMD(start);
+   e = scf.DateToYMD(end);
+   months = (e.year - s.year) * 12 + e.month - s.month - (e.day < s.day ? 1 : 0); // complete months
+
+   switch (unit.value.toUpperCase()) {
+      case "Y":
+         result = Math.floor(months / 12);
+         break;
+
+      case "M":
+         result = months;
+         break;
+
+      case "D":
+         result = end - start;
+         break;
+
+      case "YM":
+         result = months % 12;
+         break;
+
+      case "YD":
+         anniversary = ClampedDate(e.year, s.month, s.day);
+         if (anniversary > end) {
+            anniversary = ClampedDate(e.year-1, s.month, s.day);
+         }
+         result = end - anniversary;
+         break;
+
+      case "MD":
+         result = end - ClampedDate(e.year, e.month - (e.day < s.day ? 1 : 0), s.day);
+         break;
+
+      default:
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+   }
+
+   scf.PushOperand(operand, "n", result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["DATEDIF"] = [SocialCalc.Formula.DatedifFunction, 3, "datedif", "", "datetime"];
+
+/**
+ * @function WeeknumFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements WEEKNUM and ISOWEEKNUM for the week number of a date
+ * 
+ * - WEEKNUM(date, [type]): Week of the year, with the week containing January 1 being week 1.
+ *   Weeks start on Sunday for type 1 (the default) and 17, Monday for 2 and 11, Tuesday for 12,
+ *   and so on through Saturday for 16. Type 21 is the same as ISOWEEKNUM.
+ * - ISOWEEKNUM(date): ISO 8601 week of the year. Weeks start on Monday and week 1 is the one
+ *   containing the first Thursday of the year.
+ * 
+ * @param {string} fname - The function name ("WEEKNUM" or "ISOWEEKNUM")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =WEEKNUM(DATE(2024,1,7)) returns 2
+ * // =ISOWEEKNUM(DATE(2021,1,1)) returns 53
+ * SocialCalc.Formula.WeeknumFunctions("WEEKNUM", operand, foperand, sheet);
+ */
+SocialCalc.Formula.WeeknumFunctions = function(fname, operand, foperand, sheet) {
+   let datevalue, jan1, weekstart, thursday, result;
+   let scf = SocialCalc.Formula;
+   let weekstarts = {1: 6, 2: 0, 11: 0, 12: 1, 13: 2, 14: 3, 15: 4, 16: 5, 17: 6, 21: -1}; // Monday is 0, ISO is -1
+   let wtype = {type: "n", value: 1};
+
+   let date = scf.OperandAsNumber(sheet, foperand);
+
+   if (foperand.length) {
+      if (fname == "ISOWEEKNUM") {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      wtype = scf.OperandAsNumber(sheet, foperand);
+      if (foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+   }
+
+   if (date.type.charAt(0) != "n" || wtype.type.charAt(0) != "n") {
+      scf.PushOperand(operand, date.type.charAt(0) == "e" ? date.type : (wtype.type.charAt(0) == "e" ? wtype.type : "e#VALUE!"), 0);
+      return;
+   }
+
+   weekstart = fname == "ISOWEEKNUM" ? -1 : weekstarts[wtype.value];
+   if (weekstart == null || date.value < 0) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   datevalue = Math.floor(date.value);
+
+   if (weekstart == -1) { // ISO: the week belongs to the year its Thursday is in
+      thursday = datevalue - ((datevalue + 5) % 7) + 3;
+      jan1 = scf.YMDToDate(scf.DateToYMD(thursday).year, 1, 1);
+      result = Math.floor((thursday - jan1) / 7) + 1;
+   } else {
+      jan1 = scf.YMDToDate(scf.DateToYMD(datevalue).year, 1, 1);
+      result = Math.floor((datevalue - jan1 + ((jan1 + 5) % 7 - weekstart + 7) % 7) / 7) + 1;
+   }
+
+   scf.PushOperand(operand, "n", result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["ISOWEEKNUM"] = [SocialCalc.Formula.WeeknumFunctions, 1, "dt", "", "datetime"];
+SocialCalc.Formula.FunctionList["WEEKNUM"] = [SocialCalc.Formula.WeeknumFunctions, -1, "weeknum", "", "datetime"];
+
+/**
+ * @function Days360
+ * @memberof SocialCalc.Formula
+ * @description Returns the number of days between two dates counting each month as 30 days
+ * 
+ * Uses the US (NASD) rules for the ends of months, or the European rules where days 31 are
+ * always counted as 30.
+ * 
+ * @param {number} start - The start date value
+ * @param {number} end - The end date value
+ * @param {boolean} european - If true, use the European rules
+ * @returns {number} The number of days
+ * 
+ * @example
+ * SocialCalc.Formula.Days360(45322, 45351, false) // Returns: 30 (January 31 to February 29, 2024)
+ */
+SocialCalc.Formula.Days360 = function(start, end, european) {
+   let scf = SocialCalc.Formula;
+   let s = scf.DateToYMD(start);
+   let e = scf.DateToYMD(end);
+   let sd = s.day;
+   let ed = e.day;
+
+   if (!european) { // NASD rules for end of month
+      if (s.month == 2 && scf.DateToYMD(start + 1).month == 3) { // last day of February
+         if (e.month == 2 && scf.DateToYMD(end + 1).month == 3) {
+            ed = 30;
+         }
+         sd = 30;
+      }
+      if (ed == 31 && sd >= 30) {
+         ed = 30;
+      }
+      if (sd == 31) {
+         sd = 30;
+      }
+   } else {
+      sd = Math.min(sd, 30);
+      ed = Math.min(ed, 30);
+   }
+
+   return (e.year - s.year) * 360 + (e.month - s.month) * 30 + ed - sd;
+};
+
+/**
+ * @function YearfracFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the YEARFRAC function for the fraction of a year between two dates
+ * 
+ * YEARFRAC(start, end, [basis]) uses the day count basis:
+ * - 0: US (NASD) 30/360 (the default)
+ * - 1: Actual/actual
+ * - 2: Actual/360
+ * - 3: Actual/365
+ * - 4: European 30/360
+ * 
+ * @param {string} fname - The function name ("YEARFRAC")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =YEARFRAC(DATE(2024,1,1), DATE(2024,7,1)) returns 0.5
+ * // =YEARFRAC(DATE(2024,1,1), DATE(2024,7,1), 1) returns 0.497268 (182/366)
+ * SocialCalc.Formula.YearfracFunction("YEARFRAC", operand, foperand, sheet);
+ */
+SocialCalc.Formula.YearfracFunction = function(fname, operand, foperand, sheet) {
+   let s, e, ylength, y, feb29, result;
+   let scf = SocialCalc.Formula;
+   let basis = {type: "n", value: 0};
+
+   let start = scf.OperandAsNumber(sheet, foperand);
+   let end = scf.OperandAsNumber(sheet, foperand);
+
+   if (foperand.length) {
+      basis = scf.OperandAsNumber(sheet, foperand);
+      if (foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+   }
+
+   let resulttype = scf.LookupResultType(start.type, end.type, scf.TypeLookupTable.twoargnumeric);
+   resulttype = scf.LookupResultType(resulttype, basis.type, scf.TypeLookupTable.twoargnumeric);
+
+   if (resulttype.charAt(0) != "n") {
+      scf.PushOperand(operand, resulttype, 0);
+      return;
+   }
+
+   basis = Math.floor(basis.value);
+   start = Math.floor(start.value);
+   end = Math.floor(end.value);
+   if (basis < 0 || basis > 4 || start < 0 || end < 0) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+   if (start > end) {
+      y = start;
+      start = end;
+      end = y;
+   }
+
+   s = scf.DateToYMD(start);
+   e = scf.DateToYMD(end);
+
+   /**
+    * @function IsLeapYear
+    * @description Returns true if the year has February 29
+    * @param {number} year - Year
+    * @returns {boolean} Whether it is a leap year
+    */
+   let IsLeapYear = function(year) {return (year % 4 == 0 && year % 100 != 0) || year % 400 == 0;};
+
+   switch (basis) {
+      case 0:
+      case 4:
+         result = scf.Days360(start, end, basis == 4) / 360;
+         break;
+
+      case 1:
+         if (s.year == e.year || (e.year == s.year + 1 && (s.month > e.month || (s.month == e.month && s.day >= e.day)))) { // a year or less
+            feb29 = s.year == e.year && IsLeapYear(s.year);
+            for (y = s.year; y <= e.year && !feb29; y++) {
+               feb29 = IsLeapYear(y) && start <= scf.YMDToDate(y, 2, 29) && scf.YMDToDate(y, 2, 29) <= end;
+            }
+            ylength = feb29 ? 366 : 365;
+         } else { // average length of the years included
+            ylength = (scf.YMDToDate(e.year+1, 1, 1) - scf.YMDToDate(s.year, 1, 1)) / (e.year - s.year + 1);
+         }
+         result = (end - start) / ylength;
+         break;
+
+      case 2:
+         result = (end - start) / 360;
+         break;
+
+      case 3:
+         result = (end - start) / 365;
+         break;
+   }
+
+   scf.PushOperand(operand, "n", result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["YEARFRAC"] = [SocialCalc.Formula.YearfracFunction, -2, "yearfrac", "", "datetime"];
+
+/**
+ * @function DatevalueFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements DATEVALUE and TIMEVALUE for converting text to date and time values
+ * 
+ * - DATEVALUE(text): The date value of a date written as text (any time is ignored)
+ * - TIMEVALUE(text): The time value (fraction of a day) of a time written as text (any date is ignored)
+ * 
+ * The text may be in any of the forms accepted when typing a value into a cell, and also
+ * with month names (e.g., "5-Mar-2024" or "March 5, 2024") or AM/PM times (see TextToDateTime).
+ * 
+ * @param {string} fname - The function name ("DATEVALUE" or "TIMEVALUE")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =DATEVALUE("2024-03-05") returns the date value for March 5, 2024
+ * // =TIMEVALUE("2:30 PM") returns 0.604167
+ * SocialCalc.Formula.DatevalueFunctions("DATEVALUE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DatevalueFunctions = function(fname, operand, foperand, sheet) {
+   let result;
+   let scf = SocialCalc.Formula;
+
+   let text = scf.OperandAsText(sheet, foperand);
+
+   if (text.type.charAt(0) == "e") {
+      scf.PushOperand(operand, text.type, 0);
+      return;
+   }
+
+   result = scf.TextToDateTime(text.value);
+   if (result == null) {
+      scf.PushOperand(operand, "e#VALUE!", 0);
+      return;
+   }
+
+   if (fname == "DATEVALUE") {
+      scf.PushOperand(operand, "nd", Math.floor(result));
+   } else {
+      scf.PushOperand(operand, "nt", result - Math.floor(result));
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["DATEVALUE"] = [SocialCalc.Formula.DatevalueFunctions, 1, "txt", "", "datetime"];
+SocialCalc.Formula.FunctionList["TIMEVALUE"] = [SocialCalc.Formula.DatevalueFunctions, 1, "txt", "", "datetime"];
+
+/**
+ * @function TextToDateTime
+ * @memberof SocialCalc.Formula
+ * @description Converts a date and/or time written as text into a date/time value
+ * 
+ * Accepts the forms recognized by SocialCalc.DetermineValueType (e.g., "2024-03-05", "3/5/2024",
+ * "14:30"), dates with month names ("5-Mar-2024", "5 March 2024", "Mar 5, 2024"), times with
+ * AM/PM ("2:30 PM"), and a date followed by a time. Two digit years are 2000-2029 or 1930-1999.
+ * 
+ * @param {string} text - The text to convert
+ * @returns {number|null} The date/time value, or null if the text is not a date or time
+ * 
+ * @example
+ * SocialCalc.Formula.TextToDateTime("March 5, 2024 6:00 am") // Returns: 45356.25
+ * SocialCalc.Formula.TextToDateTime("hello")                 // Returns: null
+ */
+SocialCalc.Formula.TextToDateTime = function(text) {
+   let value, match, hours, minutes, seconds, year, month, day, i;
+   let monthnames = SocialCalc.Constants.s_FormatNumber_monthnames3;
+   let timevalue = 0;
+
+   text = (text + "").replace(/^\s+|\s+$/g, "");
+
+   value = SocialCalc.DetermineValueType(text);
+   if (value.type == "nd" || value.type == "nt" || value.type == "ndt") {
+      return value.value - 0;
+   }
+
+   match = text.match(/^(.*?)\s*\b(\d{1,2}):(\d{1,2})(?::(\d{1,2}(?:\.\d*)?))?\s*([ap])?\.?m?\.?$/i); // time at end
+   if (match) {
+      hours = match[2] - 0;
+      minutes = match[3] - 0;
+      seconds = (match[4] || 0) - 0;
+      if (match[5]) { // AM or PM
+         if (hours < 1 || hours > 12) {
+            return null;
+         }
+         hours = hours % 12 + (match[5].toLowerCase() == "p" ? 12 : 0);
+      }
+      if (hours > 23 || minutes > 59 || seconds >= 60) {
+         return null;
+      }
+      timevalue = (hours * 3600 + minutes * 60 + seconds) / (24 * 3600);
+      text = match[1];
+      if (!text) {
+         return timevalue;
+      }
+   }
+
+   value = SocialCalc.DetermineValueType(text);
+   if (value.type == "nd") {
+      return value.value - 0 + timevalue;
+   }
+
+   if (match = text.match(/^(\d{1,2})[-\s\/]+([a-z]+)\.?[-\s\/,]+(\d{2}|\d{4})$/i)) { // 5-Mar-2024
+      day = match[1];
+      month = match[2];
+      year = match[3];
+   } else if (match = text.match(/^([a-z]+)\.?[-\s\/]+(\d{1,2})(?:st|nd|rd|th)?[-\s\/,]+(\d{2}|\d{4})$/i)) { // Mar 5, 2024
+      day = match[2];
+      month = match[1];
+      year = match[3];
+   } else {
+      return null;
+   }
+
+   for (i = 0; i < monthnames.length; i++) {
+      if (month.length >= 3 && monthnames[i].toLowerCase() == month.substring(0, 3).toLowerCase()) {
+         break;
+      }
+   }
+   if (i >= monthnames.length) {
+      return null;
+   }
+   month = i + 1;
+   day = day - 0;
+   year = year - 0;
+   if (year < 100) {
+      year += year < 30 ? 2000 : 1900;
+   }
+   if (day < 1 || SocialCalc.Formula.YMDToDate(year, month, day) > SocialCalc.Formula.YMDToDate(year, month+1, 0)) {
+      return null;
+   }
+
+   return SocialCalc.Formula.YMDToDate(year, month, day) + timevalue;
+};
+/**
+ * @function HMSFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements time extraction functions (HOUR, MINUTE, SECOND)
+ * 
+ * These functions extract time components from datetime values:
+ * - HOUR(datetime): Returns the hour component (0-23)
+ * - MINUTE(datetime): Returns the minute component (0-59)
+ * - SECOND(datetime): Returns the second component (0-59)
+ * 
+ * The datetime value is expected to be a fraction of a day, where the integer
+ * part represents the date and the fractional part represents the time.
+ * 
+ * @param {string} fname - The function name ("HOUR", "MINUTE", or "SECOND")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =HOUR(0.5) returns 12 (noon)
+ * // =MINUTE(TIME(14,30,45)) returns 30
+ * // =SECOND(TIME(14,30,45)) returns 45
+ * SocialCalc.Formula.HMSFunctions("HOUR", operand, foperand, sheet);
+ */
+SocialCalc.Formula.HMSFunctions = function(fname, operand, foperand, sheet) {
+   let hours, minutes, seconds, fraction;
+   let scf = SocialCalc.Formula;
+   let result = 0;
+
+   let datetime = scf.OperandAsNumber(sheet, foperand);
+   let resulttype = scf.LookupResultType(datetime.type, datetime.type, scf.TypeLookupTable.oneargnumeric);
+
+   if (resulttype.charAt(0) == "n") {
+      if (datetime.value < 0) {
+         scf.PushOperand(operand, "e#NUM!", 0); // must be non-negative
+         return;
+      }
+      
+      // Extract time components from fractional part of day
+      fraction = datetime.value - Math.floor(datetime.value); // fraction of a day
+      fraction *= 24; // convert to hours
+      hours = Math.floor(fraction);
+      fraction -= Math.floor(fraction);
+      fraction *= 60; // convert to minutes
+      minutes = Math.floor(fraction);
+      fraction -= Math.floor(fraction);
+      fraction *= 60; // convert to seconds
+      seconds = Math.floor(fraction + (datetime.value >= 0 ? 0.5: -0.5)); // round to nearest second
+      
+      if (fname == "HOUR") {
+         result = hours;
+      } else if (fname == "MINUTE") {
+         result = minutes;
+      } else if (fname == "SECOND") {
+         result = seconds;
+      }
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["HOUR"] = [SocialCalc.Formula.HMSFunctions, 1, "v", "", "datetime"];
+SocialCalc.Formula.FunctionList["MINUTE"] = [SocialCalc.Formula.HMSFunctions, 1, "v", "", "datetime"];
+SocialCalc.Formula.FunctionList["SECOND"] = [SocialCalc.Formula.HMSFunctions, 1, "v", "", "datetime"];
+
+/**
+ * @function ExactFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the EXACT function for case-sensitive comparison
+ * 
+ * EXACT(value1, value2) compares two values and returns TRUE (1) if they are exactly equal,
+ * FALSE (0) otherwise. The comparison is case-sensitive for text values.
+ * 
+ * Type conversion rules:
+ * - Text vs Text: Case-sensitive string comparison
+ * - Number vs Number: Numeric comparison
+ * - Text vs Number: Convert number to text for comparison
+ * - Blank vs Text: TRUE only if text is empty string
+ * - Blank vs Blank: Always TRUE
+ * - Any vs Error: Returns the error
+ * 
+ * @param {string} fname - The function name ("EXACT")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =EXACT("Hello", "hello") returns 0 (FALSE - case sensitive)
+ * // =EXACT("Hello", "Hello") returns 1 (TRUE - exact match)
+ * // =EXACT(123, "123") returns 1 (TRUE - number converted to text)
+ * SocialCalc.Formula.ExactFunction("EXACT", operand, foperand, sheet);
+ */
+SocialCalc.Formula.ExactFunction = function(fname, operand, foperand, sheet) {
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   let resulttype = "nl";
+
+   let value1 = scf.OperandValueAndType(sheet, foperand);
+   let v1type = value1.type.charAt(0);
+   let value2 = scf.OperandValueAndType(sheet, foperand);
+   let v2type = value2.type.charAt(0);
+
+   if (v1type == "t") { // First value is text
+      if (v2type == "t") {
+         result = value1.value == value2.value ? 1 : 0; // Case-sensitive text comparison
+      } else if (v2type == "b") {
+         result = value1.value.length ? 0 : 1; // Text vs blank
+      } else if (v2type == "n") {
+         result = value1.value == value2.value+"" ? 1 : 0; // Text vs number (convert number to string)
+      } else if (v2type == "e") {
+         result = value2.value;
+         resulttype = value2.type; // Propagate error
+      } else {
+         result = 0;
+      }
+   } else if (v1type == "n") { // First value is number
+      if (v2type == "n") {
+         result = value1.value-0 == value2.value-0 ? 1 : 0; // Numeric comparison
+      } else if (v2type == "b") {
+         result = 0; // Number vs blank is never equal
+      } else if (v2type == "t") {
+         result = value1.value+"" == value2.value ? 1 : 0; // Number vs text (convert number to string)
+      } else if (v2type == "e") {
+         result = value2.value;
+         resulttype = value2.type; // Propagate error
+      } else {
+         result = 0;
+      }
+   } else if (v1type == "b") { // First value is blank
+      if (v2type == "t") {
+         result = value2.value.length ? 0 : 1; // Blank vs text
+      } else if (v2type == "b") {
+         result = 1; // Blank vs blank is always equal
+      } else if (v2type == "n") {
+         result = 0; // Blank vs number is never equal
+      } else if (v2type == "e") {
+         result = value2.value;
+         resulttype = value2.type; // Propagate error
+      } else {
+         result = 0;
+      }
+   } else if (v1type == "e") { // First value is error
+      result = value1.value;
+      resulttype = value1.type; // Propagate error
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+SocialCalc.Formula.FunctionList["EXACT"] = [SocialCalc.Formula.ExactFunction, 2, "", "", "text"];
+
+/**
+ * @type {Object<string, Array<number>>}
+ * @description Argument type definitions for string functions
+ * 
+ * Each function has an array specifying argument types:
+ * - 1: Text argument (converted to string)
+ * - 0: Numeric argument (converted to number)
+ * - -1: Accept any type as-is
+ * 
+ * Text values are manipulated as UTF-8, converting from and back to byte strings.
+ */
+SocialCalc.Formula.ArgList = {
+   CHAR: [0],              // code (numeric)
+   CLEAN: [1],             // string (text)
+   CODE: [1],              // string (text)
+   FIND: [1, 1, 0],        // key (text), string (text), start (numeric)
+   LEFT: [1, 0],           // string (text), length (numeric)
+   LEN: [1],               // string (text)
+   LOWER: [1],             // string (text)
+   MID: [1, 0, 0],         // string (text), start (numeric), length (numeric)
+   PROPER: [1],            // string (text)
+   REGEXEXTRACT: [1, 1],   // string (text), regular expression (text)
+   REGEXMATCH: [1, 1],     // string (text), regular expression (text)
+   REGEXREPLACE: [1, 1, 1], // string (text), regular expression (text), new (text)
+   REPLACE: [1, 0, 0, 1],  // string (text), start (numeric), length (numeric), new (text)
+   REPT: [1, 0],           // string (text), count (numeric)
+   RIGHT: [1, 0],          // string (text), length (numeric)
+   SEARCH: [1, 1, 0],      // key (text), string (text), start (numeric)
+   SUBSTITUTE: [1, 1, 1, 0], // string (text), old (text), new (text), which (numeric)
+   TRIM: [1],              // string (text)
+   UNICHAR: [0],           // code point (numeric)
+   UNICODE: [1],           // string (text)
+   UPPER: [1]              // string (text)
+};
+
+/**
+ * @function StringFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements various string manipulation functions
+ * 
+ * Handles multiple text functions:
+ * - CHAR(code): Character with the code (1-255)
+ * - CLEAN(string): Remove control characters
+ * - CODE(string): Code of the first character
+ * - FIND(key, string, [start]): Find position of key in string
+ * - LEFT(string, [length]): Extract leftmost characters
+ * - LEN(string): Get string length
+ * - LOWER(string): Convert to lowercase
+ * - MID(string, start, length): Extract middle portion
+ * - PROPER(string): Convert to proper case (title case)
+ * - REGEXEXTRACT(string, regex): Extract the first match, or the first capture group if there is one
+ * - REGEXMATCH(string, regex): Whether part of string matches
+ * - REGEXREPLACE(string, regex, new): Replace all matches ("$1", etc., in new are capture groups)
+ * - REPLACE(string, start, length, new): Replace portion of string
+ * - REPT(string, count): Repeat string multiple times
+ * - RIGHT(string, [length]): Extract rightmost characters
+ * - SEARCH(key, string, [start]): Find position of key in string, ignoring case and allowing wildcards
+ * - SUBSTITUTE(string, old, new, [which]): Replace occurrences of substring
+ * - TRIM(string): Remove leading/trailing spaces
+ * - UNICHAR(code): Character with the Unicode code point
+ * - UNICODE(string): Unicode code point of the first character
+ * - UPPER(string): Convert to uppercase
+ * 
+ * @param {string} fname - The specific string function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction for string functions
+ * // =LEFT("Hello World", 5) returns "Hello"
+ * // =FIND("o", "Hello World", 1) returns 5
+ * // =UPPER("hello") returns "HELLO"
+ * // =SEARCH("w?r", "Hello World") returns 7
+ * // =REGEXEXTRACT("Order 1234", "[0-9]+") returns "1234"
+ * SocialCalc.Formula.StringFunctions("LEFT", operand, foperand, sheet);
+ */
+SocialCalc.Formula.StringFunctions = function(fname, operand, foperand, sheet) {
+   let i, value, offset, len, start, count, re, match;
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   let resulttype = "e#VALUE!";
+
+   let numargs = foperand.length;
+   let argdef = scf.ArgList[fname];
+   let operand_value = [];
+   let operand_type = [];
+
+   // Process and validate all arguments
+   for (i = 1; i <= numargs; i++) { // go through each arg, get value and type, and check for errors
+      if (i > argdef.length) { // too many args
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      
+      if (argdef[i-1] == 0) {
+         value = scf.OperandAsNumber(sheet, foperand);
+      } else if (argdef[i-1] == 1) {
+         value = scf.OperandAsText(sheet, foperand);
+      } else if (argdef[i-1] == -1) {
+         value = scf.OperandValueAndType(sheet, foperand);
+      }
+      
+      operand_value[i] = value.value;
+      operand_type[i] = value.type;
+      
+      if (value.type.charAt(0) == "e") {
+         scf.PushOperand(operand, value.type, result);
+         return;
+      }
+   }
+
+   // Execute the specific string function
+   switch (fname) {
+      case "CHAR":
+         value = Math.floor(operand_value[1]);
+         if (value < 1 || value > 255) {
+            result = "Bad character code";
+         } else {
+            result = String.fromCharCode(value);
+            resulttype = "t";
+         }
+         break;
+
+      case "CLEAN":
+         result = operand_value[1].replace(/[\x00-\x1F]/g, ""); // remove nonprinting characters
+         resulttype = "t";
+         break;
+
+      case "CODE":
+      case "UNICODE":
+         if (!operand_value[1].length) {
+            result = "Empty string";
+         } else {
+            result = fname == "CODE" ? operand_value[1].charCodeAt(0) : operand_value[1].codePointAt(0);
+            resulttype = "n";
+         }
+         break;
+
+      case "FIND":
+         offset = operand_type[3] ? operand_value[3]-1 : 0;
+         if (offset < 0) {
+            result = "Start is before string"; // !! not displayed, no need to translate
+         } else {
+            result = operand_value[2].indexOf(operand_value[1], offset); // (null string matches first char)
+            if (result >= 0) {
+               result += 1; // Convert to 1-based indexing
+               resulttype = "n";
+            } else {
+               result = "Not found"; // !! not displayed, error is e#VALUE!
+            }
+         }
+         break;
+
+      case "LEFT":
+         len = operand_type[2] ? operand_value[2]-0 : 1;
+         if (len < 0) {
+            result = "Negative length";
+         } else {
+            result = operand_value[1].substring(0, len);
+            resulttype = "t";
+         }
+         break;
+
+      case "LEN":
+         result = operand_value[1].length;
+         resulttype = "n";
+         break;
+
+      case "LOWER":
+         result = operand_value[1].toLowerCase();
+         resulttype = "t";
+         break;
+
+      case "MID":
+         start = operand_value[2]-0;
+         len = operand_value[3]-0;
+         if (len < 1 || start < 1) {
+            result = "Bad arguments";
+         } else {
+            result = operand_value[1].substring(start-1, start+len-1);
+            resulttype = "t";
+         }
+         break;
+
+      case "REGEXEXTRACT":
+      case "REGEXMATCH":
+      case "REGEXREPLACE":
+         re = scf.TextToRegExp(operand_value[2], fname == "REGEXREPLACE" ? "g" : "");
+         if (!re) {
+            result = "Bad regular expression";
+            break;
+         }
+         if (fname == "REGEXMATCH") {
+            result = re.test(operand_value[1]) ? 1 : 0;
+            resulttype = "nl";
+         } else if (fname == "REGEXREPLACE") {
+            result = operand_value[1].replace(re, operand_value[3]);
+            resulttype = "t";
+         } else {
+            match = re.exec(operand_value[1]);
+            if (!match) {
+               resulttype = "e#N/A";
+            } else {
+               result = match.length > 1 ? (match[1] || "") : match[0];
+               resulttype = "t";
+            }
+         }
+         break;
+
+      case "PROPER":
+         result = operand_value[1].replace(/\b\w+\b/g, function(word) {
+                     return word.substring(0,1).toUpperCase() + 
+                        word.substring(1);
+                     }); // uppercase first character of words (see JavaScript, Flanagan, 5th edition, page 704)
+         resulttype = "t";
+         break;
+
+      case "REPLACE":
+         start = operand_value[2]-0;
+         len = operand_value[3]-0;
+         if (len < 0 || start < 1) {
+            result = "Bad arguments";
+         } else {
+            result = operand_value[1].substring(0, start-1) + operand_value[4] + 
+               operand_value[1].substring(start-1+len);
+            resulttype = "t";
+         }
+         break;
+      case "REPT":
+         count = operand_value[2]-0;
+         if (count < 0) {
+            result = "Negative count";
+         } else {
+            result = "";
+            for (; count > 0; count--) {
+               result += operand_value[1];
+            }
+            resulttype = "t";
+         }
+         break;
+
+      case "RIGHT":
+         len = operand_type[2] ? operand_value[2]-0 : 1;
+         if (len < 0) {
+            result = "Negative length";
+         } else {
+            result = operand_value[1].slice(-len);
+            resulttype = "t";
+         }
+         break;
+
+      case "SEARCH":
+         offset = operand_type[3] ? operand_value[3]-1 : 0;
+         if (offset < 0 || offset > operand_value[2].length) {
+            result = "Start is outside of string";
+         } else {
+            match = scf.WildcardToRegExp(operand_value[1], true).exec(operand_value[2].substring(offset));
+            if (match) {
+               result = match.index + offset + 1; // Convert to 1-based indexing
+               resulttype = "n";
+            } else {
+               result = "Not found";
+            }
+         }
+         break;
+
+      case "SUBSTITUTE":
+         fulltext = operand_value[1];
+         oldtext = operand_value[2];
+         newtext = operand_value[3];
+         if (operand_value[4] != null) {
+            which = operand_value[4]-0;
+            if (which <= 0) {
+               result = "Non-positive instance number";
+               break;
+            }
+         } else {
+            which = 0; // Replace all occurrences
+         }
+         count = 0;
+         oldpos = 0;
+         result = "";
+         while (true) {
+            pos = fulltext.indexOf(oldtext, oldpos);
+            if (pos >= 0) {
+               count++; //!!!!!! old test just in case: if (count>1000) {alert(pos); break;}
+               result += fulltext.substring(oldpos, pos);
+               if (which == 0) {
+                  result += newtext; // substitute all occurrences
+               } else if (which == count) {
+                  result += newtext + fulltext.substring(pos+oldtext.length);
+                  break; // Found the specific occurrence to replace
+               } else {
+                  result += oldtext; // leave as was - not the target occurrence
+               }
+               oldpos = pos + oldtext.length;
+            } else { // no more occurrences found
+               result += fulltext.substring(oldpos);
+               break;
+            }
+         }
+         resulttype = "t";
+         break;
+
+      case "TRIM":
+         result = operand_value[1];
+         result = result.replace(/^ */, "");    // Remove leading spaces
+         result = result.replace(/ *$/, "");    // Remove trailing spaces
+         result = result.replace(/ +/g, " ");   // Replace multiple spaces with single space
+         resulttype = "t";
+         break;
+
+      case "UNICHAR":
+         value = Math.floor(operand_value[1]);
+         if (value < 1 || value > 0x10FFFF || (value >= 0xD800 && value <= 0xDFFF)) {
+            result = "Bad code point";
+         } else {
+            result = String.fromCodePoint(value);
+            resulttype = "t";
+         }
+         break;
+
+      case "UPPER":
+         result = operand_value[1].toUpperCase();
+         resulttype = "t";
+         break;
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+   return;
+};
+
+/**
+ * @description Function list registrations for string manipulation functions
+ * Each entry follows the format: [function_handler, arg_count, arg_def, func_def, func_class]
+ * - Negative arg_count indicates minimum number of arguments
+ * - arg_def refers to argument definition keys for help text
+ * - func_class: "text" indicates text manipulation function category
+ */
+SocialCalc.Formula.FunctionList["CHAR"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
+SocialCalc.Formula.FunctionList["CLEAN"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
+SocialCalc.Formula.FunctionList["CODE"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
+SocialCalc.Formula.FunctionList["FIND"] = [SocialCalc.Formula.StringFunctions, -2, "find", "", "text"];
+SocialCalc.Formula.FunctionList["LEFT"] = [SocialCalc.Formula.StringFunctions, -2, "tc", "", "text"];
+SocialCalc.Formula.FunctionList["LEN"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
+SocialCalc.Formula.FunctionList["LOWER"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
+SocialCalc.Formula.FunctionList["MID"] = [SocialCalc.Formula.StringFunctions, 3, "mid", "", "text"];
+SocialCalc.Formula.FunctionList["PROPER"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
+SocialCalc.Formula.FunctionList["REGEXEXTRACT"] = [SocialCalc.Formula.StringFunctions, 2, "regex", "", "text"];
+SocialCalc.Formula.FunctionList["REGEXMATCH"] = [SocialCalc.Formula.StringFunctions, 2, "regex", "", "text"];
+SocialCalc.Formula.FunctionList["REGEXREPLACE"] = [SocialCalc.Formula.StringFunctions, 3, "regexreplace", "", "text"];
+SocialCalc.Formula.FunctionList["REPLACE"] = [SocialCalc.Formula.StringFunctions, 4, "replace", "", "text"];
+SocialCalc.Formula.FunctionList["REPT"] = [SocialCalc.Formula.StringFunctions, 2, "tc", "", "text"];
+SocialCalc.Formula.FunctionList["RIGHT"] = [SocialCalc.Formula.StringFunctions, -1, "tc", "", "text"];
+SocialCalc.Formula.FunctionList["SEARCH"] = [SocialCalc.Formula.StringFunctions, -2, "find", "", "text"];
+SocialCalc.Formula.FunctionList["SUBSTITUTE"] = [SocialCalc.Formula.StringFunctions, -3, "subs", "", "text"];
+SocialCalc.Formula.FunctionList["TRIM"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
+SocialCalc.Formula.FunctionList["UNICHAR"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
+SocialCalc.Formula.FunctionList["UNICODE"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
+SocialCalc.Formula.FunctionList["UPPER"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
+
+/**
+ * @function TextJoinFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements the TEXTJOIN and CONCAT functions for joining text, including ranges
+ * 
+ * - CONCAT(text1, [text2, ...]): Joins all of the values
+ * - TEXTJOIN(delimiter, ignore_empty, text1, [text2, ...]): Joins the values with delimiter between them,
+ *   leaving out empty values if ignore_empty is true
+ * 
+ * Ranges are joined across each row and then down. Numbers are joined as they would be displayed
+ * with the default format.
+ * 
+ * @param {string} fname - The function name ("CONCAT" or "TEXTJOIN")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =CONCAT(A1:C1) returns the values of A1, B1, and C1 joined together
+ * // =TEXTJOIN(", ", TRUE, A1:A10) returns the non-empty values of A1:A10 separated by ", "
+ * SocialCalc.Formula.TextJoinFunctions("TEXTJOIN", operand, foperand, sheet);
+ */
+SocialCalc.Formula.TextJoinFunctions = function(fname, operand, foperand, sheet) {
+   let value;
+   let scf = SocialCalc.Formula;
+   let delimiter = "";
+   let ignoreempty = false;
+   let values = [];
+
+   if (fname == "TEXTJOIN") {
+      value = scf.OperandAsText(sheet, foperand);
+      if (value.type.charAt(0) == "e") {
+         scf.PushOperand(operand, value.type, 0);
+         return;
+      }
+      delimiter = value.value;
+      value = scf.OperandValueAndType(sheet, foperand);
+      if (value.type.charAt(0) != "n" && value.type.charAt(0) != "b") {
+         scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : "e#VALUE!", 0);
+         return;
+      }
+      ignoreempty = value.value ? true : false;
+      if (!foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+   }
+
+   while (foperand.length) {
+      value = scf.OperandAsText(sheet, foperand);
+      if (value.type.charAt(0) == "e") {
+         scf.PushOperand(operand, value.type, 0);
+         return;
+      }
+      if (ignoreempty && value.value === "") {
+         continue;
+      }
+      values.push(value.value);
+   }
+
+   scf.PushOperand(operand, "t", values.join(delimiter));
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["CONCAT"] = [SocialCalc.Formula.TextJoinFunctions, -1, "vn", "", "text"];
+SocialCalc.Formula.FunctionList["TEXTJOIN"] = [SocialCalc.Formula.TextJoinFunctions, -3, "textjoin", "", "text"];
+
+/**
+ * @function TextSplitFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements the TEXTSPLIT and SPLIT functions for splitting text into cells
+ * 
+ * - TEXTSPLIT(text, col_delimiter, [row_delimiter], [ignore_empty], [match_mode], [pad_with]):
+ *   Splits text into columns at col_delimiter and into rows at row_delimiter. Empty pieces
+ *   are left out if ignore_empty is true, a match_mode of 1 ignores case, and short rows are
+ *   filled with pad_with (#N/A if omitted).
+ * - SPLIT(text, delimiter, [split_by_each], [remove_empty]): Splits text into a row of cells.
+ *   Each character of delimiter is a delimiter unless split_by_each is false.
+ *   Empty pieces are left out unless remove_empty is false.
+ * 
+ * The result spills into the cells to the right and below. A delimiter may be empty
+ * (e.g., TEXTSPLIT(A1, "", ",") to split into rows only).
+ * 
+ * @param {string} fname - The function name ("TEXTSPLIT" or "SPLIT")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =TEXTSPLIT("a,b;c,d", ",", ";") returns a, b in the first row and c, d in the second
+ * // =SPLIT("1-2/3", "-/") returns 1, 2, and 3 across
+ * SocialCalc.Formula.TextSplitFunctions("TEXTSPLIT", operand, foperand, sheet);
+ */
+SocialCalc.Formula.TextSplitFunctions = function(fname, operand, foperand, sheet) {
+   let i, r, c, value, maxcols, row, pieces, rows, coldelims, rowdelims, ignoreempty;
+   let scf = SocialCalc.Formula;
+   let ignorecase = false;
+   let args = [];
+   let result = [];
+
+   let numargs = fname == "SPLIT" ? 4 : 6;
+
+   for (i = 0; foperand.length; i++) { // text, delimiters, then options
+      if (i >= numargs) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      value = i < 3 && (i < 2 || fname == "TEXTSPLIT") ? scf.OperandAsText(sheet, foperand) : scf.OperandValueAndType(sheet, foperand);
+      if (value.type.charAt(0) == "e") {
+         scf.PushOperand(operand, value.type, 0);
+         return;
+      }
+      args.push(value);
+   }
+
+   /**
+    * @function OptionValue
+    * @description Returns the numeric or logical value of an optional argument
+    * @param {number} n - Index of the argument
+    * @param {*} def - Value if the argument is omitted or blank
+    * @returns {*} The value
+    */
+   let OptionValue = function(n, def) {
+      return args[n] && args[n].type.charAt(0) != "b" ? args[n].value : def;
+   };
+
+   if (fname == "SPLIT") {
+      coldelims = OptionValue(2, 1) ? args[1].value.split("") : [args[1].value];
+      rowdelims = [];
+      ignoreempty = !!OptionValue(3, 1);
+   } else {
+      coldelims = [args[1].value];
+      rowdelims = args[2] ? [args[2].value] : [];
+      ignoreempty = !!OptionValue(3, 0);
+      ignorecase = OptionValue(4, 0) == 1;
+   }
+
+   rows = scf.SplitText(args[0].value, rowdelims, ignorecase, ignoreempty);
+
+   maxcols = 0;
+   for (r = 0; r < rows.length; r++) {
+      pieces = scf.SplitText(rows[r], coldelims, ignorecase, ignoreempty);
+      row = [];
+      for (c = 0; c < pieces.length; c++) {
+         row.push({type: "t", value: pieces[c]});
+      }
+      if (!row.length) {
+         row.push({type: "t", value: ""});
+      }
+      maxcols = Math.max(maxcols, row.length);
+      result.push(row);
+   }
+
+   if (!result.length) { // everything was empty
+      result.push([{type: "t", value: ""}]);
+   }
+
+   for (r = 0; r < result.length; r++) { // fill in short rows
+      while (result[r].length < maxcols) {
+         if (args[5] && args[5].type.charAt(0) != "b") {
+            result[r].push({type: args[5].type, value: args[5].value});
+         } else {
+            result[r].push({type: "e#N/A", value: 0});
+         }
+      }
+   }
+
+   scf.PushOperand(operand, "array", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["SPLIT"] = [SocialCalc.Formula.TextSplitFunctions, -2, "split", "", "text"];
+SocialCalc.Formula.FunctionList["TEXTSPLIT"] = [SocialCalc.Formula.TextSplitFunctions, -2, "textsplit", "", "text"];
+
+/**
+ * @function SplitText
+ * @memberof SocialCalc.Formula
+ * @description Splits text at each occurrence of any of the delimiters
+ * 
+ * @param {string} text - The text to split
+ * @param {Array<string>} delimiters - The delimiters (empty ones are ignored)
+ * @param {boolean} ignorecase - If true, delimiters match regardless of case
+ * @param {boolean} ignoreempty - If true, empty pieces are left out
+ * @returns {Array<string>} The pieces of text
+ * 
+ * @example
+ * SocialCalc.Formula.SplitText("aXbxc", ["x"], true, false)  // Returns ["a", "b", "c"]
+ * SocialCalc.Formula.SplitText("a,,b", [","], false, true)   // Returns ["a", "b"]
+ */
+SocialCalc.Formula.SplitText = function(text, delimiters, ignorecase, ignoreempty) {
+   let i, pieces;
+   let restr = [];
+
+   for (i = 0; i < delimiters.length; i++) {
+      if (delimiters[i]) {
+         restr.push(delimiters[i].replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&"));
+      }
+   }
+
+   pieces = restr.length ? text.split(new RegExp(restr.join("|"), ignorecase ? "i" : "")) : [text];
+
+   if (ignoreempty) {
+      pieces = pieces.filter(function(piece) {return piece !== "";});
+   }
+
+   return pieces;
+};
+
+/**
+ * @function TextFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the TEXT function for formatting a value as text
+ * 
+ * TEXT(value, format) returns value formatted with format, which may be any of the number,
+ * date, and time formats used for cell formatting (e.g., "#,##0.00", "0%", "yyyy-mm-dd").
+ * Text values that don't look like numbers are returned as is.
+ * 
+ * @param {string} fname - The function name ("TEXT")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =TEXT(1234.5, "#,##0.00") returns "1,234.50"
+ * // =TEXT(DATE(2024,3,5), "yyyy-mm-dd") returns "2024-03-05"
+ * SocialCalc.Formula.TextFunction("TEXT", operand, foperand, sheet);
+ */
+SocialCalc.Formula.TextFunction = function(fname, operand, foperand, sheet) {
+   let result;
+   let scf = SocialCalc.Formula;
+
+   let value = scf.OperandValueAndType(sheet, foperand);
+   let format = scf.OperandAsText(sheet, foperand);
+
+   if (value.type.charAt(0) == "e" || format.type.charAt(0) == "e") {
+      scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : format.type, 0);
+      return;
+   }
+
+   if (value.type.charAt(0) == "t") { // format it if it looks like a number
+      result = SocialCalc.DetermineValueType(value.value);
+      if (result.type.charAt(0) != "n") {
+         scf.PushOperand(operand, "t", value.value);
+         return;
+      }
+      value = result;
+   }
+
+   result = SocialCalc.FormatNumber.formatNumberWithFormat(value.value - 0, format.value, "");
+   result = result.replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " "); // remove color and other HTML
+
+   scf.PushOperand(operand, "t", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["TEXT"] = [SocialCalc.Formula.TextFunction, 2, "textformat", "", "text"];
+/**
+ * @function IsFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements value testing functions (IS* family)
+ * 
+ * These functions test the type or characteristics of values:
+ * - ISBLANK(value): Returns TRUE if value is blank/empty
+ * - ISERR(value): Returns TRUE if value is an error (except #N/A)
+ * - ISERROR(value): Returns TRUE if value is any error (including #N/A)
+ * - ISLOGICAL(value): Returns TRUE if value is a logical (boolean) value
+ * - ISNA(value): Returns TRUE if value is the #N/A error
+ * - ISNONTEXT(value): Returns TRUE if value is not text
+ * - ISNUMBER(value): Returns TRUE if value is numeric
+ * - ISTEXT(value): Returns TRUE if value is text
+ * 
+ * @param {string} fname - The specific IS function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =ISNUMBER(123) returns 1 (TRUE)
+ * // =ISTEXT("Hello") returns 1 (TRUE)
+ * // =ISERROR(#DIV/0!) returns 1 (TRUE)
+ * // =ISNA(#N/A) returns 1 (TRUE)
+ * SocialCalc.Formula.IsFunctions("ISNUMBER", operand, foperand, sheet);
+ */
+SocialCalc.Formula.IsFunctions = function(fname, operand, foperand, sheet) {
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   let resulttype = "nl"; // Logical result type
+
+   let value = scf.OperandValueAndType(sheet, foperand);
+   let t = value.type.charAt(0);
+
+   switch (fname) {
+      case "ISBLANK":
+         result = value.type == "b" ? 1 : 0;
+         break;
+
+      case "ISERR":
+         result = t == "e" ? (value.type == "e#N/A" ? 0 : 1) : 0; // Error but not #N/A
+         break;
+
+      case "ISERROR":
+         result = t == "e" ? 1 : 0; // Any error including #N/A
+         break;
+
+      case "ISLOGICAL":
+         result = value.type == "nl" ? 1 : 0; // Logical/boolean type
+         break;
+
+      case "ISNA":
+         result = value.type == "e#N/A" ? 1 : 0; // Specifically #N/A error
+         break;
+
+      case "ISNONTEXT":
+         result = t == "t" ? 0 : 1; // Not text
+         break;
+
+      case "ISNUMBER":
+         result = t == "n" ? 1 : 0; // Numeric type
+         break;
+
+      case "ISTEXT":
+         result = t == "t" ? 1 : 0; // Text type
+         break;
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+
+   return;
+};
+
+/**
+ * @description Function list registrations for value testing functions
+ * All IS* functions take exactly 1 argument and belong to the "test" category
+ */
+SocialCalc.Formula.FunctionList["ISBLANK"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISERR"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISERROR"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISLOGICAL"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISNA"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISNONTEXT"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISNUMBER"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["ISTEXT"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+
+/**
+ * @function NTVFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements value conversion functions (N, T, VALUE)
+ * 
+ * These functions convert between different value types:
+ * - N(value): Converts value to number, returns 0 if not numeric
+ * - T(value): Converts value to text, returns empty string if not text
+ * - VALUE(value): Converts text representation of number to actual number
+ * 
+ * @param {string} fname - The specific conversion function name ("N", "T", or "VALUE")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =N("123") returns 0 (text is not numeric)
+ * // =N(123) returns 123 (number stays number)
+ * // =T(123) returns "" (number converted to empty text)
+ * // =T("Hello") returns "Hello" (text stays text)
+ * // =VALUE("123") returns 123 (text parsed as number)
+ * SocialCalc.Formula.NTVFunctions("VALUE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.NTVFunctions = function(fname, operand, foperand, sheet) {
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   let resulttype = "e#VALUE!";
+
+   let value = scf.OperandValueAndType(sheet, foperand);
+   let t = value.type.charAt(0);
+
+   switch (fname) {
+      case "N":
+         result = t == "n" ? value.value-0 : 0; // Convert to number or return 0
+         resulttype = "n";
+         break;
+
+      case "T":
+         result = t == "t" ? value.value+"" : ""; // Convert to text or return empty string
+         resulttype = "t";
+         break;
+
+      case "VALUE":
+         if (t == "n" || t == "b") {
+            result = value.value || 0; // Numbers and blanks convert directly
+            resulttype = "n";
+         } else if (t == "t") {
+            // Try to parse text as a number using SocialCalc's value determination
+            value = SocialCalc.DetermineValueType(value.value);
+            if (value.type.charAt(0) != "n") {
+               result = 0;
+               resulttype = "e#VALUE!"; // Text cannot be parsed as number
+            } else {
+               result = value.value-0;
+               resulttype = "n";
+            }
+         }
+         break;
+   }
+
+   if (t == "e") { // error trumps all other processing
+      resulttype = value.type;
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+
+   return;
+};
+
+/**
+ * @description Function list registrations for value conversion functions
+ * - N: Converts to number (math category)
+ * - T: Converts to text (text category)  
+ * - VALUE: Parses text as number (text category)
+ */
+SocialCalc.Formula.FunctionList["N"] = [SocialCalc.Formula.NTVFunctions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["T"] = [SocialCalc.Formula.NTVFunctions, 1, "v", "", "text"];
+SocialCalc.Formula.FunctionList["VALUE"] = [SocialCalc.Formula.NTVFunctions, 1, "v", "", "text"];
+
+/**
+ * @function Math1Functions
+ * @memberof SocialCalc.Formula
+ * @description Implements single-argument mathematical functions
+ * 
+ * Handles various mathematical operations on a single numeric argument:
+ * - ABS(value): Absolute value
+ * - ACOS(value): Arc cosine (inverse cosine) in radians
+ * - ASIN(value): Arc sine (inverse sine) in radians  
+ * - ATAN(value): Arc tangent (inverse tangent) in radians
+ * - COS(value): Cosine of angle in radians
+ * - DEGREES(value): Convert radians to degrees
+ * - EVEN(value): Round up to nearest even integer
+ * - EXP(value): e raised to the power of value
+ * - FACT(value): Factorial of value
+ * - INT(value): Integer part (floor function)
+ * - LN(value): Natural logarithm (base e)
+ * - LOG10(value): Base 10 logarithm
+ * - ODD(value): Round up to nearest odd integer
+ * - RADIANS(value): Convert degrees to radians
+ * - SIGN(value): 1 if positive, -1 if negative, 0 if zero
+ * - SIN(value): Sine of angle in radians
+ * - SQRT(value): Square root
+ * - TAN(value): Tangent of angle in radians
+ * 
+ * @param {string} fname - The specific mathematical function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {null} Always returns null (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction for math functions
+ * // =ABS(-5) returns 5
+ * // =SIN(PI()/2) returns 1
+ * // =FACT(5) returns 120
+ * // =SQRT(16) returns 4
+ * SocialCalc.Formula.Math1Functions("ABS", operand, foperand, sheet);
+ */
+SocialCalc.Formula.Math1Functions = function(fname, operand, foperand, sheet) {
+   let v1, value, f;
+   let result = {};
+
+   let scf = SocialCalc.Formula;
+
+   v1 = scf.OperandAsNumber(sheet, foperand);
+   value = v1.value;
+   result.type = scf.LookupResultType(v1.type, v1.type, scf.TypeLookupTable.oneargnumeric);
+
+   if (result.type == "n") {
+      switch (fname) {
+         case "ABS":
+            value = Math.abs(value);
+            break;
+
+         case "ACOS":
+            if (value >= -1 && value <= 1) {
+               value = Math.acos(value);
+            } else {
+               result.type = "e#NUM!"; // Domain error: input must be [-1, 1]
+            }
+            break;
+
+         case "ASIN":
+            if (value >= -1 && value <= 1) {
+               value = Math.asin(value);
+            } else {
+               result.type = "e#NUM!"; // Domain error: input must be [-1, 1]
+            }
+            break;
+
+         case "ATAN":
+            value = Math.atan(value);
+            break;
+
+         case "COS":
+            value = Math.cos(value);
+            break;
+
+         case "DEGREES":
+            value = value * 180/Math.PI; // Convert radians to degrees
+            break;
+
+         case "EVEN":
+            // Round to nearest even integer away from zero
+            value = value < 0 ? -value : value;
+            if (value != Math.floor(value)) {
+               value = Math.floor(value + 1) + (Math.floor(value + 1) % 2);
+            } else { // integer
+               value = value + (value % 2);
+            }
+            if (v1.value < 0) value = -value;
+            break;
+
+         case "EXP":
+            value = Math.exp(value); // e^value
+            break;
+
+         case "FACT":
+            f = 1;
+            value = Math.floor(value);
+            for (; value > 0; value--) {
+               f *= value;
+            }
+            value = f;
+            break;
+
+         case "INT":
+            value = Math.floor(value); // spreadsheet INT is floor(), not int()
+            break;
+
+         case "LN":
+            if (value <= 0) {
+               result.type = "e#NUM!";
+               result.error = SocialCalc.Constants.s_sheetfunclnarg;
+            } else {
+               value = Math.log(value); // Natural logarithm
+            }
+            break;
+
+         case "LOG10":
+            if (value <= 0) {
+               result.type = "e#NUM!";
+               result.error = SocialCalc.Constants.s_sheetfunclog10arg;
+            } else {
+               value = Math.log(value)/Math.log(10); // Base 10 logarithm
+            }
+            break;
+
+         case "ODD":
+            // Round to nearest odd integer away from zero
+            value = value < 0 ? -value : value;
+            if (value != Math.floor(value)) {
+               value = Math.floor(value + 1) + (1 - (Math.floor(value + 1) % 2));
+            } else { // integer
+               value = value + (1 - (value % 2));
+            }
+            if (v1.value < 0) value = -value;
+            break;
+
+         case "RADIANS":
+            value = value * Math.PI/180; // Convert degrees to radians
+            break;
+
+         case "SIGN":
+            value = value > 0 ? 1 : (value < 0 ? -1 : 0);
+            break;
+
+         case "SIN":
+            value = Math.sin(value);
+            break;
+
+         case "SQRT":
+            if (value >= 0) {
+               value = Math.sqrt(value);
+            } else {
+               result.type = "e#NUM!"; // Cannot take square root of negative number
+            }
+            break;
+
+         case "TAN":
+            if (Math.cos(value) != 0) {
+               value = Math.tan(value);
+            } else {
+               result.type = "e#NUM!"; // Undefined at π/2 + nπ
+            }
+            break;
+      }
+   }
+
+   result.value = value;
+   operand.push(result);
+
+   return null;
+};
+
+/**
+ * @description Function list registrations for single-argument mathematical functions
+ * All functions take exactly 1 argument and belong to the "math" category
+ */
+SocialCalc.Formula.FunctionList["ABS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["ACOS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["ASIN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["ATAN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["COS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["DEGREES"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["EVEN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["EXP"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["FACT"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["INT"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["LN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["LOG10"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["ODD"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["RADIANS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["SIGN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["SIN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["SQRT"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["TAN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+
+/**
+ * @function Math2Functions
+ * @memberof SocialCalc.Formula
+ * @description Implements two-argument mathematical functions
+ * 
+ * Handles mathematical operations requiring two numeric arguments:
+ * - ATAN2(x, y): Arc tangent of y/x in radians, handling quadrant correctly
+ * - MOD(a, b): Modulo operation (remainder after division)
+ * - POWER(a, b): Raises a to the power of b
+ * - QUOTIENT(a, b): Integer part of a/b, truncated toward zero
+ * - TRUNC(value, precision): Truncates value to specified decimal places
+ * 
+ * @param {string} fname - The specific mathematical function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {null} Always returns null (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction for two-argument math functions
+ * // =ATAN2(1, 1) returns π/4 (45 degrees in radians)
+ * // =MOD(7, 3) returns 1 (7 divided by 3 leaves remainder 1)
+ * // =POWER(2, 3) returns 8 (2^3)
+ * // =TRUNC(3.14159, 2) returns 3.14
+ * SocialCalc.Formula.Math2Functions("POWER", operand, foperand, sheet);
+ */
+SocialCalc.Formula.Math2Functions = function(fname, operand, foperand, sheet) {
+   let xval, yval, value, quotient, decimalscale, i;
+   let result = {};
+
+   let scf = SocialCalc.Formula;
+
+   xval = scf.OperandAsNumber(sheet, foperand);
+   yval = scf.OperandAsNumber(sheet, foperand);
+   value = 0;
+   result.type = scf.LookupResultType(xval.type, yval.type, scf.TypeLookupTable.twoargnumeric);
+
+   if (result.type == "n") {
+      switch (fname) {
+         case "ATAN2":
+            if (xval.value == 0 && yval.value == 0) {
+               result.type = "e#DIV/0!"; // Undefined for (0,0)
+            } else {
+               result.value = Math.atan2(yval.value, xval.value); // Note: y, x order for Math.atan2
+            }
+            break;
+
+         case "POWER":
+            result.value = Math.pow(xval.value, yval.value);
+            if (isNaN(result.value)) {
+               result.value = 0;
+               result.type = "e#NUM!"; // Invalid operation (e.g., negative base with fractional exponent)
+            }
+            break;
+
+         case "MOD": // Modulo operation following Excel semantics
+            // Reference: en.wikipedia.org/wiki/Modulo_operation
+            if (yval.value == 0) {
+               result.type = "e#DIV/0!"; // Division by zero
+            } else {
+               quotient = xval.value/yval.value;
+               quotient = Math.floor(quotient); // Use floor division for Excel compatibility
+               result.value = xval.value - (quotient * yval.value);
+            }
+            break;
+
+         case "QUOTIENT":
+            if (yval.value == 0) {
+               result.type = "e#DIV/0!";
+            } else {
+               quotient = xval.value/yval.value;
+               result.value = quotient < 0 ? Math.ceil(quotient) : Math.floor(quotient); // truncate, unlike MOD
+            }
+            break;
+
+         case "TRUNC":
+            // Truncate to specified number of decimal places
+            decimalscale = 1; // cut down to required number of decimal digits
+            if (yval.value >= 0) {
+               yval.value = Math.floor(yval.value);
+               for (i = 0; i < yval.value; i++) {
+                  decimalscale *= 10;
+               }
+               result.value = Math.floor(Math.abs(xval.value) * decimalscale) / decimalscale;
+            } else if (yval.value < 0) {
+               yval.value = Math.floor(-yval.value);
+               for (i = 0; i < yval.value; i++) {
+                  decimalscale *= 10;
+               }
+               result.value = Math.floor(Math.abs(xval.value) / decimalscale) * decimalscale;
+            }
+            if (xval.value < 0) {
+               result.value = -result.value; // Preserve original sign
+            }
+            break;
+      }
+   }
+ 
+   operand.push(result);
+
+   return null;
+};
+
+/**
+ * @description Function list registrations for two-argument mathematical functions
+ * All functions take exactly 2 arguments and belong to the "math" category
+ * - ATAN2: Uses "xy" argument definition for coordinate pair
+ * - TRUNC: Uses "valpre" argument definition for value and precision
+ */
+SocialCalc.Formula.FunctionList["ATAN2"] = [SocialCalc.Formula.Math2Functions, 2, "xy", "", "math"];
+SocialCalc.Formula.FunctionList["MOD"] = [SocialCalc.Formula.Math2Functions, 2, "", "", "math"];
+SocialCalc.Formula.FunctionList["POWER"] = [SocialCalc.Formula.Math2Functions, 2, "", "", "math"];
+SocialCalc.Formula.FunctionList["QUOTIENT"] = [SocialCalc.Formula.Math2Functions, 2, "", "", "math"];
+SocialCalc.Formula.FunctionList["TRUNC"] = [SocialCalc.Formula.Math2Functions, 2, "valpre", "", "math"];
+/**
+ * @function LogFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the LOG function for logarithms with optional base
+ * 
+ * LOG(value, [base]) returns the logarithm of value to the specified base.
+ * If base is omitted, returns the natural logarithm (base e).
+ * 
+ * @param {string} fname - The function name ("LOG")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =LOG(100, 10) returns 2 (log base 10 of 100)
+ * // =LOG(2.718) returns ~1 (natural log of e)
+ * // =LOG(8, 2) returns 3 (log base 2 of 8)
+ * SocialCalc.Formula.LogFunction("LOG", operand, foperand, sheet);
+ */
+SocialCalc.Formula.LogFunction = function(fname, operand, foperand, sheet) {
+   let value, value2;
+   let result = {};
+
+   let scf = SocialCalc.Formula;
+
+   result.value = 0;
+
+   // Get the value to take logarithm of
+   value = scf.OperandAsNumber(sheet, foperand);
+   result.type = scf.LookupResultType(value.type, value.type, scf.TypeLookupTable.oneargnumeric);
+   
+   // Check for optional base argument
+   if (foperand.length == 1) {
+      value2 = scf.OperandAsNumber(sheet, foperand);
+      if (value2.type.charAt(0) != "n" || value2.value <= 0) {
+         scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfunclogsecondarg);
+         return 0;
+      }
+   } else if (foperand.length != 0) {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   } else {
+      value2 = {value: Math.E, type: "n"}; // Default to natural logarithm (base e)
+   }
+
+   if (result.type == "n") {
+      if (value.value <= 0) {
+         scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfunclogfirstarg);
+         return 0;
+      }
+      // Calculate logarithm using change of base formula: log_b(x) = ln(x) / ln(b)
+      result.value = Math.log(value.value)/Math.log(value2.value);
+   }
+
+   operand.push(result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["LOG"] = [SocialCalc.Formula.LogFunction, -1, "log", "", "math"];
+
+/**
+ * @function RoundFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the ROUND, ROUNDUP and ROUNDDOWN functions for rounding numbers to specified precision
+ * 
+ * ROUND(value, [precision]) rounds value to the specified number of decimal places.
+ * - If precision is omitted, rounds to nearest integer
+ * - If precision is positive, rounds to that many decimal places
+ * - If precision is negative, rounds to that many places left of decimal point
+ * 
+ * ROUNDUP and ROUNDDOWN take the same arguments but always round away from zero or toward zero.
+ * 
+ * @param {string} fname - The function name ("ROUND", "ROUNDUP", or "ROUNDDOWN")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =ROUND(3.14159, 2) returns 3.14
+ * // =ROUND(1234.5, -2) returns 1200
+ * // =ROUND(2.5) returns 3 (rounds to nearest integer)
+ * // =ROUNDUP(3.14159, 2) returns 3.15
+ * // =ROUNDDOWN(-1234.5, -2) returns -1200
+ * SocialCalc.Formula.RoundFunction("ROUND", operand, foperand, sheet);
+ */
+SocialCalc.Formula.RoundFunction = function(fname, operand, foperand, sheet) {
+   let value2, decimalscale, scaledvalue, i;
+
+   let scf = SocialCalc.Formula;
+   let result = 0;
+   let resulttype = "e#VALUE!";
+
+   // ROUNDUP and ROUNDDOWN work on the magnitude; the scaled value is cleaned up first
+   // so that something like 1.1*10 (11.000000000000002) isn't rounded up to 12
+   let roundscaled = function(x) {
+      if (fname == "ROUND") return Math.round(x);
+      let r = Math.abs(+x.toPrecision(15));
+      r = fname == "ROUNDUP" ? Math.ceil(r) : Math.floor(r);
+      return x < 0 ? -r : r;
+   };
+
+   let value = scf.OperandValueAndType(sheet, foperand);
+   resulttype = scf.LookupResultType(value.type, value.type, scf.TypeLookupTable.oneargnumeric);
+
+   // Check for optional precision argument
+   if (foperand.length == 1) {
+      value2 = scf.OperandValueAndType(sheet, foperand);
+      if (value2.type.charAt(0) != "n") {
+         scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfuncroundsecondarg);
+         return 0;
+      }
+   } else if (foperand.length != 0) {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   } else {
+      value2 = {value: 0, type: "n"}; // if no second arg, assume 0 for simple round
+   }
+
+   if (resulttype == "n") {
+      value2.value = value2.value-0;
+      if (value2.value == 0) {
+         // Simple rounding to integer
+         result = roundscaled(value.value);
+      } else if (value2.value > 0) {
+         // Round to positive decimal places
+         decimalscale = 1; // cut down to required number of decimal digits
+         value2.value = Math.floor(value2.value);
+         for (i = 0; i < value2.value; i++) {
+            decimalscale *= 10;
+         }
+         scaledvalue = roundscaled(value.value * decimalscale);
+         result = scaledvalue / decimalscale;
+      } else if (value2.value < 0) {
+         // Round to negative decimal places (round to tens, hundreds, etc.)
+         decimalscale = 1; // cut down to required number of decimal digits
+         value2.value = Math.floor(-value2.value);
+         for (i = 0; i < value2.value; i++) {
+            decimalscale *= 10;
+         }
+         scaledvalue = roundscaled(value.value / decimalscale);
+         result = scaledvalue * decimalscale;
+      }
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["ROUND"] = [SocialCalc.Formula.RoundFunction, -1, "vp", "", "math"];
+SocialCalc.Formula.FunctionList["ROUNDDOWN"] = [SocialCalc.Formula.RoundFunction, -1, "vp", "", "math"];
+SocialCalc.Formula.FunctionList["ROUNDUP"] = [SocialCalc.Formula.RoundFunction, -1, "vp", "", "math"];
+
+/**
+ * @function CeilingFloorFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements functions that round to a multiple of a significance
+ * 
+ * - CEILING(value, [significance]): Rounds up to a multiple of significance (default 1).
+ *   A negative value with a negative significance is rounded away from zero.
+ * - FLOOR(value, [significance]): Rounds down to a multiple of significance (default 1).
+ *   A negative value with a negative significance is rounded toward zero.
+ * - CEILING.MATH(value, [significance, [mode]]): Rounds up using the size of significance;
+ *   if mode is non-zero, negative values are rounded away from zero
+ * - FLOOR.MATH(value, [significance, [mode]]): Rounds down using the size of significance;
+ *   if mode is non-zero, negative values are rounded toward zero
+ * - MROUND(value, multiple): Rounds to the nearest multiple, halves away from zero
+ * 
+ * CEILING, FLOOR and MROUND return #NUM! if the value and significance have different signs
+ * (a positive value with a negative significance).
+ * 
+ * @param {string} fname - The function name
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =CEILING(2.5, 0.1) returns 2.5
+ * // =FLOOR(-2.5, -2) returns -2
+ * // =CEILING.MATH(-5.5, 2, 1) returns -6
+ * // =MROUND(10, 3) returns 9
+ * SocialCalc.Formula.CeilingFloorFunctions("CEILING", operand, foperand, sheet);
+ */
+SocialCalc.Formula.CeilingFloorFunctions = function(fname, operand, foperand, sheet) {
+   let value, sig, mode, quotient, result, resulttype;
+
+   let scf = SocialCalc.Formula;
+   let maxargs = fname.indexOf(".MATH") > 0 ? 3 : 2;
+
+   if (foperand.length > maxargs) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+
+   value = scf.OperandAsNumber(sheet, foperand);
+   sig = foperand.length ? scf.OperandAsNumber(sheet, foperand) : {value: 1, type: "n"};
+   mode = foperand.length ? scf.OperandAsNumber(sheet, foperand) : {value: 0, type: "n"};
+
+   resulttype = scf.LookupResultType(value.type, sig.type, scf.TypeLookupTable.twoargnumeric);
+   resulttype = scf.LookupResultType(resulttype, mode.type, scf.TypeLookupTable.twoargnumeric);
+   if (resulttype.charAt(0) != "n") {
+      scf.PushOperand(operand, resulttype, 0);
+      return;
+   }
+
+   value = value.value;
+   sig = sig.value;
+
+   if (sig == 0) { // Excel gives 0 for everything except FLOOR, which divides by it
+      scf.PushOperand(operand, fname == "FLOOR" ? "e#DIV/0!" : "n", 0);
+      return;
+   }
+
+   if (maxargs == 3) {
+      sig = Math.abs(sig);
+   } else if ((value > 0 && sig < 0) || (fname == "MROUND" && value < 0 && sig > 0)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   quotient = +(value / sig).toPrecision(15); // so 2.5/0.1 isn't 25.000000000000004
+
+   switch (fname) {
+      case "CEILING": // quotient is never negative when sig is, so this works for both signs
+         result = Math.ceil(quotient);
+         break;
+
+      case "FLOOR":
+         result = Math.floor(quotient);
+         break;
+
+      case "CEILING.MATH":
+         result = (value < 0 && mode.value != 0) ? Math.floor(quotient) : Math.ceil(quotient);
+         break;
+
+      case "FLOOR.MATH":
+         result = (value < 0 && mode.value != 0) ? Math.ceil(quotient) : Math.floor(quotient);
+         break;
+
+      case "MROUND":
+         result = Math.floor(quotient + 0.5); // quotient is never negative
+         break;
+   }
+
+   result = +(result * sig).toPrecision(15); // so 3*0.1 is 0.3
+
+   scf.PushOperand(operand, "n", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["CEILING"] = [SocialCalc.Formula.CeilingFloorFunctions, -1, "ceiling", "", "math"];
+SocialCalc.Formula.FunctionList["CEILING.MATH"] = [SocialCalc.Formula.CeilingFloorFunctions, -1, "ceilingmath", "", "math"];
+SocialCalc.Formula.FunctionList["FLOOR"] = [SocialCalc.Formula.CeilingFloorFunctions, -1, "ceiling", "", "math"];
+SocialCalc.Formula.FunctionList["FLOOR.MATH"] = [SocialCalc.Formula.CeilingFloorFunctions, -1, "ceilingmath", "", "math"];
+SocialCalc.Formula.FunctionList["MROUND"] = [SocialCalc.Formula.CeilingFloorFunctions, 2, "mround", "", "math"];
+
+/**
+ * @function GcdLcmFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements GCD and LCM over any number of values and ranges
+ * 
+ * - GCD(value1, value2, ...): Greatest common divisor
+ * - LCM(value1, value2, ...): Least common multiple
+ * 
+ * Values are truncated to integers. Text and blank cells in ranges are skipped.
+ * A negative value returns #NUM!.
+ * 
+ * @param {string} fname - The function name ("GCD" or "LCM")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =GCD(24, 36) returns 12
+ * // =LCM(4, 6, 10) returns 60
+ * SocialCalc.Formula.GcdLcmFunctions("GCD", operand, foperand, sheet);
+ */
+SocialCalc.Formula.GcdLcmFunctions = function(fname, operand, foperand, sheet) {
+   let i, a, b, t, errortype;
+
+   let scf = SocialCalc.Formula;
+   let values = [];
+   let result = fname == "GCD" ? 0 : 1;
+
+   while (foperand.length) {
+      errortype = scf.ArgumentNumbers(sheet, foperand, values) || errortype;
+   }
+   if (errortype) {
+      scf.PushOperand(operand, errortype, 0);
+      return;
+   }
+
+   for (i = 0; i < values.length; i++) {
+      a = Math.floor(values[i]);
+      if (a < 0) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      b = result;
+      while (b) { // Euclid's algorithm leaves the GCD of a and result in a
+         t = a % b;
+         a = b;
+         b = t;
+      }
+      if (fname == "GCD") {
+         result = a;
+      } else {
+         result = a ? result * (Math.floor(values[i]) / a) : 0; // LCM with 0 is 0
+      }
+   }
+
+   scf.PushOperand(operand, "n", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["GCD"] = [SocialCalc.Formula.GcdLcmFunctions, -1, "vn", "", "math"];
+SocialCalc.Formula.FunctionList["LCM"] = [SocialCalc.Formula.GcdLcmFunctions, -1, "vn", "", "math"];
+
+/**
+ * @function CombinPermutFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements COMBIN and PERMUT
+ * 
+ * - COMBIN(number, chosen): Number of ways to choose items, ignoring order
+ * - PERMUT(number, chosen): Number of ways to choose items where order matters
+ * 
+ * Both arguments are truncated to integers. Returns #NUM! if either is negative or
+ * chosen is larger than number.
+ * 
+ * @param {string} fname - The function name ("COMBIN" or "PERMUT")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =COMBIN(8, 2) returns 28
+ * // =PERMUT(100, 3) returns 970200
+ * SocialCalc.Formula.CombinPermutFunctions("COMBIN", operand, foperand, sheet);
+ */
+SocialCalc.Formula.CombinPermutFunctions = function(fname, operand, foperand, sheet) {
+   let n, k, i, result, resulttype;
+
+   let scf = SocialCalc.Formula;
+
+   n = scf.OperandAsNumber(sheet, foperand);
+   k = scf.OperandAsNumber(sheet, foperand);
+   resulttype = scf.LookupResultType(n.type, k.type, scf.TypeLookupTable.twoargnumeric);
+   if (resulttype.charAt(0) != "n") {
+      scf.PushOperand(operand, resulttype, 0);
+      return;
+   }
+
+   n = Math.floor(n.value);
+   k = Math.floor(k.value);
+   if (n < 0 || k < 0 || k > n) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   result = 1;
+   if (fname == "COMBIN") {
+      if (k > n - k) k = n - k; // fewer steps and less rounding
+      for (i = 1; i <= k; i++) {
+         result = result * (n - k + i) / i;
+      }
+      result = Math.round(result);
+   } else {
+      for (i = 0; i < k; i++) {
+         result *= n - i;
+      }
+   }
+
+   scf.PushOperand(operand, isFinite(result) ? "n" : "e#NUM!", isFinite(result) ? result : 0);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["COMBIN"] = [SocialCalc.Formula.CombinPermutFunctions, 2, "combin", "", "math"];
+SocialCalc.Formula.FunctionList["PERMUT"] = [SocialCalc.Formula.CombinPermutFunctions, 2, "combin", "", "math"];
+
+/**
+ * @function AndOrFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements logical AND, OR, and XOR functions for multiple arguments
+ * 
+ * - AND(v1, v2, ...): Returns TRUE if all arguments are TRUE, FALSE otherwise
+ * - OR(v1, v2, ...): Returns TRUE if any argument is TRUE, FALSE otherwise
+ * - XOR(v1, v2, ...): Returns TRUE if an odd number of arguments are TRUE, FALSE otherwise
+ * 
+ * Arguments are evaluated as logical values:
+ * - Non-zero numbers are TRUE
+ * - Zero is FALSE
+ * - Errors propagate through the result
+ * 
+ * @param {string} fname - The function name ("AND", "OR", or "XOR")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =AND(TRUE, 1, 5) returns TRUE (all non-zero)
+ * // =AND(TRUE, FALSE) returns FALSE (one is false)
+ * // =OR(FALSE, 0, 1) returns TRUE (at least one is true)
+ * // =OR(FALSE, 0) returns FALSE (all are false)
+ * // =XOR(TRUE, TRUE, TRUE) returns TRUE (three are true)
+ * SocialCalc.Formula.AndOrFunctions("AND", operand, foperand, sheet);
+ */
+SocialCalc.Formula.AndOrFunctions = function(fname, operand, foperand, sheet) {
+   let value1, result;
+
+   let scf = SocialCalc.Formula;
+   let resulttype = "";
+
+   // Initialize result based on function type
+   if (fname == "AND") {
+      result = 1; // Start with TRUE, becomes FALSE if any argument is false
+   } else { // OR and XOR
+      result = 0; // Start with FALSE, becomes TRUE if any argument is true
+   }
+
+   // Process all arguments
+   while (foperand.length) {
+      value1 = scf.OperandValueAndType(sheet, foperand);
+      
+      if (value1.type.charAt(0) == "n") {
+         value1.value = value1.value-0;
+         if (fname == "AND") {
+            result = value1.value != 0 ? result : 0; // FALSE if any value is 0
+         } else if (fname == "OR") {
+            result = value1.value != 0 ? 1 : result; // TRUE if any value is non-zero
+         } else if (fname == "XOR") {
+            result = value1.value != 0 ? 1 - result : result; // TRUE if an odd number are non-zero
+         }
+         resulttype = scf.LookupResultType(value1.type, resulttype || "nl", scf.TypeLookupTable.propagateerror);
+      } else if (value1.type.charAt(0) == "e" && resulttype.charAt(0) != "e") {
+         resulttype = value1.type; // Propagate error
+      }
+   }
+   
+   if (resulttype.length < 1) {
+      resulttype = "e#VALUE!";
+      result = 0;
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["AND"] = [SocialCalc.Formula.AndOrFunctions, -1, "vn", "", "test"];
+SocialCalc.Formula.FunctionList["OR"] = [SocialCalc.Formula.AndOrFunctions, -1, "vn", "", "test"];
+SocialCalc.Formula.FunctionList["XOR"] = [SocialCalc.Formula.AndOrFunctions, -1, "vn", "", "test"];
+
+/**
+ * @function NotFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the NOT function for logical negation
+ * 
+ * NOT(value) returns the logical opposite of value:
+ * - TRUE becomes FALSE
+ * - FALSE becomes TRUE
+ * - Non-zero numbers become FALSE
+ * - Zero becomes TRUE
+ * - Text values result in #VALUE! error
+ * 
+ * @param {string} fname - The function name ("NOT")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =NOT(TRUE) returns FALSE
+ * // =NOT(0) returns TRUE
+ * // =NOT(5) returns FALSE
+ * // =NOT("text") returns #VALUE! error
+ * SocialCalc.Formula.NotFunction("NOT", operand, foperand, sheet);
+ */
+SocialCalc.Formula.NotFunction = function(fname, operand, foperand, sheet) {
+   let result = 0;
+   let scf = SocialCalc.Formula;
+   let value = scf.OperandValueAndType(sheet, foperand);
+   let resulttype = scf.LookupResultType(value.type, value.type, scf.TypeLookupTable.propagateerror);
+
+   if (value.type.charAt(0) == "n" || value.type == "b") {
+      result = value.value-0 != 0 ? 0 : 1; // do the "not" operation
+      resulttype = "nl"; // Logical result type
+   } else if (value.type.charAt(0) == "t") {
+      resulttype = "e#VALUE!"; // Text values are not valid for logical operations
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["NOT"] = [SocialCalc.Formula.NotFunction, 1, "v", "", "test"];
+
+/**
+ * @function ChooseFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the CHOOSE function for selecting from a list of values
+ * 
+ * CHOOSE(index, value1, value2, ...) returns the value at the specified index position.
+ * - index: 1-based position of the value to return
+ * - value1, value2, ...: List of values to choose from
+ * 
+ * If index is out of range, returns #VALUE! error.
+ * 
+ * @param {string} fname - The function name ("CHOOSE")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =CHOOSE(2, "A", "B", "C") returns "B"
+ * // =CHOOSE(1, 10, 20, 30) returns 10
+ * // =CHOOSE(5, "A", "B") returns #VALUE! (index out of range)
+ * SocialCalc.Formula.ChooseFunction("CHOOSE", operand, foperand, sheet);
+ */
+SocialCalc.Formula.ChooseFunction = function(fname, operand, foperand, sheet) {
+   let resulttype, count, value1;
+   let result = 0;
+   let scf = SocialCalc.Formula;
+
+   // Get the index argument
+   let cindex = scf.OperandAsNumber(sheet, foperand);
+
+   if (cindex.type.charAt(0) != "n") {
+      cindex.value = 0;
+   }
+   cindex.value = Math.floor(cindex.value); // Use integer index
+
+   // Search through the value arguments for the one at the specified index
+   count = 0;
+   while (foperand.length) {
+      value1 = scf.TopOfStackValueAndType(sheet, foperand);
+      count += 1;
+      if (cindex.value == count) {
+         result = value1.value;
+         resulttype = value1.type;
+         break;
+      }
+   }
+   
+   if (resulttype) { // found something at the specified index
+      scf.PushOperand(operand, resulttype, result);
+   } else {
+      scf.PushOperand(operand, "e#VALUE!", 0); // index out of range
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["CHOOSE"] = [SocialCalc.Formula.ChooseFunction, -2, "choose", "", "lookup"];
+/**
+ * @function ColumnsRowsFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements COLUMNS and ROWS functions for determining range dimensions
+ * 
+ * - COLUMNS(range): Returns the number of columns in the specified range
+ * - ROWS(range): Returns the number of rows in the specified range
+ * 
+ * For single cell references, both functions return 1.
+ * 
+ * @param {string} fname - The function name ("COLUMNS" or "ROWS")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =COLUMNS(A1:C5) returns 3 (3 columns: A, B, C)
+ * // =ROWS(A1:C5) returns 5 (5 rows: 1, 2, 3, 4, 5)
+ * // =COLUMNS(A1) returns 1 (single cell has 1 column)
+ * SocialCalc.Formula.ColumnsRowsFunctions("COLUMNS", operand, foperand, sheet);
+ */
+SocialCalc.Formula.ColumnsRowsFunctions = function(fname, operand, foperand, sheet) {
+   let resulttype, rangeinfo;
+   let result = 0;
+   let scf = SocialCalc.Formula;
+
+   let value1 = scf.TopOfStackValueAndType(sheet, foperand);
+
+   if (value1.type == "coord") {
+      // Single cell reference always has 1 row and 1 column
+      result = 1;
+      resulttype = "n";
+   } else if (value1.type == "range") {
+      // Decode range to get dimensions
+      rangeinfo = scf.DecodeRangeParts(sheet, value1.value);
+      if (fname == "COLUMNS") {
+         result = rangeinfo.ncols;
+      } else if (fname == "ROWS") {
+         result = rangeinfo.nrows;
+      }
+      resulttype = "n";
+   } else if (value1.type == "array") {
+      result = fname == "COLUMNS" ? value1.value[0].length : value1.value.length;
+      resulttype = "n";
+   } else {
+      // Invalid argument type
+      result = 0;
+      resulttype = "e#VALUE!";
+   }
+
+   scf.PushOperand(operand, resulttype, result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["COLUMNS"] = [SocialCalc.Formula.ColumnsRowsFunctions, 1, "range", "", "lookup"];
+SocialCalc.Formula.FunctionList["ROWS"] = [SocialCalc.Formula.ColumnsRowsFunctions, 1, "range", "", "lookup"];
+
+/**
+ * @function ReferenceFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements OFFSET and INDIRECT, which return a reference computed from their arguments
+ * 
+ * - OFFSET(reference, rows, cols, [height], [width]): The range moved by rows and cols,
+ *   optionally resized (height and width default to the size of reference)
+ * - INDIRECT(text, [a1]): The reference named by text, e.g., "B3", "Sheet2!A1:C4" or a name.
+ *   If a1 is FALSE, text is in R1C1 style, e.g., "R3C2" or "R[-1]C", relative to the cell being calculated.
+ * 
+ * Both are volatile. Because the cells they refer to are not in the formula text,
+ * the references on this sheet are noted with NoteDynamicReference so recalc can order them.
+ * 
+ * @param {string} fname - The function name ("OFFSET" or "INDIRECT")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =SUM(OFFSET(A1,1,0,3,1)) sums A2:A4
+ * // =INDIRECT("B"&C1) returns the value of B5 when C1 is 5
+ * // =INDIRECT("Sheet2!R1C1",FALSE) returns the value of Sheet2!A1
+ * SocialCalc.Formula.ReferenceFunctions("OFFSET", operand, foperand, sheet);
+ */
+SocialCalc.Formula.ReferenceFunctions = function(fname, operand, foperand, sheet) {
+   let ref, text, a1, args, i, pos, sheetname, coord1, coord2, rp, c1, r1, c2, r2, refsheet, value, basecoord;
+   let scf = SocialCalc.Formula;
+
+   /**
+    * @function PushOperand
+    * @description Helper function to push operand onto stack
+    * @param {string} t - Type of operand
+    * @param {*} v - Value of operand
+    */
+   let PushOperand = function(t, v) {operand.push({type: t, value: v});};
+
+   scf.FreshnessInfo.volatile[fname] = true; // the result can change when other cells do
+
+   if (fname == "OFFSET") {
+      ref = scf.TopOfStackValueAndType(sheet, foperand);
+      args = [];
+      for (i = 0; i < 4 && foperand.length; i++) { // rows, cols, height, width
+         args.push(scf.OperandAsNumber(sheet, foperand));
+      }
+      if (args.length < 2 || foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+
+      if (ref.type.charAt(0) == "e") {
+         PushOperand(ref.type, ref.value);
+         return;
+      }
+      if (ref.type != "coord" && ref.type != "range") {
+         PushOperand("e#VALUE!", 0);
+         return;
+      }
+      for (i = 0; i < args.length; i++) {
+         if (args[i].type.charAt(0) != "n") {
+            PushOperand(args[i].type.charAt(0) == "e" ? args[i].type : "e#VALUE!", 0);
+            return;
+         }
+         args[i] = Math.trunc(args[i].value);
+      }
+
+      // Split "A1!sheet|B2|" or "A1!sheet" into corners and sheet
+      pos = ref.value.indexOf("|");
+      coord1 = pos == -1 ? ref.value : ref.value.substring(0, pos);
+      coord2 = pos == -1 ? coord1 : ref.value.substring(pos+1, ref.value.indexOf("|", pos+1));
+      pos = coord1.indexOf("!");
+      sheetname = pos == -1 ? "" : coord1.substring(pos);
+      coord1 = pos == -1 ? coord1 : coord1.substring(0, pos);
+      pos = coord2.indexOf("!");
+      coord2 = pos == -1 ? coord2 : coord2.substring(0, pos);
+
+      rp = scf.OrderRangeParts(coord1, coord2);
+      r1 = rp.r1 + args[0];
+      c1 = rp.c1 + args[1];
+      r2 = r1 + (args.length > 2 ? args[2] : rp.r2 - rp.r1 + 1) - 1;
+      c2 = c1 + (args.length > 3 ? args[3] : rp.c2 - rp.c1 + 1) - 1;
+      if (r1 < 1 || c1 < 1 || r2 < r1 || c2 < c1 || c2 > 702) { // off the sheet or empty
+         PushOperand("e#REF!", 0);
+         return;
+      }
+   } else { // INDIRECT
+      text = scf.OperandAsText(sheet, foperand);
+      a1 = foperand.length ? scf.OperandAsNumber(sheet, foperand) : {type: "n", value: 1};
+      if (foperand.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      if (text.type.charAt(0) == "e" || a1.type.charAt(0) == "e") {
+         PushOperand(text.type.charAt(0) == "e" ? text.type : a1.type, 0);
+         return;
+      }
+
+      basecoord = sheet.recalcdata && sheet.recalcdata.calccoord; // R1C1 relative references are from here
+      ref = scf.ParseReferenceText(text.value, a1.value ? null : basecoord || "");
+      if (!ref) {
+         PushOperand("e#REF!", 0);
+         return;
+      }
+
+      refsheet = sheet;
+      sheetname = "";
+      if (ref.sheetname) {
+         refsheet = scf.FindInSheetCache(ref.sheetname);
+         if (refsheet == null) { // unavailable or being loaded
+            scf.FunctionSpecificError(fname, operand, "e#REF!", SocialCalc.Constants.s_sheetunavailable+" "+ref.sheetname);
+            return;
+         }
+         sheetname = "!" + ref.sheetname;
+      }
+
+      if (ref.name) {
+         value = scf.LookupName(refsheet, ref.name);
+         if (value.type != "coord" && value.type != "range") {
+            PushOperand("e#REF!", 0);
+            return;
+         }
+         pos = value.value.indexOf("|");
+         coord1 = pos == -1 ? value.value : value.value.substring(0, pos);
+         coord2 = pos == -1 ? coord1 : value.value.substring(pos+1, value.value.indexOf("|", pos+1));
+      } else {
+         value = scf.BoundWholeRange(refsheet, ref.coord1, ref.coord2);
+         coord1 = value.coord1;
+         coord2 = value.coord2;
+      }
+
+      rp = scf.OrderRangeParts(coord1, coord2);
+      r1 = rp.r1;
+      c1 = rp.c1;
+      r2 = rp.r2;
+      c2 = rp.c2;
+   }
+
+   if (r1 == r2 && c1 == c2) {
+      value = {type: "coord", value: SocialCalc.crToCoord(c1, r1) + sheetname};
+   } else {
+      value = {type: "range", value: SocialCalc.crToCoord(c1, r1) + sheetname + "|" + SocialCalc.crToCoord(c2, r2) + "|"};
+   }
+
+   scf.NoteDynamicReference(sheet, value);
+
+   PushOperand(value.type, value.value);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["INDIRECT"] = [SocialCalc.Formula.ReferenceFunctions, -1, "indirect", "", "lookup"];
+SocialCalc.Formula.FunctionList["OFFSET"] = [SocialCalc.Formula.ReferenceFunctions, -3, "offset", "", "lookup"];
+
+/**
+ * @function ParseReferenceText
+ * @memberof SocialCalc.Formula
+ * @description Parses the text of a reference, as given to INDIRECT
+ * 
+ * Accepts an optional sheet name ending in "!", quoted with ' or " if needed, followed by
+ * a coord, a range of two coords separated by ":", a whole column or row range (A:C, 3:5), or a name.
+ * In R1C1 style, coords are like R2C3, with bracketed numbers relative to basecoord
+ * (R[-1]C[2]) and a missing number meaning the same row or column as basecoord.
+ * 
+ * @param {string} text - The reference text, e.g., "Sheet2!$A$1:B4" or "R[1]C"
+ * @param {string|null} basecoord - null for A1 style, otherwise the coord R1C1 references are relative to
+ *   ("" if unknown, which makes relative references invalid)
+ * @returns {Object|null} {sheetname, coord1, coord2} or {sheetname, name}, or null if not a reference.
+ *   Coords are returned as plain uppercase A1 coords, or just the columns or rows of a whole column or row range.
+ * 
+ * @example
+ * let ref = SocialCalc.Formula.ParseReferenceText("'My Sheet'!R[1]C2:R5C3", "D4");
+ * // Returns: {sheetname: "My Sheet", coord1: "B5", coord2: "C5"}
+ */
+SocialCalc.Formula.ParseReferenceText = function(text, basecoord) {
+   let match, parts, i, coords, base, row, col;
+   let result = {sheetname: ""};
+
+   match = /^(?:'((?:[^']|'')+)'|"([^"]+)"|([^!'":]+))!(.+)$/.exec(text.trim()); // sheet name
+   if (match) {
+      result.sheetname = match[1] != null ? match[1].replace(/''/g, "'") : (match[2] != null ? match[2] : match[3]);
+      text = match[4];
+   } else {
+      text = text.trim();
+   }
+
+   parts = text.split(":");
+   if (parts.length > 2) {
+      return null;
+   }
+
+   if (basecoord == null && parts.length == 2 &&
+       (/^\$?[A-Z]{1,2}:\$?[A-Z]{1,2}$/i.test(text) || /^\$?[1-9]\d*:\$?[1-9]\d*$/.test(text))) { // A:C or 3:5
+      result.coord1 = parts[0].replace(/\$/g, "").toUpperCase();
+      result.coord2 = parts[1].replace(/\$/g, "").toUpperCase();
+      return result;
+   }
+
+   coords = [];
+   for (i = 0; i < parts.length; i++) {
+      if (basecoord == null) { // A1 style
+         if (!/^\$?[A-Z]{1,2}\$?[1-9]\d*$/i.test(parts[i])) break;
+         coords.push(parts[i].replace(/\$/g, "").toUpperCase());
+         continue;
+      }
+      match = /^R(\[[+-]?\d+\]|\d*)C(\[[+-]?\d+\]|\d*)$/i.exec(parts[i]);
+      if (!match) break;
+      base = basecoord ? SocialCalc.coordToCr(basecoord) : null;
+      if (!base && (/^(\[|$)/.test(match[1]) || /^(\[|$)/.test(match[2]))) return null; // relative with nothing to be relative to
+      row = match[1].charAt(0) == "[" ? base.row + (match[1].slice(1, -1) - 0) : (match[1] ? match[1] - 0 : base.row);
+      col = match[2].charAt(0) == "[" ? base.col + (match[2].slice(1, -1) - 0) : (match[2] ? match[2] - 0 : base.col);
+      if (row < 1 || col < 1 || col > 702) return null;
+      coords.push(SocialCalc.crToCoord(col, row));
+   }
+
+   if (coords.length == parts.length) {
+      result.coord1 = coords[0];
+      result.coord2 = coords[coords.length-1];
+      return result;
+   }
+
+   if (parts.length == 1 && /^[A-Z_][A-Z0-9_.]*$/i.test(text)) { // a defined name
+      result.name = text;
+      return result;
+   }
+
+   return null;
+};
+
+/**
+ * @function NoteDynamicReference
+ * @memberof SocialCalc.Formula
+ * @description Remembers a reference computed by a function such as OFFSET while recalculating
+ * 
+ * The cells it refers to are not in the formula text, so RecalcTimerRoutine saves the
+ * references found for each cell and RecalcCheckCell includes them when ordering the recalc.
+ * References to other sheets are ignored, as they are for ordinary formula references.
+ * 
+ * @param {Object} sheet - The sheet the formula is on
+ * @param {Object} ref - The reference in stack format: {type: "coord" or "range", value}
+ * @returns {undefined}
+ * 
+ * @example
+ * SocialCalc.Formula.NoteDynamicReference(sheet, {type: "range", value: "A2|A4|"});
+ * // sheet.recalcdata.dynamicrefs now includes "A2:A4"
+ */
+SocialCalc.Formula.NoteDynamicReference = function(sheet, ref) {
+   let pos;
+   let recalcdata = sheet.recalcdata;
+
+   if (!recalcdata || !recalcdata.inrecalc || !recalcdata.dynamicrefs || ref.value.indexOf("!") != -1) {
+      return;
+   }
+
+   if (ref.type == "range") {
+      pos = ref.value.indexOf("|");
+      recalcdata.dynamicrefs.push(ref.value.substring(0, pos) + ":" + ref.value.substring(pos+1, ref.value.indexOf("|", pos+1)));
+   } else {
+      recalcdata.dynamicrefs.push(ref.value);
+   }
+
+   return;
+};
+
+/**
+ * @function AddressFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements ADDRESS, which returns the text of a cell reference
+ * 
+ * ADDRESS(row, col, [abs], [a1], [sheettext])
+ * - abs: 1 (default) for $A$1, 2 for A$1, 3 for $A1, 4 for A1
+ * - a1: TRUE (default) for A1 style, FALSE for R1C1 style
+ * - sheettext: Sheet name to put in front, quoted if it isn't a plain name
+ * 
+ * @param {string} fname - The function name ("ADDRESS")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =ADDRESS(2,3) returns "$C$2"
+ * // =ADDRESS(2,3,4,FALSE) returns "R[2]C[3]"
+ * // =ADDRESS(1,1,1,TRUE,"My Sheet") returns "'My Sheet'!$A$1"
+ * SocialCalc.Formula.AddressFunction("ADDRESS", operand, foperand, sheet);
+ */
+SocialCalc.Formula.AddressFunction = function(fname, operand, foperand, sheet) {
+   let i, row, col, abs, a1, sheettext, result;
+   let scf = SocialCalc.Formula;
+   let args = [];
+
+   for (i = 0; i < 4 && foperand.length; i++) { // row, col, abs, a1
+      args.push(scf.OperandAsNumber(sheet, foperand));
+   }
+   sheettext = foperand.length ? scf.OperandAsText(sheet, foperand) : {type: "t", value: ""};
+   if (foperand.length) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+
+   for (i = 0; i < args.length; i++) {
+      if (args[i].type.charAt(0) == "e") {
+         scf.PushOperand(operand, args[i].type, 0);
+         return;
+      }
+   }
+   if (sheettext.type.charAt(0) == "e") {
+      scf.PushOperand(operand, sheettext.type, 0);
+      return;
+   }
+
+   row = Math.trunc(args[0].value);
+   col = Math.trunc(args[1].value);
+   abs = args.length > 2 ? Math.trunc(args[2].value) : 1;
+   a1 = args.length > 3 ? args[3].value : 1;
+   if (row < 1 || col < 1 || col > 702 || abs < 1 || abs > 4) {
+      scf.PushOperand(operand, "e#VALUE!", 0);
+      return;
+   }
+
+   if (a1) {
+      result = (abs == 1 || abs == 3 ? "$" : "") + SocialCalc.rcColname(col) + (abs <= 2 ? "$" : "") + row;
+   } else {
+      result = "R" + (abs <= 2 ? row : "[" + row + "]") + "C" + (abs == 1 || abs == 3 ? col : "[" + col + "]");
+   }
+
+   if (sheettext.value) {
+      if (/^[A-Z_][A-Z0-9_.]*$/i.test(sheettext.value)) {
+         result = sheettext.value + "!" + result;
+      } else {
+         result = "'" + sheettext.value.replace(/'/g, "''") + "'!" + result;
+      }
+   }
+
+   scf.PushOperand(operand, "t", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["ADDRESS"] = [SocialCalc.Formula.AddressFunction, -2, "address", "", "lookup"];
+
+/**
+ * @function RowColumnFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements ROW and COLUMN functions for the position of a reference
+ * 
+ * - ROW([reference]): The row number of reference, or of the cell being calculated if omitted
+ * - COLUMN([reference]): The column number of reference, or of the cell being calculated if omitted
+ * 
+ * For a range with more than one row (ROW) or column (COLUMN), the result is an array of the numbers.
+ * 
+ * @param {string} fname - The function name ("ROW" or "COLUMN")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =ROW(C5) returns 5
+ * // =COLUMN(C5) returns 3
+ * // =ROW() in cell B7 returns 7
+ * // =ROW(A1:A3) returns the array {1;2;3}
+ * SocialCalc.Formula.RowColumnFunctions("ROW", operand, foperand, sheet);
+ */
+SocialCalc.Formula.RowColumnFunctions = function(fname, operand, foperand, sheet) {
+   let ref, pos, coord1, coord2, rp, i, result;
+   let scf = SocialCalc.Formula;
+
+   if (foperand.length > 1) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+
+   if (foperand.length) {
+      ref = scf.TopOfStackValueAndType(sheet, foperand);
+   } else { // the cell with the formula
+      ref = {type: "coord", value: sheet.recalcdata && sheet.recalcdata.calccoord};
+      if (!ref.value) {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
+   }
+
+   if (ref.type.charAt(0) == "e") {
+      scf.PushOperand(operand, ref.type, 0);
+      return;
+   }
+   if (ref.type != "coord" && ref.type != "range") {
+      scf.PushOperand(operand, "e#VALUE!", 0);
+      return;
+   }
+
+   pos = ref.value.indexOf("|");
+   coord1 = (pos == -1 ? ref.value : ref.value.substring(0, pos)).replace(/!.*/, "");
+   coord2 = pos == -1 ? coord1 : ref.value.substring(pos+1, ref.value.indexOf("|", pos+1)).replace(/!.*/, "");
+   rp = scf.OrderRangeParts(coord1, coord2);
+
+   if (fname == "ROW" && rp.r1 != rp.r2) { // one row of results for each row
+      result = [];
+      for (i = rp.r1; i <= rp.r2; i++) {
+         result.push([{type: "n", value: i}]);
+      }
+      scf.PushOperand(operand, "array", result);
+   } else if (fname == "COLUMN" && rp.c1 != rp.c2) { // one row with each column
+      result = [];
+      for (i = rp.c1; i <= rp.c2; i++) {
+         result.push({type: "n", value: i});
+      }
+      scf.PushOperand(operand, "array", [result]);
+   } else {
+      scf.PushOperand(operand, "n", fname == "ROW" ? rp.r1 : rp.c1);
+   }
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["COLUMN"] = [SocialCalc.Formula.RowColumnFunctions, 100, "rowcolumn", "", "lookup"];
+SocialCalc.Formula.FunctionList["ROW"] = [SocialCalc.Formula.RowColumnFunctions, 100, "rowcolumn", "", "lookup"];
+
+/**
+ * @function ZeroArgFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements functions that take no arguments
+ * 
+ * Handles various constant and volatile functions:
+ * - FALSE(): Returns logical FALSE (0)
+ * - TRUE(): Returns logical TRUE (1)
+ * - NA(): Returns #N/A error value
+ * - PI(): Returns the mathematical constant π (pi)
+ * - NOW(): Returns current date and time as serial number
+ * - TODAY(): Returns current date as serial number (time portion is 0)
+ * 
+ * NOW() and TODAY() are volatile functions that recalculate automatically.
+ * 
+ * @param {string} fname - The function name ("FALSE", "TRUE", "NA", "PI", "NOW", or "TODAY")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack (empty for these functions)
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {null} Always returns null (results are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =PI() returns 3.14159265...
+ * // =NOW() returns current datetime as serial number
+ * // =TODAY() returns current date as serial number
+ * // =TRUE() returns 1, =FALSE() returns 0
+ * SocialCalc.Formula.ZeroArgFunctions("PI", operand, foperand, sheet);
+ */
+SocialCalc.Formula.ZeroArgFunctions = function(fname, operand, foperand, sheet) {
+   let startval, tzoffset, start_1_1_1970, seconds_in_a_day, nowdays;
+   let result = {value: 0};
+
+   switch (fname) {
+      case "FALSE":
+         result.type = "nl"; // Logical type
+         result.value = 0;
+         break;
+
+      case "NA":
+         result.type = "e#N/A"; // Not Available error
+         break;
+
+      case "NOW":
+         // Calculate current date and time as Excel serial number
+         startval = new Date();
+         tzoffset = startval.getTimezoneOffset(); // Minutes from UTC
+         startval = startval.getTime() / 1000; // convert to seconds
+         start_1_1_1970 = 25569; // Day number of 1/1/1970 starting with 1/1/1900 as 1
+         seconds_in_a_day = 24 * 60 * 60;
+         nowdays = start_1_1_1970 + startval / seconds_in_a_day - tzoffset/(24*60);
+         result.value = nowdays;
+         result.type = "ndt"; // Numeric date-time type
+         SocialCalc.Formula.FreshnessInfo.volatile.NOW = true; // Mark as volatile for recalculation
+         break;
+
+      case "PI":
+         result.type = "n"; // Numeric type
+         result.value = Math.PI; // Mathematical constant π
+         break;
+
+      case "TODAY":
+         // Calculate current date (without time) as Excel serial number
+         startval = new Date();
+         tzoffset = startval.getTimezoneOffset(); // Minutes from UTC
+         startval = startval.getTime() / 1000; // convert to seconds
+         start_1_1_1970 = 25569; // Day number of 1/1/1970 starting with 1/1/1900 as 1
+         seconds_in_a_day = 24 * 60 * 60;
+         nowdays = start_1_1_1970 + startval / seconds_in_a_day - tzoffset/(24*60);
+         result.value = Math.floor(nowdays); // Remove time portion
+         result.type = "nd"; // Numeric date type
+         SocialCalc.Formula.FreshnessInfo.volatile.TODAY = true; // Mark as volatile for recalculation
+         break;
+
+      case "TRUE":
+         result.type = "nl"; // Logical type
+         result.value = 1;
+         break;
+   }
+
+   operand.push(result);
+
+   return null;
+};
+
+/**
+ * @description Function list registrations for zero-argument functions
+ * All functions take exactly 0 arguments and belong to various categories
+ * - FALSE, TRUE, NA: test category (logical/error functions)
+ * - NOW, TODAY: datetime category (date/time functions)
+ * - PI: math category (mathematical constants)
+ */
+SocialCalc.Formula.FunctionList["FALSE"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "test"];
+SocialCalc.Formula.FunctionList["NA"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "test"];
+SocialCalc.Formula.FunctionList["NOW"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "datetime"];
+SocialCalc.Formula.FunctionList["PI"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "math"];
+SocialCalc.Formula.FunctionList["TODAY"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "datetime"];
+
+/**
+ * @function RandomNumber
+ * @memberof SocialCalc.Formula
+ * @description Returns a random number from 0 up to but not including 1
+ * 
+ * If the sheet has a "seed" attribute, the numbers come from a small seeded generator
+ * (mulberry32) whose state is reset at the start of each recalc, so the same sheet
+ * produces the same values every time it is loaded. Otherwise Math.random is used.
+ * 
+ * @param {Object} sheet - The spreadsheet object
+ * @returns {number} The random number
+ * 
+ * @example
+ * let r = SocialCalc.Formula.RandomNumber(sheet);
+ */
+SocialCalc.Formula.RandomNumber = function(sheet) {
+   let t;
+   let recalcdata = sheet.recalcdata;
+
+   if (!recalcdata || recalcdata.randomstate == null) {
+      return Math.random();
+   }
+
+   t = recalcdata.randomstate = (recalcdata.randomstate + 0x6D2B79F5) | 0;
+   t = Math.imul(t ^ (t >>> 15), t | 1);
+   t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+   return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * @function RandomFunctions
+ * @memberof SocialCalc.Formula
+ * @description Implements the random number functions
+ * 
+ * - RAND(): A number from 0 up to but not including 1
+ * - RANDBETWEEN(bottom, top): A whole number from bottom to top, inclusive
+ * - RANDARRAY([rows, [columns, [min, [max, [integer]]]]]): An array of random numbers
+ *   from min to max (default 0 and 1), whole numbers if integer is true. The result spills.
+ *   It is limited in size like SEQUENCE.
+ * 
+ * These are volatile and recalculate every time. Set the sheet's seed attribute
+ * to get the same values each time (see RandomNumber).
+ * 
+ * @param {string} fname - The function name ("RAND", "RANDBETWEEN", or "RANDARRAY")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =RANDBETWEEN(1, 6) returns a die roll
+ * // =RANDARRAY(3, 2, 1, 100, TRUE) - 3 rows of 2 whole numbers from 1 to 100
+ * SocialCalc.Formula.RandomFunctions("RAND", operand, foperand, sheet);
+ */
+SocialCalc.Formula.RandomFunctions = function(fname, operand, foperand, sheet) {
+   let value, r, c, row, min, max;
+   let args = fname == "RANDARRAY" ? [1, 1, 0, 1, 0] : [0, 0]; // rows, columns, min, max, integer or bottom, top
+   let result = [];
+
+   let scf = SocialCalc.Formula;
+
+   scf.FreshnessInfo.volatile[fname] = true; // new values every recalc
+
+   for (c = 0; foperand.length; c++) {
+      if (c >= args.length) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      value = scf.OperandAsNumber(sheet, foperand);
+      if (value.type.charAt(0) != "n") {
+         scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : "e#VALUE!", 0);
+         return;
+      }
+      args[c] = value.value - 0;
+   }
+
+   if (fname == "RAND") {
+      scf.PushOperand(operand, "n", scf.RandomNumber(sheet));
+      return;
+   }
+
+   if (fname == "RANDBETWEEN") {
+      min = Math.ceil(args[0]);
+      max = Math.floor(args[1]);
+      if (min > max) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      scf.PushOperand(operand, "n", min + Math.floor(scf.RandomNumber(sheet) * (max - min + 1)));
+      return;
+   }
+
+   args[0] = Math.floor(args[0]);
+   args[1] = Math.floor(args[1]);
+   min = args[2];
+   max = args[3];
+   if (args[0] < 1 || args[1] < 1) {
+      scf.PushOperand(operand, "e#CALC!", 0); // empty array, like SEQUENCE
+      return;
+   }
+   if (args[1] > scf.MaxArrayColumns || args[0] * args[1] > scf.MaxArrayElements) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+   if (min > max || (args[4] && (min != Math.floor(min) || max != Math.floor(max)))) {
+      scf.PushOperand(operand, "e#VALUE!", 0);
+      return;
+   }
+
+   for (r = 0; r < args[0]; r++) {
+      row = [];
+      for (c = 0; c < args[1]; c++) {
+         if (args[4]) {
+            value = min + Math.floor(scf.RandomNumber(sheet) * (max - min + 1));
+         } else {
+            value = min + scf.RandomNumber(sheet) * (max - min);
+         }
+         row.push({type: "n", value: value});
+      }
+      result.push(row);
+   }
+
+   scf.PushOperand(operand, "array", result);
+
    return;
 };
 
+SocialCalc.Formula.FunctionList["RAND"] = [SocialCalc.Formula.RandomFunctions, 0, "", "", "math"];
+SocialCalc.Formula.FunctionList["RANDARRAY"] = [SocialCalc.Formula.RandomFunctions, 100, "randarray", "", "math"];
+SocialCalc.Formula.FunctionList["RANDBETWEEN"] = [SocialCalc.Formula.RandomFunctions, 2, "randbetween", "", "math"];
+SocialCalc.Formula.FunctionList["TRUE"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "test"];
+
 /**
- * @description Function list registrations for string manipulation functions
- * Each entry follows the format: [function_handler, arg_count, arg_def, func_def, func_class]
- * - Negative arg_count indicates minimum number of arguments
- * - arg_def refers to argument definition keys for help text
- * - func_class: "text" indicates text manipulation function category
+ * @namespace SocialCalc.Formula Financial Functions
+ * @description Financial calculation functions for depreciation, investments, and loans
  */
-SocialCalc.Formula.FunctionList["FIND"] = [SocialCalc.Formula.StringFunctions, -2, "find", "", "text"];
-SocialCalc.Formula.FunctionList["LEFT"] = [SocialCalc.Formula.StringFunctions, -2, "tc", "", "text"];
-SocialCalc.Formula.FunctionList["LEN"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
-SocialCalc.Formula.FunctionList["LOWER"] = [SocialCalc.Formula.StringFunctions, 1, "txt", "", "text"];
-SocialCalc.Formula.FunctionList["MID"] = [SocialCalc.Formula.StringFunctions, 3, "mid", "", "text"];
-SocialCalc.Formula.FunctionList["PROPER"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
-SocialCalc.Formula.FunctionList["REPLACE"] = [SocialCalc.Formula.StringFunctions, 4, "replace", "", "text"];
-SocialCalc.Formula.FunctionList["REPT"] = [SocialCalc.Formula.StringFunctions, 2, "tc", "", "text"];
-SocialCalc.Formula.FunctionList["RIGHT"] = [SocialCalc.Formula.StringFunctions, -1, "tc", "", "text"];
-SocialCalc.Formula.FunctionList["SUBSTITUTE"] = [SocialCalc.Formula.StringFunctions, -3, "subs", "", "text"];
-SocialCalc.Formula.FunctionList["TRIM"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
-SocialCalc.Formula.FunctionList["UPPER"] = [SocialCalc.Formula.StringFunctions, 1, "v", "", "text"];
 
 /**
- * @function IsFunctions
+ * @function DDBFunction
  * @memberof SocialCalc.Formula
- * @description Implements value testing functions (IS* family)
+ * @description Implements the DDB function for double-declining balance depreciation
  * 
- * These functions test the type or characteristics of values:
- * - ISBLANK(value): Returns TRUE if value is blank/empty
- * - ISERR(value): Returns TRUE if value is an error (except #N/A)
- * - ISERROR(value): Returns TRUE if value is any error (including #N/A)
- * - ISLOGICAL(value): Returns TRUE if value is a logical (boolean) value
- * - ISNA(value): Returns TRUE if value is the #N/A error
- * - ISNONTEXT(value): Returns TRUE if value is not text
- * - ISNUMBER(value): Returns TRUE if value is numeric
- * - ISTEXT(value): Returns TRUE if value is text
+ * DDB(cost, salvage, lifetime, period, [method]) calculates depreciation using the
+ * double-declining balance method or other declining balance methods.
  * 
- * @param {string} fname - The specific IS function name
+ * @param {string} fname - The function name ("DDB")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results are pushed to operand stack)
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * Arguments:
+ * - cost: Initial cost of the asset
+ * - salvage: Salvage value at end of useful life
+ * - lifetime: Number of periods over which asset is depreciated
+ * - period: Period for which to calculate depreciation
+ * - method: Optional, defaults to 2 (double-declining balance rate)
+ * 
+ * @see {@link http://en.wikipedia.org/wiki/Depreciation} Wikipedia article on depreciation
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =ISNUMBER(123) returns 1 (TRUE)
- * // =ISTEXT("Hello") returns 1 (TRUE)
- * // =ISERROR(#DIV/0!) returns 1 (TRUE)
- * // =ISNA(#N/A) returns 1 (TRUE)
- * SocialCalc.Formula.IsFunctions("ISNUMBER", operand, foperand, sheet);
+ * // =DDB(10000, 1000, 5, 1) - Calculate first year depreciation
+ * // =DDB(10000, 1000, 5, 1, 1.5) - Use 1.5 declining balance instead of 2
+ * SocialCalc.Formula.DDBFunction("DDB", operand, foperand, sheet);
  */
-SocialCalc.Formula.IsFunctions = function(fname, operand, foperand, sheet) {
+SocialCalc.Formula.DDBFunction = function(fname, operand, foperand, sheet) {
+   let method, depreciation, accumulateddepreciation, i;
    let scf = SocialCalc.Formula;
-   let result = 0;
-   let resulttype = "nl"; // Logical result type
-
-   let value = scf.OperandValueAndType(sheet, foperand);
-   let t = value.type.charAt(0);
-
-   switch (fname) {
-      case "ISBLANK":
-         result = value.type == "b" ? 1 : 0;
-         break;
-
-      case "ISERR":
-         result = t == "e" ? (value.type == "e#N/A" ? 0 : 1) : 0; // Error but not #N/A
-         break;
 
-      case "ISERROR":
-         result = t == "e" ? 1 : 0; // Any error including #N/A
-         break;
+   // Get required arguments
+   let cost = scf.OperandAsNumber(sheet, foperand);
+   let salvage = scf.OperandAsNumber(sheet, foperand);
+   let lifetime = scf.OperandAsNumber(sheet, foperand);
+   let period = scf.OperandAsNumber(sheet, foperand);
 
-      case "ISLOGICAL":
-         result = value.type == "nl" ? 1 : 0; // Logical/boolean type
-         break;
+   // Check for errors in required arguments
+   if (scf.CheckForErrorValue(operand, cost)) return;
+   if (scf.CheckForErrorValue(operand, salvage)) return;
+   if (scf.CheckForErrorValue(operand, lifetime)) return;
+   if (scf.CheckForErrorValue(operand, period)) return;
 
-      case "ISNA":
-         result = value.type == "e#N/A" ? 1 : 0; // Specifically #N/A error
-         break;
+   if (lifetime.value < 1) {
+      scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfuncddblife);
+      return 0;
+   }
 
-      case "ISNONTEXT":
-         result = t == "t" ? 0 : 1; // Not text
-         break;
+   // Get optional method argument (defaults to 2 for double-declining)
+   method = {value: 2, type: "n"};
+   if (foperand.length > 0 ) {
+      method = scf.OperandAsNumber(sheet, foperand);
+   }
+   if (foperand.length != 0) {
+      scf.FunctionArgsError(fname, operand);
+      return 0;
+   }
+   if (scf.CheckForErrorValue(operand, method)) return;
 
-      case "ISNUMBER":
-         result = t == "n" ? 1 : 0; // Numeric type
-         break;
+   depreciation = 0; // calculated for each period
+   accumulateddepreciation = 0; // accumulated by adding each period's
 
-      case "ISTEXT":
-         result = t == "t" ? 1 : 0; // Text type
-         break;
+   // Calculate depreciation for each period up to the requested period
+   for (i = 1; i <= period.value-0 && i <= lifetime.value; i++) { // calculate for each period based on net from previous
+      depreciation = (cost.value - accumulateddepreciation) * (method.value / lifetime.value);
+      if (cost.value - accumulateddepreciation - depreciation < salvage.value) { // don't go lower than salvage value
+         depreciation = cost.value - accumulateddepreciation - salvage.value;
+      }
+      accumulateddepreciation += depreciation;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   scf.PushOperand(operand, 'n$', depreciation); // Return as currency type
 
    return;
 };
 
-/**
- * @description Function list registrations for value testing functions
- * All IS* functions take exactly 1 argument and belong to the "test" category
- */
-SocialCalc.Formula.FunctionList["ISBLANK"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISERR"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISERROR"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISLOGICAL"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISNA"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISNONTEXT"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISNUMBER"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
-SocialCalc.Formula.FunctionList["ISTEXT"] = [SocialCalc.Formula.IsFunctions, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["DDB"] = [SocialCalc.Formula.DDBFunction, -4, "ddb", "", "financial"];
 
 /**
- * @function NTVFunctions
+ * @function SLNFunction
  * @memberof SocialCalc.Formula
- * @description Implements value conversion functions (N, T, VALUE)
+ * @description Implements the SLN function for straight-line depreciation
  * 
- * These functions convert between different value types:
- * - N(value): Converts value to number, returns 0 if not numeric
- * - T(value): Converts value to text, returns empty string if not text
- * - VALUE(value): Converts text representation of number to actual number
+ * SLN(cost, salvage, lifetime) calculates the depreciation for each period
+ * using the straight-line method, where the same amount is depreciated each period.
  * 
- * @param {string} fname - The specific conversion function name ("N", "T", or "VALUE")
+ * @param {string} fname - The function name ("SLN")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
+ * Arguments:
+ * - cost: Initial cost of the asset
+ * - salvage: Salvage value at end of useful life
+ * - lifetime: Number of periods over which asset is depreciated
+ * 
+ * Formula: (cost - salvage) / lifetime
+ * 
+ * @see {@link http://en.wikipedia.org/wiki/Depreciation} Wikipedia article on depreciation
+ * 
  * @example
  * // Called internally by CalculateFunction
- * // =N("123") returns 0 (text is not numeric)
- * // =N(123) returns 123 (number stays number)
- * // =T(123) returns "" (number converted to empty text)
- * // =T("Hello") returns "Hello" (text stays text)
- * // =VALUE("123") returns 123 (text parsed as number)
- * SocialCalc.Formula.NTVFunctions("VALUE", operand, foperand, sheet);
+ * // =SLN(10000, 1000, 5) returns 1800 (depreciation per period)
+ * // Asset depreciates $1800 each year for 5 years
+ * SocialCalc.Formula.SLNFunction("SLN", operand, foperand, sheet);
  */
-SocialCalc.Formula.NTVFunctions = function(fname, operand, foperand, sheet) {
+SocialCalc.Formula.SLNFunction = function(fname, operand, foperand, sheet) {
+   let depreciation;
    let scf = SocialCalc.Formula;
-   let result = 0;
-   let resulttype = "e#VALUE!";
 
-   let value = scf.OperandValueAndType(sheet, foperand);
-   let t = value.type.charAt(0);
+   // Get required arguments
+   let cost = scf.OperandAsNumber(sheet, foperand);
+   let salvage = scf.OperandAsNumber(sheet, foperand);
+   let lifetime = scf.OperandAsNumber(sheet, foperand);
 
-   switch (fname) {
-      case "N":
-         result = t == "n" ? value.value-0 : 0; // Convert to number or return 0
-         resulttype = "n";
-         break;
+   // Check for errors in arguments
+   if (scf.CheckForErrorValue(operand, cost)) return;
+   if (scf.CheckForErrorValue(operand, salvage)) return;
+   if (scf.CheckForErrorValue(operand, lifetime)) return;
 
-      case "T":
-         result = t == "t" ? value.value+"" : ""; // Convert to text or return empty string
-         resulttype = "t";
-         break;
+   if (lifetime.value < 1) {
+      scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfuncslnlife);
+      return 0;
+   }
+
+   // Calculate straight-line depreciation: (cost - salvage) / lifetime
+   depreciation = (cost.value - salvage.value) / lifetime.value;
+
+   scf.PushOperand(operand, 'n$', depreciation); // Return as currency type
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["SLN"] = [SocialCalc.Formula.SLNFunction, 3, "csl", "", "financial"];
+/**
+ * @function SYDFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the SYD function for Sum of Year's Digits depreciation
+ * 
+ * SYD(cost, salvage, lifetime, period) calculates depreciation using the Sum of Year's Digits
+ * method, which provides accelerated depreciation with higher amounts in earlier years.
+ * 
+ * The formula uses the sum of all years (1 + 2 + ... + lifetime) as the denominator,
+ * and (lifetime - period + 1) as the numerator for the current period.
+ * 
+ * @param {string} fname - The function name ("SYD")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * Arguments:
+ * - cost: Initial cost of the asset
+ * - salvage: Salvage value at end of useful life
+ * - lifetime: Number of periods over which asset is depreciated
+ * - period: Period for which to calculate depreciation (must be > 0)
+ * 
+ * Formula: (cost - salvage) × (lifetime - period + 1) ÷ sum_of_years
+ * Where sum_of_years = lifetime × (lifetime + 1) ÷ 2
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =SYD(10000, 1000, 5, 1) - First year gets 5/15 of total depreciation
+ * // =SYD(10000, 1000, 5, 5) - Fifth year gets 1/15 of total depreciation
+ * // Sum of years for 5-year life: 1+2+3+4+5 = 15
+ * SocialCalc.Formula.SYDFunction("SYD", operand, foperand, sheet);
+ */
+SocialCalc.Formula.SYDFunction = function(fname, operand, foperand, sheet) {
+   let depreciation, sumperiods;
+   let scf = SocialCalc.Formula;
+
+   // Get required arguments
+   let cost = scf.OperandAsNumber(sheet, foperand);
+   let salvage = scf.OperandAsNumber(sheet, foperand);
+   let lifetime = scf.OperandAsNumber(sheet, foperand);
+   let period = scf.OperandAsNumber(sheet, foperand);
 
-      case "VALUE":
-         if (t == "n" || t == "b") {
-            result = value.value || 0; // Numbers and blanks convert directly
-            resulttype = "n";
-         } else if (t == "t") {
-            // Try to parse text as a number using SocialCalc's value determination
-            value = SocialCalc.DetermineValueType(value.value);
-            if (value.type.charAt(0) != "n") {
-               result = 0;
-               resulttype = "e#VALUE!"; // Text cannot be parsed as number
-            } else {
-               result = value.value-0;
-               resulttype = "n";
-            }
-         }
-         break;
-   }
+   // Check for errors in arguments
+   if (scf.CheckForErrorValue(operand, cost)) return;
+   if (scf.CheckForErrorValue(operand, salvage)) return;
+   if (scf.CheckForErrorValue(operand, lifetime)) return;
+   if (scf.CheckForErrorValue(operand, period)) return;
 
-   if (t == "e") { // error trumps all other processing
-      resulttype = value.type;
+   // Validate argument values
+   if (lifetime.value < 1 || period.value <= 0) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return 0;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   // Calculate sum of years: 1 + 2 + ... + lifetime = lifetime × (lifetime + 1) ÷ 2
+   sumperiods = ((lifetime.value + 1) * lifetime.value)/2; // add up 1 through lifetime
+   
+   // Calculate depreciation for the specified period
+   // Higher depreciation in early years: (lifetime - period + 1) gives decreasing weights
+   depreciation = (cost.value - salvage.value) * (lifetime.value - period.value + 1) / sumperiods; // calc depreciation
+
+   scf.PushOperand(operand, 'n$', depreciation); // Return as currency type
 
    return;
 };
 
-/**
- * @description Function list registrations for value conversion functions
- * - N: Converts to number (math category)
- * - T: Converts to text (text category)  
- * - VALUE: Parses text as number (text category)
- */
-SocialCalc.Formula.FunctionList["N"] = [SocialCalc.Formula.NTVFunctions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["T"] = [SocialCalc.Formula.NTVFunctions, 1, "v", "", "text"];
-SocialCalc.Formula.FunctionList["VALUE"] = [SocialCalc.Formula.NTVFunctions, 1, "v", "", "text"];
+SocialCalc.Formula.FunctionList["SYD"] = [SocialCalc.Formula.SYDFunction, 4, "cslp", "", "financial"];
 
 /**
- * @function Math1Functions
+ * @function InterestFunctions
  * @memberof SocialCalc.Formula
- * @description Implements single-argument mathematical functions
+ * @description Implements financial functions for time value of money calculations
  * 
- * Handles various mathematical operations on a single numeric argument:
- * - ABS(value): Absolute value
- * - ACOS(value): Arc cosine (inverse cosine) in radians
- * - ASIN(value): Arc sine (inverse sine) in radians  
- * - ATAN(value): Arc tangent (inverse tangent) in radians
- * - COS(value): Cosine of angle in radians
- * - DEGREES(value): Convert radians to degrees
- * - EVEN(value): Round up to nearest even integer
- * - EXP(value): e raised to the power of value
- * - FACT(value): Factorial of value
- * - INT(value): Integer part (floor function)
- * - LN(value): Natural logarithm (base e)
- * - LOG10(value): Base 10 logarithm
- * - ODD(value): Round up to nearest odd integer
- * - RADIANS(value): Convert degrees to radians
- * - SIN(value): Sine of angle in radians
- * - SQRT(value): Square root
- * - TAN(value): Tangent of angle in radians
+ * Handles five related financial functions based on the fundamental time value of money equation:
+ * - FV(rate, n, payment, [pv, [paytype]]): Future Value
+ * - NPER(rate, payment, pv, [fv, [paytype]]): Number of Periods
+ * - PMT(rate, n, pv, [fv, [paytype]]): Payment Amount
+ * - PV(rate, n, payment, [fv, [paytype]]): Present Value
+ * - RATE(n, payment, pv, [fv, [paytype, [guess]]]): Interest Rate
  * 
- * @param {string} fname - The specific mathematical function name
+ * Following the Open Document Format formula specification:
+ * - PV = -Fv - (Payment × Nper) [if rate equals 0]
+ * - Pv×(1+Rate)^Nper + Payment × (1 + Rate×PaymentType) × ((1+Rate)^nper - 1)/Rate + Fv = 0
+ * 
+ * For each function, the formulas are solved for the appropriate value using algebra.
+ * RATE function uses iterative approximation (Newton-Raphson method).
+ * 
+ * @param {string} fname - The function name (FV, NPER, PMT, PV, or RATE)
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {null} Always returns null (results/errors are pushed to operand stack)
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * Common Arguments:
+ * - rate: Interest rate per period
+ * - n/nper: Number of periods
+ * - payment/pmt: Payment amount per period
+ * - pv: Present value (principal)
+ * - fv: Future value (optional, defaults to 0)
+ * - paytype: Payment timing (0 = end of period, 1 = beginning of period)
+ * - guess: Initial guess for RATE calculation (optional, defaults to 0.1)
  * 
  * @example
- * // Called internally by CalculateFunction for math functions
- * // =ABS(-5) returns 5
- * // =SIN(PI()/2) returns 1
- * // =FACT(5) returns 120
- * // =SQRT(16) returns 4
- * SocialCalc.Formula.Math1Functions("ABS", operand, foperand, sheet);
+ * // Called internally by CalculateFunction
+ * // =FV(0.05/12, 60, -200, -1000) - Future value of loan
+ * // =PMT(0.08/12, 360, 100000) - Monthly payment on mortgage
+ * // =PV(0.06, 20, -2000, 0) - Present value of annuity
+ * // =RATE(60, -200, 10000, 0) - Interest rate calculation
+ * SocialCalc.Formula.InterestFunctions("PMT", operand, foperand, sheet);
  */
-SocialCalc.Formula.Math1Functions = function(fname, operand, foperand, sheet) {
-   let v1, value, f;
-   let result = {};
+SocialCalc.Formula.InterestFunctions = function(fname, operand, foperand, sheet) {
+   let resulttype, result, dval, eval, fval;
+   let pv, fv, rate, n, payment, paytype, guess, part1, part2, part3, part4, part5;
+   let olddelta, maxloop, tries, deltaepsilon, oldrate, m;
 
    let scf = SocialCalc.Formula;
 
-   v1 = scf.OperandAsNumber(sheet, foperand);
-   value = v1.value;
-   result.type = scf.LookupResultType(v1.type, v1.type, scf.TypeLookupTable.oneargnumeric);
-
-   if (result.type == "n") {
-      switch (fname) {
-         case "ABS":
-            value = Math.abs(value);
-            break;
+   // Get the first three required arguments
+   let aval = scf.OperandAsNumber(sheet, foperand);
+   let bval = scf.OperandAsNumber(sheet, foperand);
+   let cval = scf.OperandAsNumber(sheet, foperand);
 
-         case "ACOS":
-            if (value >= -1 && value <= 1) {
-               value = Math.acos(value);
-            } else {
-               result.type = "e#NUM!"; // Domain error: input must be [-1, 1]
+   // Determine result type based on argument types
+   resulttype = scf.LookupResultType(aval.type, bval.type, scf.TypeLookupTable.twoargnumeric);
+   resulttype = scf.LookupResultType(resulttype, cval.type, scf.TypeLookupTable.twoargnumeric);
+   
+   // Process optional arguments
+   if (foperand.length) { // optional arguments
+      dval = scf.OperandAsNumber(sheet, foperand);
+      resulttype = scf.LookupResultType(resulttype, dval.type, scf.TypeLookupTable.twoargnumeric);
+      if (foperand.length) { // optional arguments
+         eval = scf.OperandAsNumber(sheet, foperand);
+         resulttype = scf.LookupResultType(resulttype, eval.type, scf.TypeLookupTable.twoargnumeric);
+         if (foperand.length) { // optional arguments
+            if (fname != "RATE") { // only rate has 6 possible args
+               scf.FunctionArgsError(fname, operand);
+               return 0;
             }
-            break;
+            fval = scf.OperandAsNumber(sheet, foperand);
+            resulttype = scf.LookupResultType(resulttype, fval.type, scf.TypeLookupTable.twoargnumeric);
+         }
+      }
+   }
 
-         case "ASIN":
-            if (value >= -1 && value <= 1) {
-               value = Math.asin(value);
+   if (resulttype == "n") {
+      switch (fname) {
+         case "FV": // FV(rate, n, payment, [pv, [paytype]])
+            rate = aval.value;
+            n = bval.value;
+            payment = cval.value;
+            pv = dval != null ? dval.value : 0; // get value if present, or use default
+            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
+            
+            if (rate == 0) { // simple calculation if no interest
+               fv = -pv - (payment * n);
             } else {
-               result.type = "e#NUM!"; // Domain error: input must be [-1, 1]
-            }
-            break;
-
-         case "ATAN":
-            value = Math.atan(value);
-            break;
-
-         case "COS":
-            value = Math.cos(value);
-            break;
-
-         case "DEGREES":
-            value = value * 180/Math.PI; // Convert radians to degrees
-            break;
-
-         case "EVEN":
-            // Round to nearest even integer away from zero
-            value = value < 0 ? -value : value;
-            if (value != Math.floor(value)) {
-               value = Math.floor(value + 1) + (Math.floor(value + 1) % 2);
-            } else { // integer
-               value = value + (value % 2);
+               fv = -(pv*Math.pow(1+rate,n) + payment * (1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate);
             }
-            if (v1.value < 0) value = -value;
-            break;
-
-         case "EXP":
-            value = Math.exp(value); // e^value
+            result = fv;
+            resulttype = 'n$'; // Currency type
             break;
 
-         case "FACT":
-            f = 1;
-            value = Math.floor(value);
-            for (; value > 0; value--) {
-               f *= value;
+         case "NPER": // NPER(rate, payment, pv, [fv, [paytype]])
+            rate = aval.value;
+            payment = bval.value;
+            pv = cval.value;
+            fv = dval != null ? dval.value : 0;
+            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
+            
+            if (rate == 0) { // simple calculation if no interest
+               if (payment == 0) {
+                  scf.PushOperand(operand, "e#NUM!", 0);
+                  return;
+               }
+               n = (pv + fv)/(-payment);
+            } else {
+               part1 = payment * (1 + rate * paytype) / rate;
+               part2 = pv + part1;
+               if (part2 == 0 || rate <= -1) {
+                  scf.PushOperand(operand, "e#NUM!", 0);
+                  return;
+               }
+               part3 = (part1 - fv) / part2;
+               if (part3 <= 0) {
+                  scf.PushOperand(operand, "e#NUM!", 0);
+                  return;
+               }
+               part4 = Math.log(part3);
+               part5 = Math.log(1 + rate); // rate > -1
+               n = part4/part5;
             }
-            value = f;
-            break;
-
-         case "INT":
-            value = Math.floor(value); // spreadsheet INT is floor(), not int()
+            result = n;
+            resulttype = 'n'; // Numeric type
             break;
 
-         case "LN":
-            if (value <= 0) {
-               result.type = "e#NUM!";
-               result.error = SocialCalc.Constants.s_sheetfunclnarg;
+         case "PMT": // PMT(rate, n, pv, [fv, [paytype]])
+            rate = aval.value;
+            n = bval.value;
+            pv = cval.value;
+            fv = dval != null ? dval.value : 0;
+            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
+            
+            if (n == 0) {
+               scf.PushOperand(operand, "e#NUM!", 0);
+               return;
+            } else if (rate == 0) { // simple calculation if no interest
+               payment = (fv - pv)/n;
             } else {
-               value = Math.log(value); // Natural logarithm
+               payment = (0 - fv - pv*Math.pow(1+rate,n))/((1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate);
             }
+            result = payment;
+            resulttype = 'n$'; // Currency type
             break;
 
-         case "LOG10":
-            if (value <= 0) {
-               result.type = "e#NUM!";
-               result.error = SocialCalc.Constants.s_sheetfunclog10arg;
+         case "PV": // PV(rate, n, payment, [fv, [paytype]])
+            rate = aval.value;
+            n = bval.value;
+            payment = cval.value;
+            fv = dval != null ? dval.value : 0;
+            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
+            
+            if (rate == -1) {
+               scf.PushOperand(operand, "e#DIV/0!", 0);
+               return;
+            } else if (rate == 0) { // simple calculation if no interest
+               pv = -fv - (payment * n);
             } else {
-               value = Math.log(value)/Math.log(10); // Base 10 logarithm
+               pv = (-fv - payment * (1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate)/(Math.pow(1+rate,n));
             }
+            result = pv;
+            resulttype = 'n$'; // Currency type
             break;
 
-         case "ODD":
-            // Round to nearest odd integer away from zero
-            value = value < 0 ? -value : value;
-            if (value != Math.floor(value)) {
-               value = Math.floor(value + 1) + (1 - (Math.floor(value + 1) % 2));
-            } else { // integer
-               value = value + (1 - (value % 2));
+         case "RATE": // RATE(n, payment, pv, [fv, [paytype, [guess]]])
+            n = aval.value;
+            payment = bval.value;
+            pv = cval.value;
+            fv = dval != null ? dval.value : 0;
+            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
+            guess = fval != null ? fval.value : 0.1;
+
+            // Rate is calculated by repeated approximations using Newton-Raphson method
+            // The deltas are used to calculate new guesses
+            maxloop = 100;
+            tries = 0;
+            let delta = 1;
+            let epsilon = 0.0000001; // convergence threshold
+            rate = guess || 0.00000001; // zero is not allowed
+            
+            while ((delta >= 0 ? delta : -delta) > epsilon && (rate != oldrate)) {
+               delta = fv + pv*Math.pow(1+rate,n) + payment * (1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate;
+               if (olddelta != null) {
+                  m = (delta - olddelta)/(rate - oldrate) || .001; // get slope (not zero)
+                  oldrate = rate;
+                  rate = rate - delta / m; // look for zero crossing
+                  olddelta = delta;
+               } else { // first time - no old values
+                  oldrate = rate;
+                  rate = 1.1 * rate;
+                  olddelta = delta;
+               }
+               tries++;
+               if (tries >= maxloop) { // didn't converge yet
+                  scf.PushOperand(operand, "e#NUM!", 0);
+                  return;
+               }
             }
-            if (v1.value < 0) value = -value;
+            result = rate;
+            resulttype = 'n%'; // Percentage type
             break;
+      }
+   }
+ 
+   scf.PushOperand(operand, resulttype, result);
 
-         case "RADIANS":
-            value = value * Math.PI/180; // Convert degrees to radians
-            break;
+   return;
+};
 
-         case "SIN":
-            value = Math.sin(value);
-            break;
+/**
+ * @description Function list registrations for financial interest/time-value-of-money functions
+ * All functions take at least 3 arguments (indicated by -3) and belong to the "financial" category
+ * - Different argument definition keys correspond to help text for each function's parameters
+ */
+SocialCalc.Formula.FunctionList["FV"] = [SocialCalc.Formula.InterestFunctions, -3, "fv", "", "financial"];
+SocialCalc.Formula.FunctionList["NPER"] = [SocialCalc.Formula.InterestFunctions, -3, "nper", "", "financial"];
+SocialCalc.Formula.FunctionList["PMT"] = [SocialCalc.Formula.InterestFunctions, -3, "pmt", "", "financial"];
+SocialCalc.Formula.FunctionList["PV"] = [SocialCalc.Formula.InterestFunctions, -3, "pv", "", "financial"];
+SocialCalc.Formula.FunctionList["RATE"] = [SocialCalc.Formula.InterestFunctions, -3, "rate", "", "financial"];
+/**
+ * @function NPVFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements the NPV function for Net Present Value calculation
+ * 
+ * NPV(rate, value1, value2, ...) calculates the net present value of a series of cash flows
+ * occurring at regular intervals, discounted at a specified rate.
+ * 
+ * The function applies the formula: NPV = Σ(CF_t / (1 + rate)^t) where:
+ * - CF_t is the cash flow at time t
+ * - rate is the discount rate per period
+ * - t is the time period (1, 2, 3, ...)
+ * 
+ * @param {string} fname - The function name ("NPV")
+ * @param {Array<Object>} operand - The main operand stack
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
+ * @param {Object} sheet - The spreadsheet object containing cell data
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * Arguments:
+ * - rate: Discount rate per period
+ * - value1, value2, ...: Series of cash flows (can include ranges)
+ * 
+ * @example
+ * // Called internally by CalculateFunction
+ * // =NPV(0.1, -1000, 500, 500, 500) - Initial investment followed by returns
+ * // =NPV(0.08, A1:A5) - NPV of cash flows in range A1:A5
+ * SocialCalc.Formula.NPVFunction("NPV", operand, foperand, sheet);
+ */
+SocialCalc.Formula.NPVFunction = function(fname, operand, foperand, sheet) {
+   let resulttypenpv, rate, sum, factor, value1;
 
-         case "SQRT":
-            if (value >= 0) {
-               value = Math.sqrt(value);
-            } else {
-               result.type = "e#NUM!"; // Cannot take square root of negative number
-            }
-            break;
+   let scf = SocialCalc.Formula;
 
-         case "TAN":
-            if (Math.cos(value) != 0) {
-               value = Math.tan(value);
-            } else {
-               result.type = "e#NUM!"; // Undefined at π/2 + nπ
-            }
-            break;
+   // Get the discount rate (first argument)
+   rate = scf.OperandAsNumber(sheet, foperand);
+   if (scf.CheckForErrorValue(operand, rate)) return;
+
+   sum = 0;
+   resulttypenpv = "n";
+   factor = 1; // Accumulates (1 + rate)^t for each period
+
+   // Process each cash flow value
+   while (foperand.length) {
+      value1 = scf.OperandValueAndType(sheet, foperand);
+      if (value1.type.charAt(0) == "n") {
+         factor *= (1 + rate.value); // Compound the discount factor
+         if (factor == 0) {
+            scf.PushOperand(operand, "e#DIV/0!", 0);
+            return;
+         }
+         sum += value1.value / factor; // Discount the cash flow to present value
+         resulttypenpv = scf.LookupResultType(value1.type, resulttypenpv || value1.type, scf.TypeLookupTable.plus);
+      } else if (value1.type.charAt(0) == "e" && resulttypenpv.charAt(0) != "e") {
+         resulttypenpv = value1.type; // Propagate error
+         break;
       }
    }
 
-   result.value = value;
-   operand.push(result);
+   if (resulttypenpv.charAt(0) == "n") {
+      resulttypenpv = 'n$'; // Return as currency type
+   }
 
-   return null;
+   scf.PushOperand(operand, resulttypenpv, sum);
+
+   return;
 };
 
-/**
- * @description Function list registrations for single-argument mathematical functions
- * All functions take exactly 1 argument and belong to the "math" category
- */
-SocialCalc.Formula.FunctionList["ABS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["ACOS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["ASIN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["ATAN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["COS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["DEGREES"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["EVEN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["EXP"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["FACT"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["INT"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["LN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["LOG10"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["ODD"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["RADIANS"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["SIN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["SQRT"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
-SocialCalc.Formula.FunctionList["TAN"] = [SocialCalc.Formula.Math1Functions, 1, "v", "", "math"];
+SocialCalc.Formula.FunctionList["NPV"] = [SocialCalc.Formula.NPVFunction, -2, "npv", "", "financial"];
 
 /**
- * @function Math2Functions
+ * @function IRRFunction
  * @memberof SocialCalc.Formula
- * @description Implements two-argument mathematical functions
+ * @description Implements the IRR function for Internal Rate of Return calculation
  * 
- * Handles mathematical operations requiring two numeric arguments:
- * - ATAN2(x, y): Arc tangent of y/x in radians, handling quadrant correctly
- * - MOD(a, b): Modulo operation (remainder after division)
- * - POWER(a, b): Raises a to the power of b
- * - TRUNC(value, precision): Truncates value to specified decimal places
+ * IRR(values, [guess]) calculates the internal rate of return for a series of cash flows
+ * represented by the values array. IRR is the rate at which the net present value
+ * of the cash flows equals zero.
  * 
- * @param {string} fname - The specific mathematical function name
+ * Uses iterative approximation (Newton-Raphson method) to find the rate where:
+ * NPV = Σ(CF_t / (1 + IRR)^t) = 0
+ * 
+ * @param {string} fname - The function name ("IRR")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {null} Always returns null (results/errors are pushed to operand stack)
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * 
+ * Arguments:
+ * - values: Range or array of cash flows (must contain at least one positive and one negative value)
+ * - guess: Optional initial guess for the rate (defaults to 0.1 or 10%)
  * 
  * @example
- * // Called internally by CalculateFunction for two-argument math functions
- * // =ATAN2(1, 1) returns π/4 (45 degrees in radians)
- * // =MOD(7, 3) returns 1 (7 divided by 3 leaves remainder 1)
- * // =POWER(2, 3) returns 8 (2^3)
- * // =TRUNC(3.14159, 2) returns 3.14
- * SocialCalc.Formula.Math2Functions("POWER", operand, foperand, sheet);
+ * // Called internally by CalculateFunction
+ * // =IRR(A1:A5) - IRR for cash flows in range A1:A5
+ * // =IRR(A1:A5, 0.15) - IRR with initial guess of 15%
+ * // Typical: =IRR({-1000, 300, 400, 500}) - Investment followed by returns
+ * SocialCalc.Formula.IRRFunction("IRR", operand, foperand, sheet);
  */
-SocialCalc.Formula.Math2Functions = function(fname, operand, foperand, sheet) {
-   let xval, yval, value, quotient, decimalscale, i;
-   let result = {};
+SocialCalc.Formula.IRRFunction = function(fname, operand, foperand, sheet) {
+   let value1, guess, oldsum, maxloop, tries, epsilon, rate, oldrate, m, sum, factor, i;
+   let rangeoperand = [];
+   let cashflows = [];
 
    let scf = SocialCalc.Formula;
 
-   xval = scf.OperandAsNumber(sheet, foperand);
-   yval = scf.OperandAsNumber(sheet, foperand);
-   value = 0;
-   result.type = scf.LookupResultType(xval.type, yval.type, scf.TypeLookupTable.twoargnumeric);
+   // Get the range of cash flows (first argument)
+   rangeoperand.push(foperand.pop()); // first operand is a range
+
+   // Extract all cash flow values from the range
+   while (rangeoperand.length) { // get values from range so we can do iterative approximations
+      value1 = scf.OperandValueAndType(sheet, rangeoperand);
+      if (value1.type.charAt(0) == "n") {
+         cashflows.push(value1.value);
+      } else if (value1.type.charAt(0) == "e") {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
+   }
+
+   if (!cashflows.length) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   // Get optional guess argument
+   guess = {value: 0};
+
+   if (foperand.length) { // guess is provided
+      guess = scf.OperandAsNumber(sheet, foperand);
+      if (guess.type.charAt(0) != "n" && guess.type.charAt(0) != "b") {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
+      if (foperand.length) { // should be no more args
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+   }
 
-   if (result.type == "n") {
-      switch (fname) {
-         case "ATAN2":
-            if (xval.value == 0 && yval.value == 0) {
-               result.type = "e#DIV/0!"; // Undefined for (0,0)
-            } else {
-               result.value = Math.atan2(yval.value, xval.value); // Note: y, x order for Math.atan2
-            }
-            break;
+   guess.value = guess.value || 0.1; // Default guess is 10%
 
-         case "POWER":
-            result.value = Math.pow(xval.value, yval.value);
-            if (isNaN(result.value)) {
-               result.value = 0;
-               result.type = "e#NUM!"; // Invalid operation (e.g., negative base with fractional exponent)
-            }
-            break;
+   // Rate is calculated by repeated approximations using Newton-Raphson method
+   // We're looking for the rate where NPV = 0
+   maxloop = 20;
+   tries = 0;
+   epsilon = 0.0000001; // convergence threshold
+   rate = guess.value;
+   sum = 1;
 
-         case "MOD": // Modulo operation following Excel semantics
-            // Reference: en.wikipedia.org/wiki/Modulo_operation
-            if (yval.value == 0) {
-               result.type = "e#DIV/0!"; // Division by zero
-            } else {
-               quotient = xval.value/yval.value;
-               quotient = Math.floor(quotient); // Use floor division for Excel compatibility
-               result.value = xval.value - (quotient * yval.value);
-            }
-            break;
+   while ((sum >= 0 ? sum : -sum) > epsilon && (rate != oldrate)) {
+      sum = 0;
+      factor = 1;
+      
+      // Calculate NPV at current rate
+      for (i = 0; i < cashflows.length; i++) {
+         factor *= (1 + rate);
+         if (factor == 0) {
+            scf.PushOperand(operand, "e#DIV/0!", 0);
+            return;
+         }
+         sum += cashflows[i] / factor;
+      }
 
-         case "TRUNC":
-            // Truncate to specified number of decimal places
-            decimalscale = 1; // cut down to required number of decimal digits
-            if (yval.value >= 0) {
-               yval.value = Math.floor(yval.value);
-               for (i = 0; i < yval.value; i++) {
-                  decimalscale *= 10;
-               }
-               result.value = Math.floor(Math.abs(xval.value) * decimalscale) / decimalscale;
-            } else if (yval.value < 0) {
-               yval.value = Math.floor(-yval.value);
-               for (i = 0; i < yval.value; i++) {
-                  decimalscale *= 10;
-               }
-               result.value = Math.floor(Math.abs(xval.value) / decimalscale) * decimalscale;
-            }
-            if (xval.value < 0) {
-               result.value = -result.value; // Preserve original sign
-            }
-            break;
+      // Use Newton-Raphson method to find better rate guess
+      if (oldsum != null) {
+         m = (sum - oldsum)/(rate - oldrate); // get slope (derivative approximation)
+         oldrate = rate;
+         rate = rate - sum / m; // look for zero crossing
+         oldsum = sum;
+      } else { // first time - no old values
+         oldrate = rate;
+         rate = 1.1 * rate; // perturb rate to get started
+         oldsum = sum;
+      }
+      
+      tries++;
+      if (tries >= maxloop) { // didn't converge yet
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
       }
    }
- 
-   operand.push(result);
 
-   return null;
+   scf.PushOperand(operand, 'n%', rate); // Return as percentage type
+
+   return;
 };
 
+SocialCalc.Formula.FunctionList["IRR"] = [SocialCalc.Formula.IRRFunction, -1, "irr", "", "financial"];
+
 /**
- * @description Function list registrations for two-argument mathematical functions
- * All functions take exactly 2 arguments and belong to the "math" category
- * - ATAN2: Uses "xy" argument definition for coordinate pair
- * - TRUNC: Uses "valpre" argument definition for value and precision
- */
-SocialCalc.Formula.FunctionList["ATAN2"] = [SocialCalc.Formula.Math2Functions, 2, "xy", "", "math"];
-SocialCalc.Formula.FunctionList["MOD"] = [SocialCalc.Formula.Math2Functions, 2, "", "", "math"];
-SocialCalc.Formula.FunctionList["POWER"] = [SocialCalc.Formula.Math2Functions, 2, "", "", "math"];
-SocialCalc.Formula.FunctionList["TRUNC"] = [SocialCalc.Formula.Math2Functions, 2, "valpre", "", "math"];
-/**
- * @function LogFunction
+ * @function PaymentPartsFunctions
  * @memberof SocialCalc.Formula
- * @description Implements the LOG function for logarithms with optional base
+ * @description Implements functions that split loan payments into interest and principal
  * 
- * LOG(value, [base]) returns the logarithm of value to the specified base.
- * If base is omitted, returns the natural logarithm (base e).
+ * - IPMT(rate, per, n, pv, [fv, [paytype]]): Interest part of the payment for period per
+ * - PPMT(rate, per, n, pv, [fv, [paytype]]): Principal part of the payment for period per
+ * - CUMIPMT(rate, n, pv, start, end, paytype): Total interest paid in periods start through end
+ * - CUMPRINC(rate, n, pv, start, end, paytype): Total principal paid in periods start through end
  * 
- * @param {string} fname - The function name ("LOG")
+ * The payment is the same as PMT(rate, n, pv, fv, paytype). Paytype is 1 for payments at the
+ * beginning of each period and 0 (the default) for payments at the end.
+ * 
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -3990,64 +11764,125 @@ SocialCalc.Formula.FunctionList["TRUNC"] = [SocialCalc.Formula.Math2Functions, 2
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =LOG(100, 10) returns 2 (log base 10 of 100)
- * // =LOG(2.718) returns ~1 (natural log of e)
- * // =LOG(8, 2) returns 3 (log base 2 of 8)
- * SocialCalc.Formula.LogFunction("LOG", operand, foperand, sheet);
+ * // =IPMT(0.1/12, 1, 36, 8000) returns -66.67, the interest in the first month
+ * // =CUMPRINC(0.09/12, 360, 125000, 13, 24, 0) returns -934.11, the principal paid in the second year
+ * SocialCalc.Formula.PaymentPartsFunctions("IPMT", operand, foperand, sheet);
  */
-SocialCalc.Formula.LogFunction = function(fname, operand, foperand, sheet) {
-   let value, value2;
-   let result = {};
-
+SocialCalc.Formula.PaymentPartsFunctions = function(fname, operand, foperand, sheet) {
+   let rate, per, n, pv, fv, paytype, start, end, payment, result, i;
    let scf = SocialCalc.Formula;
+   let args = scf.ArgumentsAsNumbers(sheet, foperand);
 
-   result.value = 0;
+   /**
+    * @function FutureValue
+    * @description Helper function returning the value after n periods, as with FV
+    * @param {number} periods - Number of periods
+    * @returns {number} The future value
+    */
+   let FutureValue = function(periods) {
+      if (rate == 0) {
+         return -pv - payment * periods;
+      }
+      return -(pv * Math.pow(1 + rate, periods) + payment * (1 + rate * paytype) * (Math.pow(1 + rate, periods) - 1) / rate);
+   };
 
-   // Get the value to take logarithm of
-   value = scf.OperandAsNumber(sheet, foperand);
-   result.type = scf.LookupResultType(value.type, value.type, scf.TypeLookupTable.oneargnumeric);
-   
-   // Check for optional base argument
-   if (foperand.length == 1) {
-      value2 = scf.OperandAsNumber(sheet, foperand);
-      if (value2.type.charAt(0) != "n" || value2.value <= 0) {
-         scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfunclogsecondarg);
-         return 0;
+   /**
+    * @function Interest
+    * @description Helper function returning the interest part of the payment in a period
+    * @param {number} period - The period, starting with 1
+    * @returns {number} The interest (negative for a loan)
+    */
+   let Interest = function(period) {
+      if (period == 1) {
+         return paytype ? 0 : -pv * rate;
       }
-   } else if (foperand.length != 0) {
+      if (paytype) {
+         return (FutureValue(period - 2) - payment) * rate;
+      }
+      return FutureValue(period - 1) * rate;
+   };
+
+   if (args.value.length > 6) {
       scf.FunctionArgsError(fname, operand);
-      return 0;
+      return;
+   }
+   if (args.type.charAt(0) != "n") {
+      scf.PushOperand(operand, args.type, 0);
+      return;
+   }
+
+   args = args.value;
+   rate = args[0];
+   if (fname.indexOf("CUM") == 0) { // CUMIPMT and CUMPRINC
+      if (args.length != 6) {
+         scf.FunctionArgsError(fname, operand);
+         return;
+      }
+      n = args[1];
+      pv = args[2];
+      start = Math.floor(args[3]);
+      end = Math.floor(args[4]);
+      paytype = args[5];
+      fv = 0;
+      if (rate <= 0 || n <= 0 || pv <= 0 || start < 1 || end < start || end > n || (paytype != 0 && paytype != 1)) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+   } else { // IPMT and PPMT
+      per = args[1];
+      n = args[2];
+      pv = args[3];
+      fv = args.length > 4 ? args[4] : 0;
+      paytype = args.length > 5 && args[5] ? 1 : 0;
+      if (per < 1 || per > n) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      start = per;
+      end = per;
+   }
+
+   if (rate == 0) {
+      payment = -(pv + fv) / n;
    } else {
-      value2 = {value: Math.E, type: "n"}; // Default to natural logarithm (base e)
+      payment = -(fv + pv * Math.pow(1 + rate, n)) / ((1 + rate * paytype) * (Math.pow(1 + rate, n) - 1) / rate);
    }
 
-   if (result.type == "n") {
-      if (value.value <= 0) {
-         scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfunclogfirstarg);
-         return 0;
+   result = 0;
+   for (i = start; i <= end; i++) {
+      if (fname == "IPMT" || fname == "CUMIPMT") {
+         result += Interest(i);
+      } else {
+         result += payment - Interest(i);
       }
-      // Calculate logarithm using change of base formula: log_b(x) = ln(x) / ln(b)
-      result.value = Math.log(value.value)/Math.log(value2.value);
    }
 
-   operand.push(result);
+   if (!isFinite(result)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   scf.PushOperand(operand, 'n$', result);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["LOG"] = [SocialCalc.Formula.LogFunction, -1, "log", "", "math"];
+SocialCalc.Formula.FunctionList["CUMIPMT"] = [SocialCalc.Formula.PaymentPartsFunctions, 6, "cumipmt", "", "financial"];
+SocialCalc.Formula.FunctionList["CUMPRINC"] = [SocialCalc.Formula.PaymentPartsFunctions, 6, "cumipmt", "", "financial"];
+SocialCalc.Formula.FunctionList["IPMT"] = [SocialCalc.Formula.PaymentPartsFunctions, -4, "ipmt", "", "financial"];
+SocialCalc.Formula.FunctionList["PPMT"] = [SocialCalc.Formula.PaymentPartsFunctions, -4, "ipmt", "", "financial"];
 
 /**
- * @function RoundFunction
+ * @function EffectNominalFunctions
  * @memberof SocialCalc.Formula
- * @description Implements the ROUND function for rounding numbers to specified precision
+ * @description Implements EFFECT and NOMINAL for converting between annual interest rates
  * 
- * ROUND(value, [precision]) rounds value to the specified number of decimal places.
- * - If precision is omitted, rounds to nearest integer
- * - If precision is positive, rounds to that many decimal places
- * - If precision is negative, rounds to that many places left of decimal point
+ * - EFFECT(nominalrate, periods): Effective annual rate of a nominal rate compounded periods times a year
+ * - NOMINAL(effectiverate, periods): Nominal annual rate that gives an effective rate
  * 
- * @param {string} fname - The function name ("ROUND")
+ * Periods is truncated to an integer and must be at least 1.
+ * 
+ * @param {string} fname - The function name ("EFFECT" or "NOMINAL")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -4055,151 +11890,131 @@ SocialCalc.Formula.FunctionList["LOG"] = [SocialCalc.Formula.LogFunction, -1, "l
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =ROUND(3.14159, 2) returns 3.14
- * // =ROUND(1234.5, -2) returns 1200
- * // =ROUND(2.5) returns 3 (rounds to nearest integer)
- * SocialCalc.Formula.RoundFunction("ROUND", operand, foperand, sheet);
+ * // =EFFECT(0.0525, 4) returns 5.354%
+ * // =NOMINAL(0.053543, 4) returns 5.25%
+ * SocialCalc.Formula.EffectNominalFunctions("EFFECT", operand, foperand, sheet);
  */
-SocialCalc.Formula.RoundFunction = function(fname, operand, foperand, sheet) {
-   let value2, decimalscale, scaledvalue, i;
-
+SocialCalc.Formula.EffectNominalFunctions = function(fname, operand, foperand, sheet) {
    let scf = SocialCalc.Formula;
-   let result = 0;
-   let resulttype = "e#VALUE!";
 
-   let value = scf.OperandValueAndType(sheet, foperand);
-   resulttype = scf.LookupResultType(value.type, value.type, scf.TypeLookupTable.oneargnumeric);
+   let rate = scf.OperandAsNumber(sheet, foperand);
+   let periods = scf.OperandAsNumber(sheet, foperand);
+   let resulttype = scf.LookupResultType(rate.type, periods.type, scf.TypeLookupTable.twoargnumeric);
 
-   // Check for optional precision argument
-   if (foperand.length == 1) {
-      value2 = scf.OperandValueAndType(sheet, foperand);
-      if (value2.type.charAt(0) != "n") {
-         scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfuncroundsecondarg);
-         return 0;
-      }
-   } else if (foperand.length != 0) {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
-   } else {
-      value2 = {value: 0, type: "n"}; // if no second arg, assume 0 for simple round
+   if (resulttype.charAt(0) != "n") {
+      scf.PushOperand(operand, resulttype, 0);
+      return;
    }
 
-   if (resulttype == "n") {
-      value2.value = value2.value-0;
-      if (value2.value == 0) {
-         // Simple rounding to integer
-         result = Math.round(value.value);
-      } else if (value2.value > 0) {
-         // Round to positive decimal places
-         decimalscale = 1; // cut down to required number of decimal digits
-         value2.value = Math.floor(value2.value);
-         for (i = 0; i < value2.value; i++) {
-            decimalscale *= 10;
-         }
-         scaledvalue = Math.round(value.value * decimalscale);
-         result = scaledvalue / decimalscale;
-      } else if (value2.value < 0) {
-         // Round to negative decimal places (round to tens, hundreds, etc.)
-         decimalscale = 1; // cut down to required number of decimal digits
-         value2.value = Math.floor(-value2.value);
-         for (i = 0; i < value2.value; i++) {
-            decimalscale *= 10;
-         }
-         scaledvalue = Math.round(value.value / decimalscale);
-         result = scaledvalue * decimalscale;
-      }
+   periods = Math.floor(periods.value);
+   rate = rate.value;
+   if (rate <= 0 || periods < 1) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   if (fname == "EFFECT") {
+      scf.PushOperand(operand, 'n%', Math.pow(1 + rate / periods, periods) - 1);
+   } else {
+      scf.PushOperand(operand, 'n%', periods * (Math.pow(1 + rate, 1 / periods) - 1));
+   }
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["ROUND"] = [SocialCalc.Formula.RoundFunction, -1, "vp", "", "math"];
+SocialCalc.Formula.FunctionList["EFFECT"] = [SocialCalc.Formula.EffectNominalFunctions, 2, "effect", "", "financial"];
+SocialCalc.Formula.FunctionList["NOMINAL"] = [SocialCalc.Formula.EffectNominalFunctions, 2, "effect", "", "financial"];
 
 /**
- * @function AndOrFunctions
+ * @function DBFunction
  * @memberof SocialCalc.Formula
- * @description Implements logical AND and OR functions for multiple arguments
- * 
- * - AND(v1, v2, ...): Returns TRUE if all arguments are TRUE, FALSE otherwise
- * - OR(v1, v2, ...): Returns TRUE if any argument is TRUE, FALSE otherwise
+ * @description Implements the DB function for fixed-declining balance depreciation
  * 
- * Arguments are evaluated as logical values:
- * - Non-zero numbers are TRUE
- * - Zero is FALSE
- * - Errors propagate through the result
+ * DB(cost, salvage, lifetime, period, [month]) calculates depreciation at a fixed rate,
+ * 1 - (salvage/cost)^(1/lifetime) rounded to three decimal places. Month is the number of
+ * months in the first year (default 12), in which case there is a partial period at the end.
  * 
- * @param {string} fname - The function name ("AND" or "OR")
+ * @param {string} fname - The function name ("DB")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
+ * Arguments:
+ * - cost: Initial cost of the asset
+ * - salvage: Salvage value at end of useful life
+ * - lifetime: Number of years over which asset is depreciated
+ * - period: Year for which to calculate depreciation (up to lifetime+1 if month is less than 12)
+ * - month: Optional, months in the first year, defaults to 12
+ * 
  * @example
- * // Called internally by CalculateFunction
- * // =AND(TRUE, 1, 5) returns TRUE (all non-zero)
- * // =AND(TRUE, FALSE) returns FALSE (one is false)
- * // =OR(FALSE, 0, 1) returns TRUE (at least one is true)
- * // =OR(FALSE, 0) returns FALSE (all are false)
- * SocialCalc.Formula.AndOrFunctions("AND", operand, foperand, sheet);
- */
-SocialCalc.Formula.AndOrFunctions = function(fname, operand, foperand, sheet) {
-   let value1, result;
-
+ * // Called internally by CalculateFunction
+ * // =DB(1000000, 100000, 6, 1, 7) returns 186,083.33
+ * SocialCalc.Formula.DBFunction("DB", operand, foperand, sheet);
+ */
+SocialCalc.Formula.DBFunction = function(fname, operand, foperand, sheet) {
+   let cost, salvage, lifetime, period, month, rate, depreciation, accumulateddepreciation, i;
    let scf = SocialCalc.Formula;
-   let resulttype = "";
+   let args = scf.ArgumentsAsNumbers(sheet, foperand);
 
-   // Initialize result based on function type
-   if (fname == "AND") {
-      result = 1; // Start with TRUE, becomes FALSE if any argument is false
-   } else if (fname == "OR") {
-      result = 0; // Start with FALSE, becomes TRUE if any argument is true
+   if (args.value.length > 5) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+   if (args.type.charAt(0) != "n") {
+      scf.PushOperand(operand, args.type, 0);
+      return;
    }
 
-   // Process all arguments
-   while (foperand.length) {
-      value1 = scf.OperandValueAndType(sheet, foperand);
-      
-      if (value1.type.charAt(0) == "n") {
-         value1.value = value1.value-0;
-         if (fname == "AND") {
-            result = value1.value != 0 ? result : 0; // FALSE if any value is 0
-         } else if (fname == "OR") {
-            result = value1.value != 0 ? 1 : result; // TRUE if any value is non-zero
-         }
-         resulttype = scf.LookupResultType(value1.type, resulttype || "nl", scf.TypeLookupTable.propagateerror);
-      } else if (value1.type.charAt(0) == "e" && resulttype.charAt(0) != "e") {
-         resulttype = value1.type; // Propagate error
-      }
+   cost = args.value[0];
+   salvage = args.value[1];
+   lifetime = args.value[2];
+   period = Math.floor(args.value[3]);
+   month = args.value.length > 4 ? Math.floor(args.value[4]) : 12;
+
+   if (cost < 0 || salvage < 0 || lifetime <= 0 || period < 1 || month < 1 || month > 12 ||
+       period > lifetime + (month < 12 ? 1 : 0)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
    }
-   
-   if (resulttype.length < 1) {
-      resulttype = "e#VALUE!";
-      result = 0;
+   if (cost == 0) {
+      scf.PushOperand(operand, 'n$', 0);
+      return;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   rate = Math.round((1 - Math.pow(salvage / cost, 1 / lifetime)) * 1000) / 1000;
+
+   depreciation = 0;
+   accumulateddepreciation = 0;
+   for (i = 1; i <= period; i++) {
+      if (i == 1) {
+         depreciation = cost * rate * month / 12;
+      } else if (i == lifetime + 1) { // rest of the last year
+         depreciation = (cost - accumulateddepreciation) * rate * (12 - month) / 12;
+      } else {
+         depreciation = (cost - accumulateddepreciation) * rate;
+      }
+      accumulateddepreciation += depreciation;
+   }
+
+   scf.PushOperand(operand, 'n$', depreciation);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["AND"] = [SocialCalc.Formula.AndOrFunctions, -1, "vn", "", "test"];
-SocialCalc.Formula.FunctionList["OR"] = [SocialCalc.Formula.AndOrFunctions, -1, "vn", "", "test"];
+SocialCalc.Formula.FunctionList["DB"] = [SocialCalc.Formula.DBFunction, -4, "db", "", "financial"];
 
 /**
- * @function NotFunction
+ * @function VDBFunction
  * @memberof SocialCalc.Formula
- * @description Implements the NOT function for logical negation
+ * @description Implements the VDB function for declining balance depreciation over a span of periods
  * 
- * NOT(value) returns the logical opposite of value:
- * - TRUE becomes FALSE
- * - FALSE becomes TRUE
- * - Non-zero numbers become FALSE
- * - Zero becomes TRUE
- * - Text values result in #VALUE! error
+ * VDB(cost, salvage, lifetime, start, end, [factor], [noswitch]) calculates the total depreciation
+ * from period start to period end, which may be fractional, using a declining balance at factor/lifetime
+ * per period (default factor 2, double-declining). Unless noswitch is true, it switches to
+ * straight-line depreciation when that becomes larger.
  * 
- * @param {string} fname - The function name ("NOT")
+ * @param {string} fname - The function name ("VDB")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -4207,44 +12022,137 @@ SocialCalc.Formula.FunctionList["OR"] = [SocialCalc.Formula.AndOrFunctions, -1,
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =NOT(TRUE) returns FALSE
- * // =NOT(0) returns TRUE
- * // =NOT(5) returns FALSE
- * // =NOT("text") returns #VALUE! error
- * SocialCalc.Formula.NotFunction("NOT", operand, foperand, sheet);
+ * // =VDB(2400, 300, 10, 0, 1) returns 480, the first year's depreciation
+ * // =VDB(2400, 300, 120, 6, 18) returns 396.31, from month 6 to month 18
+ * SocialCalc.Formula.VDBFunction("VDB", operand, foperand, sheet);
  */
-SocialCalc.Formula.NotFunction = function(fname, operand, foperand, sheet) {
-   let result = 0;
+SocialCalc.Formula.VDBFunction = function(fname, operand, foperand, sheet) {
+   let cost, salvage, lifetime, start, end, factor, noswitch, intstart, intend, part, value, term, i;
    let scf = SocialCalc.Formula;
-   let value = scf.OperandValueAndType(sheet, foperand);
-   let resulttype = scf.LookupResultType(value.type, value.type, scf.TypeLookupTable.propagateerror);
+   let args = scf.ArgumentsAsNumbers(sheet, foperand);
 
-   if (value.type.charAt(0) == "n" || value.type == "b") {
-      result = value.value-0 != 0 ? 0 : 1; // do the "not" operation
-      resulttype = "nl"; // Logical result type
-   } else if (value.type.charAt(0) == "t") {
-      resulttype = "e#VALUE!"; // Text values are not valid for logical operations
+   /**
+    * @function Declining
+    * @description Helper function returning the declining balance depreciation for one period
+    * @param {number} c - Cost
+    * @param {number} p - Period, starting with 1
+    * @returns {number} The depreciation, not going below salvage
+    */
+   let Declining = function(c, p) {
+      let oldvalue, newvalue;
+      let r = factor / lifetime;
+      if (r >= 1) {
+         r = 1;
+         oldvalue = p == 1 ? c : 0;
+      } else {
+         oldvalue = c * Math.pow(1 - r, p - 1);
+      }
+      newvalue = c * Math.pow(1 - r, p);
+      return Math.max(0, newvalue < salvage ? oldvalue - salvage : oldvalue - newvalue);
+   };
+
+   /**
+    * @function Switching
+    * @description Helper function returning depreciation for the first periods, switching to straight-line
+    * @param {number} c - Cost
+    * @param {number} life - Periods remaining for straight-line
+    * @param {number} periods - Number of periods (the last may be fractional)
+    * @returns {number} The total depreciation
+    */
+   let Switching = function(c, life, periods) {
+      let j, d, straight;
+      let total = 0;
+      let remaining = c - salvage;
+      let isstraight = false;
+      let last = Math.ceil(periods);
+      for (j = 1; j <= last; j++) {
+         if (!isstraight) {
+            d = Declining(c, j);
+            straight = remaining / (life - (j - 1));
+            if (straight > d) {
+               d = straight;
+               isstraight = true;
+            } else {
+               remaining -= d;
+            }
+         } else {
+            d = straight;
+         }
+         if (j == last) {
+            d *= periods + 1 - last;
+         }
+         total += d;
+      }
+      return total;
+   };
+
+   if (args.value.length > 7) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+   if (args.type.charAt(0) != "n") {
+      scf.PushOperand(operand, args.type, 0);
+      return;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   cost = args.value[0];
+   salvage = args.value[1];
+   lifetime = args.value[2];
+   start = args.value[3];
+   end = args.value[4];
+   factor = args.value.length > 5 ? args.value[5] : 2;
+   noswitch = args.value.length > 6 && args.value[6] ? true : false;
+
+   if (start < 0 || end < start || end > lifetime || cost < 0 || salvage < 0 || salvage > cost || lifetime <= 0 || factor <= 0) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   intstart = Math.floor(start);
+   intend = Math.ceil(end);
+   value = 0;
+
+   if (noswitch) {
+      for (i = intstart + 1; i <= intend; i++) {
+         term = Declining(cost, i);
+         if (i == intstart + 1) {
+            term *= Math.min(end, intstart + 1) - start;
+         } else if (i == intend) {
+            term *= end + 1 - intend;
+         }
+         value += term;
+      }
+   } else {
+      part = 0;
+      if (start != intstart) { // partial period at the beginning
+         part += (start - intstart) * Switching(cost - Switching(cost, lifetime, intstart), lifetime - intstart, 1);
+      }
+      if (end != intend) { // partial period at the end
+         part += (intend - end) * Switching(cost - Switching(cost, lifetime, intend - 1), lifetime - intend + 1, 1);
+      }
+      value = Switching(cost - Switching(cost, lifetime, intstart), lifetime - intstart, intend - intstart) - part;
+   }
+
+   scf.PushOperand(operand, 'n$', value);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["NOT"] = [SocialCalc.Formula.NotFunction, 1, "v", "", "test"];
+SocialCalc.Formula.FunctionList["VDB"] = [SocialCalc.Formula.VDBFunction, -5, "vdb", "", "financial"];
 
 /**
- * @function ChooseFunction
+ * @function XNPVFunctions
  * @memberof SocialCalc.Formula
- * @description Implements the CHOOSE function for selecting from a list of values
+ * @description Implements XNPV and XIRR for cash flows on specific dates
  * 
- * CHOOSE(index, value1, value2, ...) returns the value at the specified index position.
- * - index: 1-based position of the value to return
- * - value1, value2, ...: List of values to choose from
+ * - XNPV(rate, values, dates): Net present value at the first date, discounting each value
+ *   by (1 + rate)^(days after the first date / 365)
+ * - XIRR(values, dates, [guess]): The rate where XNPV is 0
  * 
- * If index is out of range, returns #VALUE! error.
+ * No date may be before the first one. XIRR needs at least one positive and one negative value
+ * and is solved by repeated approximation, as with IRR, giving #NUM! if it doesn't converge.
  * 
- * @param {string} fname - The function name ("CHOOSE")
+ * @param {string} fname - The function name ("XNPV" or "XIRR")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -4252,57 +12160,112 @@ SocialCalc.Formula.FunctionList["NOT"] = [SocialCalc.Formula.NotFunction, 1, "v"
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =CHOOSE(2, "A", "B", "C") returns "B"
- * // =CHOOSE(1, 10, 20, 30) returns 10
- * // =CHOOSE(5, "A", "B") returns #VALUE! (index out of range)
- * SocialCalc.Formula.ChooseFunction("CHOOSE", operand, foperand, sheet);
+ * // =XNPV(0.09, A1:A5, B1:B5) - Values in A1:A5 paid on the dates in B1:B5
+ * // =XIRR(A1:A5, B1:B5, 0.1) - Rate of return of the same cash flows
+ * SocialCalc.Formula.XNPVFunctions("XNPV", operand, foperand, sheet);
  */
-SocialCalc.Formula.ChooseFunction = function(fname, operand, foperand, sheet) {
-   let resulttype, count, value1;
-   let result = 0;
+SocialCalc.Formula.XNPVFunctions = function(fname, operand, foperand, sheet) {
+   let i, values, dates, rate, guess, haspositive, hasnegative;
    let scf = SocialCalc.Formula;
+   let cashflows = [];
+   let days = [];
 
-   // Get the index argument
-   let cindex = scf.OperandAsNumber(sheet, foperand);
+   /**
+    * @function PresentValue
+    * @description Helper function returning the XNPV of the cash flows
+    * @param {number} r - The rate
+    * @returns {number} The net present value
+    */
+   let PresentValue = function(r) {
+      let j;
+      let sum = 0;
+      for (j = 0; j < cashflows.length; j++) {
+         sum += cashflows[j] / Math.pow(1 + r, days[j] / 365);
+      }
+      return sum;
+   };
 
-   if (cindex.type.charAt(0) != "n") {
-      cindex.value = 0;
+   if (fname == "XNPV") {
+      rate = scf.OperandAsNumber(sheet, foperand);
+      if (scf.CheckForErrorValue(operand, rate)) return;
+      if (rate.type.charAt(0) != "n") {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
    }
-   cindex.value = Math.floor(cindex.value); // Use integer index
 
-   // Search through the value arguments for the one at the specified index
-   count = 0;
-   while (foperand.length) {
-      value1 = scf.TopOfStackValueAndType(sheet, foperand);
-      count += 1;
-      if (cindex.value == count) {
-         result = value1.value;
-         resulttype = value1.type;
-         break;
+   values = scf.ArgumentValues(sheet, foperand);
+   dates = scf.ArgumentValues(sheet, foperand);
+   guess = {type: "n", value: 0.1};
+   if (fname == "XIRR" && foperand.length) {
+      guess = scf.OperandAsNumber(sheet, foperand);
+   }
+   if (foperand.length) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+
+   if (scf.CheckForErrorValue(operand, values)) return;
+   if (scf.CheckForErrorValue(operand, dates)) return;
+   if (scf.CheckForErrorValue(operand, guess)) return;
+
+   if (values.value.length != dates.value.length || !values.value.length) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   for (i = 0; i < values.value.length; i++) {
+      if (scf.CheckForErrorValue(operand, values.value[i])) return;
+      if (scf.CheckForErrorValue(operand, dates.value[i])) return;
+      if (values.value[i].type.charAt(0) != "n" || dates.value[i].type.charAt(0) != "n" || guess.type.charAt(0) != "n") {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
+      cashflows.push(values.value[i].value - 0);
+      days.push(Math.floor(dates.value[i].value) - Math.floor(dates.value[0].value));
+      if (days[i] < 0) { // before the first date
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
       }
+      haspositive = haspositive || cashflows[i] > 0;
+      hasnegative = hasnegative || cashflows[i] < 0;
    }
-   
-   if (resulttype) { // found something at the specified index
-      scf.PushOperand(operand, resulttype, result);
-   } else {
-      scf.PushOperand(operand, "e#VALUE!", 0); // index out of range
+
+   if (fname == "XNPV") {
+      rate = PresentValue(rate.value);
+      scf.PushOperand(operand, isFinite(rate) ? 'n$' : "e#NUM!", isFinite(rate) ? rate : 0);
+      return;
+   }
+
+   if (!haspositive || !hasnegative) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   rate = scf.SolveRate(PresentValue, guess.value, 100);
+   if (rate == null) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
    }
 
+   scf.PushOperand(operand, 'n%', rate);
+
    return;
 };
 
-SocialCalc.Formula.FunctionList["CHOOSE"] = [SocialCalc.Formula.ChooseFunction, -2, "choose", "", "lookup"];
+SocialCalc.Formula.FunctionList["XIRR"] = [SocialCalc.Formula.XNPVFunctions, -2, "xirr", "", "financial"];
+SocialCalc.Formula.FunctionList["XNPV"] = [SocialCalc.Formula.XNPVFunctions, 3, "xnpv", "", "financial"];
+
 /**
- * @function ColumnsRowsFunctions
+ * @function MIRRFunction
  * @memberof SocialCalc.Formula
- * @description Implements COLUMNS and ROWS functions for determining range dimensions
- * 
- * - COLUMNS(range): Returns the number of columns in the specified range
- * - ROWS(range): Returns the number of rows in the specified range
+ * @description Implements the MIRR function for the modified internal rate of return
  * 
- * For single cell references, both functions return 1.
+ * MIRR(values, financerate, reinvestrate) returns the rate of return of the cash flows in values
+ * when the negative cash flows are financed at financerate and the positive ones are reinvested
+ * at reinvestrate. There must be at least one positive and one negative value.
  * 
- * @param {string} fname - The function name ("COLUMNS" or "ROWS")
+ * @param {string} fname - The function name ("MIRR")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
@@ -4310,764 +12273,926 @@ SocialCalc.Formula.FunctionList["CHOOSE"] = [SocialCalc.Formula.ChooseFunction,
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =COLUMNS(A1:C5) returns 3 (3 columns: A, B, C)
- * // =ROWS(A1:C5) returns 5 (5 rows: 1, 2, 3, 4, 5)
- * // =COLUMNS(A1) returns 1 (single cell has 1 column)
- * SocialCalc.Formula.ColumnsRowsFunctions("COLUMNS", operand, foperand, sheet);
+ * // =MIRR(A1:A6, 0.1, 0.12) - Cash flows in A1:A6
+ * SocialCalc.Formula.MIRRFunction("MIRR", operand, foperand, sheet);
  */
-SocialCalc.Formula.ColumnsRowsFunctions = function(fname, operand, foperand, sheet) {
-   let resulttype, rangeinfo;
-   let result = 0;
+SocialCalc.Formula.MIRRFunction = function(fname, operand, foperand, sheet) {
+   let i, value1, financerate, reinvestrate, result;
    let scf = SocialCalc.Formula;
+   let positive = 0;
+   let negative = 0;
+   let n = 0;
+   let values = scf.ArgumentValues(sheet, foperand);
+
+   financerate = scf.OperandAsNumber(sheet, foperand);
+   reinvestrate = scf.OperandAsNumber(sheet, foperand);
+
+   if (scf.CheckForErrorValue(operand, values)) return;
+   if (scf.CheckForErrorValue(operand, financerate)) return;
+   if (scf.CheckForErrorValue(operand, reinvestrate)) return;
+   if (financerate.type.charAt(0) != "n" || reinvestrate.type.charAt(0) != "n") {
+      scf.PushOperand(operand, "e#VALUE!", 0);
+      return;
+   }
 
-   let value1 = scf.TopOfStackValueAndType(sheet, foperand);
-
-   if (value1.type == "coord") {
-      // Single cell reference always has 1 row and 1 column
-      result = 1;
-      resulttype = "n";
-   } else if (value1.type == "range") {
-      // Decode range to get dimensions
-      rangeinfo = scf.DecodeRangeParts(sheet, value1.value);
-      if (fname == "COLUMNS") {
-         result = rangeinfo.ncols;
-      } else if (fname == "ROWS") {
-         result = rangeinfo.nrows;
+   for (i = 0; i < values.value.length; i++) {
+      value1 = values.value[i];
+      if (scf.CheckForErrorValue(operand, value1)) return;
+      if (value1.type.charAt(0) != "n") {
+         continue;
       }
-      resulttype = "n";
-   } else {
-      // Invalid argument type
-      result = 0;
-      resulttype = "e#VALUE!";
+      if (value1.value > 0) {
+         positive += value1.value / Math.pow(1 + reinvestrate.value, n);
+      } else {
+         negative += value1.value / Math.pow(1 + financerate.value, n);
+      }
+      n++;
    }
 
-   scf.PushOperand(operand, resulttype, result);
+   if (positive == 0 || negative == 0 || n < 2) {
+      scf.PushOperand(operand, "e#DIV/0!", 0);
+      return;
+   }
+
+   result = Math.pow(-positive * Math.pow(1 + reinvestrate.value, n - 1) / negative, 1 / (n - 1)) - 1; // future value of positive over present value of negative
+   if (!isFinite(result)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   scf.PushOperand(operand, 'n%', result);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["COLUMNS"] = [SocialCalc.Formula.ColumnsRowsFunctions, 1, "range", "", "lookup"];
-SocialCalc.Formula.FunctionList["ROWS"] = [SocialCalc.Formula.ColumnsRowsFunctions, 1, "range", "", "lookup"];
+SocialCalc.Formula.FunctionList["MIRR"] = [SocialCalc.Formula.MIRRFunction, 3, "mirr", "", "financial"];
 
 /**
- * @function ZeroArgFunctions
+ * @function BondFunctions
  * @memberof SocialCalc.Formula
- * @description Implements functions that take no arguments
+ * @description Implements PRICE, YIELD, and DURATION for bonds paying periodic interest
  * 
- * Handles various constant and volatile functions:
- * - FALSE(): Returns logical FALSE (0)
- * - TRUE(): Returns logical TRUE (1)
- * - NA(): Returns #N/A error value
- * - PI(): Returns the mathematical constant π (pi)
- * - NOW(): Returns current date and time as serial number
- * - TODAY(): Returns current date as serial number (time portion is 0)
+ * - PRICE(settlement, maturity, rate, yield, redemption, frequency, [basis]): Price per 100 face value
+ * - YIELD(settlement, maturity, rate, price, redemption, frequency, [basis]): Annual yield
+ * - DURATION(settlement, maturity, rate, yield, frequency, [basis]): Macaulay duration in years
  * 
- * NOW() and TODAY() are volatile functions that recalculate automatically.
+ * Rate is the annual coupon rate, redemption is the value per 100 face value at maturity,
+ * and frequency is the number of coupons a year (1, 2, or 4). Basis is the day count
+ * convention, as with YEARFRAC. YIELD is solved by repeated approximation, as with IRR,
+ * when there is more than one coupon to go, giving #NUM! if it doesn't converge.
  * 
- * @param {string} fname - The function name ("FALSE", "TRUE", "NA", "PI", "NOW", or "TODAY")
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack (empty for these functions)
+ * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {null} Always returns null (results are pushed to operand stack)
+ * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
  * @example
  * // Called internally by CalculateFunction
- * // =PI() returns 3.14159265...
- * // =NOW() returns current datetime as serial number
- * // =TODAY() returns current date as serial number
- * // =TRUE() returns 1, =FALSE() returns 0
- * SocialCalc.Formula.ZeroArgFunctions("PI", operand, foperand, sheet);
+ * // =PRICE(DATE(2008,2,15), DATE(2017,11,15), 0.0575, 0.065, 100, 2, 0) returns 94.63
+ * // =YIELD(DATE(2008,2,15), DATE(2016,11,15), 0.0575, 95.04287, 100, 2, 0) returns 6.50%
+ * SocialCalc.Formula.BondFunctions("PRICE", operand, foperand, sheet);
  */
-SocialCalc.Formula.ZeroArgFunctions = function(fname, operand, foperand, sheet) {
-   let startval, tzoffset, start_1_1_1970, seconds_in_a_day, nowdays;
-   let result = {value: 0};
+SocialCalc.Formula.BondFunctions = function(fname, operand, foperand, sheet) {
+   let settlement, maturity, rate, yld, price, redemption, frequency, basis, coupon, result, i, t, pv, sum;
+   let scf = SocialCalc.Formula;
+   let args = scf.ArgumentsAsNumbers(sheet, foperand);
+   let nargs = fname == "DURATION" ? 5 : 6; // not counting basis
+
+   /**
+    * @function Price
+    * @description Helper function returning the price for a yield
+    * @param {number} y - The annual yield
+    * @returns {number} The price per 100 face value
+    */
+   let Price = function(y) {
+      let k;
+      let r = 100 * rate / frequency;
+      let p = 0;
+      if (coupon.count == 1) {
+         return (redemption + r) / (1 + coupon.dsc / coupon.e * y / frequency) - r * coupon.a / coupon.e;
+      }
+      for (k = 1; k <= coupon.count; k++) {
+         p += r / Math.pow(1 + y / frequency, k - 1 + coupon.dsc / coupon.e);
+      }
+      return p + redemption / Math.pow(1 + y / frequency, coupon.count - 1 + coupon.dsc / coupon.e) - r * coupon.a / coupon.e;
+   };
+
+   if (args.value.length > nargs + 1) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+   if (args.type.charAt(0) != "n") {
+      scf.PushOperand(operand, args.type, 0);
+      return;
+   }
+
+   args = args.value;
+   settlement = Math.floor(args[0]);
+   maturity = Math.floor(args[1]);
+   rate = args[2];
+   if (fname == "YIELD") {
+      price = args[3];
+      yld = 0;
+   } else {
+      yld = args[3];
+   }
+   redemption = fname == "DURATION" ? 100 : args[4];
+   frequency = Math.floor(args[nargs - 1]);
+   basis = args.length > nargs ? Math.floor(args[nargs]) : 0;
 
-   switch (fname) {
-      case "FALSE":
-         result.type = "nl"; // Logical type
-         result.value = 0;
-         break;
+   if (settlement >= maturity || rate < 0 || yld < 0 || redemption <= 0 || (fname == "YIELD" && price <= 0) ||
+       (frequency != 1 && frequency != 2 && frequency != 4) || basis < 0 || basis > 4) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
 
-      case "NA":
-         result.type = "e#N/A"; // Not Available error
-         break;
+   coupon = scf.CouponPeriod(settlement, maturity, frequency, basis);
 
-      case "NOW":
-         // Calculate current date and time as Excel serial number
-         startval = new Date();
-         tzoffset = startval.getTimezoneOffset(); // Minutes from UTC
-         startval = startval.getTime() / 1000; // convert to seconds
-         start_1_1_1970 = 25569; // Day number of 1/1/1970 starting with 1/1/1900 as 1
-         seconds_in_a_day = 24 * 60 * 60;
-         nowdays = start_1_1_1970 + startval / seconds_in_a_day - tzoffset/(24*60);
-         result.value = nowdays;
-         result.type = "ndt"; // Numeric date-time type
-         SocialCalc.Formula.FreshnessInfo.volatile.NOW = true; // Mark as volatile for recalculation
+   switch (fname) {
+      case "PRICE":
+         result = Price(yld);
          break;
 
-      case "PI":
-         result.type = "n"; // Numeric type
-         result.value = Math.PI; // Mathematical constant π
+      case "YIELD":
+         if (coupon.count == 1) { // simple interest to maturity
+            t = price / 100 + coupon.a / coupon.e * rate / frequency;
+            result = (redemption / 100 + rate / frequency - t) / t * frequency * coupon.e / coupon.dsc;
+         } else {
+            result = scf.SolveRate(function(y) {return Price(y) - price;}, rate || 0.1, 100);
+         }
          break;
 
-      case "TODAY":
-         // Calculate current date (without time) as Excel serial number
-         startval = new Date();
-         tzoffset = startval.getTimezoneOffset(); // Minutes from UTC
-         startval = startval.getTime() / 1000; // convert to seconds
-         start_1_1_1970 = 25569; // Day number of 1/1/1970 starting with 1/1/1900 as 1
-         seconds_in_a_day = 24 * 60 * 60;
-         nowdays = start_1_1_1970 + startval / seconds_in_a_day - tzoffset/(24*60);
-         result.value = Math.floor(nowdays); // Remove time portion
-         result.type = "nd"; // Numeric date type
-         SocialCalc.Formula.FreshnessInfo.volatile.TODAY = true; // Mark as volatile for recalculation
+      case "DURATION":
+         sum = 0;
+         result = 0;
+         for (i = 1; i <= coupon.count; i++) { // weight each time by the present value of the payment
+            t = i - 1 + coupon.dsc / coupon.e;
+            pv = (100 * rate / frequency + (i == coupon.count ? 100 : 0)) / Math.pow(1 + yld / frequency, t);
+            sum += pv;
+            result += t * pv;
+         }
+         result = result / sum / frequency;
          break;
+   }
 
-      case "TRUE":
-         result.type = "nl"; // Logical type
-         result.value = 1;
-         break;
+   if (result == null || !isFinite(result)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
    }
 
-   operand.push(result);
+   scf.PushOperand(operand, fname == "YIELD" ? 'n%' : "n", result);
 
-   return null;
+   return;
 };
 
-/**
- * @description Function list registrations for zero-argument functions
- * All functions take exactly 0 arguments and belong to various categories
- * - FALSE, TRUE, NA: test category (logical/error functions)
- * - NOW, TODAY: datetime category (date/time functions)
- * - PI: math category (mathematical constants)
- */
-SocialCalc.Formula.FunctionList["FALSE"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "test"];
-SocialCalc.Formula.FunctionList["NA"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "test"];
-SocialCalc.Formula.FunctionList["NOW"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "datetime"];
-SocialCalc.Formula.FunctionList["PI"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "math"];
-SocialCalc.Formula.FunctionList["TODAY"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "datetime"];
-SocialCalc.Formula.FunctionList["TRUE"] = [SocialCalc.Formula.ZeroArgFunctions, 0, "", "", "test"];
-
-/**
- * @namespace SocialCalc.Formula Financial Functions
- * @description Financial calculation functions for depreciation, investments, and loans
- */
+SocialCalc.Formula.FunctionList["DURATION"] = [SocialCalc.Formula.BondFunctions, -5, "duration", "", "financial"];
+SocialCalc.Formula.FunctionList["PRICE"] = [SocialCalc.Formula.BondFunctions, -6, "price", "", "financial"];
+SocialCalc.Formula.FunctionList["YIELD"] = [SocialCalc.Formula.BondFunctions, -6, "yield", "", "financial"];
 
 /**
- * @function DDBFunction
+ * @function AccrintFunction
  * @memberof SocialCalc.Formula
- * @description Implements the DDB function for double-declining balance depreciation
+ * @description Implements the ACCRINT function for the interest accrued on a bond
  * 
- * DDB(cost, salvage, lifetime, period, [method]) calculates depreciation using the
- * double-declining balance method or other declining balance methods.
+ * ACCRINT(issue, firstinterest, settlement, rate, par, frequency, [basis], [calcmethod]) returns
+ * the interest accrued from issue to settlement, counted in coupon periods ending on firstinterest
+ * (and every 12/frequency months before and after it). If calcmethod is false and settlement is
+ * after firstinterest, the interest is from firstinterest instead.
  * 
- * @param {string} fname - The function name ("DDB")
+ * @param {string} fname - The function name ("ACCRINT")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
- * Arguments:
- * - cost: Initial cost of the asset
- * - salvage: Salvage value at end of useful life
- * - lifetime: Number of periods over which asset is depreciated
- * - period: Period for which to calculate depreciation
- * - method: Optional, defaults to 2 (double-declining balance rate)
- * 
- * @see {@link http://en.wikipedia.org/wiki/Depreciation} Wikipedia article on depreciation
- * 
  * @example
  * // Called internally by CalculateFunction
- * // =DDB(10000, 1000, 5, 1) - Calculate first year depreciation
- * // =DDB(10000, 1000, 5, 1, 1.5) - Use 1.5 declining balance instead of 2
- * SocialCalc.Formula.DDBFunction("DDB", operand, foperand, sheet);
+ * // =ACCRINT(DATE(2008,3,1), DATE(2008,8,31), DATE(2008,5,1), 0.1, 1000, 2, 0) returns 16.67
+ * SocialCalc.Formula.AccrintFunction("ACCRINT", operand, foperand, sheet);
  */
-SocialCalc.Formula.DDBFunction = function(fname, operand, foperand, sheet) {
-   let method, depreciation, accumulateddepreciation, i;
+SocialCalc.Formula.AccrintFunction = function(fname, operand, foperand, sheet) {
+   let issue, firstinterest, settlement, rate, par, frequency, basis, calcmethod, k, start, end, from, to, result;
    let scf = SocialCalc.Formula;
+   let args = scf.ArgumentsAsNumbers(sheet, foperand);
 
-   // Get required arguments
-   let cost = scf.OperandAsNumber(sheet, foperand);
-   let salvage = scf.OperandAsNumber(sheet, foperand);
-   let lifetime = scf.OperandAsNumber(sheet, foperand);
-   let period = scf.OperandAsNumber(sheet, foperand);
+   if (args.value.length > 8) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
+   if (args.type.charAt(0) != "n") {
+      scf.PushOperand(operand, args.type, 0);
+      return;
+   }
 
-   // Check for errors in required arguments
-   if (scf.CheckForErrorValue(operand, cost)) return;
-   if (scf.CheckForErrorValue(operand, salvage)) return;
-   if (scf.CheckForErrorValue(operand, lifetime)) return;
-   if (scf.CheckForErrorValue(operand, period)) return;
+   args = args.value;
+   issue = Math.floor(args[0]);
+   firstinterest = Math.floor(args[1]);
+   settlement = Math.floor(args[2]);
+   rate = args[3];
+   par = args[4];
+   frequency = Math.floor(args[5]);
+   basis = args.length > 6 ? Math.floor(args[6]) : 0;
+   calcmethod = args.length > 7 ? args[7] : 1;
 
-   if (lifetime.value < 1) {
-      scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfuncddblife);
-      return 0;
+   if (issue >= settlement || rate <= 0 || par <= 0 || (frequency != 1 && frequency != 2 && frequency != 4) || basis < 0 || basis > 4) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
    }
 
-   // Get optional method argument (defaults to 2 for double-declining)
-   method = {value: 2, type: "n"};
-   if (foperand.length > 0 ) {
-      method = scf.OperandAsNumber(sheet, foperand);
-   }
-   if (foperand.length != 0) {
-      scf.FunctionArgsError(fname, operand);
-      return 0;
-   }
-   if (scf.CheckForErrorValue(operand, method)) return;
+   from = !calcmethod && settlement > firstinterest ? firstinterest : issue;
 
-   depreciation = 0; // calculated for each period
-   accumulateddepreciation = 0; // accumulated by adding each period's
+   k = 0;
+   while (scf.CouponDate(firstinterest, -k * 12 / frequency) > from) { // back to the period with the start
+      k++;
+   }
 
-   // Calculate depreciation for each period up to the requested period
-   for (i = 1; i <= period.value-0 && i <= lifetime.value; i++) { // calculate for each period based on net from previous
-      depreciation = (cost.value - accumulateddepreciation) * (method.value / lifetime.value);
-      if (cost.value - accumulateddepreciation - depreciation < salvage.value) { // don't go lower than salvage value
-         depreciation = cost.value - accumulateddepreciation - salvage.value;
+   result = 0;
+   for (; ; k--) { // add the fraction of each period accrued
+      start = scf.CouponDate(firstinterest, -k * 12 / frequency);
+      end = scf.CouponDate(firstinterest, -(k - 1) * 12 / frequency);
+      if (start >= settlement) {
+         break;
       }
-      accumulateddepreciation += depreciation;
+      result += scf.CouponDays(Math.max(start, from), Math.min(end, settlement), basis) / scf.CouponPeriodLength(start, end, frequency, basis);
    }
 
-   scf.PushOperand(operand, 'n$', depreciation); // Return as currency type
+   scf.PushOperand(operand, 'n$', par * rate / frequency * result);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["DDB"] = [SocialCalc.Formula.DDBFunction, -4, "ddb", "", "financial"];
+SocialCalc.Formula.FunctionList["ACCRINT"] = [SocialCalc.Formula.AccrintFunction, -6, "accrint", "", "financial"];
 
 /**
- * @function SLNFunction
+ * @function CouponDate
  * @memberof SocialCalc.Formula
- * @description Implements the SLN function for straight-line depreciation
+ * @description Returns the coupon date a number of months from another one
  * 
- * SLN(cost, salvage, lifetime) calculates the depreciation for each period
- * using the straight-line method, where the same amount is depreciated each period.
+ * If the date is the last day of its month, so is the result. Otherwise the day is the same,
+ * or the last day of the month if that month is shorter.
  * 
- * @param {string} fname - The function name ("SLN")
- * @param {Array<Object>} operand - The main operand stack
- * @param {Array<Object>} foperand - The function operand stack containing arguments
- * @param {Object} sheet - The spreadsheet object containing cell data
- * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
+ * @param {number} date - A coupon date value
+ * @param {number} months - Number of months later (negative for earlier)
+ * @returns {number} The date value
  * 
- * Arguments:
- * - cost: Initial cost of the asset
- * - salvage: Salvage value at end of useful life
- * - lifetime: Number of periods over which asset is depreciated
+ * @example
+ * SocialCalc.Formula.CouponDate(SocialCalc.Formula.YMDToDate(2024, 8, 31), -6) // Returns: February 29, 2024
+ */
+SocialCalc.Formula.CouponDate = function(date, months) {
+   let scf = SocialCalc.Formula;
+   let ymd = scf.DateToYMD(date);
+   let lastday = scf.YMDToDate(ymd.year, ymd.month + months + 1, 0);
+
+   if (scf.DateToYMD(date + 1).day == 1) { // end of month
+      return lastday;
+   }
+
+   return Math.min(lastday, scf.YMDToDate(ymd.year, ymd.month + months, ymd.day));
+};
+
+/**
+ * @function CouponDays
+ * @memberof SocialCalc.Formula
+ * @description Returns the number of days between two dates for a day count basis
  * 
- * Formula: (cost - salvage) / lifetime
+ * @param {number} start - The start date value
+ * @param {number} end - The end date value
+ * @param {number} basis - 0 for US 30/360, 4 for European 30/360, and others for actual days
+ * @returns {number} The number of days
  * 
- * @see {@link http://en.wikipedia.org/wiki/Depreciation} Wikipedia article on depreciation
+ * @example
+ * SocialCalc.Formula.CouponDays(start, end, 0)
+ */
+SocialCalc.Formula.CouponDays = function(start, end, basis) {
+   if (basis == 0 || basis == 4) {
+      return SocialCalc.Formula.Days360(start, end, basis == 4);
+   }
+
+   return end - start;
+};
+
+/**
+ * @function CouponPeriodLength
+ * @memberof SocialCalc.Formula
+ * @description Returns the number of days in a coupon period for a day count basis
+ * 
+ * @param {number} start - The date value of the start of the period
+ * @param {number} end - The date value of the end of the period
+ * @param {number} frequency - Number of coupons a year
+ * @param {number} basis - Day count basis, as with YEARFRAC
+ * @returns {number} The number of days (the actual number for basis 1)
  * 
  * @example
- * // Called internally by CalculateFunction
- * // =SLN(10000, 1000, 5) returns 1800 (depreciation per period)
- * // Asset depreciates $1800 each year for 5 years
- * SocialCalc.Formula.SLNFunction("SLN", operand, foperand, sheet);
+ * SocialCalc.Formula.CouponPeriodLength(start, end, 2, 0) // Returns: 180
  */
-SocialCalc.Formula.SLNFunction = function(fname, operand, foperand, sheet) {
-   let depreciation;
-   let scf = SocialCalc.Formula;
+SocialCalc.Formula.CouponPeriodLength = function(start, end, frequency, basis) {
+   if (basis == 1) {
+      return end - start;
+   }
 
-   // Get required arguments
-   let cost = scf.OperandAsNumber(sheet, foperand);
-   let salvage = scf.OperandAsNumber(sheet, foperand);
-   let lifetime = scf.OperandAsNumber(sheet, foperand);
+   return (basis == 3 ? 365 : 360) / frequency;
+};
 
-   // Check for errors in arguments
-   if (scf.CheckForErrorValue(operand, cost)) return;
-   if (scf.CheckForErrorValue(operand, salvage)) return;
-   if (scf.CheckForErrorValue(operand, lifetime)) return;
+/**
+ * @function CouponPeriod
+ * @memberof SocialCalc.Formula
+ * @description Returns information about the coupon period that includes a settlement date
+ * 
+ * Coupon dates are counted back from maturity every 12/frequency months.
+ * 
+ * @param {number} settlement - The settlement date value
+ * @param {number} maturity - The maturity date value, after settlement
+ * @param {number} frequency - Number of coupons a year (1, 2, or 4)
+ * @param {number} basis - Day count basis, as with YEARFRAC
+ * @returns {Object} Result object containing:
+ *   - {number} previous - The coupon date on or before settlement
+ *   - {number} next - The coupon date after settlement
+ *   - {number} count - Number of coupons from settlement to maturity
+ *   - {number} a - Days from the previous coupon date to settlement
+ *   - {number} dsc - Days from settlement to the next coupon date
+ *   - {number} e - Days in the coupon period
+ * 
+ * @example
+ * let coupon = SocialCalc.Formula.CouponPeriod(settlement, maturity, 2, 0);
+ */
+SocialCalc.Formula.CouponPeriod = function(settlement, maturity, frequency, basis) {
+   let scf = SocialCalc.Formula;
+   let months = 12 / frequency;
+   let info = {count: 1, next: maturity};
 
-   if (lifetime.value < 1) {
-      scf.FunctionSpecificError(fname, operand, "e#NUM!", SocialCalc.Constants.s_sheetfuncslnlife);
-      return 0;
+   info.previous = scf.CouponDate(maturity, -months);
+   while (info.previous > settlement) {
+      info.count++;
+      info.next = info.previous;
+      info.previous = scf.CouponDate(maturity, -info.count * months);
    }
 
-   // Calculate straight-line depreciation: (cost - salvage) / lifetime
-   depreciation = (cost.value - salvage.value) / lifetime.value;
+   info.a = scf.CouponDays(info.previous, settlement, basis);
+   info.e = scf.CouponPeriodLength(info.previous, info.next, frequency, basis);
+   info.dsc = basis == 0 ? info.e - info.a : scf.CouponDays(settlement, info.next, basis);
 
-   scf.PushOperand(operand, 'n$', depreciation); // Return as currency type
+   return info;
+};
 
-   return;
+/**
+ * @function SolveRate
+ * @memberof SocialCalc.Formula
+ * @description Finds the rate where a function is zero by repeated approximations
+ * 
+ * Uses the same approach as IRR and RATE: the secant method starting from the guess
+ * and the guess increased by 10%.
+ * 
+ * @param {Function} func - Function of the rate to solve
+ * @param {number} guess - Starting rate (0 uses 0.1)
+ * @param {number} maxloop - Maximum number of tries
+ * @returns {number|null} The rate, or null if it didn't converge
+ * 
+ * @example
+ * SocialCalc.Formula.SolveRate(function(r) {return 100 - 110 / (1 + r);}, 0.1, 20) // Returns: about 0.1
+ */
+SocialCalc.Formula.SolveRate = function(func, guess, maxloop) {
+   let value, oldvalue, oldrate, m;
+   let tries = 0;
+   let epsilon = 0.0000001; // convergence threshold
+   let rate = guess || 0.1;
+
+   value = 1;
+   while ((value >= 0 ? value : -value) > epsilon && rate != oldrate) {
+      value = func(rate);
+      if (!isFinite(value)) {
+         return null;
+      }
+      if (oldvalue != null) {
+         m = (value - oldvalue) / (rate - oldrate); // get slope
+         oldrate = rate;
+         rate = rate - value / m; // look for zero crossing
+         oldvalue = value;
+      } else { // first time - no old values
+         oldrate = rate;
+         rate = 1.1 * rate; // perturb rate to get started
+         oldvalue = value;
+      }
+      tries++;
+      if (tries >= maxloop) { // didn't converge yet
+         return null;
+      }
+   }
+
+   return isFinite(rate) ? rate : null;
 };
 
-SocialCalc.Formula.FunctionList["SLN"] = [SocialCalc.Formula.SLNFunction, 3, "csl", "", "financial"];
 /**
- * @function SYDFunction
+ * @function BaseConversionFunctions
  * @memberof SocialCalc.Formula
- * @description Implements the SYD function for Sum of Year's Digits depreciation
+ * @description Implements conversions between binary, octal, decimal, and hexadecimal
  * 
- * SYD(cost, salvage, lifetime, period) calculates depreciation using the Sum of Year's Digits
- * method, which provides accelerated depreciation with higher amounts in earlier years.
+ * - BIN2DEC, BIN2HEX, BIN2OCT, DEC2BIN, DEC2HEX, DEC2OCT,
+ *   HEX2BIN, HEX2DEC, HEX2OCT, OCT2BIN, OCT2DEC, OCT2HEX(value, [places])
  * 
- * The formula uses the sum of all years (1 + 2 + ... + lifetime) as the denominator,
- * and (lifetime - period + 1) as the numerator for the current period.
+ * Binary, octal, and hexadecimal values have at most 10 digits, with negative numbers in
+ * two's complement form (10 binary digits, 30 bits for octal, and 40 bits for hexadecimal),
+ * so the first digit being 1 (binary), 4-7 (octal), or 8-F (hexadecimal) means negative.
+ * Places pads a non-negative result with leading zeros and is ignored for negative results.
+ * DEC results are numbers and the others are text. Values out of range give #NUM!.
  * 
- * @param {string} fname - The function name ("SYD")
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
- * Arguments:
- * - cost: Initial cost of the asset
- * - salvage: Salvage value at end of useful life
- * - lifetime: Number of periods over which asset is depreciated
- * - period: Period for which to calculate depreciation (must be > 0)
- * 
- * Formula: (cost - salvage) × (lifetime - period + 1) ÷ sum_of_years
- * Where sum_of_years = lifetime × (lifetime + 1) ÷ 2
- * 
  * @example
  * // Called internally by CalculateFunction
- * // =SYD(10000, 1000, 5, 1) - First year gets 5/15 of total depreciation
- * // =SYD(10000, 1000, 5, 5) - Fifth year gets 1/15 of total depreciation
- * // Sum of years for 5-year life: 1+2+3+4+5 = 15
- * SocialCalc.Formula.SYDFunction("SYD", operand, foperand, sheet);
+ * // =HEX2DEC("FF") returns 255
+ * // =DEC2BIN(5, 8) returns "00000101"
+ * // =DEC2HEX(-1) returns "FFFFFFFFFF"
+ * // =BIN2DEC("1111111111") returns -1
+ * SocialCalc.Formula.BaseConversionFunctions("HEX2DEC", operand, foperand, sheet);
  */
-SocialCalc.Formula.SYDFunction = function(fname, operand, foperand, sheet) {
-   let depreciation, sumperiods;
+SocialCalc.Formula.BaseConversionFunctions = function(fname, operand, foperand, sheet) {
+   let value, places, text, number, limit, result;
    let scf = SocialCalc.Formula;
+   let bases = {BIN: 2, OCT: 8, DEC: 10, HEX: 16};
+   let bits = {BIN: 10, OCT: 30, HEX: 40}; // two's complement size of 10 digits
+   let digits = {BIN: /^[01]{0,10}$/, OCT: /^[0-7]{0,10}$/, HEX: /^[0-9A-F]{0,10}$/i};
+   let from = fname.substring(0, 3);
+   let to = fname.substring(4);
+
+   if (from == "DEC") {
+      value = scf.OperandAsNumber(sheet, foperand);
+   } else {
+      value = scf.OperandValueAndType(sheet, foperand);
+   }
+   places = foperand.length ? scf.OperandAsNumber(sheet, foperand) : null;
+   if (foperand.length || (places && to == "DEC")) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
 
-   // Get required arguments
-   let cost = scf.OperandAsNumber(sheet, foperand);
-   let salvage = scf.OperandAsNumber(sheet, foperand);
-   let lifetime = scf.OperandAsNumber(sheet, foperand);
-   let period = scf.OperandAsNumber(sheet, foperand);
+   if (value.type.charAt(0) == "e" || (places && places.type.charAt(0) == "e")) {
+      scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : places.type, 0);
+      return;
+   }
+
+   if (from == "DEC") {
+      if (value.type.charAt(0) != "n") {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
+      }
+      number = Math.trunc(value.value);
+   } else {
+      text = value.type.charAt(0) == "n" ? (value.value - 0) + "" : (value.value + "").trim();
+      if (!digits[from].test(text)) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      number = text ? parseInt(text, bases[from]) : 0;
+      if (text.length == 10 && number >= Math.pow(2, bits[from] - 1)) { // negative
+         number -= Math.pow(2, bits[from]);
+      }
+   }
 
-   // Check for errors in arguments
-   if (scf.CheckForErrorValue(operand, cost)) return;
-   if (scf.CheckForErrorValue(operand, salvage)) return;
-   if (scf.CheckForErrorValue(operand, lifetime)) return;
-   if (scf.CheckForErrorValue(operand, period)) return;
+   if (to == "DEC") {
+      scf.PushOperand(operand, "n", number);
+      return;
+   }
 
-   // Validate argument values
-   if (lifetime.value < 1 || period.value <= 0) {
+   limit = Math.pow(2, bits[to] - 1);
+   if (number < -limit || number >= limit) {
       scf.PushOperand(operand, "e#NUM!", 0);
-      return 0;
+      return;
    }
 
-   // Calculate sum of years: 1 + 2 + ... + lifetime = lifetime × (lifetime + 1) ÷ 2
-   sumperiods = ((lifetime.value + 1) * lifetime.value)/2; // add up 1 through lifetime
-   
-   // Calculate depreciation for the specified period
-   // Higher depreciation in early years: (lifetime - period + 1) gives decreasing weights
-   depreciation = (cost.value - salvage.value) * (lifetime.value - period.value + 1) / sumperiods; // calc depreciation
+   if (number < 0) { // 10 digits of two's complement
+      result = (number + 2 * limit).toString(bases[to]).toUpperCase();
+   } else {
+      result = number.toString(bases[to]).toUpperCase();
+      if (places) {
+         places.value = Math.trunc(places.value);
+         if (places.type.charAt(0) != "n" || places.value < result.length || places.value > 10) {
+            scf.PushOperand(operand, places.type.charAt(0) != "n" ? "e#VALUE!" : "e#NUM!", 0);
+            return;
+         }
+         while (result.length < places.value) {
+            result = "0" + result;
+         }
+      }
+   }
 
-   scf.PushOperand(operand, 'n$', depreciation); // Return as currency type
+   scf.PushOperand(operand, "t", result);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["SYD"] = [SocialCalc.Formula.SYDFunction, 4, "cslp", "", "financial"];
+SocialCalc.Formula.FunctionList["BIN2DEC"] = [SocialCalc.Formula.BaseConversionFunctions, 1, "v", "", "engineering"];
+SocialCalc.Formula.FunctionList["BIN2HEX"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["BIN2OCT"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["DEC2BIN"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["DEC2HEX"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["DEC2OCT"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["HEX2BIN"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["HEX2DEC"] = [SocialCalc.Formula.BaseConversionFunctions, 1, "v", "", "engineering"];
+SocialCalc.Formula.FunctionList["HEX2OCT"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["OCT2BIN"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
+SocialCalc.Formula.FunctionList["OCT2DEC"] = [SocialCalc.Formula.BaseConversionFunctions, 1, "v", "", "engineering"];
+SocialCalc.Formula.FunctionList["OCT2HEX"] = [SocialCalc.Formula.BaseConversionFunctions, -1, "places", "", "engineering"];
 
 /**
- * @function InterestFunctions
+ * @function BaseDecimalFunctions
  * @memberof SocialCalc.Formula
- * @description Implements financial functions for time value of money calculations
- * 
- * Handles five related financial functions based on the fundamental time value of money equation:
- * - FV(rate, n, payment, [pv, [paytype]]): Future Value
- * - NPER(rate, payment, pv, [fv, [paytype]]): Number of Periods
- * - PMT(rate, n, pv, [fv, [paytype]]): Payment Amount
- * - PV(rate, n, payment, [fv, [paytype]]): Present Value
- * - RATE(n, payment, pv, [fv, [paytype, [guess]]]): Interest Rate
- * 
- * Following the Open Document Format formula specification:
- * - PV = -Fv - (Payment × Nper) [if rate equals 0]
- * - Pv×(1+Rate)^Nper + Payment × (1 + Rate×PaymentType) × ((1+Rate)^nper - 1)/Rate + Fv = 0
+ * @description Implements BASE and DECIMAL for conversions with any radix from 2 to 36
  * 
- * For each function, the formulas are solved for the appropriate value using algebra.
- * RATE function uses iterative approximation (Newton-Raphson method).
+ * - BASE(value, radix, [minlength]): Text of the non-negative integer value in the radix,
+ *   padded with leading zeros to minlength
+ * - DECIMAL(text, radix): The number the text represents in the radix (letters are not case sensitive)
  * 
- * @param {string} fname - The function name (FV, NPER, PMT, PV, or RATE)
+ * @param {string} fname - The function name ("BASE" or "DECIMAL")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
- * Common Arguments:
- * - rate: Interest rate per period
- * - n/nper: Number of periods
- * - payment/pmt: Payment amount per period
- * - pv: Present value (principal)
- * - fv: Future value (optional, defaults to 0)
- * - paytype: Payment timing (0 = end of period, 1 = beginning of period)
- * - guess: Initial guess for RATE calculation (optional, defaults to 0.1)
- * 
  * @example
  * // Called internally by CalculateFunction
- * // =FV(0.05/12, 60, -200, -1000) - Future value of loan
- * // =PMT(0.08/12, 360, 100000) - Monthly payment on mortgage
- * // =PV(0.06, 20, -2000, 0) - Present value of annuity
- * // =RATE(60, -200, 10000, 0) - Interest rate calculation
- * SocialCalc.Formula.InterestFunctions("PMT", operand, foperand, sheet);
+ * // =BASE(255, 16, 4) returns "00FF"
+ * // =DECIMAL("zz", 36) returns 1295
+ * SocialCalc.Formula.BaseDecimalFunctions("BASE", operand, foperand, sheet);
  */
-SocialCalc.Formula.InterestFunctions = function(fname, operand, foperand, sheet) {
-   let resulttype, result, dval, eval, fval;
-   let pv, fv, rate, n, payment, paytype, guess, part1, part2, part3, part4, part5;
-   let olddelta, maxloop, tries, deltaepsilon, oldrate, m;
-
+SocialCalc.Formula.BaseDecimalFunctions = function(fname, operand, foperand, sheet) {
+   let value, radix, minlength, text, i, digit, result;
    let scf = SocialCalc.Formula;
 
-   // Get the first three required arguments
-   let aval = scf.OperandAsNumber(sheet, foperand);
-   let bval = scf.OperandAsNumber(sheet, foperand);
-   let cval = scf.OperandAsNumber(sheet, foperand);
+   if (fname == "BASE") {
+      value = scf.OperandAsNumber(sheet, foperand);
+   } else {
+      value = scf.OperandAsText(sheet, foperand);
+   }
+   radix = scf.OperandAsNumber(sheet, foperand);
+   minlength = foperand.length ? scf.OperandAsNumber(sheet, foperand) : {type: "n", value: 0};
+   if (foperand.length || (fname == "DECIMAL" && minlength.value)) {
+      scf.FunctionArgsError(fname, operand);
+      return;
+   }
 
-   // Determine result type based on argument types
-   resulttype = scf.LookupResultType(aval.type, bval.type, scf.TypeLookupTable.twoargnumeric);
-   resulttype = scf.LookupResultType(resulttype, cval.type, scf.TypeLookupTable.twoargnumeric);
-   
-   // Process optional arguments
-   if (foperand.length) { // optional arguments
-      dval = scf.OperandAsNumber(sheet, foperand);
-      resulttype = scf.LookupResultType(resulttype, dval.type, scf.TypeLookupTable.twoargnumeric);
-      if (foperand.length) { // optional arguments
-         eval = scf.OperandAsNumber(sheet, foperand);
-         resulttype = scf.LookupResultType(resulttype, eval.type, scf.TypeLookupTable.twoargnumeric);
-         if (foperand.length) { // optional arguments
-            if (fname != "RATE") { // only rate has 6 possible args
-               scf.FunctionArgsError(fname, operand);
-               return 0;
-            }
-            fval = scf.OperandAsNumber(sheet, foperand);
-            resulttype = scf.LookupResultType(resulttype, fval.type, scf.TypeLookupTable.twoargnumeric);
-         }
+   for (i = 0; i < 3; i++) {
+      text = [value, radix, minlength][i].type;
+      if (text.charAt(0) == "e") {
+         scf.PushOperand(operand, text, 0);
+         return;
+      }
+      if (i && text.charAt(0) != "n") {
+         scf.PushOperand(operand, "e#VALUE!", 0);
+         return;
       }
    }
 
-   if (resulttype == "n") {
-      switch (fname) {
-         case "FV": // FV(rate, n, payment, [pv, [paytype]])
-            rate = aval.value;
-            n = bval.value;
-            payment = cval.value;
-            pv = dval != null ? dval.value : 0; // get value if present, or use default
-            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
-            
-            if (rate == 0) { // simple calculation if no interest
-               fv = -pv - (payment * n);
-            } else {
-               fv = -(pv*Math.pow(1+rate,n) + payment * (1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate);
-            }
-            result = fv;
-            resulttype = 'n$'; // Currency type
-            break;
-
-         case "NPER": // NPER(rate, payment, pv, [fv, [paytype]])
-            rate = aval.value;
-            payment = bval.value;
-            pv = cval.value;
-            fv = dval != null ? dval.value : 0;
-            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
-            
-            if (rate == 0) { // simple calculation if no interest
-               if (payment == 0) {
-                  scf.PushOperand(operand, "e#NUM!", 0);
-                  return;
-               }
-               n = (pv + fv)/(-payment);
-            } else {
-               part1 = payment * (1 + rate * paytype) / rate;
-               part2 = pv + part1;
-               if (part2 == 0 || rate <= -1) {
-                  scf.PushOperand(operand, "e#NUM!", 0);
-                  return;
-               }
-               part3 = (part1 - fv) / part2;
-               if (part3 <= 0) {
-                  scf.PushOperand(operand, "e#NUM!", 0);
-                  return;
-               }
-               part4 = Math.log(part3);
-               part5 = Math.log(1 + rate); // rate > -1
-               n = part4/part5;
-            }
-            result = n;
-            resulttype = 'n'; // Numeric type
-            break;
-
-         case "PMT": // PMT(rate, n, pv, [fv, [paytype]])
-            rate = aval.value;
-            n = bval.value;
-            pv = cval.value;
-            fv = dval != null ? dval.value : 0;
-            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
-            
-            if (n == 0) {
-               scf.PushOperand(operand, "e#NUM!", 0);
-               return;
-            } else if (rate == 0) { // simple calculation if no interest
-               payment = (fv - pv)/n;
-            } else {
-               payment = (0 - fv - pv*Math.pow(1+rate,n))/((1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate);
-            }
-            result = payment;
-            resulttype = 'n$'; // Currency type
-            break;
-
-         case "PV": // PV(rate, n, payment, [fv, [paytype]])
-            rate = aval.value;
-            n = bval.value;
-            payment = cval.value;
-            fv = dval != null ? dval.value : 0;
-            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
-            
-            if (rate == -1) {
-               scf.PushOperand(operand, "e#DIV/0!", 0);
-               return;
-            } else if (rate == 0) { // simple calculation if no interest
-               pv = -fv - (payment * n);
-            } else {
-               pv = (-fv - payment * (1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate)/(Math.pow(1+rate,n));
-            }
-            result = pv;
-            resulttype = 'n$'; // Currency type
-            break;
-
-         case "RATE": // RATE(n, payment, pv, [fv, [paytype, [guess]]])
-            n = aval.value;
-            payment = bval.value;
-            pv = cval.value;
-            fv = dval != null ? dval.value : 0;
-            paytype = eval != null ? (eval.value ? 1 : 0) : 0;
-            guess = fval != null ? fval.value : 0.1;
+   radix = Math.trunc(radix.value);
+   minlength = Math.trunc(minlength.value);
+   if (radix < 2 || radix > 36) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
 
-            // Rate is calculated by repeated approximations using Newton-Raphson method
-            // The deltas are used to calculate new guesses
-            maxloop = 100;
-            tries = 0;
-            let delta = 1;
-            let epsilon = 0.0000001; // convergence threshold
-            rate = guess || 0.00000001; // zero is not allowed
-            
-            while ((delta >= 0 ? delta : -delta) > epsilon && (rate != oldrate)) {
-               delta = fv + pv*Math.pow(1+rate,n) + payment * (1 + rate*paytype) * ( Math.pow(1+rate,n) -1)/rate;
-               if (olddelta != null) {
-                  m = (delta - olddelta)/(rate - oldrate) || .001; // get slope (not zero)
-                  oldrate = rate;
-                  rate = rate - delta / m; // look for zero crossing
-                  olddelta = delta;
-               } else { // first time - no old values
-                  oldrate = rate;
-                  rate = 1.1 * rate;
-                  olddelta = delta;
-               }
-               tries++;
-               if (tries >= maxloop) { // didn't converge yet
-                  scf.PushOperand(operand, "e#NUM!", 0);
-                  return;
-               }
-            }
-            result = rate;
-            resulttype = 'n%'; // Percentage type
-            break;
+   if (fname == "BASE") {
+      value = Math.trunc(value.value);
+      if (value < 0 || value >= Math.pow(2, 53) || minlength < 0 || minlength > 255) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      result = value.toString(radix).toUpperCase();
+      while (result.length < minlength) {
+         result = "0" + result;
       }
+      scf.PushOperand(operand, "t", result);
+      return;
    }
- 
-   scf.PushOperand(operand, resulttype, result);
 
-   return;
-};
+   text = value.value.trim().toUpperCase(); // DECIMAL
+   if (text.length > 255) {
+      scf.PushOperand(operand, "e#VALUE!", 0);
+      return;
+   }
+   result = 0;
+   for (i = 0; i < text.length; i++) {
+      digit = parseInt(text.charAt(i), 36);
+      if (isNaN(digit) || digit >= radix) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      result = result * radix + digit;
+   }
+   if (result >= Math.pow(2, 53)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   scf.PushOperand(operand, "n", result);
+
+   return;
+};
+
+SocialCalc.Formula.FunctionList["BASE"] = [SocialCalc.Formula.BaseDecimalFunctions, -2, "base", "", "engineering"];
+SocialCalc.Formula.FunctionList["DECIMAL"] = [SocialCalc.Formula.BaseDecimalFunctions, 2, "decimal", "", "engineering"];
 
 /**
- * @description Function list registrations for financial interest/time-value-of-money functions
- * All functions take at least 3 arguments (indicated by -3) and belong to the "financial" category
- * - Different argument definition keys correspond to help text for each function's parameters
- */
-SocialCalc.Formula.FunctionList["FV"] = [SocialCalc.Formula.InterestFunctions, -3, "fv", "", "financial"];
-SocialCalc.Formula.FunctionList["NPER"] = [SocialCalc.Formula.InterestFunctions, -3, "nper", "", "financial"];
-SocialCalc.Formula.FunctionList["PMT"] = [SocialCalc.Formula.InterestFunctions, -3, "pmt", "", "financial"];
-SocialCalc.Formula.FunctionList["PV"] = [SocialCalc.Formula.InterestFunctions, -3, "pv", "", "financial"];
-SocialCalc.Formula.FunctionList["RATE"] = [SocialCalc.Formula.InterestFunctions, -3, "rate", "", "financial"];
-/**
- * @function NPVFunction
+ * @function BitFunctions
  * @memberof SocialCalc.Formula
- * @description Implements the NPV function for Net Present Value calculation
+ * @description Implements bitwise functions on non-negative integers less than 2^48
  * 
- * NPV(rate, value1, value2, ...) calculates the net present value of a series of cash flows
- * occurring at regular intervals, discounted at a specified rate.
+ * - BITAND(value1, value2), BITOR(value1, value2), BITXOR(value1, value2): Bitwise and, or, exclusive or
+ * - BITLSHIFT(value, shift): Value shifted left (negative shift goes right)
+ * - BITRSHIFT(value, shift): Value shifted right (negative shift goes left)
  * 
- * The function applies the formula: NPV = Σ(CF_t / (1 + rate)^t) where:
- * - CF_t is the cash flow at time t
- * - rate is the discount rate per period
- * - t is the time period (1, 2, 3, ...)
+ * JavaScript bit operators only work on 32 bits, so values are done in two 24-bit halves.
  * 
- * @param {string} fname - The function name ("NPV")
+ * @param {string} fname - The function name
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
- * Arguments:
- * - rate: Discount rate per period
- * - value1, value2, ...: Series of cash flows (can include ranges)
- * 
  * @example
  * // Called internally by CalculateFunction
- * // =NPV(0.1, -1000, 500, 500, 500) - Initial investment followed by returns
- * // =NPV(0.08, A1:A5) - NPV of cash flows in range A1:A5
- * SocialCalc.Formula.NPVFunction("NPV", operand, foperand, sheet);
+ * // =BITAND(13, 25) returns 9
+ * // =BITXOR(5, 3) returns 6
+ * // =BITLSHIFT(4, 2) returns 16
+ * SocialCalc.Formula.BitFunctions("BITAND", operand, foperand, sheet);
  */
-SocialCalc.Formula.NPVFunction = function(fname, operand, foperand, sheet) {
-   let resulttypenpv, rate, sum, factor, value1;
-
+SocialCalc.Formula.BitFunctions = function(fname, operand, foperand, sheet) {
+   let value1, value2, shift, high, low, result;
    let scf = SocialCalc.Formula;
+   let half = 16777216; // 2^24
+   let limit = half * half; // 2^48
 
-   // Get the discount rate (first argument)
-   rate = scf.OperandAsNumber(sheet, foperand);
-   if (scf.CheckForErrorValue(operand, rate)) return;
+   value1 = scf.OperandAsNumber(sheet, foperand);
+   value2 = scf.OperandAsNumber(sheet, foperand);
 
-   sum = 0;
-   resulttypenpv = "n";
-   factor = 1; // Accumulates (1 + rate)^t for each period
+   if (value1.type.charAt(0) != "n" || value2.type.charAt(0) != "n") {
+      scf.PushOperand(operand, value1.type.charAt(0) == "e" ? value1.type :
+                               (value2.type.charAt(0) == "e" ? value2.type : "e#VALUE!"), 0);
+      return;
+   }
+   value1 = value1.value - 0;
+   value2 = value2.value - 0;
 
-   // Process each cash flow value
-   while (foperand.length) {
-      value1 = scf.OperandValueAndType(sheet, foperand);
-      if (value1.type.charAt(0) == "n") {
-         factor *= (1 + rate.value); // Compound the discount factor
-         if (factor == 0) {
-            scf.PushOperand(operand, "e#DIV/0!", 0);
-            return;
-         }
-         sum += value1.value / factor; // Discount the cash flow to present value
-         resulttypenpv = scf.LookupResultType(value1.type, resulttypenpv || value1.type, scf.TypeLookupTable.plus);
-      } else if (value1.type.charAt(0) == "e" && resulttypenpv.charAt(0) != "e") {
-         resulttypenpv = value1.type; // Propagate error
-         break;
+   if (value1 < 0 || value1 >= limit || value1 != Math.floor(value1)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
+   }
+
+   if (fname == "BITLSHIFT" || fname == "BITRSHIFT") {
+      shift = Math.trunc(fname == "BITLSHIFT" ? value2 : -value2);
+      if (Math.abs(shift) > 53) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
       }
+      result = shift >= 0 ? value1 * Math.pow(2, shift) : Math.floor(value1 / Math.pow(2, -shift));
+      if (result >= limit) {
+         scf.PushOperand(operand, "e#NUM!", 0);
+         return;
+      }
+      scf.PushOperand(operand, "n", result);
+      return;
    }
 
-   if (resulttypenpv.charAt(0) == "n") {
-      resulttypenpv = 'n$'; // Return as currency type
+   if (value2 < 0 || value2 >= limit || value2 != Math.floor(value2)) {
+      scf.PushOperand(operand, "e#NUM!", 0);
+      return;
    }
 
-   scf.PushOperand(operand, resulttypenpv, sum);
+   high = [Math.floor(value1 / half), Math.floor(value2 / half)];
+   low = [value1 % half, value2 % half];
+   if (fname == "BITAND") {
+      result = (high[0] & high[1]) * half + (low[0] & low[1]);
+   } else if (fname == "BITOR") {
+      result = (high[0] | high[1]) * half + (low[0] | low[1]);
+   } else { // BITXOR
+      result = (high[0] ^ high[1]) * half + (low[0] ^ low[1]);
+   }
+
+   scf.PushOperand(operand, "n", result);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["NPV"] = [SocialCalc.Formula.NPVFunction, -2, "npv", "", "financial"];
+SocialCalc.Formula.FunctionList["BITAND"] = [SocialCalc.Formula.BitFunctions, 2, "bits", "", "engineering"];
+SocialCalc.Formula.FunctionList["BITLSHIFT"] = [SocialCalc.Formula.BitFunctions, 2, "bitshift", "", "engineering"];
+SocialCalc.Formula.FunctionList["BITOR"] = [SocialCalc.Formula.BitFunctions, 2, "bits", "", "engineering"];
+SocialCalc.Formula.FunctionList["BITRSHIFT"] = [SocialCalc.Formula.BitFunctions, 2, "bitshift", "", "engineering"];
+SocialCalc.Formula.FunctionList["BITXOR"] = [SocialCalc.Formula.BitFunctions, 2, "bits", "", "engineering"];
 
 /**
- * @function IRRFunction
+ * @type {Object<string, Array>}
+ * @description Units for CONVERT: [quantity, size in the quantity's base unit, prefixes allowed, zero, power]
+ * 
+ * The base units are g, m, s, Pa, N, J, W, T, degrees Celsius, m^3, m^2, bit, and m/s.
+ * Prefixes allowed is 1 for metric prefixes (k, m, etc.) and 2 for binary prefixes (ki, Mi, etc.) as well.
+ * Temperatures have their size as [numerator, denominator] so they convert exactly (e.g., 5/9 for
+ * Fahrenheit), and zero (temperatures only) is the reading at 0 degrees Celsius.
+ * Power is how many times a prefix applies (2 for m2, 3 for m3).
+ */
+SocialCalc.Formula.ConvertUnits = {
+   // Weight and mass
+   "g": ["mass", 1, 1], "sg": ["mass", 14593.902937206364], "lbm": ["mass", 453.59237],
+   "u": ["mass", 1.66053906660e-24, 1], "ozm": ["mass", 28.349523125], "stone": ["mass", 6350.29318],
+   "ton": ["mass", 907184.74], "grain": ["mass", 0.06479891], "cwt": ["mass", 45359.237],
+   "shweight": ["mass", 45359.237], "uk_cwt": ["mass", 50802.34544], "lcwt": ["mass", 50802.34544],
+   "hweight": ["mass", 50802.34544], "uk_ton": ["mass", 1016046.9088], "LTON": ["mass", 1016046.9088],
+   "brton": ["mass", 1016046.9088],
+
+   // Distance
+   "m": ["distance", 1, 1], "mi": ["distance", 1609.344], "Nmi": ["distance", 1852], "in": ["distance", 0.0254],
+   "ft": ["distance", 0.3048], "yd": ["distance", 0.9144], "ang": ["distance", 1e-10, 1], "ell": ["distance", 1.143],
+   "ly": ["distance", 9460730472580800, 1], "parsec": ["distance", 30856775814671900, 1],
+   "pc": ["distance", 30856775814671900, 1], "Pica": ["distance", 0.0254 / 72], "Picapt": ["distance", 0.0254 / 72],
+   "pica": ["distance", 0.0254 / 6], "survey_mi": ["distance", 1609.3472186944373],
+
+   // Time
+   "yr": ["time", 31557600], "day": ["time", 86400], "d": ["time", 86400], "hr": ["time", 3600],
+   "mn": ["time", 60], "min": ["time", 60], "sec": ["time", 1, 1], "s": ["time", 1, 1],
+
+   // Pressure
+   "Pa": ["pressure", 1, 1], "p": ["pressure", 1, 1], "atm": ["pressure", 101325, 1], "at": ["pressure", 101325, 1],
+   "mmHg": ["pressure", 133.322, 1], "psi": ["pressure", 6894.757293168361], "Torr": ["pressure", 101325 / 760],
+
+   // Force
+   "N": ["force", 1, 1], "dyn": ["force", 1e-5, 1], "dy": ["force", 1e-5, 1], "lbf": ["force", 4.4482216152605],
+   "pond": ["force", 0.00980665, 1],
+
+   // Energy
+   "J": ["energy", 1, 1], "e": ["energy", 1e-7, 1], "c": ["energy", 4.184, 1], "cal": ["energy", 4.1868, 1],
+   "eV": ["energy", 1.602176634e-19, 1], "ev": ["energy", 1.602176634e-19, 1], "HPh": ["energy", 2684519.537696173],
+   "hh": ["energy", 2684519.537696173], "Wh": ["energy", 3600, 1], "wh": ["energy", 3600, 1],
+   "flb": ["energy", 1.3558179483314003], "BTU": ["energy", 1055.05585262], "btu": ["energy", 1055.05585262],
+
+   // Power
+   "HP": ["power", 745.6998715822701], "h": ["power", 745.6998715822701], "PS": ["power", 735.49875],
+   "W": ["power", 1, 1], "w": ["power", 1, 1],
+
+   // Magnetism
+   "T": ["magnetism", 1, 1], "ga": ["magnetism", 1e-4, 1],
+
+   // Temperature
+   "C": ["temperature", [1, 1], 0, 0], "cel": ["temperature", [1, 1], 0, 0],
+   "F": ["temperature", [5, 9], 0, 32], "fah": ["temperature", [5, 9], 0, 32],
+   "K": ["temperature", [1, 1], 1, 273.15], "kel": ["temperature", [1, 1], 1, 273.15],
+   "Rank": ["temperature", [5, 9], 0, 491.67], "Reau": ["temperature", [5, 4], 0, 0],
+
+   // Volume
+   "tsp": ["volume", 4.92892159375e-6], "tspm": ["volume", 5e-6], "tbs": ["volume", 1.478676478125e-5],
+   "oz": ["volume", 2.95735295625e-5], "cup": ["volume", 2.365882365e-4], "pt": ["volume", 4.73176473e-4],
+   "us_pt": ["volume", 4.73176473e-4], "uk_pt": ["volume", 5.6826125e-4], "qt": ["volume", 9.46352946e-4],
+   "uk_qt": ["volume", 1.1365225e-3], "gal": ["volume", 3.785411784e-3], "uk_gal": ["volume", 4.54609e-3],
+   "l": ["volume", 1e-3, 1], "L": ["volume", 1e-3, 1], "lt": ["volume", 1e-3, 1],
+   "ang3": ["volume", 1e-30, 1, 0, 3], "ang^3": ["volume", 1e-30, 1, 0, 3],
+   "barrel": ["volume", 0.158987294928], "bushel": ["volume", 0.03523907016688],
+   "ft3": ["volume", 0.028316846592], "ft^3": ["volume", 0.028316846592],
+   "in3": ["volume", 1.6387064e-5], "in^3": ["volume", 1.6387064e-5],
+   "ly3": ["volume", Math.pow(9460730472580800, 3)], "ly^3": ["volume", Math.pow(9460730472580800, 3)],
+   "m3": ["volume", 1, 1, 0, 3], "m^3": ["volume", 1, 1, 0, 3],
+   "mi3": ["volume", Math.pow(1609.344, 3)], "mi^3": ["volume", Math.pow(1609.344, 3)],
+   "yd3": ["volume", 0.764554857984], "yd^3": ["volume", 0.764554857984],
+   "Nmi3": ["volume", Math.pow(1852, 3)], "Nmi^3": ["volume", Math.pow(1852, 3)],
+   "Pica3": ["volume", Math.pow(0.0254 / 72, 3)], "Pica^3": ["volume", Math.pow(0.0254 / 72, 3)],
+   "Picapt3": ["volume", Math.pow(0.0254 / 72, 3)], "Picapt^3": ["volume", Math.pow(0.0254 / 72, 3)],
+   "GRT": ["volume", 2.8316846592], "regton": ["volume", 2.8316846592], "MTON": ["volume", 1.13267386368],
+
+   // Area
+   "uk_acre": ["area", 4046.8564224], "us_acre": ["area", 4046.872609874252],
+   "ang2": ["area", 1e-20, 1, 0, 2], "ang^2": ["area", 1e-20, 1, 0, 2], "ar": ["area", 100, 1],
+   "ft2": ["area", 0.09290304], "ft^2": ["area", 0.09290304], "ha": ["area", 10000],
+   "in2": ["area", 6.4516e-4], "in^2": ["area", 6.4516e-4],
+   "ly2": ["area", Math.pow(9460730472580800, 2)], "ly^2": ["area", Math.pow(9460730472580800, 2)],
+   "m2": ["area", 1, 1, 0, 2], "m^2": ["area", 1, 1, 0, 2], "Morgen": ["area", 2500],
+   "mi2": ["area", 2589988.110336], "mi^2": ["area", 2589988.110336],
+   "Nmi2": ["area", 3429904], "Nmi^2": ["area", 3429904],
+   "Pica2": ["area", Math.pow(0.0254 / 72, 2)], "Pica^2": ["area", Math.pow(0.0254 / 72, 2)],
+   "Picapt2": ["area", Math.pow(0.0254 / 72, 2)], "Picapt^2": ["area", Math.pow(0.0254 / 72, 2)],
+   "yd2": ["area", 0.83612736], "yd^2": ["area", 0.83612736],
+
+   // Information
+   "bit": ["information", 1, 2], "byte": ["information", 8, 2],
+
+   // Speed
+   "admkn": ["speed", 0.5147733333333333], "kn": ["speed", 1852 / 3600], "m/h": ["speed", 1 / 3600, 1],
+   "m/hr": ["speed", 1 / 3600, 1], "m/s": ["speed", 1, 1], "m/sec": ["speed", 1, 1], "mph": ["speed", 0.44704]
+};
+
+/**
+ * @type {Object<string, number>}
+ * @description Prefixes for CONVERT units, metric and then binary (only for bit and byte)
+ */
+SocialCalc.Formula.ConvertPrefixes = {
+   "Y": 1e24, "Z": 1e21, "E": 1e18, "P": 1e15, "T": 1e12, "G": 1e9, "M": 1e6, "k": 1e3, "h": 1e2,
+   "da": 1e1, "e": 1e1, "d": 1e-1, "c": 1e-2, "m": 1e-3, "u": 1e-6, "n": 1e-9, "p": 1e-12, "f": 1e-15,
+   "a": 1e-18, "z": 1e-21, "y": 1e-24,
+   "ki": 1024, "Mi": 1048576, "Gi": 1073741824, "Ti": 1099511627776, "Pi": 1125899906842624,
+   "Ei": 1152921504606846976, "Zi": 1180591620717411303424, "Yi": 1208925819614629174706176
+};
+
+/**
+ * @function LookupConvertUnit
  * @memberof SocialCalc.Formula
- * @description Implements the IRR function for Internal Rate of Return calculation
+ * @description Returns information about a CONVERT unit, which may have a prefix
  * 
- * IRR(values, [guess]) calculates the internal rate of return for a series of cash flows
- * represented by the values array. IRR is the rate at which the net present value
- * of the cash flows equals zero.
+ * @param {string} name - The unit, e.g., "ft", "km", or "kibyte" (case sensitive)
+ * @returns {Object|null} {quantity, size, prefix, zero} with size in the quantity's base unit (including
+ *   the prefix, except for temperatures), or null if unknown
  * 
- * Uses iterative approximation (Newton-Raphson method) to find the rate where:
- * NPV = Σ(CF_t / (1 + IRR)^t) = 0
+ * @example
+ * SocialCalc.Formula.LookupConvertUnit("km") // Returns: {quantity: "distance", size: 1000, prefix: 1000, zero: 0}
+ */
+SocialCalc.Formula.LookupConvertUnit = function(name) {
+   let unit, prefix, len;
+   let scf = SocialCalc.Formula;
+
+   unit = scf.ConvertUnits[name];
+   if (unit) {
+      return {quantity: unit[0], size: unit[1], prefix: 1, zero: unit[3] || 0};
+   }
+
+   for (len = 2; len >= 1; len--) { // two letter prefixes (da, ki) first
+      prefix = name.substring(0, len);
+      unit = scf.ConvertUnits[name.substring(len)];
+      if (!unit || !unit[2] || !scf.ConvertPrefixes[prefix]) {
+         continue;
+      }
+      if (prefix.charAt(1) == "i" && unit[2] != 2) { // binary prefixes are only for information
+         continue;
+      }
+      if (Array.isArray(unit[1])) { // temperature: the prefix applies before the zero is taken off
+         return {quantity: unit[0], size: unit[1], prefix: scf.ConvertPrefixes[prefix], zero: unit[3] || 0};
+      }
+      return {quantity: unit[0], size: unit[1] * Math.pow(scf.ConvertPrefixes[prefix], unit[4] || 1),
+              prefix: scf.ConvertPrefixes[prefix], zero: 0};
+   }
+
+   return null;
+};
+
+/**
+ * @function ConvertFunction
+ * @memberof SocialCalc.Formula
+ * @description Implements CONVERT, which converts a value from one unit of measure to another
  * 
- * @param {string} fname - The function name ("IRR")
+ * CONVERT(value, fromunit, tounit): The units must measure the same quantity (#N/A otherwise).
+ * Unit names are case sensitive and may start with a metric prefix (e.g., "km", "mg") where that
+ * makes sense, or a binary prefix for bit and byte (e.g., "kibyte"). See ConvertUnits for the units.
+ * 
+ * @param {string} fname - The function name ("CONVERT")
  * @param {Array<Object>} operand - The main operand stack
  * @param {Array<Object>} foperand - The function operand stack containing arguments
  * @param {Object} sheet - The spreadsheet object containing cell data
  * @returns {undefined} Returns undefined (results/errors are pushed to operand stack)
  * 
- * Arguments:
- * - values: Range or array of cash flows (must contain at least one positive and one negative value)
- * - guess: Optional initial guess for the rate (defaults to 0.1 or 10%)
- * 
  * @example
  * // Called internally by CalculateFunction
- * // =IRR(A1:A5) - IRR for cash flows in range A1:A5
- * // =IRR(A1:A5, 0.15) - IRR with initial guess of 15%
- * // Typical: =IRR({-1000, 300, 400, 500}) - Investment followed by returns
- * SocialCalc.Formula.IRRFunction("IRR", operand, foperand, sheet);
+ * // =CONVERT(1, "lbm", "kg") returns 0.45359237
+ * // =CONVERT(100, "C", "F") returns 212
+ * // =CONVERT(1, "ft", "sec") returns #N/A
+ * SocialCalc.Formula.ConvertFunction("CONVERT", operand, foperand, sheet);
  */
-SocialCalc.Formula.IRRFunction = function(fname, operand, foperand, sheet) {
-   let value1, guess, oldsum, maxloop, tries, epsilon, rate, oldrate, m, sum, factor, i;
-   let rangeoperand = [];
-   let cashflows = [];
-
+SocialCalc.Formula.ConvertFunction = function(fname, operand, foperand, sheet) {
+   let value, fromunit, tounit, from, to, celsius;
    let scf = SocialCalc.Formula;
 
-   // Get the range of cash flows (first argument)
-   rangeoperand.push(foperand.pop()); // first operand is a range
+   value = scf.OperandAsNumber(sheet, foperand);
+   fromunit = scf.OperandAsText(sheet, foperand);
+   tounit = scf.OperandAsText(sheet, foperand);
 
-   // Extract all cash flow values from the range
-   while (rangeoperand.length) { // get values from range so we can do iterative approximations
-      value1 = scf.OperandValueAndType(sheet, rangeoperand);
-      if (value1.type.charAt(0) == "n") {
-         cashflows.push(value1.value);
-      } else if (value1.type.charAt(0) == "e") {
-         scf.PushOperand(operand, "e#VALUE!", 0);
-         return;
-      }
+   if (value.type.charAt(0) != "n") {
+      scf.PushOperand(operand, value.type.charAt(0) == "e" ? value.type : "e#VALUE!", 0);
+      return;
    }
-
-   if (!cashflows.length) {
-      scf.PushOperand(operand, "e#NUM!", 0);
+   if (fromunit.type.charAt(0) == "e" || tounit.type.charAt(0) == "e") {
+      scf.PushOperand(operand, fromunit.type.charAt(0) == "e" ? fromunit.type : tounit.type, 0);
       return;
    }
 
-   // Get optional guess argument
-   guess = {value: 0};
-
-   if (foperand.length) { // guess is provided
-      guess = scf.OperandAsNumber(sheet, foperand);
-      if (guess.type.charAt(0) != "n" && guess.type.charAt(0) != "b") {
-         scf.PushOperand(operand, "e#VALUE!", 0);
-         return;
-      }
-      if (foperand.length) { // should be no more args
-         scf.FunctionArgsError(fname, operand);
-         return;
-      }
+   from = scf.LookupConvertUnit(fromunit.value);
+   to = scf.LookupConvertUnit(tounit.value);
+   if (!from || !to || from.quantity != to.quantity) {
+      scf.PushOperand(operand, "e#N/A", 0);
+      return;
    }
 
-   guess.value = guess.value || 0.1; // Default guess is 10%
-
-   // Rate is calculated by repeated approximations using Newton-Raphson method
-   // We're looking for the rate where NPV = 0
-   maxloop = 20;
-   tries = 0;
-   epsilon = 0.0000001; // convergence threshold
-   rate = guess.value;
-   sum = 1;
-
-   while ((sum >= 0 ? sum : -sum) > epsilon && (rate != oldrate)) {
-      sum = 0;
-      factor = 1;
-      
-      // Calculate NPV at current rate
-      for (i = 0; i < cashflows.length; i++) {
-         factor *= (1 + rate);
-         if (factor == 0) {
-            scf.PushOperand(operand, "e#DIV/0!", 0);
-            return;
-         }
-         sum += cashflows[i] / factor;
-      }
-
-      // Use Newton-Raphson method to find better rate guess
-      if (oldsum != null) {
-         m = (sum - oldsum)/(rate - oldrate); // get slope (derivative approximation)
-         oldrate = rate;
-         rate = rate - sum / m; // look for zero crossing
-         oldsum = sum;
-      } else { // first time - no old values
-         oldrate = rate;
-         rate = 1.1 * rate; // perturb rate to get started
-         oldsum = sum;
-      }
-      
-      tries++;
-      if (tries >= maxloop) { // didn't converge yet
-         scf.PushOperand(operand, "e#NUM!", 0);
-         return;
-      }
+   if (from.quantity == "temperature" && from.zero == to.zero && from.size[0] * to.size[1] == to.size[0] * from.size[1]) {
+      scf.PushOperand(operand, "n", value.value * from.prefix / to.prefix); // same scale, such as mK to K
+      return;
+   }
+   if (from.quantity == "temperature") { // through Celsius, e.g., (F - 32) * 5 / 9, so round numbers stay round
+      celsius = (value.value * from.prefix - from.zero) * from.size[0] / from.size[1];
+      scf.PushOperand(operand, "n", (celsius * to.size[1] / to.size[0] + to.zero) / to.prefix);
+      return;
    }
 
-   scf.PushOperand(operand, 'n%', rate); // Return as percentage type
+   scf.PushOperand(operand, "n", value.value * from.size / to.size);
 
    return;
 };
 
-SocialCalc.Formula.FunctionList["IRR"] = [SocialCalc.Formula.IRRFunction, -1, "irr", "", "financial"];
+SocialCalc.Formula.FunctionList["CONVERT"] = [SocialCalc.Formula.ConvertFunction, 3, "convert", "", "engineering"];
 
 /**
  * @namespace SocialCalc.Formula.SheetCache
@@ -5098,6 +13223,14 @@ SocialCalc.Formula.SheetCache = {
     */
    waitingForLoading: null,
 
+   /**
+    * @type {Object<string, string>}
+    * @description Sheet names as first asked for, by normalized name
+    * 
+    * Loaders of other workbooks' sheets ('[budget.wb]Summary'!B4) need the names with their original case.
+    */
+   sheetnames: {},
+
    /**
     * @type {Object<string, number>}
     * @description Constants for sheet recalculation states
@@ -5150,6 +13283,7 @@ SocialCalc.Formula.FindInSheetCache = function(sheetname) {
    }
 
    sfsc.waitingForLoading = nsheetname; // let recalc loop know that we have a sheet to load
+   sfsc.sheetnames[nsheetname] = sheetname;
 
    return null; // return not found
 };
@@ -5215,6 +13349,105 @@ SocialCalc.Formula.NormalizeSheetName = function(sheetname) {
    }
 };
 
+/**
+ * @type {Object<string, boolean>}
+ * @description Functions that accept a span of sheets (Jan:Dec!B5) as an argument
+ * 
+ * Each is given one argument for each sheet in the span in place of the span.
+ */
+SocialCalc.Formula.SheetSpanFunctions = {
+   AVERAGE: true, COUNT: true, COUNTA: true, MAX: true, MIN: true, PRODUCT: true,
+   STDEV: true, STDEVP: true, SUM: true, VAR: true, VARP: true
+};
+
+/**
+ * @function SheetSpanNames
+ * @memberof SocialCalc.Formula
+ * @description Returns the names of the sheets in a span of sheets, such as "Jan:Dec"
+ * 
+ * The order of the sheets comes from SocialCalc.Callbacks.SheetNames (for a workbook, the sheet bar),
+ * so sheets inserted or moved between the first and last sheets are included.
+ * The first and last sheets may be given in either order.
+ * 
+ * @param {string} span - First and last sheet names separated by ":"
+ * @returns {Array<string>|null} The sheet names in order, or null if the sheets are not known
+ * 
+ * @example
+ * let names = SocialCalc.Formula.SheetSpanNames("JAN:MAR");
+ * // Returns: ["jan", "feb", "mar"] if the workbook has those sheets in that order
+ */
+SocialCalc.Formula.SheetSpanNames = function(span) {
+   let i, nname, first, last, names;
+   let scf = SocialCalc.Formula;
+   let pos = span.indexOf(":");
+   let name1 = scf.NormalizeSheetName(span.substring(0, pos));
+   let name2 = scf.NormalizeSheetName(span.substring(pos+1));
+
+   if (!SocialCalc.Callbacks.SheetNames) {
+      return null;
+   }
+
+   names = SocialCalc.Callbacks.SheetNames();
+   first = -1;
+   last = -1;
+   for (i = 0; i < names.length; i++) {
+      nname = scf.NormalizeSheetName(names[i]);
+      if (nname == name1) first = i;
+      if (nname == name2) last = i;
+   }
+
+   if (first < 0 || last < 0) {
+      return null;
+   }
+
+   return first <= last ? names.slice(first, last+1) : names.slice(last, first+1);
+};
+
+/**
+ * @function SheetSpanOperands
+ * @memberof SocialCalc.Formula
+ * @description Returns a reference operand for each sheet of a span of sheets
+ * 
+ * Whole columns and rows are limited to the used part of each sheet. Sheets that are
+ * not available (e.g., still being loaded) have an e#REF! operand.
+ * 
+ * @param {string} value - The ref3d operand value, "coord!first:last" or "coord!first:last|coord|"
+ * @returns {Array<Object>|null} Operands in sheet order, or null if the span is not known
+ * 
+ * @example
+ * let operands = SocialCalc.Formula.SheetSpanOperands("B5!JAN:FEB");
+ * // Returns: [{type: "coord", value: "B5!jan"}, {type: "coord", value: "B5!feb"}]
+ */
+SocialCalc.Formula.SheetSpanOperands = function(value) {
+   let i, names, othersheet, bounds;
+   let scf = SocialCalc.Formula;
+   let result = [];
+   let pos = value.indexOf("|");
+   let coord1 = pos == -1 ? value : value.substring(0, pos);
+   let coord2 = pos == -1 ? "" : value.substring(pos+1, value.indexOf("|", pos+1));
+
+   pos = coord1.indexOf("!");
+   names = scf.SheetSpanNames(coord1.substring(pos+1));
+   coord1 = coord1.substring(0, pos);
+   if (!names) {
+      return null;
+   }
+
+   for (i = 0; i < names.length; i++) {
+      othersheet = scf.FindInSheetCache(names[i]);
+      bounds = othersheet && (coord2 ? scf.BoundWholeRange(othersheet, coord1, coord2) : {coord1: coord1});
+      if (!bounds) {
+         result.push({type: "e#REF!", value: 0});
+      } else if (coord2) {
+         result.push({type: "range", value: bounds.coord1+"!"+names[i]+"|"+bounds.coord2+"|"});
+      } else {
+         result.push({type: "coord", value: coord1+"!"+names[i]});
+      }
+   }
+
+   return result;
+};
+
 /**
  * @namespace SocialCalc.Formula.RemoteFunctionInfo
  * @description Remote function execution information for server-side calculations
@@ -5387,6 +13620,8 @@ SocialCalc.Formula.OrderRangeParts = function(coord1, coord2) {
  * - ">value", ">=value": greater than (or equal)  
  * - "<>value": not equal to
  * - Empty criteria: matches nothing
+ * - Text with wildcards ("*", "?", "~" escape, see WildcardToRegExp): whole value matches the
+ *   pattern, with no comparator or "=", or doesn't match it, with "<>"
  * 
  * @param {*} value - The value to test
  * @param {string} type - SocialCalc type of the value ("n", "t", "b", "e", etc.)
@@ -5403,6 +13638,7 @@ SocialCalc.Formula.OrderRangeParts = function(coord1, coord2) {
  * SocialCalc.Formula.TestCriteria("Apple", "t", "App")      // Returns true (starts with)
  * SocialCalc.Formula.TestCriteria("Apple", "t", "=Apple")   // Returns true (exact)
  * SocialCalc.Formula.TestCriteria("Apple", "t", "<>Banana") // Returns true (not equal)
+ * SocialCalc.Formula.TestCriteria("Apple", "t", "*pl?")     // Returns true (wildcards)
  * 
  * // Edge cases
  * SocialCalc.Formula.TestCriteria("", "b", "")        // Returns false (blank vs empty)
@@ -5418,13 +13654,13 @@ SocialCalc.Formula.TestCriteria = function(value, type, criteria) {
    criteria = criteria + "";
    
    // Parse comparator from criteria string
-   comparitor = criteria.charAt(0); // look for comparitor
-   if (comparitor == "=" || comparitor == "<" || comparitor == ">") {
-      basestring = criteria.substring(1);
+   comparitor = criteria.substring(0,2); // look for two character comparitor first
+   if (comparitor == "<=" || comparitor == "<>" || comparitor == ">=") {
+      basestring = criteria.substring(2);
    } else {
-      comparitor = criteria.substring(0,2);
-      if (comparitor == "<=" || comparitor == "<>" || comparitor == ">=") {
-         basestring = criteria.substring(2);
+      comparitor = criteria.charAt(0);
+      if (comparitor == "=" || comparitor == "<" || comparitor == ">") {
+         basestring = criteria.substring(1);
       } else {
          comparitor = "none"; // no explicit comparator
          basestring = criteria;
@@ -5507,6 +13743,11 @@ SocialCalc.Formula.TestCriteria = function(value, type, criteria) {
       value = value ? value.toLowerCase() : "";
       basevalue.value = basevalue.value ? basevalue.value.toLowerCase() : "";
 
+      if ((comparitor == "none" || comparitor == "=" || comparitor == "<>") && /[*?~]/.test(basevalue.value)) { // wildcards
+         cond = SocialCalc.Formula.WildcardToRegExp(basevalue.value).test(value);
+         return comparitor == "<>" ? !cond : cond;
+      }
+
       switch (comparitor) {
          case "<":
             cond = value < basevalue.value;
@@ -5535,3 +13776,63 @@ SocialCalc.Formula.TestCriteria = function(value, type, criteria) {
 
    return cond;
 };
+
+/**
+ * @function WildcardToRegExp
+ * @memberof SocialCalc.Formula
+ * @description Converts a text pattern with spreadsheet wildcards into a regular expression
+ * 
+ * "*" matches any number of characters, "?" matches any single character,
+ * and "~" makes the following character match literally (e.g., "~*" matches "*").
+ * The whole value must match the pattern, unless partial is true, and case is ignored.
+ * 
+ * @param {string} pattern - The pattern text
+ * @param {boolean} [partial] - If true, the pattern may match any part of the value (e.g., for SEARCH)
+ * @returns {RegExp} Regular expression that tests values against the pattern
+ * 
+ * @example
+ * SocialCalc.Formula.WildcardToRegExp("a*").test("Apple")    // Returns true
+ * SocialCalc.Formula.WildcardToRegExp("b?t").test("bat")     // Returns true
+ * SocialCalc.Formula.WildcardToRegExp("100~*").test("100*")  // Returns true
+ */
+SocialCalc.Formula.WildcardToRegExp = function(pattern, partial) {
+   let i, ch;
+   let restr = "";
+
+   for (i = 0; i < pattern.length; i++) {
+      ch = pattern.charAt(i);
+      if (ch == "~" && i + 1 < pattern.length) { // escaped character
+         i++;
+         restr += pattern.charAt(i).replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+      } else if (ch == "*") {
+         restr += "[\\s\\S]*";
+      } else if (ch == "?") {
+         restr += "[\\s\\S]";
+      } else {
+         restr += ch.replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+      }
+   }
+
+   return partial ? new RegExp(restr, "i") : new RegExp("^" + restr + "$", "i");
+};
+
+/**
+ * @function TextToRegExp
+ * @memberof SocialCalc.Formula
+ * @description Converts regular expression text from a formula into a RegExp
+ * 
+ * @param {string} pattern - The regular expression text, in JavaScript syntax
+ * @param {string} [flags] - Regular expression flags (e.g., "g")
+ * @returns {RegExp|null} The regular expression, or null if the text is not a valid one
+ * 
+ * @example
+ * SocialCalc.Formula.TextToRegExp("[0-9]+", "g")  // Returns /[0-9]+/g
+ * SocialCalc.Formula.TextToRegExp("(", "")        // Returns null
+ */
+SocialCalc.Formula.TextToRegExp = function(pattern, flags) {
+   try {
+      return new RegExp(pattern, flags);
+   } catch (e) { // syntax error
+      return null;
+   }
+};
@@ -179,7 +179,7 @@ SocialCalc.FormatNumber.formatNumberWithFormat = (rawvalue, format_string, curre
     if (!isFinite(value)) return 'NaN';
 
     // Handle negative values
-    const negativevalue = value < 0;
+    let negativevalue = value < 0;
     if (negativevalue) value = -value;
     const zerovalue = value === 0 ? 1 : 0;
 
@@ -83,7 +83,29 @@ SocialCalc.Callbacks = {
      * @returns {string} Normalized sheet name
      * @default Uses lowercase normalization
      */
-    NormalizeSheetName: null
+    NormalizeSheetName: null,
+
+    /**
+     * @description Returns the names of all the sheets in order, for spans of sheets like Jan:Dec!B5
+     * @type {Function|null}
+     * @returns {Array<string>} Sheet names, e.g., in the order of a workbook's sheet bar
+     * @default Spans of sheets are not available
+     */
+    SheetNames: null,
+
+    /**
+     * @description Loads a sheet of another workbook for references like '[budget.wb]Summary'!B4
+     * @type {Function|null}
+     * @param {string} workbookname - The workbook as given in the brackets, e.g., "budget.wb"
+     * @param {string} sheetname - The sheet in that workbook, e.g., "Summary"
+     * @param {Function} done - Call with the sheet in save format, or with "" if not found, when loaded.
+     *   May be called right away (e.g., from local storage) or later (e.g., after reading a file handle or an HTTP request).
+     * @returns {boolean|Promise<string>} True if the load was started and done will be called, false if it can't be loaded,
+     *   or a Promise of the sheet in save format instead of calling done. If it throws, the Promise is rejected,
+     *   or nothing comes within SocialCalc.RecalcInfo.loadtimeout, the saved values are used.
+     * @default The values saved with the sheet are used and "updatelinks" does not change them
+     */
+    LoadExternalSheet: null
 };
 
 /**
@@ -98,6 +120,7 @@ SocialCalc.Callbacks = {
  * @property {string} valuetype - Main type (b=blank, n=numeric, t=text, e=error) + subtypes
  * @property {string} [displayvalue] - Rendered version with formatting applied
  * @property {Object} [parseinfo] - Cached parsed version of formula
+ * @property {Object} [dynamicrefs] - References computed by functions like OFFSET when last calculated
  * @property {number} [bt] - Top border definition number
  * @property {number} [br] - Right border definition number
  * @property {number} [bb] - Bottom border definition number
@@ -115,6 +138,9 @@ SocialCalc.Callbacks = {
  * @property {string} [csss] - Custom CSS style definition
  * @property {string} [mod] - Modification allowed flag ("y" if present)
  * @property {string} [comment] - Cell comment string
+ * @property {string} [spillrange] - Range the formula's array result spills into, e.g., "A1:C3"
+ * @property {string} [spillfrom] - Coord of the formula whose array result this cell displays
+ * @property {string} [arraysize] - Rows and columns an array-entered formula fills, e.g., "3x2"
  */
 SocialCalc.Cell = function (coord) {
     this.coord = coord;
@@ -140,6 +166,9 @@ SocialCalc.CellProperties = {
     valuetype: 1,
     errors: 1,
     comment: 1,
+    spillrange: 1,
+    spillfrom: 1,
+    arraysize: 1,
 
     // Type 2: Attribute properties
     bt: 2,
@@ -162,6 +191,7 @@ SocialCalc.CellProperties = {
     // Type 3: Special properties
     displaystring: 3, // used to cache rendered HTML of cell contents
     parseinfo: 3, // used to cache parsed formulas
+    dynamicrefs: 3, // references computed by OFFSET, INDIRECT, etc., used to order recalc
     hcolspan: 3, // spans taking hidden cols/rows into account (!!! NOT YET !!!)
     hrowspan: 3
 };
@@ -272,6 +302,13 @@ SocialCalc.ResetSheet = function (sheet, reload) {
     // Named ranges: {desc: "optional description", definition: "B5, A1:B7, or =formula"}
     sheet.names = {};
 
+    // Which formulas depend on which cells, for recalculating just what changed (made by the first recalc)
+    sheet.dependencies = null;
+
+    // Values of other workbooks' cells used in formulas, by normalized sheet name:
+    // {name: "[budget.wb]Summary", sheet: SocialCalc.Sheet with just the values, update: true to load again}
+    sheet.externallinks = {};
+
     // Style and formatting arrays with corresponding hash tables
     sheet.layouts = [];
     sheet.layouthash = {};
@@ -506,6 +543,8 @@ SocialCalc.Sheet.prototype.RecalcSheet = function () {
  *   vt:fulltype:value - Value with type/subtype
  *   vtf:fulltype:value:formulatext - Formula with value/type
  *   vtc:fulltype:value:valuetext - Formatted constant
+ *   vts:fulltype:value:coord - Value spilled from the array formula at coord
+ *   spill:coord - Bottom right coord of the range this formula spills into
  *   vf:fvalue:formulatext - Formula (obsolete, pre v1.1)
  *   e:errortext - Error text
  *   b:top#:right#:bottom#:left# - Border definitions
@@ -539,8 +578,12 @@ SocialCalc.Sheet.prototype.RecalcSheet = function () {
  *   circularreferencecell:coord - Circular reference cell
  *   recalc:value - Auto-recalc setting (on/off)
  *   needsrecalc:value - Needs recalc flag (yes/no)
+ *   seed:value - Seed for RAND and related functions (integer)
+ *   refstyle:value - Reference style for showing formulas (r1c1), A1 if not set
+ *   locale:value - Formula locale for entering and showing formulas and numbers (de, fr), canonical if not set
  * 
  * name:name:description:value - Named range definition
+ * xlink:sheetname:coord:type:value - Saved value of a cell in another workbook, e.g., xlink:[budget.wb]Summary:B4:v:1200
  * font:fontnum:value - Font definition
  * color:colornum:rgbvalue - Color definition  
  * border:bordernum:value - Border definition
@@ -569,6 +612,8 @@ SocialCalc.ParseSheetSave = function (savedsheet, sheetobj) {
     let line, i, j, t, v, coord, cell, attribs, name;
     const scc = SocialCalc.Constants;
 
+    sheetobj.dependencies = null; // cells are changed without commands, so the next recalc does them all
+
     for (i = 0; i < lines.length; i++) {
         line = lines[i];
         parts = line.split(":");
@@ -664,6 +709,15 @@ SocialCalc.ParseSheetSave = function (savedsheet, sheetobj) {
                         case "needsrecalc":
                             attribs.needsrecalc = parts[j++];
                             break;
+                        case "seed":
+                            attribs.seed = parts[j++];
+                            break;
+                        case "refstyle":
+                            attribs.refstyle = parts[j++];
+                            break;
+                        case "locale":
+                            attribs.locale = parts[j++];
+                            break;
                         default:
                             j += 1;
                             break;
@@ -671,6 +725,15 @@ SocialCalc.ParseSheetSave = function (savedsheet, sheetobj) {
                 }
                 break;
 
+            case "xlink":
+                name = SocialCalc.decodeFromSave(parts[1]);
+                t = SocialCalc.Formula.NormalizeSheetName(name);
+                if (!sheetobj.externallinks[t]) {
+                    sheetobj.externallinks[t] = { name: name, sheet: new SocialCalc.Sheet(), update: false };
+                }
+                SocialCalc.SetExternalLinkCell(sheetobj.externallinks[t].sheet, parts[2], parts, 3);
+                break;
+
             case "name":
                 name = SocialCalc.decodeFromSave(parts[1]).toUpperCase();
                 sheetobj.names[name] = { desc: SocialCalc.decodeFromSave(parts[2]) };
@@ -800,6 +863,26 @@ SocialCalc.CellFromStringParts = function (sheet, cell, parts, j) {
                 cell.datatype = "c";
                 break;
 
+            case "vts":
+                v = parts[j++];
+                cell.valuetype = v;
+                if (v.charAt(0) === "n") {
+                    cell.datavalue = SocialCalc.decodeFromSave(parts[j++]) - 0;
+                } else {
+                    cell.datavalue = SocialCalc.decodeFromSave(parts[j++]);
+                }
+                cell.spillfrom = parts[j++];
+                cell.datatype = null;
+                break;
+
+            case "spill":
+                cell.spillrange = `${cell.coord}:${parts[j++]}`;
+                break;
+
+            case "array":
+                cell.arraysize = parts[j++];
+                break;
+
             case "e":
                 cell.errors = SocialCalc.decodeFromSave(parts[j++]);
                 break;
@@ -873,13 +956,13 @@ SocialCalc.CellFromStringParts = function (sheet, cell, parts, j) {
  * @constant {Array<string>} SocialCalc.sheetfields
  * @description Sheet field names for basic attributes
  */
-SocialCalc.sheetfields = ["defaultrowheight", "defaultcolwidth", "circularreferencecell", "recalc", "needsrecalc"];
+SocialCalc.sheetfields = ["defaultrowheight", "defaultcolwidth", "circularreferencecell", "recalc", "needsrecalc", "seed", "refstyle", "locale"];
 
 /**
  * @constant {Array<string>} SocialCalc.sheetfieldsshort
  * @description Short codes corresponding to sheet fields for save format
  */
-SocialCalc.sheetfieldsshort = ["h", "w", "circularreferencecell", "recalc", "needsrecalc"];
+SocialCalc.sheetfieldsshort = ["h", "w", "circularreferencecell", "recalc", "needsrecalc", "seed", "refstyle", "locale"];
 
 /**
  * @constant {Array<string>} SocialCalc.sheetfieldsxlat
@@ -1041,6 +1124,19 @@ SocialCalc.CreateSheetSave = function (sheetobj, range, canonicalize) {
         result.push(`name:${SocialCalc.encodeForSave(name).toUpperCase()}:${SocialCalc.encodeForSave(sheetobj.names[name].desc)}:${SocialCalc.encodeForSave(sheetobj.names[name].definition)}`);
     }
 
+    // Save values of cells in other workbooks
+    if (!range) {
+        SocialCalc.UpdateExternalLinkValues(sheetobj);
+        for (name in sheetobj.externallinks) {
+            for (coord in sheetobj.externallinks[name].sheet.cells) {
+                line = sheetobj.externallinks[name].sheet.CellToString(sheetobj.externallinks[name].sheet.cells[coord]);
+                if (line) {
+                    result.push(`xlink:${SocialCalc.encodeForSave(sheetobj.externallinks[name].name)}:${coord}${line}`);
+                }
+            }
+        }
+    }
+
     // Add clipboard range info if this is a range save
     if (range) {
         result.push(`copiedfrom:${SocialCalc.crToCoord(cr1.col, cr1.row)}:${SocialCalc.crToCoord(cr2.col, cr2.row)}`);
@@ -1091,9 +1187,21 @@ SocialCalc.CellToString = function (sheet, cell) {
             line += `:vtf:${cell.valuetype}:${value}:${formula}`;
         } else if (cell.datatype === "c") {
             line += `:vtc:${cell.valuetype}:${value}:${formula}`;
+        } else if (cell.spillfrom) {
+            line += `:vts:${cell.valuetype}:${value}:${cell.spillfrom}`;
         }
     }
 
+    // Add spill range of array formula
+    if (cell.spillrange) {
+        line += `:spill:${cell.spillrange.substring(cell.spillrange.indexOf(":") + 1)}`;
+    }
+
+    // Add size of array-entered formula
+    if (cell.arraysize) {
+        line += `:array:${cell.arraysize}`;
+    }
+
     // Add error information
     if (cell.errors) {
         line += `:e:${SocialCalc.encodeForSave(cell.errors)}`;
@@ -1600,6 +1708,18 @@ SocialCalc.EncodeSheetAttributes = function (sheet) {
         SetAttrib("recalc", attribs.recalc);
     }
 
+    // refstyle: refstyle
+    InitAttrib("refstyle");
+    if (attribs.refstyle) {
+        SetAttrib("refstyle", attribs.refstyle);
+    }
+
+    // locale: locale
+    InitAttrib("locale");
+    if (attribs.locale) {
+        SetAttrib("locale", attribs.locale);
+    }
+
     return result;
 };
 /**
@@ -1835,6 +1955,12 @@ SocialCalc.DecodeSheetAttributes = function (sheet, newattribs) {
     // recalc: recalc
     CheckChanges("recalc", sheet.attribs.recalc, "recalc");
 
+    // refstyle: refstyle
+    CheckChanges("refstyle", sheet.attribs.refstyle, "refstyle");
+
+    // locale: locale
+    CheckChanges("locale", sheet.attribs.locale, "locale");
+
     // Return commands if any changes were made
     return changed ? cmdstr : null;
 };
@@ -1990,6 +2116,8 @@ SocialCalc.ResumeFromCmdExtension = function () {
  * @returns {string} Error text if command failed, empty string if successful
  * 
  * @description Sets sheet "needsrecalc" and "changedrendervalues" flags as needed.
+ * Keeps sheet.dependencies up to date: changed cells are marked dirty, and commands that move
+ * cells or change names drop it so the next recalc does every formula and makes it again.
  * The cmd string may contain multiple commands separated by newlines.
  * Only one "step" is put on the undo stack representing all commands.
  * Text values are encoded (newline => \n, \ => \b, : => \c).
@@ -2013,6 +2141,7 @@ SocialCalc.ResumeFromCmdExtension = function () {
  * - name desc NAME description
  * - name delete NAME
  * - recalc
+ * - updatelinks
  * - redisplay
  * - changedrendervalues
  * - startcmdextension extension rest-of-command
@@ -2128,6 +2257,37 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         }
                         break;
 
+                    case "seed":
+                        if (saveundo) changes.AddUndo(undostart, attribs[attrib]);
+                        num = rest - 0;
+                        if (rest !== "" && isFinite(num)) {
+                            attribs.seed = String(Math.floor(num)); // random functions repeat the same values
+                        } else { // blank means not seeded
+                            delete attribs.seed;
+                        }
+                        attribs.needsrecalc = "yes";
+                        break;
+
+                    case "refstyle":
+                        if (saveundo) changes.AddUndo(undostart, attribs[attrib]);
+                        if (rest.toLowerCase() === "r1c1") {
+                            attribs.refstyle = "r1c1"; // formulas are shown in R1C1 style but still stored in A1 style
+                        } else { // all other values mean A1
+                            delete attribs.refstyle;
+                        }
+                        sheet.renderneeded = true; // cells showing formulas
+                        break;
+
+                    case "locale":
+                        if (saveundo) changes.AddUndo(undostart, attribs[attrib]);
+                        if (SocialCalc.FormulaLocales[rest]) {
+                            attribs.locale = rest; // formulas and numbers are entered and shown this way but stored canonically
+                        } else { // all other values mean canonical
+                            delete attribs.locale;
+                        }
+                        sheet.renderneeded = true;
+                        break;
+
                     default:
                         errortext = `${scc.s_escUnknownSheetCmd}${cmdstr}`;
                         break;
@@ -2183,6 +2343,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.valuetype = rest.substring(0, pos);
                             delete cell.displaystring;
                             delete cell.parseinfo;
+                            delete cell.arraysize;
                             attribs.needsrecalc = "yes";
                         }
                         else if (attrib === "text") { // set coord text type text-value
@@ -2193,6 +2354,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.valuetype = rest.substring(0, pos);
                             delete cell.displaystring;
                             delete cell.parseinfo;
+                            delete cell.arraysize;
                             attribs.needsrecalc = "yes";
                         }
                         else if (attrib === "formula") { // set coord formula formula-body-less-initial-=
@@ -2203,6 +2365,26 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.formula = rest;
                             delete cell.displaystring;
                             delete cell.parseinfo;
+                            delete cell.arraysize; // entered as an ordinary formula
+                            attribs.needsrecalc = "yes";
+                        }
+                        else if (attrib === "arrayformula") { // set range arrayformula formula-body-less-initial-=
+                            if (row === cr1.row && col === cr1.col) { // formula goes in upper left and fills the range
+                                cell.datavalue = 0; // until recalc
+                                cell.datatype = "f";
+                                cell.valuetype = "e#N/A"; // until recalc
+                                cell.formula = rest;
+                                cell.arraysize = `${cr2.row - cr1.row + 1}x${cr2.col - cr1.col + 1}`;
+                            } else { // the rest of the range is replaced by the results
+                                cell.datavalue = "";
+                                cell.datatype = null;
+                                cell.formula = "";
+                                cell.valuetype = "b";
+                                delete cell.arraysize;
+                            }
+                            delete cell.errors;
+                            delete cell.displaystring;
+                            delete cell.parseinfo;
                             attribs.needsrecalc = "yes";
                         }
                         else if (attrib === "constant") { // set coord constant type numeric-value source-text
@@ -2219,6 +2401,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.formula = rest.substring(pos + pos2 + 2);
                             delete cell.displaystring;
                             delete cell.parseinfo;
+                            delete cell.arraysize;
                             attribs.needsrecalc = "yes";
                         }
                         else if (attrib === "empty") { // erase value
@@ -2229,6 +2412,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.valuetype = "b";
                             delete cell.displaystring;
                             delete cell.parseinfo;
+                            delete cell.arraysize;
                             attribs.needsrecalc = "yes";
                         }
                         else if (attrib === "all") { // set coord all :this:val1:that:val2...
@@ -2279,6 +2463,9 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         }
                     }
                 }
+                if (/^(value|text|formula|arrayformula|constant|empty|all)$/.test(attrib)) {
+                    SocialCalc.DependencyGraphCellsChanged(sheet, cr1, cr2);
+                }
             }
             break;
 
@@ -2342,6 +2529,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         delete cell.errors;
                         delete cell.displaystring;
                         delete cell.parseinfo;
+                        delete cell.arraysize;
                         if (cell.comment) { // comments are considered content for erasing
                             delete cell.comment;
                         }
@@ -2355,10 +2543,22 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         if (cell.comment) {
                             newcell.comment = cell.comment;
                         }
+                        if (cell.spillrange) {
+                            newcell.spillrange = cell.spillrange;
+                        }
+                        if (cell.spillfrom) {
+                            newcell.spillfrom = cell.spillfrom;
+                        }
+                        if (cell.arraysize) {
+                            newcell.arraysize = cell.arraysize;
+                        }
                         sheet.cells[cr] = newcell; // replace
                     }
                 }
             }
+            if (rest !== "formats") {
+                SocialCalc.DependencyGraphCellsChanged(sheet, cr1, cr2);
+            }
             attribs.needsrecalc = "yes";
             break;
 
@@ -2418,10 +2618,16 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         }
                         delete cell.parseinfo;
                         cell.errors = basecell.errors;
+                        if (basecell.spillfrom && !basecell.datatype) { // fill with the spilled value
+                            SocialCalc.SpilledCellToValue(cell, false);
+                        }
                     }
                     delete cell.displaystring;
                 }
             }
+            if (rest !== "formats") {
+                SocialCalc.DependencyGraphCellsChanged(sheet, { row: rowstart, col: colstart }, cr2);
+            }
 
             attribs.needsrecalc = "yes";
             break;
@@ -2499,6 +2705,10 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         }
                         delete cell.parseinfo;
                         cell.errors = basecell.errors;
+                        if (basecell.spillfrom && !basecell.datatype) { // pasted formula will spill again, otherwise paste value
+                            SocialCalc.SpilledCellToValue(cell,
+                                !!(clipsheet.cells[basecell.spillfrom] && clipsheet.cells[basecell.spillfrom].datatype === "f"));
+                        }
                         if (basecell.comment) { // comments are pasted as part of content, though not filled, etc.
                             cell.comment = basecell.comment;
                         } else if (cell.comment) {
@@ -2508,11 +2718,16 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                     delete cell.displaystring;
                 }
             }
+            if (rest !== "formats") {
+                SocialCalc.DependencyGraphCellsChanged(sheet, cr1,
+                    { row: cr1.row + numrows - 1, col: cr1.col + numcols - 1 });
+            }
 
             attribs.needsrecalc = "yes";
             break;
 
         case "sort": // sort cr1:cr2 col1 up/down col2 up/down col3 up/down
+            sheet.dependencies = null; // cells move, so the next recalc does all of them and makes it again
             sheet.renderneeded = true;
             sheet.changedrendervalues = true;
             if (saveundo) changes.AddUndo("changedrendervalues"); // to take care of undone pasted spans
@@ -2651,6 +2866,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
             break;
         case "insertcol":
         case "insertrow":
+            sheet.dependencies = null; // formulas are adjusted
             sheet.renderneeded = true;
             sheet.changedrendervalues = true;
             what = cmd.NextToken();
@@ -2771,6 +2987,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
 
         case "deletecol":
         case "deleterow":
+            sheet.dependencies = null; // same as insert
             sheet.renderneeded = true;
             sheet.changedrendervalues = true;
             what = cmd.NextToken();
@@ -2916,6 +3133,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
 
         case "movepaste":
         case "moveinsert":
+            sheet.dependencies = null; // cells and references move
             let movingcells, dest, destcr, inserthoriz, insertvert, pushamount, movedto;
 
             sheet.renderneeded = true;
@@ -3045,6 +3263,9 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.formula = basecell.formula;
                             delete cell.parseinfo;
                             cell.errors = basecell.errors;
+                            if (basecell.spillfrom && !basecell.datatype) { // formula will spill again
+                                SocialCalc.SpilledCellToValue(cell, true);
+                            }
                         }
                         delete cell.displaystring;
 
@@ -3084,6 +3305,9 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                             cell.formula = basecell.formula;
                             delete cell.parseinfo;
                             cell.errors = basecell.errors;
+                            if (basecell.spillfrom && !basecell.datatype) { // formula will spill again
+                                SocialCalc.SpilledCellToValue(cell, true);
+                            }
                         }
                         delete cell.displaystring;
 
@@ -3131,6 +3355,9 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
                         cell.formula = basecell.formula;
                         delete cell.parseinfo;
                         cell.errors = basecell.errors;
+                        if (basecell.spillfrom && !basecell.datatype) { // moved formula will spill again, otherwise move value
+                            SocialCalc.SpilledCellToValue(cell, !!movingcells[basecell.spillfrom]);
+                        }
                         if (basecell.comment) { // comments are pasted as part of content, though not filled, etc.
                             cell.comment = basecell.comment;
                         } else if (cell.comment) {
@@ -3183,6 +3410,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
             break;
 
         case "name":
+            sheet.dependencies = null; // formulas using the name may now refer to other cells
             what = cmd.NextToken();
             name = cmd.NextToken();
             rest = cmd.RestOfString();
@@ -3217,6 +3445,18 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
         case "recalc":
             attribs.needsrecalc = "yes"; // request recalc
             sheet.recalconce = true; // even if turned off
+            sheet.dependencies = null; // of everything
+            SocialCalc.Formula.ExpireAsyncResults(true); // including fresh values from custom functions
+            break;
+
+        case "updatelinks": // load other workbooks' sheets again on the next recalc
+            SocialCalc.UpdateExternalLinkValues(sheet); // values to keep if they can't be loaded
+            for (name in sheet.externallinks) {
+                sheet.externallinks[name].update = true;
+                delete SocialCalc.Formula.SheetCache.sheets[name];
+            }
+            attribs.needsrecalc = "yes";
+            sheet.recalconce = true;
             break;
 
         case "redisplay":
@@ -3228,6 +3468,7 @@ SocialCalc.ExecuteSheetCommand = function (sheet, cmd, saveundo) {
             break;
 
         case "startcmdextension": // startcmdextension extension rest-of-command
+            sheet.dependencies = null; // may change any cells
             name = cmd.NextToken();
             cmdextension = SocialCalc.SheetCommandInfo.CmdExtensionCallbacks[name];
             if (cmdextension) {
@@ -3393,7 +3634,7 @@ SocialCalc.GetStyleString = function (sheet, atype, num) {
  * // Returns: "$A$1+D3"
  */
 SocialCalc.OffsetFormulaCoords = function (formula, coloffset, rowoffset) {
-    let parseinfo, ttext, ttype, i, cr, newcr;
+    let parseinfo, ttext, ttype, i, cr, newcr, spill, wholecol, wholerow;
     let updatedformula = "";
 
     const scf = SocialCalc.Formula;
@@ -3415,26 +3656,36 @@ SocialCalc.OffsetFormulaCoords = function (formula, coloffset, rowoffset) {
 
         if (ttype === token_coord) {
             newcr = "";
+            spill = ttext.charAt(ttext.length - 1) === "#" ? "#" : ""; // keep A1# form
+            if (spill) ttext = ttext.slice(0, -1);
             cr = SocialCalc.coordToCr(ttext);
+            wholecol = !cr.row; // part of A:A, which has no row
+            wholerow = !cr.col; // part of 3:3, which has no column
 
             // Add col offset unless absolute column
-            if (ttext.charAt(0) !== "$") {
-                cr.col += coloffset;
-            } else {
-                newcr += "$";
+            if (!wholerow) {
+                if (ttext.charAt(0) !== "$") {
+                    cr.col += coloffset;
+                } else {
+                    newcr += "$";
+                }
+                newcr += SocialCalc.rcColname(cr.col);
             }
-            newcr += SocialCalc.rcColname(cr.col);
 
             // Add row offset unless absolute row
-            if (ttext.indexOf("$", 1) === -1) {
-                cr.row += rowoffset;
-            } else {
-                newcr += "$";
+            if (!wholecol) {
+                if (ttext.indexOf("$", wholerow ? 0 : 1) === -1) {
+                    cr.row += rowoffset;
+                } else {
+                    newcr += "$";
+                }
+                newcr += cr.row;
             }
-            newcr += cr.row;
 
-            if (cr.row < 1 || cr.col < 1) {
+            if ((!wholecol && cr.row < 1) || (!wholerow && cr.col < 1)) {
                 newcr = "#REF!";
+            } else {
+                newcr += spill;
             }
             updatedformula += newcr;
         }
@@ -3456,6 +3707,393 @@ SocialCalc.OffsetFormulaCoords = function (formula, coloffset, rowoffset) {
     return updatedformula;
 };
 
+/**
+ * @function SocialCalc.ConvertFormulaToR1C1
+ * @description Returns the formula with its cell references in R1C1 style
+ * @param {string} formula - The formula, without the initial "="
+ * @param {string} coord - The cell the formula is in, which relative references are relative to
+ * @returns {string} The formula using R2C3 for absolute and R[-1]C[2] for relative references
+ * 
+ * @description Mixed references convert part by part, e.g., B$1 in C3 is R1C[-1].
+ * Whole columns and rows are C2, C[-1], or C for the formula's own column (R2, etc., for rows),
+ * with a range such as C[-1]:C only when it is more than one. These are also A1 style coords,
+ * so the text must be converted back with ConvertFormulaFromR1C1's r1c1text set.
+ * 
+ * @example
+ * SocialCalc.ConvertFormulaToR1C1("SUM(A1:A2)*$B$1+SUM(A:A)", "C3");
+ * // Returns: "SUM(R[-2]C[-2]:R[-1]C[-2])*R1C2+SUM(C[-2])"
+ */
+SocialCalc.ConvertFormulaToR1C1 = function (formula, coord) {
+    let parseinfo, ttext, ttype, i, cr, spill, offset, part1, part2;
+    let updatedformula = "";
+
+    /**
+     * @description Converts the column of a whole column reference or the row of a whole row reference
+     * @param {string} text - The coord token, e.g., "$A" or "3"
+     * @returns {string} E.g., "C1", "R[2]", or "C"
+     */
+    const wholepart = (text) => {
+        const wcr = SocialCalc.coordToCr(text);
+        const letter = wcr.row ? "R" : "C";
+        const num = wcr.row || wcr.col;
+        const basenum = wcr.row ? base.row : base.col;
+        if (text.charAt(0) === "$") return letter + num;
+        return num !== basenum ? `${letter}[${num - basenum}]` : letter;
+    };
+
+    const scf = SocialCalc.Formula;
+    if (!scf) {
+        return "Need SocialCalc.Formula";
+    }
+
+    const tokentype = scf.TokenType;
+    const tokenOpExpansion = scf.TokenOpExpansion;
+    const base = SocialCalc.coordToCr(coord);
+
+    parseinfo = scf.ParseFormulaIntoTokens(formula);
+
+    for (i = 0; i < parseinfo.length; i++) {
+        ttype = parseinfo[i].type;
+        ttext = parseinfo[i].text;
+
+        if (ttype === tokentype.coord) {
+            spill = ttext.charAt(ttext.length - 1) === "#" ? "#" : ""; // keep A1# form
+            if (spill) ttext = ttext.slice(0, -1);
+            cr = SocialCalc.coordToCr(ttext);
+
+            if (!cr.row || !cr.col) { // whole column or row range
+                part1 = wholepart(ttext);
+                part2 = part1;
+                if (i + 2 < parseinfo.length && parseinfo[i + 1].text === ":" && parseinfo[i + 2].type === tokentype.coord) {
+                    part2 = wholepart(parseinfo[i + 2].text);
+                    i += 2;
+                }
+                updatedformula += part1 === part2 ? part1 : `${part1}:${part2}`;
+                continue;
+            }
+
+            if (ttext.indexOf("$", 1) !== -1) { // absolute row
+                updatedformula += `R${cr.row}`;
+            } else {
+                offset = cr.row - base.row;
+                updatedformula += offset ? `R[${offset}]` : "R";
+            }
+            if (ttext.charAt(0) === "$") { // absolute column
+                updatedformula += `C${cr.col}`;
+            } else {
+                offset = cr.col - base.col;
+                updatedformula += offset ? `C[${offset}]` : "C";
+            }
+            updatedformula += spill;
+        }
+        else if (ttype === tokentype.string) {
+            updatedformula += `"${ttext.replace(/"/g, '""')}"`;
+        }
+        else if (ttype === tokentype.op) {
+            updatedformula += tokenOpExpansion[ttext] || ttext; // make sure short tokens (e.g., "G") go back full (">=")
+        }
+        else { // leave everything else alone
+            updatedformula += ttext;
+        }
+    }
+
+    return updatedformula;
+};
+
+/**
+ * @function SocialCalc.ConvertFormulaFromR1C1
+ * @description Returns the formula with any R1C1 style references changed to A1 style
+ * @param {string} formula - The formula, without the initial "="
+ * @param {string} coord - The cell the formula is in, which relative references are relative to
+ * @param {boolean} [r1c1text] - True if the formula was typed or shown in R1C1 style, so C2, C, R2, R,
+ *   and ranges of them are whole columns and rows rather than A1 coords and names
+ * @param {Object} [sheet] - The sheet the formula is for, whose defined names are left alone
+ * @returns {string} The formula with only A1 style references
+ * 
+ * @description R2C3 is absolute ($C$2), R[-1]C[2] is relative, and a missing number (RC[1], R1C)
+ * means the formula's own row or column. References may be mixed with A1 style ones. Text in quotes
+ * is left alone, and so is anything that is also an A1 coord (RC1 is column RC, row 1; use R[0]C1
+ * for column 1 of the same row). References off the sheet become #REF!.
+ * Whole columns and rows (C[-1], R2:R[3], etc.) are converted to A:A style too, but unless r1c1text
+ * is set only those with a relative part, since C2 or R:R may be A1 style.
+ * Names given to LET and LAMBDA parameters, such as rc in LET(rc,5,rc*2), and the sheet's defined
+ * names are not references.
+ * 
+ * @example
+ * SocialCalc.ConvertFormulaFromR1C1("SUM(R[-2]C:R[-1]C)*R1C2", "C3");
+ * // Returns: "SUM(C1:C2)*$B$1"
+ * SocialCalc.ConvertFormulaFromR1C1("SUM(C[-2])+SUM(R1:R)", "C3", true);
+ * // Returns: "SUM(A:A)+SUM($1:3)"
+ */
+SocialCalc.ConvertFormulaFromR1C1 = function (formula, coord, r1c1text, sheet) {
+    let scan, frame, arg;
+
+    if (!(r1c1text ? /[RC]/i : /R(\[|\d|C)|C\[/i).test(formula)) return formula; // nothing that could be R1C1
+
+    const base = SocialCalc.coordToCr(coord);
+    const names = {}; // upper case names that are not references
+    const frames = []; // {fname, argnum, start} for each open function call or parenthesis
+    const scanner = /"(?:[^"]|"")*"|'(?:[^']|'')*'|([A-Za-z_][A-Za-z0-9_.]*)\s*\(|[({,)}]/g;
+
+    while ((scan = scanner.exec(formula))) { // find the LET and LAMBDA parameter names
+        const ch = scan[0].charAt(0);
+        if (scan[1] !== undefined || ch === "(" || ch === "{") {
+            frames.push({fname: (scan[1] || "").toUpperCase(), argnum: 0, start: scanner.lastIndex});
+        } else if ((ch === "," || ch === ")" || ch === "}") && frames.length) {
+            frame = frames[frames.length - 1];
+            arg = formula.substring(frame.start, scan.index).trim();
+            if (ch === "," && (frame.fname === "LAMBDA" || (frame.fname === "LET" && frame.argnum % 2 === 0)) &&
+                    /^[A-Z_][A-Z0-9_.]*$/i.test(arg)) { // not the last argument, which is the calculation
+                names[arg.toUpperCase()] = true;
+            }
+            if (ch === ",") {
+                frame.argnum++;
+                frame.start = scanner.lastIndex;
+            } else {
+                frames.pop();
+            }
+        }
+    }
+
+    /**
+     * @description Returns true if the text is a LET or LAMBDA parameter or a defined name
+     * @param {string} text - The text of a possible reference
+     * @returns {boolean}
+     */
+    const isname = (text) => !!(names[text.toUpperCase()] || (sheet && sheet.names && sheet.names[text.toUpperCase()]));
+
+    /**
+     * @description Converts the row or column part of a reference
+     * @param {string} part - "" (same), "[n]" (relative), or "n" (absolute)
+     * @param {number} basenum - The formula's row or column
+     * @returns {Object} {num, abs}
+     */
+    const convertpart = (part, basenum) => {
+        if (part.charAt(0) === "[") {
+            return {num: basenum + (part.slice(1, -1) - 0), abs: ""};
+        }
+        return part ? {num: part - 0, abs: "$"} : {num: basenum, abs: ""};
+    };
+
+    const part = "(\\[[+-]?\\d+\\]|\\d*)";
+    const refs = new RegExp(`("(?:[^"]|"")*"|'(?:[^']|'')*')|(^|[^A-Za-z0-9_.$\\]])` +
+        `(?:(R${part}C${part})|C${part}(?::C${part})?|R${part}(?::R${part})?)(?![A-Za-z0-9_.(!\\[])`, "gi");
+
+    return formula.replace(refs,
+        (match, quoted, before, ref, rowpart, colpart, col1, col2, row1, row2, offset, str) => {
+            if (quoted) return match; // text or sheet name
+            if (isname(match.substring(before.length).split(":")[0])) return match;
+            if (ref !== undefined) { // a cell
+                if (/^[A-Z]{1,2}\d+$/i.test(ref)) return match; // A1 coord
+                const row = convertpart(rowpart, base.row);
+                const col = convertpart(colpart, base.col);
+                if (row.num < 1 || col.num < 1 || col.num > 702) {
+                    return `${before}#REF!`;
+                }
+                return `${before}${col.abs}${SocialCalc.rcColname(col.num)}${row.abs}${row.num}`;
+            }
+
+            // A whole column or row
+            if (before === ":" || str.charAt(offset + match.length) === ":") return match; // end of some other range
+            if (!r1c1text && match.indexOf("[") === -1) return match; // may be A1 style
+            if (col1 !== undefined) {
+                const first = convertpart(col1, base.col);
+                const last = col2 !== undefined ? convertpart(col2, base.col) : first;
+                if (first.num < 1 || last.num < 1 || first.num > 702 || last.num > 702) {
+                    return `${before}#REF!`;
+                }
+                return `${before}${first.abs}${SocialCalc.rcColname(first.num)}:${last.abs}${SocialCalc.rcColname(last.num)}`;
+            }
+            const first = convertpart(row1, base.row);
+            const last = row2 !== undefined ? convertpart(row2, base.row) : first;
+            if (first.num < 1 || last.num < 1) {
+                return `${before}#REF!`;
+            }
+            return `${before}${first.abs}${first.num}:${last.abs}${last.num}`;
+        });
+};
+
+/**
+ * @constant {Object<string, Object>} SocialCalc.FormulaLocales
+ * @description Ways of typing formulas and numbers other than the canonical one they are stored in
+ * 
+ * Each locale, named by the sheet's locale attribute, has:
+ *   argsep - Separates function arguments (canonical ",")
+ *   decimalchar - Decimal point in numbers (canonical ".")
+ *   separatorchar - Thousands separator when typing numbers into cells (canonical ",")
+ *   arraycolsep - Separates columns in array constants (canonical ","); rows are always ";"
+ *   functions - Localized function names, each giving the canonical name
+ */
+SocialCalc.FormulaLocales = {
+    de: {
+        argsep: ";", decimalchar: ",", separatorchar: ".", arraycolsep: "\\",
+        functions: {
+            ABRUNDEN: "ROUNDDOWN", ANZAHL: "COUNT", ANZAHL2: "COUNTA", AUFRUNDEN: "ROUNDUP", DATUM: "DATE",
+            GANZZAHL: "INT", HEUTE: "TODAY", JAHR: "YEAR", JETZT: "NOW", LINKS: "LEFT", MITTELWERT: "AVERAGE",
+            MONAT: "MONTH", NICHT: "NOT", ODER: "OR", POTENZ: "POWER", RECHTS: "RIGHT", REST: "MOD",
+            RUNDEN: "ROUND", SUMME: "SUM", SUMMEWENN: "SUMIF", SVERWEIS: "VLOOKUP", TAG: "DAY", TEIL: "MID",
+            UND: "AND", VERGLEICH: "MATCH", VERKETTEN: "CONCATENATE", WENN: "IF", WENNFEHLER: "IFERROR",
+            WURZEL: "SQRT", WVERWEIS: "HLOOKUP"
+        }
+    },
+    fr: {
+        argsep: ";", decimalchar: ",", separatorchar: " ", arraycolsep: "\\",
+        functions: {
+            ANNEE: "YEAR", ARRONDI: "ROUND", AUJOURDHUI: "TODAY", CONCATENER: "CONCATENATE", DROITE: "RIGHT",
+            ENT: "INT", EQUIV: "MATCH", ET: "AND", GAUCHE: "LEFT", JOUR: "DAY", MAINTENANT: "NOW", MOIS: "MONTH",
+            MOYENNE: "AVERAGE", NB: "COUNT", "NB.SI": "COUNTIF", NBCAR: "LEN", NBVAL: "COUNTA", NON: "NOT", OU: "OR",
+            PUISSANCE: "POWER", RACINE: "SQRT", RECHERCHEH: "HLOOKUP", RECHERCHEV: "VLOOKUP", SI: "IF",
+            SIERREUR: "IFERROR", SOMME: "SUM", "SOMME.SI": "SUMIF", STXT: "MID"
+        }
+    }
+};
+
+/**
+ * @constant {Object} SocialCalc.CanonicalFormulaLocale
+ * @description The separators formulas are stored with, in the same form as a SocialCalc.FormulaLocales entry
+ */
+SocialCalc.CanonicalFormulaLocale = {argsep: ",", decimalchar: ".", separatorchar: ",", arraycolsep: ",", functions: null};
+
+/**
+ * @function SocialCalc.ConvertFormulaSeparators
+ * @description Changes the argument separators, decimal points, array column separators,
+ * and optionally function names in a formula from one locale's to another's
+ * @param {string} formula - The formula, without the initial "="
+ * @param {Object} from - Locale the formula is in (a SocialCalc.FormulaLocales entry or SocialCalc.CanonicalFormulaLocale)
+ * @param {Object} to - Locale to change it to
+ * @param {Object|null} functions - Function names to change, each giving the new name, or null to leave them
+ * @returns {string} The formula in the new locale
+ * 
+ * @description The formula is scanned as typed, so spacing and case are kept. Text in double quotes
+ * and sheet names in single quotes are left alone, and so are names with a "." such as NETWORKDAYS.INTL.
+ * A function name is only changed when it is followed by "(".
+ */
+SocialCalc.ConvertFormulaSeparators = function (formula, from, to, functions) {
+    let i, ch, match, name;
+    let result = "";
+    let inbrace = false;
+
+    for (i = 0; i < formula.length; i++) {
+        ch = formula.charAt(i);
+        if (ch === '"' || ch === "'") { // copy quoted text unchanged
+            match = (ch === '"' ? /^"(?:[^"]|"")*"?/ : /^'(?:[^']|'')*'?/).exec(formula.substring(i));
+            result += match[0];
+            i += match[0].length - 1;
+        } else if ((match = /^[A-Za-z_$][\w.$]*/.exec(formula.substring(i)))) { // name, coord, or function
+            name = match[0];
+            i += name.length - 1;
+            if (functions && /^\s*\(/.test(formula.substring(i + 1)) && functions[name.toUpperCase()]) {
+                name = functions[name.toUpperCase()];
+            }
+            result += name;
+        } else if ((match = /^\d*/.exec(formula.substring(i)))[0] ||
+                   (ch === from.decimalchar && /\d/.test(formula.charAt(i + 1)))) { // number
+            result += match[0];
+            i += match[0].length;
+            if (formula.charAt(i) === from.decimalchar && /\d/.test(formula.charAt(i + 1))) {
+                match = /^\d*/.exec(formula.substring(i + 1));
+                result += to.decimalchar + match[0];
+                i += match[0].length + 1;
+            }
+            if ((match = /^[eE][-+]?\d+/.exec(formula.substring(i)))) {
+                result += match[0];
+                i += match[0].length;
+            }
+            i--;
+        } else if (ch === "{" || ch === "}") {
+            inbrace = ch === "{";
+            result += ch;
+        } else if (inbrace && ch === from.arraycolsep) {
+            result += to.arraycolsep;
+        } else if (!inbrace && ch === from.argsep) {
+            result += to.argsep;
+        } else {
+            result += ch;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * @function SocialCalc.ConvertFormulaToLocale
+ * @description Returns a stored formula the way it is typed in a locale
+ * @param {string} formula - The formula, without the initial "="
+ * @param {Object} locale - A SocialCalc.FormulaLocales entry
+ * @returns {string} The formula with the locale's separators and function names
+ * 
+ * @example
+ * SocialCalc.ConvertFormulaToLocale("IF(A1>1.5,SUM(B1:B3),{1,2;3,4})", SocialCalc.FormulaLocales.de);
+ * // Returns: "WENN(A1>1,5;SUMME(B1:B3);{1\\2;3\\4})"
+ */
+SocialCalc.ConvertFormulaToLocale = function (formula, locale) {
+    let name;
+
+    if (!locale.canonicalfunctions) { // reverse the table the first time
+        locale.canonicalfunctions = {};
+        for (name in locale.functions) {
+            locale.canonicalfunctions[locale.functions[name]] = name;
+        }
+    }
+
+    return SocialCalc.ConvertFormulaSeparators(formula, SocialCalc.CanonicalFormulaLocale, locale, locale.canonicalfunctions);
+};
+
+/**
+ * @function SocialCalc.ConvertFormulaFromLocale
+ * @description Returns a formula typed in a locale the way it is stored
+ * @param {string} formula - The formula, without the initial "="
+ * @param {Object} locale - A SocialCalc.FormulaLocales entry
+ * @param {boolean} [keepnames] - If true, leave function names alone so the result is the same length
+ * @returns {string} The formula with canonical separators and function names
+ * 
+ * @example
+ * SocialCalc.ConvertFormulaFromLocale("SUMME(A1;1,5)", SocialCalc.FormulaLocales.de);
+ * // Returns: "SUM(A1,1.5)"
+ */
+SocialCalc.ConvertFormulaFromLocale = function (formula, locale, keepnames) {
+    return SocialCalc.ConvertFormulaSeparators(formula, locale, SocialCalc.CanonicalFormulaLocale,
+        keepnames ? null : locale.functions);
+};
+
+/**
+ * @function SocialCalc.ConvertValueToLocale
+ * @description Returns a stored value or constant, such as "1234.5" or "$1,234.50", the way it is typed in a locale
+ * @param {string} text - The value as stored
+ * @param {Object} locale - A SocialCalc.FormulaLocales entry
+ * @returns {string} The text with the locale's decimal point and thousands separator between digits
+ */
+SocialCalc.ConvertValueToLocale = function (text, locale) {
+    return text.replace(/(\d)([.,])(?=\d)/g, (match, digit, ch) =>
+        digit + (ch === "." ? locale.decimalchar : locale.separatorchar));
+};
+
+/**
+ * @function SocialCalc.ConvertValueFromLocale
+ * @description Returns a number typed in a locale, such as "1.234,5" or "-12,5%", the way it is stored
+ * @param {string} text - The text as typed
+ * @param {Object} locale - A SocialCalc.FormulaLocales entry
+ * @returns {string} The text with a canonical decimal point and no thousands separators,
+ * or unchanged if it is not a number in that locale
+ * 
+ * @example
+ * SocialCalc.ConvertValueFromLocale("1.234,5", SocialCalc.FormulaLocales.de); // Returns: "1234.5"
+ */
+SocialCalc.ConvertValueFromLocale = function (text, locale) {
+    const esc = (ch) => ch.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&");
+    const sep = esc(locale.separatorchar);
+    const dec = esc(locale.decimalchar);
+
+    const matches = new RegExp(`^(\\s*[-+]?\\$?\\s*[-+]?)(\\d{1,3}(?:${sep}\\d{3})+|\\d*)(?:${dec}(\\d*))?` +
+        "((?:[eE][-+]?\\d+)?\\s*%?\\s*)$").exec(text);
+    if (!matches || !/\d/.test(matches[2] + (matches[3] || ""))) {
+        return text;
+    }
+
+    return matches[1] + matches[2].split(locale.separatorchar).join("") +
+        (matches[3] !== undefined ? `.${matches[3]}` : "") + matches[4];
+};
+
 /**
  * @function SocialCalc.AdjustFormulaCoords
  * @description Changes all cell references to cells starting with col/row by offsets
@@ -3475,7 +4113,7 @@ SocialCalc.OffsetFormulaCoords = function (formula, coloffset, rowoffset) {
  * // A1 unchanged, D1 becomes F1, E1 becomes G1
  */
 SocialCalc.AdjustFormulaCoords = function (formula, col, coloffset, row, rowoffset) {
-    let ttype, ttext, i, newcr, parseinfo;
+    let ttype, ttext, i, newcr, parseinfo, spill, wholecol, wholerow;
     let updatedformula = "";
     let sheetref = false;
 
@@ -3506,7 +4144,11 @@ SocialCalc.AdjustFormulaCoords = function (formula, col, coloffset, row, rowoffs
         }
 
         if (ttype === token_coord) {
+            spill = ttext.charAt(ttext.length - 1) === "#" ? "#" : ""; // keep A1# form
+            if (spill) ttext = ttext.slice(0, -1);
             const cr = SocialCalc.coordToCr(ttext);
+            wholecol = !cr.row; // part of A:A, which is not changed by row inserts and deletes
+            wholerow = !cr.col; // part of 3:3
 
             // Check if references to deleted cells become invalid
             if ((coloffset < 0 && cr.col >= col && cr.col < col - coloffset) ||
@@ -3514,32 +4156,40 @@ SocialCalc.AdjustFormulaCoords = function (formula, col, coloffset, row, rowoffs
                 if (!sheetref) {
                     cr.col = 0;
                     cr.row = 0;
+                    wholecol = wholerow = false;
                 }
             }
 
             if (!sheetref) {
-                if (cr.col >= col) {
+                if (cr.col >= col && !wholerow) {
                     cr.col += coloffset;
                 }
-                if (cr.row >= row) {
+                if (cr.row >= row && !wholecol) {
                     cr.row += rowoffset;
                 }
             }
 
-            if (ttext.charAt(0) === "$") {
-                newcr = `$${SocialCalc.rcColname(cr.col)}`;
-            } else {
-                newcr = SocialCalc.rcColname(cr.col);
+            newcr = "";
+            if (!wholerow) {
+                if (ttext.charAt(0) === "$") {
+                    newcr = `$${SocialCalc.rcColname(cr.col)}`;
+                } else {
+                    newcr = SocialCalc.rcColname(cr.col);
+                }
             }
 
-            if (ttext.indexOf("$", 1) !== -1) {
-                newcr += `$${cr.row}`;
-            } else {
-                newcr += cr.row;
+            if (!wholecol) {
+                if (ttext.indexOf("$", wholerow ? 0 : 1) !== -1) {
+                    newcr += `$${cr.row}`;
+                } else {
+                    newcr += cr.row;
+                }
             }
 
-            if (cr.row < 1 || cr.col < 1) {
+            if ((!wholecol && cr.row < 1) || (!wholerow && cr.col < 1)) {
                 newcr = "#REF!";
+            } else {
+                newcr += spill;
             }
             ttext = newcr;
         }
@@ -3573,7 +4223,7 @@ SocialCalc.AdjustFormulaCoords = function (formula, col, coloffset, row, rowoffs
  * // Returns: "C1+D1+A2" (A2 unchanged as it's not in moveMap)
  */
 SocialCalc.ReplaceFormulaCoords = function (formula, movedto) {
-    let ttype, ttext, i, newcr, coord, parseinfo;
+    let ttype, ttext, i, newcr, coord, parseinfo, spill;
     let updatedformula = "";
     let sheetref = false;
 
@@ -3607,10 +4257,12 @@ SocialCalc.ReplaceFormulaCoords = function (formula, movedto) {
         }
 
         if (ttype === token_coord) {
+            spill = ttext.charAt(ttext.length - 1) === "#" ? "#" : ""; // keep A1# form
+            if (spill) ttext = ttext.slice(0, -1);
             const cr = SocialCalc.coordToCr(ttext); // get parts
             coord = SocialCalc.crToCoord(cr.col, cr.row); // get "clean" reference
 
-            if (movedto[coord] && !sheetref) { // this is a reference to a moved cell
+            if (movedto[coord] && !sheetref && cr.col && cr.row) { // this is a reference to a moved cell (not A:A or 3:3)
                 const newcr_obj = SocialCalc.coordToCr(movedto[coord]); // get new row and col
 
                 if (ttext.charAt(0) === "$") { // copy absolute ref marks if present
@@ -3626,6 +4278,7 @@ SocialCalc.ReplaceFormulaCoords = function (formula, movedto) {
                 }
                 ttext = newcr;
             }
+            ttext += spill;
         }
         else if (ttype === token_string) {
             if (ttext.indexOf('"') >= 0) { // quotes to double
@@ -3664,6 +4317,10 @@ SocialCalc.ReplaceFormulaCoords = function (formula, movedto) {
  * @property {number} timeslicedelay - Milliseconds to wait between recalc time slices
  * @property {Date} starttime - When recalc started
  * @property {Function} LoadSheet - Function that returns true if started a load
+ * @property {Array<SocialCalc.Sheet>} asyncsheets - Sheets to recalc because custom function Promises settled
+ * @property {number|null} asynctimer - Timer ID for recalcing asyncsheets
+ * @property {number} asyncdelay - Milliseconds to wait before recalcing asyncsheets, or between tries if busy
+ * @property {number} loadtimeout - Milliseconds to wait for SocialCalc.Callbacks.LoadExternalSheet before using saved link values
  */
 SocialCalc.RecalcInfo = {
     sheet: null, // which sheet is being recalced
@@ -3679,6 +4336,12 @@ SocialCalc.RecalcInfo = {
     maxtimeslice: 100, // maximum milliseconds per slice of recalc time before a wait
     timeslicedelay: 1, // milliseconds to wait between recalc time slices
     starttime: 0, // when recalc started
+    extrapasses: 0, // number of extra passes done after spill ranges or computed references changed
+    maxextrapasses: 3, // most extra passes to do (computed references may keep changing)
+    asyncsheets: [], // sheets waiting to recalc with new custom function results
+    asynctimer: null, // value to cancel timer
+    asyncdelay: 50, // milliseconds, so results that settle together are done in one recalc
+    loadtimeout: 30000, // milliseconds to wait for another workbook's sheet to load
 
     /**
      * @description Function that returns true if started a load or false if not
@@ -3703,6 +4366,12 @@ SocialCalc.RecalcInfo = {
  * @property {string|null} nextcalc - Used during background recalc to make it restartable
  * @property {number} count - Number calculated
  * @property {Object} checkinfo - Attributes are coords for tracking calc order
+ * @property {boolean} spillchanged - If true, an array formula spilled into a different range
+ * @property {string|null} calccoord - Cell whose formula is being evaluated
+ * @property {Array|null} dynamicrefs - References computed by OFFSET/INDIRECT while evaluating calccoord
+ * @property {boolean} dynamicchanged - If true, a formula's computed references changed
+ * @property {number|null} randomstate - Random generator state when the sheet is seeded
+ * @property {Object|null} affected - Coords of the cells being recalculated, or null for all (see RecalcAffectedCells)
  */
 SocialCalc.RecalcData = function () { // initialize a RecalcData object
     this.inrecalc = true; // if true, doing a recalc
@@ -3723,6 +4392,16 @@ SocialCalc.RecalcData = function () { // initialize a RecalcData object
     // checkinfo is used when determining calc order:
     this.checkinfo = {}; // attributes are coords; if no attrib for a coord, it wasn't checked or doesn't need it
     // values are RecalcCheckInfo objects while checking or TRUE when complete
+
+    this.spillchanged = false; // if true, need another pass to get the order right for the new spilled cells
+
+    this.calccoord = null; // cell being evaluated, for ROW() and relative references in INDIRECT
+    this.dynamicrefs = null; // list of "A1" or "A1:B2" references computed by functions like OFFSET for calccoord
+    this.dynamicchanged = false; // if true, need another pass to order cells by their new computed references
+
+    this.randomstate = null; // generator state for RAND, etc., when the sheet has a seed; null means use Math.random
+
+    this.affected = null; // coords of the cells to recalc as attributes, or null for all of them
 };
 
 /**
@@ -3762,6 +4441,7 @@ SocialCalc.RecalcCheckInfo = function () { // initialize a RecalcCheckInfo objec
  * @function SocialCalc.RecalcSheet
  * @description Recalculates the entire sheet using background processing
  * @param {SocialCalc.Sheet} sheet - The sheet to recalculate
+ * @param {boolean} [asyncresults] - True if recalculating for custom function results that just settled
  * 
  * @description Starts the recalc process with proper state management and status callbacks.
  * Uses timeslicing to prevent blocking the UI during long recalculations.
@@ -3771,9 +4451,15 @@ SocialCalc.RecalcCheckInfo = function () { // initialize a RecalcCheckInfo objec
  * SocialCalc.RecalcSheet(mySheet);
  * // The recalc will run in the background with status updates
  */
-SocialCalc.RecalcSheet = function (sheet) {
+SocialCalc.RecalcSheet = function (sheet, asyncresults) {
     const scri = SocialCalc.RecalcInfo;
 
+    if (!asyncresults) { // fetch volatile custom function results again, but not the ones just received
+        SocialCalc.Formula.ExpireAsyncResults(false);
+    }
+    if (sheet.attribs.circularreferencecell) { // check all the cells again to see if it is still there
+        sheet.dependencies = null;
+    }
     delete sheet.attribs.circularreferencecell; // reset recalc-wide things
     SocialCalc.Formula.FreshnessInfoReset();
 
@@ -3782,6 +4468,7 @@ SocialCalc.RecalcSheet = function (sheet) {
     scri.sheet = sheet; // set values needed by background recalc
     scri.currentState = scri.state.start_calc;
     scri.starttime = new Date();
+    scri.extrapasses = 0;
 
     if (sheet.statuscallback) {
         sheet.statuscallback(scri, "calcstart", null, sheet.statuscallbackparams);
@@ -3856,36 +4543,242 @@ SocialCalc.RecalcLoadedSheet = function (sheetname, str, recalcneeded) {
 };
 
 /**
- * @function SocialCalc.RecalcTimerRoutine
- * @description Handles the actual order determination and cell-by-cell recalculation in the background
- * @description Uses timeslicing to prevent blocking the UI during long recalculations
- * 
- * @returns {string|undefined} Error message if SocialCalc.Formula is not available
- * 
- * @description This function manages the recalc state machine:
- * - start_calc: Initialize recalc data and cell list
- * - order: Determine calculation order by checking dependencies
- * - calc: Execute calculations on cells in proper order
- * - start_wait/done_wait: Handle loading external sheets or server functions
+ * @function SocialCalc.ExternalSheetName
+ * @description Splits the name of a sheet in another workbook, such as "[budget.wb]Summary"
+ * @param {string} sheetname - The sheet name, which may be in single quotes as typed in a formula
+ * @returns {Object|null} {workbookname, sheetname}, or null if not in another workbook
  * 
  * @example
- * // This function is called automatically by the timer system
- * // It processes recalc in chunks to avoid blocking the UI
+ * SocialCalc.ExternalSheetName("'[budget.wb]Summary'");
+ * // Returns: {workbookname: "budget.wb", sheetname: "Summary"}
  */
-SocialCalc.RecalcTimerRoutine = function () {
-    let eresult, cell, coord, err, status;
-    const starttime = new Date();
-    let count = 0;
-
-    const scf = SocialCalc.Formula;
-    if (!scf) {
-        return "Need SocialCalc.Formula";
+SocialCalc.ExternalSheetName = function (sheetname) {
+    if (sheetname.charAt(0) === "'") {
+        sheetname = sheetname.substring(1, sheetname.length - 1).replace(/''/g, "'");
     }
 
-    const scri = SocialCalc.RecalcInfo;
-    const sheet = scri.sheet;
-    if (!sheet) {
-        return;
+    const matches = /^\[([^\]]+)\](.+)$/.exec(sheetname);
+
+    return matches ? { workbookname: matches[1], sheetname: matches[2] } : null;
+};
+
+/**
+ * @function SocialCalc.LoadExternalSheet
+ * @description Loads a sheet of another workbook that the recalc loop is waiting for
+ * @param {SocialCalc.Sheet} sheet - The sheet being recalced
+ * @param {string} sheetname - Normalized name of the sheet to load, e.g., "[budget.wb]summary"
+ * @returns {boolean} True if loading (SocialCalc.RecalcLoadedSheet is or will be called), false if not another workbook
+ * 
+ * @description The values saved with the sheet are used unless there are none or an "updatelinks" command asked
+ * for new ones. Then SocialCalc.Callbacks.LoadExternalSheet is used, keeping the saved values if it can't load the sheet,
+ * fails, or takes too long, so the recalc always goes on.
+ */
+SocialCalc.LoadExternalSheet = function (sheet, sheetname) {
+    const scf = SocialCalc.Formula;
+    const link = sheet.externallinks[sheetname];
+    const name = scf.SheetCache.sheetnames[sheetname] || (link && link.name) || sheetname;
+    const external = SocialCalc.ExternalSheetName(name);
+
+    if (!external) {
+        return false;
+    }
+
+    let finished = false;
+    let timer = null;
+    let result;
+
+    const done = (str) => {
+        if (finished) return; // only once: after a timeout the loader may still call
+        finished = true;
+        if (timer) window.clearTimeout(timer);
+        if (str && typeof str === "string") {
+            if (link) link.update = false;
+            SocialCalc.RecalcLoadedSheet(sheetname, str, false);
+        } else { // not loaded: use the values saved last time, if any
+            SocialCalc.RecalcLoadedSheet(sheetname, link ? SocialCalc.CreateSheetSave(link.sheet) : "", false);
+        }
+    };
+
+    if (link && !link.update) {
+        done("");
+        return true;
+    }
+
+    try {
+        result = SocialCalc.Callbacks.LoadExternalSheet &&
+            SocialCalc.Callbacks.LoadExternalSheet(external.workbookname, external.sheetname, done);
+    } catch (e) {
+        result = false; // the loader failed
+    }
+
+    if (!result) {
+        done("");
+        return true;
+    }
+    if (typeof result.then === "function") { // a Promise of the sheet
+        result.then(done, () => done(""));
+    }
+    if (!finished) {
+        timer = window.setTimeout(() => done(""), SocialCalc.RecalcInfo.loadtimeout);
+    }
+
+    return true;
+};
+
+/**
+ * @function SocialCalc.UpdateExternalLinkValues
+ * @description Sets sheet.externallinks to the current values of the other workbooks' cells used in formulas
+ * @param {SocialCalc.Sheet} sheet - The sheet to update
+ * 
+ * @description Values come from the loaded sheet if there is one, otherwise from the values saved last time.
+ * References whose sheet has neither are dropped.
+ */
+SocialCalc.UpdateExternalLinkValues = function (sheet) {
+    let coord, cell, refs, i, external, nname, cached, source, link, bounds, cr1, cr2, row, col, sourcecell;
+    const scf = SocialCalc.Formula;
+    const links = {};
+
+    for (coord in sheet.cells) {
+        cell = sheet.cells[coord];
+        if (cell.datatype !== "f" || cell.formula.indexOf("[") === -1) continue;
+
+        refs = scf.FormulaReferences(cell.formula);
+        for (i = 0; i < refs.length; i++) {
+            external = refs[i].sheetname && SocialCalc.ExternalSheetName(refs[i].sheetname);
+            if (!external) continue;
+
+            nname = scf.NormalizeSheetName(`[${external.workbookname}]${external.sheetname}`);
+            cached = scf.SheetCache.sheets[nname];
+            source = cached && cached.sheet ? cached.sheet :
+                (sheet.externallinks[nname] && sheet.externallinks[nname].sheet);
+            bounds = source && scf.BoundWholeRange(source, refs[i].coord1, refs[i].coord2);
+            if (!bounds) continue;
+
+            if (!links[nname]) {
+                links[nname] = {
+                    name: `[${external.workbookname}]${external.sheetname}`,
+                    sheet: new SocialCalc.Sheet(),
+                    update: sheet.externallinks[nname] ? sheet.externallinks[nname].update : false
+                };
+            }
+            link = links[nname];
+
+            cr1 = SocialCalc.coordToCr(bounds.coord1.replace(/\$/g, ""));
+            cr2 = SocialCalc.coordToCr(bounds.coord2.replace(/\$/g, ""));
+            for (row = Math.min(cr1.row, cr2.row); row <= Math.max(cr1.row, cr2.row); row++) {
+                for (col = Math.min(cr1.col, cr2.col); col <= Math.max(cr1.col, cr2.col); col++) {
+                    sourcecell = source.cells[SocialCalc.crToCoord(col, row)];
+                    if (!sourcecell || sourcecell.valuetype === "b" || sourcecell.valuetype === "") continue;
+                    SocialCalc.SetExternalLinkCell(link.sheet, SocialCalc.crToCoord(col, row),
+                        ["vt", sourcecell.valuetype, SocialCalc.encodeForSave(sourcecell.datavalue)], 0);
+                }
+            }
+        }
+    }
+
+    sheet.externallinks = links;
+};
+
+/**
+ * @function SocialCalc.SetExternalLinkCell
+ * @description Sets a value in the sheet of values kept for another workbook's sheet
+ * @param {SocialCalc.Sheet} linksheet - The sheet of values (an entry's sheet in sheet.externallinks)
+ * @param {string} coord - The cell, e.g., "B4"
+ * @param {Array<string>} parts - The value in save format split by ":", e.g., ["vt", "n$", "1200"]
+ * @param {number} j - Where the value starts in parts
+ */
+SocialCalc.SetExternalLinkCell = function (linksheet, coord, parts, j) {
+    const cr = SocialCalc.coordToCr(coord);
+
+    SocialCalc.CellFromStringParts(linksheet, linksheet.GetAssuredCell(coord), parts, j);
+    if (cr.col > linksheet.attribs.lastcol) linksheet.attribs.lastcol = cr.col;
+    if (cr.row > linksheet.attribs.lastrow) linksheet.attribs.lastrow = cr.row;
+};
+
+/**
+ * @function SocialCalc.RecalcAsyncResult
+ * @description Called when a custom function Promise settles to recalc a sheet that used it
+ * @param {SocialCalc.Sheet} sheet - The sheet to recalc
+ * 
+ * @description The recalc is done a little later (see RecalcAsyncTimerRoutine), so several results
+ * settling together only cause one recalc, and not while another recalc or command is running.
+ * 
+ * @example
+ * // Called by SocialCalc.Formula.WaitForAsyncResult
+ * SocialCalc.RecalcAsyncResult(sheet);
+ */
+SocialCalc.RecalcAsyncResult = function (sheet) {
+    const scri = SocialCalc.RecalcInfo;
+
+    if (scri.asyncsheets.indexOf(sheet) < 0) {
+        scri.asyncsheets.push(sheet);
+    }
+    if (!scri.asynctimer) {
+        scri.asynctimer = window.setTimeout(SocialCalc.RecalcAsyncTimerRoutine, scri.asyncdelay);
+    }
+};
+
+/**
+ * @function SocialCalc.RecalcAsyncTimerRoutine
+ * @description Recalcs the next sheet waiting for custom function results, if not busy
+ * @description Sheets with manual recalc are only marked as needing it.
+ * 
+ * @example
+ * // This function is called by the timer set in RecalcAsyncResult
+ */
+SocialCalc.RecalcAsyncTimerRoutine = function () {
+    const scri = SocialCalc.RecalcInfo;
+
+    scri.asynctimer = null;
+
+    if (scri.sheet || SocialCalc.SheetCommandInfo.timerobj) { // recalc or command in progress - try again later
+        scri.asynctimer = window.setTimeout(SocialCalc.RecalcAsyncTimerRoutine, scri.asyncdelay);
+        return;
+    }
+
+    const sheet = scri.asyncsheets.shift();
+    if (scri.asyncsheets.length) {
+        scri.asynctimer = window.setTimeout(SocialCalc.RecalcAsyncTimerRoutine, scri.asyncdelay);
+    }
+
+    sheet.attribs.needsrecalc = "yes";
+    sheet.dependencies = null; // the cells waiting for results aren't known
+    if (sheet.attribs.recalc !== "off") {
+        SocialCalc.RecalcSheet(sheet, true);
+    }
+};
+
+/**
+ * @function SocialCalc.RecalcTimerRoutine
+ * @description Handles the actual order determination and cell-by-cell recalculation in the background
+ * @description Uses timeslicing to prevent blocking the UI during long recalculations
+ * 
+ * @returns {string|undefined} Error message if SocialCalc.Formula is not available
+ * 
+ * @description This function manages the recalc state machine:
+ * - start_calc: Initialize recalc data and cell list
+ * - order: Determine calculation order by checking dependencies
+ * - calc: Execute calculations on cells in proper order
+ * - start_wait/done_wait: Handle loading external sheets or server functions
+ * 
+ * @example
+ * // This function is called automatically by the timer system
+ * // It processes recalc in chunks to avoid blocking the UI
+ */
+SocialCalc.RecalcTimerRoutine = function () {
+    let eresult, cell, coord, err, status;
+    const starttime = new Date();
+    let count = 0;
+
+    const scf = SocialCalc.Formula;
+    if (!scf) {
+        return "Need SocialCalc.Formula";
+    }
+
+    const scri = SocialCalc.RecalcInfo;
+    const sheet = scri.sheet;
+    if (!sheet) {
+        return;
     }
     let recalcdata = sheet.recalcdata;
 
@@ -3906,10 +4799,16 @@ SocialCalc.RecalcTimerRoutine = function () {
     if (scri.currentState === scri.state.start_calc) {
         recalcdata = new SocialCalc.RecalcData();
         sheet.recalcdata = recalcdata;
+        if (sheet.attribs.seed) {
+            recalcdata.randomstate = sheet.attribs.seed | 0; // same sequence every pass and every session
+        }
 
-        // Get list of cells to check for order
-        for (coord in sheet.cells) {
-            if (!coord) continue;
+        SocialCalc.CheckSpills(sheet); // clear out values spilled by formulas that are gone
+
+        // Get list of cells to check for order: all of them, or just those affected by changes since the last recalc
+        recalcdata.affected = SocialCalc.RecalcAffectedCells(sheet);
+        for (coord in sheet.cells) { // in sheet order either way, so the order of calculation is the same
+            if (!coord || (recalcdata.affected && !recalcdata.affected[coord])) continue;
             recalcdata.celllist.push(coord);
         }
 
@@ -3947,6 +4846,9 @@ SocialCalc.RecalcTimerRoutine = function () {
     // Starting to wait for something (sheet load)
     if (scri.currentState === scri.state.start_wait) {
         scri.currentState = scri.state.done_wait; // finished on next timer call
+        if (SocialCalc.LoadExternalSheet(sheet, scf.SheetCache.waitingForLoading)) {
+            return;
+        }
         if (scri.LoadSheet) {
             status = scri.LoadSheet(scf.SheetCache.waitingForLoading);
             if (status) { // started a load operation
@@ -3973,7 +4875,11 @@ SocialCalc.RecalcTimerRoutine = function () {
     coord = sheet.recalcdata.nextcalc;
     while (coord) {
         cell = sheet.cells[coord];
+        recalcdata.calccoord = coord;
+        recalcdata.dynamicrefs = [];
+        delete cell.asynckeys; // custom function results it uses are noted again
         eresult = scf.evaluate_parsed_formula(cell.parseinfo, sheet, false);
+        recalcdata.calccoord = null;
 
         // Check if waiting for sheet to load
         if (scf.SheetCache.waitingForLoading) {
@@ -3999,6 +4905,18 @@ SocialCalc.RecalcTimerRoutine = function () {
             return; // return and wait for next recalc timer event
         }
 
+        // Remember references computed by OFFSET, INDIRECT, etc., so the next ordering includes them
+        SocialCalc.SaveDynamicReferences(sheet, cell, recalcdata.dynamicrefs);
+        recalcdata.dynamicrefs = null;
+
+        // Spill array results into the cells below and to the right
+        if (eresult.array || cell.spillrange || cell.arraysize) {
+            SocialCalc.SpillFormulaResult(sheet, coord, eresult);
+            if (sheet.dependencies) { // the cells it spills into can block it without it being changed
+                sheet.dependencies.volatile[coord] = true;
+            }
+        }
+
         // Update cell if value changed
         if (cell.datavalue !== eresult.value || cell.valuetype !== eresult.type) {
             cell.datavalue = eresult.value;
@@ -4028,7 +4946,23 @@ SocialCalc.RecalcTimerRoutine = function () {
         }
     }
 
+    // Cells depending on newly spilled cells or newly computed references may have been calculated before them, so do it again
+    if ((recalcdata.spillchanged || recalcdata.dynamicchanged) && scri.extrapasses < scri.maxextrapasses) {
+        scri.extrapasses++;
+        scri.currentState = scri.state.start_calc;
+        SocialCalc.RecalcSetTimeout();
+        return;
+    }
+
     // Recalc complete
+    scf.PruneAsyncResults();
+    if (sheet.dependencies) { // next time, just do what changes after this
+        sheet.dependencies.calcdirty = {};
+        sheet.dependencies.full = false;
+        sheet.dependencies.lastcol = sheet.attribs.lastcol;
+        sheet.dependencies.lastrow = sheet.attribs.lastrow;
+        sheet.dependencies.customfunctions = Object.assign({}, scf.CustomFunctions);
+    }
     recalcdata.inrecalc = false;
     delete sheet.recalcdata; // save memory and clear out for name lookup formula evaluation
     delete sheet.attribs.needsrecalc; // remember recalc done
@@ -4090,8 +5024,9 @@ SocialCalc.RecalcCheckCell = function (sheet, startcoord) {
         cell = sheet.cells[coord];
         coordvals = checkinfo[coord];
 
-        // Don't calculate if not a formula or already calculated
-        if (!cell || cell.datatype !== "f" || (coordvals && typeof coordvals !== "object")) {
+        // Don't calculate if not a formula, already calculated, or not affected by what changed
+        if (!cell || cell.datatype !== "f" || (coordvals && typeof coordvals !== "object") ||
+            (recalcdata.affected && !recalcdata.affected[coord])) {
             coord = oldcoord; // go back up dependency tree to coord that referred to us
             if (checkinfo[coord]) oldcoord = checkinfo[coord].oldcoord;
             continue;
@@ -4113,6 +5048,9 @@ SocialCalc.RecalcCheckCell = function (sheet, startcoord) {
             cell.parseinfo = scf.ParseFormulaIntoTokens(cell.formula);
         }
         parseinfo = cell.parseinfo;
+        if (cell.dynamicrefs && cell.dynamicrefs.formula === cell.formula) {
+            parseinfo = cell.dynamicrefs.parseinfo; // also check references computed last time
+        }
 
         // Go through each token in formula
         for (i = coordvals.parsepos; i < parseinfo.length; i++) {
@@ -4150,6 +5088,9 @@ SocialCalc.RecalcCheckCell = function (sheet, startcoord) {
                     coordvals.c = coordvals.c1; // start at the beginning of next row
                 }
                 rangecoord = SocialCalc.crToCoord(coordvals.c, coordvals.r);
+                if (sheet.cells[rangecoord] && !sheet.cells[rangecoord].datatype && sheet.cells[rangecoord].spillfrom) {
+                    rangecoord = sheet.cells[rangecoord].spillfrom; // spilled values depend on their formula
+                }
 
                 // Check this range coordinate
                 coordvals.parsepos = i; // remember our position
@@ -4212,10 +5153,12 @@ SocialCalc.RecalcCheckCell = function (sheet, startcoord) {
                 if (i >= 2 &&
                     parseinfo[i - 1].type === token_op && parseinfo[i - 1].text === ':' &&
                     parseinfo[i - 2].type === token_coord &&
+                    !/#$/.test(parseinfo[i - 2].text) && !/#$/.test(ttext) && // A1# is not a corner
                     !sheetref) {
-                    // Range -- check each cell
-                    coordvals.cr1 = SocialCalc.coordToCr(parseinfo[i - 2].text);
-                    coordvals.cr2 = SocialCalc.coordToCr(ttext);
+                    // Range -- check each cell (whole columns and rows only to the last one used)
+                    value = scf.BoundWholeRange(sheet, parseinfo[i - 2].text, ttext);
+                    coordvals.cr1 = SocialCalc.coordToCr(value.coord1);
+                    coordvals.cr2 = SocialCalc.coordToCr(value.coord2);
                     coordvals.inrange = true; // next time use the range looping code
                     coordvals.inrangestart = true;
                     i = i - 1; // back up so will start up again here
@@ -4224,6 +5167,10 @@ SocialCalc.RecalcCheckCell = function (sheet, startcoord) {
                 // Single cell reference
                 else if (!sheetref) {
                     if (ttext.indexOf("$") !== -1) ttext = ttext.replace(/\$/g, ""); // remove any $'s
+                    if (ttext.charAt(ttext.length - 1) === "#") ttext = ttext.slice(0, -1); // A1# depends on A1
+                    if (sheet.cells[ttext] && !sheet.cells[ttext].datatype && sheet.cells[ttext].spillfrom) {
+                        ttext = sheet.cells[ttext].spillfrom; // spilled values depend on their formula
+                    }
                     coordvals.parsepos = i + 1; // remember our position - come back on next token
                     coordvals.oldcoord = oldcoord; // remember back up chain
                     oldcoord = coord; // come back to us
@@ -4268,6 +5215,568 @@ SocialCalc.RecalcCheckCell = function (sheet, startcoord) {
 
     return "";
 };
+
+/**
+ * @function SocialCalc.SaveDynamicReferences
+ * @description Saves the references a formula's functions computed while it was evaluated
+ * @param {SocialCalc.Sheet} sheet - The sheet being recalculated
+ * @param {SocialCalc.Cell} cell - The formula cell just evaluated
+ * @param {Array|null} refs - List of references like "A1" or "A1:B2" (from recalcdata.dynamicrefs)
+ * 
+ * @description Functions like OFFSET and INDIRECT refer to cells that are not in the formula text.
+ * The references are kept with the cell, along with tokens for RecalcCheckCell to walk, and
+ * recalcdata.dynamicchanged is set when they differ from last time so the calc order can be redone.
+ * 
+ * @example
+ * // After evaluating =SUM(OFFSET(A1,0,0,B1,1)) with B1 equal to 3
+ * SocialCalc.SaveDynamicReferences(sheet, cell, ["A1:A3"]);
+ */
+SocialCalc.SaveDynamicReferences = function (sheet, cell, refs) {
+    const oldrefs = cell.dynamicrefs && cell.dynamicrefs.formula === cell.formula ? cell.dynamicrefs.refs : "";
+    const newrefs = refs ? refs.join(",") : "";
+
+    if (newrefs === oldrefs) {
+        return;
+    }
+
+    if (newrefs) {
+        cell.dynamicrefs = {
+            formula: cell.formula, // only valid while the formula is the same
+            refs: newrefs,
+            parseinfo: cell.parseinfo.concat(SocialCalc.Formula.ParseFormulaIntoTokens(`,${newrefs}`))
+        };
+    } else {
+        delete cell.dynamicrefs;
+    }
+
+    sheet.recalcdata.dynamicchanged = true;
+};
+
+/**
+ * @class SocialCalc.DependencyGraph
+ * @description Which formulas depend on which cells, kept as sheet.dependencies between recalcs
+ * @property {Object} precedents - Formula coord: {cells, ranges} it refers to (see FormulaPrecedents)
+ * @property {Object} dependents - Coord: {formula coord: true} for formulas that refer to that cell by itself
+ * @property {Object} rangedependents - Column number, or 0 for whole rows: {formula coord: true} for formulas with a range there
+ * @property {Object} volatile - Formula coord: true for formulas recalculated every time
+ * @property {Object} dirty - Coord: true for cells changed since the last recalc started
+ * @property {Object} calcdirty - Coord: true for the changed cells the recalc in progress is doing
+ * @property {boolean} full - If true, the recalc in progress does every formula
+ * @property {number} lastcol - attribs.lastcol at the last recalc (whole row ranges depend on it)
+ * @property {number} lastrow - attribs.lastrow at the last recalc (whole column ranges depend on it)
+ * @property {Object} customfunctions - SocialCalc.Formula.CustomFunctions at the last recalc
+ * 
+ * @description ExecuteSheetCommand marks the cells it sets, erases, fills, and pastes as dirty and updates their
+ * entries. Commands that move cells or change names set sheet.dependencies to null instead, and the next recalc
+ * does every formula and makes a new graph.
+ */
+SocialCalc.DependencyGraph = function () {
+    this.precedents = {};
+    this.dependents = {};
+    this.rangedependents = {};
+    this.volatile = {};
+    this.dirty = {};
+    this.calcdirty = {};
+    this.full = false;
+    this.lastcol = 0;
+    this.lastrow = 0;
+    this.customfunctions = {};
+};
+
+/**
+ * @constant {Object<string, boolean>} SocialCalc.VolatileFunctions
+ * @description Functions whose results can change without the cells in their formula changing
+ * 
+ * Formulas using them are recalculated every time, as are those using custom functions registered as volatile.
+ */
+SocialCalc.VolatileFunctions = {
+    INDIRECT: true, NOW: true, OFFSET: true, RAND: true, RANDARRAY: true, RANDBETWEEN: true, TODAY: true
+};
+
+/**
+ * @function SocialCalc.FormulaPrecedents
+ * @description Finds the cells a formula refers to, as RecalcCheckCell does when ordering the recalc
+ * @param {SocialCalc.Sheet} sheet - The sheet containing the formula
+ * @param {SocialCalc.Cell} cell - The formula cell (its parseinfo is filled in if needed)
+ * @returns {Object} {cells, ranges, volatile}: plain coords, ranges as {c1, c2, r1, r2}
+ *   (whole columns go to row Infinity, whole rows to column Infinity), and true if it should always be recalculated
+ * 
+ * @description References to other sheets, names defined by formulas (including LAMBDA functions),
+ * and volatile functions make the formula volatile. A1# refers to A1.
+ * 
+ * @example
+ * // For =SUM(A1:B3)+$C$1
+ * SocialCalc.FormulaPrecedents(sheet, cell);
+ * // Returns: {cells: ["C1"], ranges: [{c1: 1, c2: 2, r1: 1, r2: 3}], volatile: false}
+ */
+SocialCalc.FormulaPrecedents = function (sheet, cell) {
+    let i, j, ttype, ttext, value, pos;
+    const scf = SocialCalc.Formula;
+    const tokentype = scf.TokenType;
+    const result = { cells: [], ranges: [], volatile: false };
+    let sheetref = false; // if true, a sheet reference is in effect
+
+    const AddRange = (coord1, coord2) => {
+        const cr1 = SocialCalc.coordToCr(coord1);
+        const cr2 = SocialCalc.coordToCr(coord2);
+        const whole = (n1, n2) => !n1 || !n2; // A:A has no rows and 3:3 no columns
+        result.ranges.push({
+            c1: whole(cr1.col, cr2.col) ? 1 : Math.min(cr1.col, cr2.col),
+            c2: whole(cr1.col, cr2.col) ? Infinity : Math.max(cr1.col, cr2.col),
+            r1: whole(cr1.row, cr2.row) ? 1 : Math.min(cr1.row, cr2.row),
+            r2: whole(cr1.row, cr2.row) ? Infinity : Math.max(cr1.row, cr2.row)
+        });
+    };
+
+    if (!cell.parseinfo) {
+        cell.parseinfo = scf.ParseFormulaIntoTokens(cell.formula);
+    }
+    const parseinfo = cell.parseinfo;
+
+    for (i = 0; i < parseinfo.length; i++) {
+        ttype = parseinfo[i].type;
+        ttext = parseinfo[i].text;
+
+        if (ttype === tokentype.op) {
+            if (ttext === "!") {
+                sheetref = true;
+                result.volatile = true; // other sheets can change without this one knowing
+            } else if (ttext !== ":") { // for everything but a range, reset
+                sheetref = false;
+            }
+        } else if (ttype === tokentype.name) {
+            for (j = i + 1; j < parseinfo.length && parseinfo[j].type === tokentype.space; j++);
+            if (j < parseinfo.length && parseinfo[j].type === tokentype.op && parseinfo[j].text === "(") { // function
+                if (SocialCalc.VolatileFunctions[ttext] || sheet.names[ttext] ||
+                    (scf.CustomFunctions[ttext] && scf.CustomFunctions[ttext].volatile)) {
+                    result.volatile = true;
+                }
+            } else if (sheet.names[ttext] && !sheetref) {
+                if (sheet.names[ttext].definition.charAt(0) === "=") {
+                    result.volatile = true;
+                    continue;
+                }
+                value = scf.LookupName(sheet, ttext);
+                if (value.type === "coord") {
+                    result.cells.push(value.value.replace(/\$/g, ""));
+                } else if (value.type === "range") {
+                    pos = value.value.indexOf("|");
+                    AddRange(value.value.substring(0, pos), value.value.substring(pos + 1, value.value.indexOf("|", pos + 1)));
+                }
+            }
+        } else if (ttype === tokentype.coord && !sheetref) {
+            if (i + 2 < parseinfo.length &&
+                parseinfo[i + 1].type === tokentype.op && parseinfo[i + 1].text === ":" &&
+                parseinfo[i + 2].type === tokentype.coord &&
+                !/#$/.test(ttext) && !/#$/.test(parseinfo[i + 2].text)) { // A1# is not a corner
+                AddRange(ttext, parseinfo[i + 2].text);
+                i += 2;
+            } else {
+                result.cells.push(ttext.replace(/\$|#$/g, ""));
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * @function SocialCalc.DependencyGraphSetCell
+ * @description Replaces a cell's entries in sheet.dependencies with ones for what is in it now
+ * @param {SocialCalc.Sheet} sheet - The sheet, which must have dependencies
+ * @param {string} coord - The cell that changed
+ */
+SocialCalc.DependencyGraphSetCell = function (sheet, coord) {
+    let i, ref, col, info;
+    const graph = sheet.dependencies;
+    const cell = sheet.cells[coord];
+
+    const RangeColumns = (range, func) => { // whole rows are under column 0
+        if (range.c2 === Infinity) {
+            func(0);
+        } else {
+            for (col = range.c1; col <= range.c2; col++) func(col);
+        }
+    };
+
+    info = graph.precedents[coord];
+    if (info) { // take out the old entries
+        for (i = 0; i < info.cells.length; i++) {
+            if (graph.dependents[info.cells[i]]) delete graph.dependents[info.cells[i]][coord];
+        }
+        for (i = 0; i < info.ranges.length; i++) {
+            RangeColumns(info.ranges[i], (c) => {
+                if (graph.rangedependents[c]) delete graph.rangedependents[c][coord];
+            });
+        }
+        delete graph.precedents[coord];
+    }
+    delete graph.volatile[coord];
+
+    if (!cell || cell.datatype !== "f") {
+        return;
+    }
+
+    info = SocialCalc.FormulaPrecedents(sheet, cell);
+    graph.precedents[coord] = info;
+    for (i = 0; i < info.cells.length; i++) {
+        ref = info.cells[i];
+        if (!graph.dependents[ref]) graph.dependents[ref] = {};
+        graph.dependents[ref][coord] = true;
+    }
+    for (i = 0; i < info.ranges.length; i++) {
+        RangeColumns(info.ranges[i], (c) => {
+            if (!graph.rangedependents[c]) graph.rangedependents[c] = {};
+            graph.rangedependents[c][coord] = true;
+        });
+    }
+    if (info.volatile || cell.arraysize) {
+        graph.volatile[coord] = true;
+    }
+};
+
+/**
+ * @function SocialCalc.DependencyGraphCellsChanged
+ * @description Called by ExecuteSheetCommand when the contents of a range of cells change
+ * @param {SocialCalc.Sheet} sheet - The sheet
+ * @param {Object} cr1 - Upper left cell of the range as {row, col}
+ * @param {Object} cr2 - Lower right cell of the range as {row, col}
+ * 
+ * @description Marks the cells dirty for the next recalc and updates their entries.
+ * Does nothing if there is no graph yet, since the next recalc then does everything anyway.
+ */
+SocialCalc.DependencyGraphCellsChanged = function (sheet, cr1, cr2) {
+    let row, col, coord;
+
+    if (!sheet.dependencies) {
+        return;
+    }
+
+    for (row = cr1.row; row <= cr2.row; row++) {
+        for (col = cr1.col; col <= cr2.col; col++) {
+            coord = SocialCalc.crToCoord(col, row);
+            sheet.dependencies.dirty[coord] = true;
+            SocialCalc.DependencyGraphSetCell(sheet, coord);
+        }
+    }
+};
+
+/**
+ * @function SocialCalc.RecalcAffectedCells
+ * @description Finds the cells a recalc needs to do, called at the start of each recalc pass
+ * @param {SocialCalc.Sheet} sheet - The sheet being recalculated
+ * @returns {Object|null} Coords of the dirty cells, the volatile formulas, and everything that depends on them,
+ *   as attributes, or null if every formula needs recalculating
+ * 
+ * @description If there is no sheet.dependencies (or the sheet's size or the custom functions changed since the
+ * last recalc) a new graph is made and the whole recalc does every formula. Cells that array formulas spill into
+ * are treated as depending on the formula.
+ */
+SocialCalc.RecalcAffectedCells = function (sheet) {
+    let coord, name, cell, cr, range, row, col, i, formulas;
+    const scf = SocialCalc.Formula;
+    let graph = sheet.dependencies;
+    const affected = {};
+    const queue = [];
+
+    const CustomFunctionsChanged = () => {
+        for (name in scf.CustomFunctions) {
+            if (graph.customfunctions[name] !== scf.CustomFunctions[name]) return true;
+        }
+        for (name in graph.customfunctions) {
+            if (!scf.CustomFunctions[name]) return true;
+        }
+        return false;
+    };
+
+    const Add = (c) => {
+        if (!affected[c]) {
+            affected[c] = true;
+            queue.push(c);
+        }
+    };
+
+    const InRanges = (ranges) => ranges.some((r) =>
+        cr.col >= r.c1 && cr.col <= r.c2 && cr.row >= r.r1 && cr.row <= r.r2);
+
+    if (!graph || graph.lastcol !== sheet.attribs.lastcol || graph.lastrow !== sheet.attribs.lastrow ||
+        CustomFunctionsChanged()) {
+        graph = new SocialCalc.DependencyGraph();
+        sheet.dependencies = graph;
+        for (coord in sheet.cells) {
+            if (sheet.cells[coord].datatype === "f") {
+                SocialCalc.DependencyGraphSetCell(sheet, coord);
+            }
+        }
+        graph.full = true; // until this recalc is finished, including extra passes
+    }
+
+    for (coord in graph.dirty) { // changes from now on are for the next recalc
+        graph.calcdirty[coord] = true;
+    }
+    graph.dirty = {};
+
+    if (graph.full) {
+        return null;
+    }
+
+    for (coord in graph.calcdirty) Add(coord);
+    for (coord in graph.volatile) Add(coord);
+
+    for (i = 0; i < queue.length; i++) {
+        coord = queue[i];
+        cell = sheet.cells[coord];
+        if (cell && cell.spillrange) {
+            range = SocialCalc.ParseRange(cell.spillrange);
+            for (row = range.cr1.row; row <= range.cr2.row; row++) {
+                for (col = range.cr1.col; col <= range.cr2.col; col++) {
+                    Add(SocialCalc.crToCoord(col, row));
+                }
+            }
+        }
+        for (name in graph.dependents[coord]) Add(name);
+
+        cr = SocialCalc.coordToCr(coord);
+        formulas = graph.rangedependents[cr.col];
+        for (name in formulas) {
+            if (!affected[name] && InRanges(graph.precedents[name].ranges)) Add(name);
+        }
+        formulas = graph.rangedependents[0];
+        for (name in formulas) {
+            if (!affected[name] && InRanges(graph.precedents[name].ranges)) Add(name);
+        }
+    }
+
+    return affected;
+};
+
+/**
+ * @function SocialCalc.CheckSpills
+ * @description Clears spilled values that no longer belong to an array formula
+ * @param {SocialCalc.Sheet} sheet - The sheet to check
+ * 
+ * @description Called at the start of recalc. Removes spill ranges from cells that no longer
+ * have a formula (or were moved), and blanks cells still showing values from a spill range
+ * that no longer includes them. Cells that had something else entered in them are left alone.
+ * 
+ * @example
+ * // Clean up after the formula in A1 was erased
+ * SocialCalc.CheckSpills(sheet);
+ */
+SocialCalc.CheckSpills = function (sheet) {
+    let coord, cell, anchor, range, cr;
+
+    for (coord in sheet.cells) {
+        cell = sheet.cells[coord];
+        if (cell && cell.spillrange && (cell.datatype !== "f" || cell.spillrange.indexOf(`${coord}:`) !== 0)) {
+            delete cell.spillrange; // not the array formula that spilled there
+        }
+    }
+
+    for (coord in sheet.cells) {
+        cell = sheet.cells[coord];
+        if (!cell || !cell.spillfrom) continue;
+
+        if (!cell.datatype) {
+            anchor = sheet.cells[cell.spillfrom];
+            if (anchor && anchor.spillrange) {
+                range = SocialCalc.ParseRange(anchor.spillrange);
+                cr = SocialCalc.coordToCr(coord);
+                if (cr.col >= range.cr1.col && cr.col <= range.cr2.col &&
+                    cr.row >= range.cr1.row && cr.row <= range.cr2.row) {
+                    continue; // still part of the spill range
+                }
+            }
+            cell.datavalue = "";
+            cell.valuetype = "b";
+            delete cell.displaystring;
+            sheet.recalcchangedavalue = true;
+            if (sheet.dependencies) sheet.dependencies.dirty[coord] = true;
+        }
+        delete cell.spillfrom;
+    }
+};
+
+/**
+ * @function SocialCalc.SpillFormulaResult
+ * @description Puts the array result of a formula into the cells below and to the right of it
+ * @param {SocialCalc.Sheet} sheet - The sheet containing the formula
+ * @param {string} coord - The coordinate of the formula cell
+ * @param {Object} eresult - The result from evaluate_parsed_formula, with array if more than one value
+ * 
+ * @description The spilled cells keep a null datatype so they may be spilled into again.
+ * If any of the cells are not empty (or are spilled into by another formula), nothing is spilled
+ * and eresult is changed to a #SPILL! error. Cells from the previous spill range of this formula
+ * that are not in the new one are cleared.
+ * 
+ * @example
+ * // A1 is =SEQUENCE(3): A1 gets 1, A2 gets 2, and A3 gets 3
+ * SocialCalc.SpillFormulaResult(sheet, "A1", eresult);
+ */
+SocialCalc.SpillFormulaResult = function (sheet, coord, eresult) {
+    let row, col, cr, cell, value, valuetype, oldrange, newrange;
+
+    const anchor = sheet.cells[coord];
+    const anchorcr = SocialCalc.coordToCr(coord);
+    const rows = anchor.arraysize ? SocialCalc.FitArrayResult(eresult, anchor.arraysize) : eresult.array;
+    const attribs = sheet.attribs;
+    let blocked = false;
+
+    // Make sure all the cells are available
+    if (rows) {
+        if (anchorcr.col + rows[0].length - 1 > 702) { // past the last column (ZZ)
+            blocked = true;
+        }
+        for (row = 0; row < rows.length && !blocked; row++) {
+            for (col = 0; col < rows[0].length; col++) {
+                cell = sheet.cells[SocialCalc.crToCoord(anchorcr.col + col, anchorcr.row + row)];
+                if ((row || col) && cell && (cell.datatype || (cell.spillfrom && cell.spillfrom !== coord))) {
+                    blocked = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    if (rows && !blocked) {
+        newrange = `${coord}:${SocialCalc.crToCoord(anchorcr.col + rows[0].length - 1, anchorcr.row + rows.length - 1)}`;
+    } else {
+        newrange = "";
+    }
+
+    // Clear cells no longer spilled into
+    if (anchor.spillrange && anchor.spillrange !== newrange) {
+        oldrange = SocialCalc.ParseRange(anchor.spillrange);
+        for (row = oldrange.cr1.row; row <= oldrange.cr2.row; row++) {
+            for (col = oldrange.cr1.col; col <= oldrange.cr2.col; col++) {
+                if (newrange && row - anchorcr.row < rows.length && col - anchorcr.col < rows[0].length) {
+                    continue; // will be replaced
+                }
+                cell = sheet.cells[SocialCalc.crToCoord(col, row)];
+                if (!cell || cell.spillfrom !== coord) continue;
+                if (!cell.datatype) {
+                    cell.datavalue = "";
+                    cell.valuetype = "b";
+                    delete cell.displaystring;
+                }
+                delete cell.spillfrom;
+            }
+        }
+        sheet.recalcchangedavalue = true;
+    }
+
+    if ((anchor.spillrange || "") !== newrange && sheet.recalcdata) {
+        sheet.recalcdata.spillchanged = true;
+    }
+
+    if (blocked) {
+        delete anchor.spillrange;
+        eresult.value = 0;
+        eresult.type = "e#SPILL!";
+        eresult.error = "#SPILL!";
+        return;
+    }
+
+    if (!newrange) {
+        delete anchor.spillrange;
+        return;
+    }
+
+    anchor.spillrange = newrange;
+
+    // Fill in the spilled values
+    for (row = 0; row < rows.length; row++) {
+        for (col = 0; col < rows[0].length; col++) {
+            if (!row && !col) continue; // the formula cell gets the upper left value as usual
+            cr = SocialCalc.crToCoord(anchorcr.col + col, anchorcr.row + row);
+            cell = sheet.GetAssuredCell(cr);
+            value = rows[row][col].value;
+            valuetype = rows[row][col].type;
+            if (valuetype === "b") { // blanks spill as zero
+                value = 0;
+                valuetype = "n";
+            }
+            if (cell.datavalue !== value || cell.valuetype !== valuetype) {
+                cell.datavalue = value;
+                cell.valuetype = valuetype;
+                delete cell.displaystring;
+                sheet.recalcchangedavalue = true;
+            }
+            cell.spillfrom = coord;
+        }
+    }
+
+    if (anchorcr.col + rows[0].length - 1 > attribs.lastcol) attribs.lastcol = anchorcr.col + rows[0].length - 1;
+    if (anchorcr.row + rows.length - 1 > attribs.lastrow) attribs.lastrow = anchorcr.row + rows.length - 1;
+};
+
+/**
+ * @function SocialCalc.FitArrayResult
+ * @description Returns a formula result sized to fill the range it was array-entered into
+ * @param {Object} eresult - Formula result, with rows of values in eresult.array if an array
+ * @param {string} arraysize - Rows and columns of the range, e.g., "3x2"
+ * @returns {Array<Array<Object>>} Rows of {type, value} elements
+ * 
+ * @description Like array formulas in other spreadsheets, a single value or a single row or column
+ * is repeated to fill the range, and positions past the end of a larger result are #N/A.
+ * 
+ * @example
+ * // =ROW(A1:A2) entered into C1:D3
+ * SocialCalc.FitArrayResult(eresult, "3x2"); // Returns rows {1,1;2,2;#N/A,#N/A}
+ */
+SocialCalc.FitArrayResult = function (eresult, arraysize) {
+    let row, col, r, c;
+    const size = arraysize.split("x");
+    const source = eresult.array || [[{ type: eresult.type, value: eresult.value }]];
+    const rows = [];
+
+    for (row = 0; row < size[0] - 0; row++) {
+        rows.push([]);
+        for (col = 0; col < size[1] - 0; col++) {
+            r = source.length === 1 ? 0 : row;
+            c = source[0].length === 1 ? 0 : col;
+            if (r < source.length && c < source[0].length) {
+                rows[row].push(source[r][c]);
+            } else {
+                rows[row].push({ type: "e#N/A", value: 0 });
+            }
+        }
+    }
+
+    return rows;
+};
+
+/**
+ * @function SocialCalc.SpilledCellToValue
+ * @description Turns a copy of a spilled cell into an ordinary value when pasting, filling, or moving
+ * @param {SocialCalc.Cell} cell - The destination cell, with the spilled cell's value already copied
+ * @param {boolean} anchorcopied - True if the formula it spilled from is copied too
+ * 
+ * @description If the formula is copied along with it, the cell is left blank so the formula can
+ * spill into it again. Otherwise the value becomes a number, text, or error constant.
+ * 
+ * @example
+ * // Pasting just B2, which shows a value spilled from A1
+ * SocialCalc.SpilledCellToValue(cell, false);
+ */
+SocialCalc.SpilledCellToValue = function (cell, anchorcopied) {
+    const valuetype = cell.valuetype.charAt(0);
+
+    if (anchorcopied) { // leave room for the copied formula to spill into
+        cell.datavalue = "";
+        cell.valuetype = "b";
+        cell.datatype = null;
+    } else if (valuetype === "n") {
+        cell.datatype = "v";
+    } else if (valuetype === "t") {
+        cell.datatype = "t";
+    } else if (valuetype === "e") {
+        cell.datatype = "c";
+        cell.formula = cell.valuetype.substring(1);
+        cell.errors = cell.formula;
+    }
+    delete cell.spillfrom;
+};
 /**
  * @class SocialCalc.Parse
  * @description Used by ExecuteSheetCommand to get elements of commands to execute
@@ -6229,8 +7738,9 @@ SocialCalc.AssignID = function (obj, element, id) {
  * @description Returns cell contents formatted for editing:
  * - Values: returned as-is
  * - Text: prefixed with '
- * - Formulas: prefixed with =
+ * - Formulas: prefixed with =, in R1C1 style if the sheet's refstyle is "r1c1"
  * - Constants: returned as formula without prefix
+ * - Formulas, values and constants use the separators of the sheet's locale, if any
  * 
  * @example
  * SocialCalc.GetCellContents(sheet, "A1"); 
@@ -6242,20 +7752,24 @@ SocialCalc.AssignID = function (obj, element, id) {
 SocialCalc.GetCellContents = function (sheetobj, coord) {
     let result = "";
     const cellobj = sheetobj.cells[coord];
+    const locale = SocialCalc.FormulaLocales[sheetobj.attribs.locale];
 
     if (cellobj) {
         switch (cellobj.datatype) {
             case "v":
                 result = cellobj.datavalue + "";
+                if (locale) result = SocialCalc.ConvertValueToLocale(result, locale);
                 break;
             case "t":
                 result = "'" + cellobj.datavalue;
                 break;
             case "f":
-                result = "=" + cellobj.formula;
+                result = sheetobj.attribs.refstyle === "r1c1" ?
+                    SocialCalc.ConvertFormulaToR1C1(cellobj.formula, coord) : cellobj.formula;
+                result = "=" + (locale ? SocialCalc.ConvertFormulaToLocale(result, locale) : result);
                 break;
             case "c":
-                result = cellobj.formula;
+                result = locale ? SocialCalc.ConvertValueToLocale(cellobj.formula, locale) : cellobj.formula;
                 break;
             default:
                 break;
@@ -6321,7 +7835,7 @@ SocialCalc.FormatValueForDisplay = function (sheetobj, value, cr, linkstyle) {
 
         if (valueformat === "formula") {
             if (cell.datatype === "f") {
-                displayvalue = SocialCalc.special_chars("=" + cell.formula) || "&nbsp;";
+                displayvalue = SocialCalc.special_chars(SocialCalc.GetCellContents(sheetobj, cr)) || "&nbsp;";
             } else if (cell.datatype === "c") {
                 displayvalue = SocialCalc.special_chars("'" + cell.formula) || "&nbsp;";
             } else {
@@ -6348,7 +7862,7 @@ SocialCalc.FormatValueForDisplay = function (sheetobj, value, cr, linkstyle) {
 
         if (valueformat === "formula") {
             if (cell.datatype === "f") {
-                displayvalue = SocialCalc.special_chars("=" + cell.formula) || "&nbsp;";
+                displayvalue = SocialCalc.special_chars(SocialCalc.GetCellContents(sheetobj, cr)) || "&nbsp;";
             } else if (cell.datatype === "c") {
                 displayvalue = SocialCalc.special_chars("'" + cell.formula) || "&nbsp;";
             } else {
@@ -6357,7 +7871,7 @@ SocialCalc.FormatValueForDisplay = function (sheetobj, value, cr, linkstyle) {
             return displayvalue;
         } else if (valueformat === "forcetext") {
             if (cell.datatype === "f") {
-                displayvalue = SocialCalc.special_chars("=" + cell.formula) || "&nbsp;";
+                displayvalue = SocialCalc.special_chars(SocialCalc.GetCellContents(sheetobj, cr)) || "&nbsp;";
             } else if (cell.datatype === "c") {
                 displayvalue = SocialCalc.special_chars(cell.formula) || "&nbsp;";
             } else {
@@ -6564,6 +8078,7 @@ SocialCalc.format_number_for_display = function (rawvalue, valuetype, valueforma
  * @function SocialCalc.DetermineValueType
  * @description Analyzes a raw value to determine its type and convert it appropriately
  * @param {*} rawvalue - The raw input value to analyze
+ * @param {Object} [locale] - A SocialCalc.FormulaLocales entry the value was typed in, such as "1.234,5" for de
  * @returns {Object} Object containing the converted value and its type
  * @returns {*} returns.value - The converted value (number or string)
  * @returns {string} returns.type - The determined type ("t", "n", "n%", "n$", "nd", "nt", "tl", etc.)
@@ -6587,7 +8102,9 @@ SocialCalc.format_number_for_display = function (rawvalue, valuetype, valueforma
  * SocialCalc.DetermineValueType("TRUE");        // {value: 1, type: "nl"}
  * SocialCalc.DetermineValueType("http://example.com"); // {value: "http://example.com", type: "tl"}
  */
-SocialCalc.DetermineValueType = function (rawvalue) {
+SocialCalc.DetermineValueType = function (rawvalue, locale) {
+    if (locale) rawvalue = SocialCalc.ConvertValueFromLocale(rawvalue + "", locale);
+
     let value = rawvalue + "";
     let type = "t";
     let tvalue, matches, year, hour, minute, second, denom, num, intgr, constr;
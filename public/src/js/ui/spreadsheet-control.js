@@ -323,6 +323,8 @@ SocialCalc.SpreadsheetControl = function() {
             ' <img id="%id.button_insertcol" src="%img.insertcol.gif" style="vertical-align:bottom;"> ' +
             '&nbsp; <img id="%id.button_deleterow" src="%img.deleterow.gif" style="vertical-align:bottom;"> ' +
             ' <img id="%id.button_deletecol" src="%img.deletecol.gif" style="vertical-align:bottom;"> ' +
+            ' &nbsp;<img src="%img.divider1.gif" style="vertical-align:bottom;">&nbsp; ' +
+            '<img id="%id.button_updatelinks" src="%img.linkout.gif" style="vertical-align:bottom;padding:4px 0 5px 0;"> ' +
             ' &nbsp;<img id="%id.divider_recalc" src="%img.divider1.gif" style="vertical-align:bottom;">&nbsp; ' +
             '<img id="%id.button_recalc" src="%img.recalc.gif" style="vertical-align:bottom;"> ' +
             ' </div>',
@@ -502,6 +504,18 @@ this.views.settings = {
                 type: "PopupList", 
                 id: `${s.idPrefix}recalc`,
                 initialdata: scc.SCFormatRecalc 
+            },
+            refstyle: { 
+                setting: "refstyle", 
+                type: "PopupList", 
+                id: `${s.idPrefix}refstyle`,
+                initialdata: scc.SCFormatRefstyle 
+            },
+            locale: { 
+                setting: "locale", 
+                type: "PopupList", 
+                id: `${s.idPrefix}locale`,
+                initialdata: scc.SCFormatLocale 
             }
         };
 
@@ -751,6 +765,28 @@ this.views.settings = {
         '   </tr></table>' +
         ' </td>' +
         '</tr>' +
+        '<tr>' +
+        ' <td %itemtitle.><br>%loc!Reference Style!:</td>' +
+        ' <td %itembody.>' +
+        '   <table cellspacing="0" cellpadding="0"><tr>' +
+        '    <td %bodypart.>' +
+        '     <div %parttitle.>&nbsp;</div>' +
+        '     <span id="%id.refstyle"></span>' +
+        '    </td>' +
+        '   </tr></table>' +
+        ' </td>' +
+        '</tr>' +
+        '<tr>' +
+        ' <td %itemtitle.><br>%loc!Formula Locale!:</td>' +
+        ' <td %itembody.>' +
+        '   <table cellspacing="0" cellpadding="0"><tr>' +
+        '    <td %bodypart.>' +
+        '     <div %parttitle.>&nbsp;</div>' +
+        '     <span id="%id.locale"></span>' +
+        '    </td>' +
+        '   </tr></table>' +
+        ' </td>' +
+        '</tr>' +
         '</table>' +
         '<table id="%id.cellsettingstable" cellspacing="0" cellpadding="0">' +
         '<tr>' +
@@ -965,13 +1001,25 @@ this.tabs.push({
         let str = `<table cellspacing="0" cellpadding="0" style="margin-bottom:10px;"><tr><td style="font-size:small;padding:6px;"><b>${SCLoc("Audit Trail This Session")}:</b><br><br>`;
         const stack = s.sheet.changes.stack;
         const tos = s.sheet.changes.tos;
+        const r1c1 = s.sheet.attribs.refstyle === "r1c1";
+        const locale = SocialCalc.FormulaLocales[s.sheet.attribs.locale];
         
         for (let i = 0; i < stack.length; i++) {
             if (i === tos + 1) {
                 str += `<br></td></tr><tr><td style="font-size:small;background-color:#EEE;padding:6px;">${SCLoc("UNDONE STEPS")}:<br>`;
             }
             for (let j = 0; j < stack[i].command.length; j++) {
-                str += `${SocialCalc.special_chars(stack[i].command[j])}<br>`;
+                let cmd = stack[i].command[j];
+                if (r1c1) { // show formulas relative to the first cell they were set in
+                    cmd = cmd.replace(/^(set\s+)([A-Za-z]+\d+)(:[A-Za-z]+\d+)?(\s+(?:formula|arrayformula)\s+)(.*)$/,
+                        (m, set, coord, range, what, formula) =>
+                            set + coord + (range || "") + what + SocialCalc.ConvertFormulaToR1C1(formula, coord.toUpperCase()));
+                }
+                if (locale) { // show formulas as they are typed
+                    cmd = cmd.replace(/^(set\s+[A-Za-z]+\d+(?::[A-Za-z]+\d+)?\s+(?:formula|arrayformula)\s+)(.*)$/,
+                        (m, start, formula) => start + SocialCalc.ConvertFormulaToLocale(formula, locale));
+                }
+                str += `${SocialCalc.special_chars(cmd)}<br>`;
             }
         }
         s.views.audit.element.innerHTML = `${str}</td></tr></table>`;
@@ -1317,6 +1365,7 @@ SocialCalc.InitializeSpreadsheetControl = function(spreadsheet, node, height, wi
         button_insertcol: { tooltip: "Insert Column", command: "insertcol" },
         button_deleterow: { tooltip: "Delete Row", command: "deleterow" },
         button_deletecol: { tooltip: "Delete Column", command: "deletecol" },
+        button_updatelinks: { tooltip: "Update Links", command: "updatelinks" },
         button_recalc: { tooltip: "Recalc", command: "recalc" }
     };
 
@@ -2046,7 +2095,8 @@ SocialCalc.SpreadsheetCmdLookup = {
     'deletecol': 'deletecol %C',
     'undo': 'undo',
     'redo': 'redo',
-    'recalc': 'recalc'
+    'recalc': 'recalc',
+    'updatelinks': 'updatelinks'
 };
 
 /**
@@ -2845,7 +2895,7 @@ SocialCalc.SpreadsheetControl.DoSum = function() {
             while (row > 0) {
                 cr = SocialCalc.crToCoord(col, row);
                 cell = sheet.GetAssuredCell(cr);
-                if (!cell.datatype || cell.datatype === "t") {
+                if ((!cell.datatype && cell.valuetype.charAt(0) !== "n") || cell.datatype === "t") { // spilled numbers count
                     if (foundvalue) {
                         row++;
                         break;
@@ -778,10 +778,11 @@ SocialCalc.TableEditor.prototype.DisplayCellContents = function() {
  * @method EditorSaveEdit
  * @memberof SocialCalc.TableEditor
  * @param {string} text - Text to save
+ * @param {boolean} asarray - If true, enter a formula as an array formula
  * @returns {*} Result of SocialCalc.EditorSaveEdit
  */
-SocialCalc.TableEditor.prototype.EditorSaveEdit = function(text) {
-   return SocialCalc.EditorSaveEdit(this, text);
+SocialCalc.TableEditor.prototype.EditorSaveEdit = function(text, asarray) {
+   return SocialCalc.EditorSaveEdit(this, text, asarray);
 };
 
 /**
@@ -2446,6 +2447,7 @@ SocialCalc.EditorOpenCellEdit = function(editor) {
    wval.ecoord = editor.ecell.coord;
    wval.erow = editor.ecell.row;
    wval.ecol = editor.ecell.col;
+   wval.erange = SocialCalc.EditorSelectedRange(editor);
    wval.startsheet = wval.currentsheet;
    wval.startsheetid = wval.currentsheetid;
 
@@ -2541,6 +2543,7 @@ SocialCalc.EditorProcessKey = function(editor, ch, e) {
          wval.ecoord = editor.ecell.coord;
          wval.erow = editor.ecell.row;
          wval.ecol = editor.ecell.col;
+         wval.erange = SocialCalc.EditorSelectedRange(editor); // for entering an array formula into it
          wval.startsheet = wval.currentsheet;
          wval.startsheetid = wval.currentsheetid;
          editor.RangeRemove();
@@ -2549,6 +2552,7 @@ SocialCalc.EditorProcessKey = function(editor, ch, e) {
       case "input":
          inputtext = editor.inputBox.GetText(); // should not get here if no inputBox
          if (editor.inputBox.skipOne) return false; // ignore a key already handled
+         if (SocialCalc.InputEchoAutocompleteKey(editor.inputEcho, ch)) return false;
          if (ch === "[esc]" || ch === "[enter]" || ch === "[tab]" || (ch && ch.substr(0, 2) === "[a")) {
             if (("(+-*/,:!&<>=^".indexOf(inputtext.slice(-1)) >= 0 && inputtext.slice(0, 1) === "=") ||
                 (inputtext === "=")) {
@@ -2573,7 +2577,7 @@ SocialCalc.EditorProcessKey = function(editor, ch, e) {
             editor.state = "start";
             editor.cellhandles.ShowCellHandles(true);
             if (ch !== "[esc]") {
-               editor.EditorSaveEdit();
+               editor.EditorSaveEdit(undefined, ch === "[enter]" && e.ctrlKey && e.shiftKey); // Ctrl+Shift+Enter: array formula
                if (editor.ecell.coord !== wval.ecoord) {
                   editor.MoveECell(wval.ecoord);
                }
@@ -2610,6 +2614,7 @@ SocialCalc.EditorProcessKey = function(editor, ch, e) {
 
       case "inputboxdirect":
          inputtext = editor.inputBox.GetText(); // should not get here if no inputBox
+         if (SocialCalc.InputEchoAutocompleteKey(editor.inputEcho, ch)) return false;
          if (ch === "[esc]" || ch === "[enter]" || ch === "[tab]") {
             editor.inputBox.Blur();
             editor.inputBox.ShowInputBox(false);
@@ -2618,7 +2623,7 @@ SocialCalc.EditorProcessKey = function(editor, ch, e) {
             if (ch === "[esc]") {
                editor.inputBox.DisplayCellContents();
             } else {
-               editor.EditorSaveEdit();
+               editor.EditorSaveEdit(undefined, ch === "[enter]" && e.ctrlKey && e.shiftKey); // Ctrl+Shift+Enter: array formula
                if (editor.ecell.coord !== wval.ecoord) {
                   editor.MoveECell(wval.ecoord);
                }
@@ -2677,6 +2682,7 @@ SocialCalc.EditorAddToInput = function(editor, str, prefix) {
          wval.ecoord = editor.ecell.coord;
          wval.erow = editor.ecell.row;
          wval.ecol = editor.ecell.col;
+         wval.erange = SocialCalc.EditorSelectedRange(editor); // for entering an array formula into it
          wval.startsheet = wval.currentsheet;
          wval.startsheetid = wval.currentsheetid;
          editor.RangeRemove();
@@ -2714,13 +2720,17 @@ SocialCalc.EditorDisplayCellContents = function(editor) {
  * @description Saves the current edit operation
  * @param {Object} editor - The table editor instance
  * @param {string} text - Optional text to save (if not provided, gets from input box)
+ * @param {boolean} asarray - If true, a formula is entered as an array formula filling the range
+ *   selected when editing started (or the range it already fills). A formula edited in a cell that
+ *   already has an array formula stays one over the same range either way.
  * @returns {boolean} Returns true if operation couldn't be completed
  */
-SocialCalc.EditorSaveEdit = function(editor, text) {
-   let result, cell, valueinfo, fch, type, value, oldvalue, cmdline;
+SocialCalc.EditorSaveEdit = function(editor, text, asarray) {
+   let result, cell, valueinfo, fch, type, value, oldvalue, cmdline, size, cr;
 
    const sheetobj = editor.context.sheetobj;
    const wval = editor.workingvalues;
+   const locale = SocialCalc.FormulaLocales[sheetobj.attribs.locale];
 
    if (SocialCalc.Callbacks && SocialCalc.Callbacks.IsCellEditable) {
       if (!SocialCalc.Callbacks.IsCellEditable(editor)) {
@@ -2732,7 +2742,8 @@ SocialCalc.EditorSaveEdit = function(editor, text) {
    value = typeof text === "string" ? text : editor.inputBox.GetText(); // either explicit or from input box
 
    oldvalue = `${SocialCalc.GetCellContents(sheetobj, wval.ecoord)}`;
-   if (value === oldvalue) { // no change
+   cell = sheetobj.cells[wval.ecoord];
+   if (value === oldvalue) { // no change (an array formula stays one)
       return;
    }
 
@@ -2744,13 +2755,18 @@ SocialCalc.EditorSaveEdit = function(editor, text) {
    if (fch === "=" && value.indexOf("\n") === -1) {
       type = "formula";
       value = value.substring(1);
+      if (locale) value = SocialCalc.ConvertFormulaFromLocale(value, locale); // stored canonically
+      // R1C1 references are relative to where it goes, and with the R1C1 setting C2 is column 2, as shown
+      value = SocialCalc.ConvertFormulaFromR1C1(value, asarray && wval.erange ? wval.erange.split(":")[0] : wval.ecoord,
+         sheetobj.attribs.refstyle === "r1c1", sheetobj);
    } else if (fch === "'") {
       type = "text t";
       value = value.substring(1);
    } else if (value.length === 0) {
       type = "empty";
    } else {
-      valueinfo = SocialCalc.DetermineValueType(value);
+      valueinfo = SocialCalc.DetermineValueType(value, locale);
+      if (locale) value = SocialCalc.ConvertValueFromLocale(value, locale);
       if (valueinfo.type === "n" && value === `${valueinfo.value}`) { // see if don't need "constant"
          type = "value n";
       } else if (valueinfo.type.charAt(0) === "t") {
@@ -2779,11 +2795,39 @@ SocialCalc.EditorSaveEdit = function(editor, text) {
    }
 
    cmdline = `set ${wval.ecoord} ${type} ${value}`;
+
+   if (type === "formula" && (asarray || (cell && cell.arraysize))) {
+      if (asarray && wval.erange) {
+         cmdline = `set ${wval.erange} arrayformula ${value}`;
+      } else if (cell && cell.arraysize) { // editing an array formula: keep the same range
+         size = cell.arraysize.split("x");
+         cr = SocialCalc.coordToCr(wval.ecoord);
+         cmdline = `set ${wval.ecoord}:${SocialCalc.crToCoord(cr.col + (size[1] - 1), cr.row + (size[0] - 1))} arrayformula ${value}`;
+      } else {
+         cmdline = `set ${wval.ecoord} arrayformula ${value}`;
+      }
+   }
+
    editor.EditorScheduleSheetCommands(cmdline, true, false);
 
    return;
 };
 
+/**
+ * @function EditorSelectedRange
+ * @memberof SocialCalc
+ * @description Returns the selected range, such as "A1:C4", or "" if there is none
+ * @param {Object} editor - The table editor instance
+ * @returns {string} The range
+ */
+SocialCalc.EditorSelectedRange = function(editor) {
+   const range = editor.range;
+
+   if (!range.hasrange) return "";
+
+   return `${SocialCalc.crToCoord(range.left, range.top)}:${SocialCalc.crToCoord(range.right, range.bottom)}`;
+};
+
 /**
  * @function EditorApplySetCommandsToRange
  * @memberof SocialCalc
@@ -4182,7 +4226,16 @@ SocialCalc.InputBoxDisplayCellContents = function(inputbox, coord) {
 
    if (!inputbox) return;
    if (!coord) coord = inputbox.editor.ecell.coord;
-   let text = SocialCalc.GetCellContents(inputbox.editor.context.sheetobj, coord);
+   const sheetobj = inputbox.editor.context.sheetobj;
+   let text = SocialCalc.GetCellContents(sheetobj, coord);
+   let cell = sheetobj.cells[coord];
+   if (cell && !cell.datatype && cell.spillfrom) { // part of an array formula's range shows its formula
+      cell = sheetobj.cells[cell.spillfrom];
+      if (cell && cell.arraysize) text = SocialCalc.GetCellContents(sheetobj, cell.coord);
+   }
+   if (cell && cell.arraysize && inputbox.editor.state === "start") { // mark array formulas when not editing
+      text = `{${text}}`;
+   }
    if (text.indexOf("\n") !== -1) {
       text = scc.s_inputboxdisplaymultilinetext;
       inputbox.element.disabled = true;
@@ -4231,6 +4284,8 @@ SocialCalc.InputBoxOnMouseDown = function(e) {
          wval.ecoord = editor.ecell.coord;
          wval.erow = editor.ecell.row;
          wval.ecol = editor.ecell.col;
+         wval.erange = SocialCalc.EditorSelectedRange(editor);
+         editor.inputBox.DisplayCellContents(); // without the array formula marker
          editor.inputEcho.ShowInputEcho(true);
          break;
 
@@ -4291,6 +4346,62 @@ SocialCalc.InputEcho = function(editor) {
     */
    this.functionbox = null;
 
+   /**
+    * @member {HTMLElement|null} autocomplete - List of functions and names matching what is being typed
+    */
+   this.autocomplete = null;
+
+   /**
+    * @member {Array<string>} autocompletelist - Entries in the autocomplete list, functions ending in "("
+    */
+   this.autocompletelist = [];
+
+   /**
+    * @member {number} autocompleteselected - Index of the chosen entry in the autocomplete list
+    */
+   this.autocompleteselected = 0;
+
+   /**
+    * @member {Object|null} assistinfo - Result of InputEchoFormulaInfo for the text before the caret
+    */
+   this.assistinfo = null;
+
+   /**
+    * @member {string|null} assisttext - Text before the caret when the list and prompt were last updated
+    */
+   this.assisttext = null;
+
+   /**
+    * @member {string|null} autocompletedismissed - Text before the caret when the list was closed with Esc
+    */
+   this.autocompletedismissed = null;
+
+   /**
+    * @member {Array<Object>} references - References in the formula being edited, from FormulaReferences
+    *    with positions in the whole text and a color added
+    */
+   this.references = [];
+
+   /**
+    * @member {string|null} referencetext - Text the references were found in
+    */
+   this.referencetext = null;
+
+   /**
+    * @member {Array<Object>} referenceoutlines - Outlines on the grid, each {refindex, sides: [top, bottom, left, right]}
+    */
+   this.referenceoutlines = [];
+
+   /**
+    * @member {Array|null} referencepositions - The editor's rowpositions when the outlines were placed
+    */
+   this.referencepositions = null;
+
+   /**
+    * @member {Object|null} referencedrag - While dragging an outline: {refindex, row, col, text, ref}
+    */
+   this.referencedrag = null;
+
    this.container = document.createElement("div");
    SocialCalc.setStyles(this.container, "display:none;position:absolute;zIndex:10;");
 
@@ -4322,6 +4433,14 @@ SocialCalc.InputEcho = function(editor) {
 
    this.container.appendChild(this.prompt);
 
+   this.autocomplete = document.createElement("div");
+   if (scc.defaultInputEchoAutocompleteClass) this.autocomplete.className = scc.defaultInputEchoAutocompleteClass;
+   if (scc.defaultInputEchoAutocompleteStyle) SocialCalc.setStyles(this.autocomplete, scc.defaultInputEchoAutocompleteStyle);
+   this.autocomplete.style.display = "none"; // only shown while there are matches
+   this.autocomplete.onmousedown = SocialCalc.InputEchoAutocompleteMouseDown;
+
+   this.container.appendChild(this.autocomplete);
+
    SocialCalc.DragRegister(this.main, true, true, {
       MouseDown: SocialCalc.DragFunctionStart, 
       MouseMove: SocialCalc.DragFunctionPosition,
@@ -4394,6 +4513,12 @@ SocialCalc.ShowInputEcho = function(inputecho, show) {
       if (inputecho.interval) window.clearInterval(inputecho.interval);
       inputecho.container.style.display = "none";
       inputecho.topprompt.innerHTML = "";
+      SocialCalc.InputEchoAutocompleteShow(inputecho, []);
+      inputecho.assisttext = null;
+      inputecho.autocompletedismissed = null;
+      inputecho.references = [];
+      inputecho.referencetext = null;
+      SocialCalc.ShowReferenceOutlines(inputecho);
       if (SocialCalc.HasTouch) {      
          inputecho.maininput.blur();
          inputecho.maininput.value = "";
@@ -4409,12 +4534,14 @@ SocialCalc.ShowInputEcho = function(inputecho, show) {
  * @param {string} str - The text string to set
  */
 SocialCalc.SetInputEchoText = function(inputecho, str) {
-   const scc = SocialCalc.Constants;
-   let fname, fstr;
    let newstr = SocialCalc.special_chars(str);
    newstr = newstr.replace(/\n/g, "<br>");
 
    if (!SocialCalc.HasTouch) {
+      SocialCalc.InputEchoFindReferences(inputecho);
+      if (inputecho.references.length && str.substring(0, inputecho.referencetext.length) === inputecho.referencetext) {
+         newstr = SocialCalc.InputEchoReferencesHTML(inputecho, str).replace(/\n/g, "<br>");
+      }
       if (inputecho.text !== newstr) {
          inputecho.main.innerHTML = newstr;
          inputecho.text = newstr;
@@ -4425,23 +4552,7 @@ SocialCalc.SetInputEchoText = function(inputecho, str) {
       }
    }
 
-   const parts = str.match(/.*[\+\-\*\/\&\^\<\>\=\,\(]([A-Za-z][A-ZA-z]\w*?)\([^\)]*$/);
-   if (str.charAt(0) === "=" && parts) {
-      fname = parts[1].toUpperCase();
-      if (SocialCalc.Formula.FunctionList[fname]) {
-         SocialCalc.Formula.FillFunctionInfo(); //  make sure filled
-         fstr = SocialCalc.special_chars(`${fname}(${SocialCalc.Formula.FunctionArgString(fname)})`);
-      } else {
-         fstr = scc.ietUnknownFunction + fname;
-      }
-      if (inputecho.prompt.innerHTML !== fstr) {
-         inputecho.prompt.innerHTML = fstr;
-         inputecho.prompt.style.display = "block";
-      }
-   } else if (inputecho.prompt.style.display !== "none") {
-      inputecho.prompt.innerHTML = "";
-      inputecho.prompt.style.display = "none";
-   }
+   SocialCalc.InputEchoAssist(inputecho, str);
 
    const editor = inputecho.editor;   
 
@@ -4459,6 +4570,573 @@ SocialCalc.SetInputEchoText = function(inputecho, str) {
    }
 };
 
+/**
+ * @function InputEchoAssist
+ * @memberof SocialCalc
+ * @description Updates the function prompt and the autocomplete list for the formula being typed
+ * 
+ * Inside a function call the prompt shows its arguments with the one being typed highlighted.
+ * While typing a name after "=", an operator, "(" or "," the list shows matching functions and defined names.
+ * Only the text before the caret counts, and nothing is done if it has not changed.
+ * 
+ * @param {Object} inputecho - The InputEcho instance
+ * @param {string} str - The text being shown, used if there is no input box to get the text and caret from
+ */
+SocialCalc.InputEchoAssist = function(inputecho, str) {
+   const scc = SocialCalc.Constants;
+   let fstr, text, caret, info, locale;
+   const editor = inputecho.editor;
+   const element = editor.inputBox && editor.inputBox.element;
+
+   if (element) {
+      text = editor.inputBox.GetText();
+      caret = typeof element.selectionEnd === "number" ? element.selectionEnd : text.length;
+      text = text.substring(0, caret);
+   } else {
+      text = str;
+   }
+
+   if (text === inputecho.assisttext) return; // nothing new
+   inputecho.assisttext = text;
+
+   locale = SocialCalc.FormulaLocales[editor.context.sheetobj.attribs.locale];
+   info = text.charAt(0) === "=" ?
+      SocialCalc.InputEchoFormulaInfo(locale ? SocialCalc.ConvertFormulaFromLocale(text, locale, true) : text) : null;
+   inputecho.assistinfo = info;
+
+   if (info && info.fname && locale && locale.functions[info.fname]) { // prompt for the function it stands for
+      info.fname = locale.functions[info.fname];
+   }
+
+   if (info && info.fname) {
+      if (SocialCalc.Formula.FunctionList[info.fname]) {
+         fstr = SocialCalc.InputEchoArgumentPrompt(info.fname, info.argnum);
+      } else {
+         fstr = SocialCalc.special_chars(scc.ietUnknownFunction + info.fname);
+      }
+      if (inputecho.prompt.innerHTML !== fstr) {
+         inputecho.prompt.innerHTML = fstr;
+         inputecho.prompt.style.display = "block";
+      }
+   } else if (inputecho.prompt.style.display !== "none") {
+      inputecho.prompt.innerHTML = "";
+      inputecho.prompt.style.display = "none";
+   }
+
+   if (info && info.partial && text !== inputecho.autocompletedismissed &&
+       (editor.state === "input" || editor.state === "inputboxdirect")) {
+      SocialCalc.InputEchoAutocompleteShow(inputecho, SocialCalc.InputEchoAutocompleteMatches(editor, info.partial));
+   } else {
+      SocialCalc.InputEchoAutocompleteShow(inputecho, []);
+   }
+};
+
+/**
+ * @function InputEchoFormulaInfo
+ * @memberof SocialCalc
+ * @description Finds where the caret is in a partly typed formula
+ * 
+ * Skips over strings and quoted sheet names, and keeps track of open parentheses
+ * and array constant braces to know which function call and argument the end of the text is in.
+ * 
+ * @param {string} text - Formula text up to the caret, starting with "="
+ * @returns {Object} Result object containing:
+ *   - {string} partial - The function or name being typed, or "" if not typing one
+ *   - {string} fname - Upper case name of the innermost function call, or "" if not in one
+ *   - {number} argnum - Index of the argument being typed in that call, starting at 0
+ * 
+ * @example
+ * SocialCalc.InputEchoFormulaInfo("=IF(A1>2,SU");
+ * // Returns: {partial: "SU", fname: "IF", argnum: 1}
+ */
+SocialCalc.InputEchoFormulaInfo = function(text) {
+   let i, ch, parts, top;
+   let quote = "";
+   const stack = []; // {fname, argnum, brace}
+   const result = {partial: "", fname: "", argnum: 0};
+
+   for (i = 1; i < text.length; i++) {
+      ch = text.charAt(i);
+      if (quote) {
+         if (ch === quote) quote = ""; // a doubled quote just closes and opens again
+         continue;
+      }
+      if (ch === '"' || ch === "'") {
+         quote = ch;
+      } else if (ch === "(") {
+         parts = text.substring(0, i).match(/([A-Za-z][\w\.]*)$/);
+         stack.push({fname: parts ? parts[1].toUpperCase() : "", argnum: 0, brace: false});
+      } else if (ch === "{") {
+         stack.push({fname: "", argnum: 0, brace: true});
+      } else if (ch === ")" || ch === "}") {
+         stack.pop();
+      } else if (ch === "," && stack.length) {
+         stack[stack.length - 1].argnum++;
+      }
+   }
+
+   for (i = stack.length - 1; i >= 0; i--) { // innermost function call, not a plain parenthesis
+      top = stack[i];
+      if (top.fname) {
+         result.fname = top.fname;
+         result.argnum = top.argnum;
+         break;
+      }
+   }
+
+   if (!quote) {
+      parts = text.match(/(^=|[\+\-\*\/\&\^<>=,\(\s])([A-Za-z_][\w\.]*)$/);
+      if (parts) result.partial = parts[2];
+   }
+
+   return result;
+};
+
+/**
+ * @function InputEchoArgumentPrompt
+ * @memberof SocialCalc
+ * @description Returns HTML for a function's arguments with the one being typed highlighted
+ * 
+ * Past the last listed argument, a trailing "..." is highlighted if there is one.
+ * 
+ * @param {string} fname - Upper case function name
+ * @param {number} argnum - Index of the argument being typed, starting at 0
+ * @returns {string} HTML such as "IF(logical-expression, <span>valueiftrue</span>, valueiffalse)"
+ */
+SocialCalc.InputEchoArgumentPrompt = function(fname, argnum) {
+   const scc = SocialCalc.Constants;
+   let parts, i, last;
+   const args = [];
+   const argpattern = /[^,\[\]]+/g;
+
+   SocialCalc.Formula.FillFunctionInfo(); // make sure filled
+   const argstr = SocialCalc.Formula.FunctionArgString(fname);
+
+   while ((parts = argpattern.exec(argstr))) {
+      if (parts[0].trim()) args.push({start: parts.index, end: parts.index + parts[0].length});
+   }
+
+   if (argnum >= args.length) {
+      last = args[args.length - 1];
+      argnum = last && argstr.substring(last.start, last.end).trim() === "..." ? args.length - 1 : -1;
+   }
+
+   if (argnum < 0) {
+      return SocialCalc.special_chars(`${fname}(${argstr})`);
+   }
+
+   i = args[argnum];
+   while (argstr.charAt(i.start) === " ") i.start++; // keep the spaces out of the highlight
+   while (argstr.charAt(i.end - 1) === " ") i.end--;
+
+   return `${SocialCalc.special_chars(`${fname}(${argstr.substring(0, i.start)}`)}<span style="${scc.ietArgumentCSS}">` +
+      `${SocialCalc.special_chars(argstr.substring(i.start, i.end))}</span>${SocialCalc.special_chars(`${argstr.substring(i.end)})`)}`;
+};
+
+/**
+ * @function InputEchoAutocompleteMatches
+ * @memberof SocialCalc
+ * @description Returns the functions and defined names that start with what is being typed
+ * 
+ * @param {Object} editor - The TableEditor
+ * @param {string} partial - The start of the name
+ * @returns {Array<string>} Sorted matches, at most ietAutocompleteMax, with "(" after functions and LAMBDA names
+ */
+SocialCalc.InputEchoAutocompleteMatches = function(editor, partial) {
+   const scc = SocialCalc.Constants;
+   let name;
+   const matches = [];
+   const upper = partial.toUpperCase();
+   const names = editor.context.sheetobj.names || {};
+
+   for (name in SocialCalc.Formula.FunctionList) {
+      if (name.substring(0, upper.length) === upper) matches.push(`${name}(`);
+   }
+
+   for (name in names) {
+      if (name.substring(0, upper.length) === upper && !SocialCalc.Formula.FunctionList[name]) {
+         matches.push(/^=?\s*LAMBDA\s*\(/i.test(names[name].definition || "") ? `${name}(` : name);
+      }
+   }
+
+   matches.sort();
+
+   if (matches.length === 1 && matches[0].replace(/\($/, "") === upper) { // already typed in full
+      return [];
+   }
+
+   return matches.slice(0, scc.ietAutocompleteMax);
+};
+
+/**
+ * @function InputEchoAutocompleteShow
+ * @memberof SocialCalc
+ * @description Fills the autocomplete list with the given entries, hiding it if there are none
+ * 
+ * The first entry is chosen unless the entries are the same as already shown.
+ * 
+ * @param {Object} inputecho - The InputEcho instance
+ * @param {Array<string>} list - Entries to show
+ */
+SocialCalc.InputEchoAutocompleteShow = function(inputecho, list) {
+   const scc = SocialCalc.Constants;
+   let i;
+   let str = "";
+
+   if (!inputecho.autocomplete) return;
+
+   if (list.join("|") !== inputecho.autocompletelist.join("|")) {
+      inputecho.autocompleteselected = 0;
+   }
+   inputecho.autocompletelist = list;
+
+   if (!list.length) {
+      if (inputecho.autocomplete.style.display !== "none") {
+         inputecho.autocomplete.innerHTML = "";
+         inputecho.autocomplete.style.display = "none";
+      }
+      return;
+   }
+
+   for (i = 0; i < list.length; i++) {
+      str += `<div data-item="${i}" style="${i === inputecho.autocompleteselected ?
+         scc.ietAutocompleteSelectedCSS : scc.ietAutocompleteItemCSS}">${SocialCalc.special_chars(list[i])}</div>`;
+   }
+
+   if (inputecho.autocomplete.innerHTML !== str) {
+      inputecho.autocomplete.innerHTML = str;
+   }
+   inputecho.autocomplete.style.display = "block";
+};
+
+/**
+ * @function InputEchoAutocompleteKey
+ * @memberof SocialCalc
+ * @description Handles keys for the autocomplete list while it is shown
+ * 
+ * Up and down arrows choose an entry, Tab or Enter puts it in the formula, and Esc closes the list.
+ * 
+ * @param {Object} inputecho - The InputEcho instance
+ * @param {string} ch - The character or key name
+ * @returns {boolean} True if the key was used by the list
+ */
+SocialCalc.InputEchoAutocompleteKey = function(inputecho, ch) {
+   const n = inputecho.autocompletelist.length;
+
+   if (!n || inputecho.autocomplete.style.display === "none") return false;
+
+   switch (ch) {
+      case "[adown]":
+      case "[aup]":
+         inputecho.autocompleteselected = (inputecho.autocompleteselected + (ch === "[adown]" ? 1 : n - 1)) % n;
+         SocialCalc.InputEchoAutocompleteShow(inputecho, inputecho.autocompletelist.slice(0));
+         return true;
+
+      case "[tab]":
+      case "[enter]":
+         SocialCalc.InputEchoAutocompleteAccept(inputecho, inputecho.autocompleteselected);
+         return true;
+
+      case "[esc]":
+         inputecho.autocompletedismissed = inputecho.assisttext;
+         SocialCalc.InputEchoAutocompleteShow(inputecho, []);
+         return true;
+   }
+
+   return false;
+};
+
+/**
+ * @function InputEchoAutocompleteAccept
+ * @memberof SocialCalc
+ * @description Replaces the partly typed name before the caret with an entry from the autocomplete list
+ * @param {Object} inputecho - The InputEcho instance
+ * @param {number} index - Index of the entry
+ */
+SocialCalc.InputEchoAutocompleteAccept = function(inputecho, index) {
+   let entry = inputecho.autocompletelist[index];
+   const editor = inputecho.editor;
+   const info = inputecho.assistinfo;
+
+   if (!entry || !info || !editor.inputBox) return;
+
+   const text = editor.inputBox.GetText();
+   const before = inputecho.assisttext;
+   const after = text.substring(before.length);
+   if (entry.slice(-1) === "(" && after.charAt(0) === "(") { // already has its parenthesis
+      entry = entry.slice(0, -1);
+   }
+
+   const newbefore = before.substring(0, before.length - info.partial.length) + entry;
+   editor.inputBox.SetText(newbefore + after);
+   const element = editor.inputBox.element;
+   if (element.setSelectionRange) {
+      element.setSelectionRange(newbefore.length, newbefore.length);
+   }
+
+   SocialCalc.InputEchoAutocompleteShow(inputecho, []);
+};
+
+/**
+ * @function InputEchoAutocompleteMouseDown
+ * @memberof SocialCalc
+ * @description Puts the clicked autocomplete entry in the formula
+ * @param {Event} e - The mouse event
+ * @returns {boolean} False so the input keeps the focus
+ */
+SocialCalc.InputEchoAutocompleteMouseDown = function(e) {
+   const event = e || window.event;
+   const editor = SocialCalc.Keyboard.focusTable; // get TableEditor doing keyboard stuff
+   if (!editor) return true; // we're not handling it -- let browser do default
+
+   const target = event.target || event.srcElement;
+   const item = target && target.getAttribute && target.getAttribute("data-item");
+   if (item !== null && item !== undefined && item !== "") {
+      SocialCalc.InputEchoAutocompleteAccept(editor.inputEcho, item - 0);
+   }
+
+   if (event.preventDefault) event.preventDefault();
+   return false;
+};
+
+/**
+ * @function InputEchoFindReferences
+ * @memberof SocialCalc
+ * @description Finds the references in the formula being edited and updates their outlines on the grid
+ * 
+ * Uses SocialCalc.Formula.FormulaReferences on the input box text. The same reference gets the same color
+ * each time it appears. Nothing is found unless a formula is being edited.
+ * 
+ * @param {Object} inputecho - The InputEcho instance
+ */
+SocialCalc.InputEchoFindReferences = function(inputecho) {
+   const scc = SocialCalc.Constants;
+   let i, ref, key, locale;
+   const colors = {};
+   let ncolors = 0;
+   const editor = inputecho.editor;
+   const text = editor.inputBox && (editor.state === "input" || editor.state === "inputboxdirect") ?
+      editor.inputBox.GetText() : "";
+
+   if (text !== inputecho.referencetext) {
+      inputecho.referencetext = text;
+      locale = SocialCalc.FormulaLocales[editor.context.sheetobj.attribs.locale];
+      inputecho.references = text.charAt(0) === "=" ? SocialCalc.Formula.FormulaReferences(
+         locale ? SocialCalc.ConvertFormulaFromLocale(text.substring(1), locale, true) : text.substring(1)) : [];
+      for (i = 0; i < inputecho.references.length; i++) {
+         ref = inputecho.references[i];
+         ref.start++; // after the "="
+         ref.end++;
+         key = text.substring(ref.start, ref.end).replace(/\$/g, "").toUpperCase();
+         if (!colors[key]) {
+            colors[key] = scc.ietReferenceColors[ncolors++ % scc.ietReferenceColors.length];
+         }
+         ref.color = colors[key];
+      }
+   } else if (inputecho.referencepositions === editor.rowpositions) {
+      return; // nothing changed and not scrolled
+   }
+
+   SocialCalc.ShowReferenceOutlines(inputecho);
+};
+
+/**
+ * @function InputEchoReferencesHTML
+ * @memberof SocialCalc
+ * @description Returns HTML for the text being echoed with each reference in its color
+ * @param {Object} inputecho - The InputEcho instance
+ * @param {string} str - The text, starting with the text the references were found in
+ * @returns {string} HTML for the text
+ */
+SocialCalc.InputEchoReferencesHTML = function(inputecho, str) {
+   let i, ref;
+   let html = "";
+   let pos = 0;
+
+   for (i = 0; i < inputecho.references.length; i++) {
+      ref = inputecho.references[i];
+      html += `${SocialCalc.special_chars(str.substring(pos, ref.start))}<span style="color:${ref.color};">` +
+         `${SocialCalc.special_chars(str.substring(ref.start, ref.end))}</span>`;
+      pos = ref.end;
+   }
+
+   return html + SocialCalc.special_chars(str.substring(pos));
+};
+
+/**
+ * @function ShowReferenceOutlines
+ * @memberof SocialCalc
+ * @description Draws a colored outline around each reference on this sheet in the formula being edited
+ * 
+ * Only the parts of a range that are on the screen are outlined. References to other sheets,
+ * whole columns and whole rows do not get outlines. Each outline is made of four draggable sides.
+ * 
+ * @param {Object} inputecho - The InputEcho instance
+ */
+SocialCalc.ShowReferenceOutlines = function(inputecho) {
+   const scc = SocialCalc.Constants;
+   let i, j, ref, cr1, cr2, r, c, rfirst, rlast, cfirst, clast, outline, top, bottom, left, right, sides;
+   const editor = inputecho.editor;
+   let n = 0;
+
+   for (i = 0; i < inputecho.references.length; i++) {
+      ref = inputecho.references[i];
+      if (ref.sheetname) continue;
+      cr1 = SocialCalc.coordToCr(ref.coord1.replace(/#$/, ""));
+      cr2 = SocialCalc.coordToCr(ref.coord2.replace(/#$/, ""));
+      if (!cr1.row || !cr1.col || !cr2.row || !cr2.col) continue; // whole column or row
+
+      rfirst = rlast = cfirst = clast = 0;
+      for (r = Math.min(cr1.row, cr2.row); r <= Math.max(cr1.row, cr2.row) && r <= editor.lastvisiblerow; r++) {
+         if (!editor.rowpositions[r] || !editor.rowheight[r]) continue; // not on the screen
+         rfirst = rfirst || r;
+         rlast = r;
+      }
+      for (c = Math.min(cr1.col, cr2.col); c <= Math.max(cr1.col, cr2.col) && c <= editor.lastvisiblecol; c++) {
+         if (!editor.colpositions[c] || !editor.colwidth[c]) continue;
+         cfirst = cfirst || c;
+         clast = c;
+      }
+      if (!rfirst || !cfirst) continue;
+
+      outline = inputecho.referenceoutlines[n];
+      if (!outline) { // make another one
+         outline = {refindex: 0, sides: []};
+         for (j = 0; j < 4; j++) {
+            outline.sides[j] = document.createElement("div");
+            SocialCalc.setStyles(outline.sides[j], scc.ietReferenceOutlineStyle);
+            outline.sides[j].innerHTML = "&nbsp;";
+            editor.toplevel.appendChild(outline.sides[j]);
+            SocialCalc.DragRegister(outline.sides[j], true, true, {
+               MouseDown: SocialCalc.ReferenceOutlineDragStart,
+               MouseMove: SocialCalc.ReferenceOutlineDragMove,
+               MouseUp: SocialCalc.ReferenceOutlineDragMove,
+               Disabled: null,
+               inputecho: inputecho,
+               outline: outline
+            });
+         }
+         inputecho.referenceoutlines[n] = outline;
+      }
+      n++;
+      outline.refindex = i;
+
+      top = editor.rowpositions[rfirst] - 1;
+      bottom = editor.rowpositions[rlast] + editor.rowheight[rlast] - 1;
+      left = editor.colpositions[cfirst] - 1;
+      right = editor.colpositions[clast] + editor.colwidth[clast] - 1;
+      sides = [ // left, top, width, height, and whether that side of the range is on the screen
+         [left, top, right - left + 2, 2, rfirst === Math.min(cr1.row, cr2.row)],
+         [left, bottom, right - left + 2, 2, rlast === Math.max(cr1.row, cr2.row)],
+         [left, top, 2, bottom - top + 2, cfirst === Math.min(cr1.col, cr2.col)],
+         [right, top, 2, bottom - top + 2, clast === Math.max(cr1.col, cr2.col)]
+      ];
+      for (j = 0; j < 4; j++) {
+         outline.sides[j].style.left = `${sides[j][0]}px`;
+         outline.sides[j].style.top = `${sides[j][1]}px`;
+         outline.sides[j].style.width = `${sides[j][2]}px`;
+         outline.sides[j].style.height = `${sides[j][3]}px`;
+         outline.sides[j].style.backgroundColor = ref.color;
+         outline.sides[j].style.display = sides[j][4] ? "block" : "none";
+      }
+   }
+
+   for (i = n; i < inputecho.referenceoutlines.length; i++) { // hide the rest
+      for (j = 0; j < 4; j++) {
+         inputecho.referenceoutlines[i].sides[j].style.display = "none";
+      }
+   }
+
+   inputecho.referencepositions = editor.rowpositions;
+};
+
+/**
+ * @function ReferenceOutlineDragStart
+ * @memberof SocialCalc
+ * @description Starts dragging a reference outline, remembering the reference and the cell grabbed
+ * @param {Event} event - The mouse down event
+ * @param {Object} draginfo - Drag information object
+ * @param {Object} dobj - Drag object, with inputecho and outline in its functionobj
+ */
+SocialCalc.ReferenceOutlineDragStart = function(event, draginfo, dobj) {
+   const inputecho = dobj.functionobj.inputecho;
+   const editor = inputecho.editor;
+   const refindex = dobj.functionobj.outline.refindex;
+   const result = SocialCalc.GridMousePosition(editor, draginfo.clientX, draginfo.clientY);
+
+   if (!result || !inputecho.references[refindex]) return;
+
+   inputecho.referencedrag = {
+      refindex: refindex,
+      row: result.row,
+      col: result.col,
+      text: inputecho.referencetext,
+      ref: inputecho.references[refindex]
+   };
+};
+
+/**
+ * @function ReferenceOutlineDragMove
+ * @memberof SocialCalc
+ * @description Moves the reference being dragged by the rows and columns the mouse has moved,
+ * rewriting it in the input box. Also used for mouse up, which ends the drag.
+ * @param {Event} event - The mouse event
+ * @param {Object} draginfo - Drag information object
+ * @param {Object} dobj - Drag object, with inputecho in its functionobj
+ */
+SocialCalc.ReferenceOutlineDragMove = function(event, draginfo, dobj) {
+   const inputecho = dobj.functionobj.inputecho;
+   const editor = inputecho.editor;
+   const drag = inputecho.referencedrag;
+   let newref;
+
+   if (!drag) return;
+
+   const result = SocialCalc.GridMousePosition(editor, draginfo.clientX, draginfo.clientY);
+   if (result && result.coord) {
+      newref = SocialCalc.MoveReferenceText(drag.text.substring(drag.ref.start, drag.ref.end),
+         result.col - drag.col, result.row - drag.row);
+      if (newref) {
+         editor.inputBox.SetText(drag.text.substring(0, drag.ref.start) + newref + drag.text.substring(drag.ref.end));
+         SocialCalc.InputEchoFindReferences(inputecho);
+      }
+   }
+
+   if (event.type === "mouseup" || event.type === "losecapture") {
+      inputecho.referencedrag = null;
+      editor.inputBox.Focus();
+   }
+};
+
+/**
+ * @function MoveReferenceText
+ * @memberof SocialCalc
+ * @description Moves the coords in a reference as typed by a number of columns and rows
+ * 
+ * Unlike copying a formula, "$" parts move too since the reference is being moved on purpose.
+ * The "$"s and any sheet name stay as typed.
+ * 
+ * @param {string} reftext - The reference, such as "A1", "$B$2:C5" or "Sheet2!D4"
+ * @param {number} coloffset - Columns to move by
+ * @param {number} rowoffset - Rows to move by
+ * @returns {string|null} The moved reference, or null if it would go off the sheet
+ * 
+ * @example
+ * SocialCalc.MoveReferenceText("$a1:B2", 1, 2); // Returns: "$B3:C4"
+ */
+SocialCalc.MoveReferenceText = function(reftext, coloffset, rowoffset) {
+   let bad = false;
+   const pos = reftext.lastIndexOf("!") + 1; // leave the sheet name alone
+
+   const newtext = reftext.substring(pos).replace(/(\$?)([A-Za-z]{1,2})(\$?)(\d+)(?=$|:|#)/g, function(m, dollarcol, col, dollarrow, row) {
+      const cr = SocialCalc.coordToCr(col.toUpperCase() + row);
+      if (cr.col + coloffset < 1 || cr.row + rowoffset < 1) bad = true;
+      return dollarcol + SocialCalc.rcColname(cr.col + coloffset) + dollarrow + (cr.row + rowoffset);
+   });
+
+   return bad ? null : reftext.substring(0, pos) + newtext;
+};
+
 /**
  * @function InputEchoHeartbeat
  * @memberof SocialCalc
@@ -232,6 +232,7 @@ SocialCalc.WorkBookControlDelSheetRemote = function (sheetid) {
 
     const buttonId = deletedButton.id;
     const buttonName = deletedButton.value;
+    const sheetNames = SocialCalc.Callbacks.SheetNames(); // order before the delete, for spans of sheets
     delete control.sheetButtonArr[buttonId];
 
     containerElement.removeChild(deletedButton);
@@ -242,8 +243,9 @@ SocialCalc.WorkBookControlDelSheetRemote = function (sheetid) {
     sheetbar.removeChild(sheetbarButton);
 
     // Delete the sheet
-    control.workbook.DeleteWorkBookSheet(buttonId, buttonName);
+    control.workbook.DeleteWorkBookSheet(buttonId, buttonName, sheetNames);
     control.numSheets = control.numSheets - 1;
+    control.workbook.spreadsheet.ExecuteCommand('recalc', ''); // spans of sheets may have changed
 };
 
 /**
@@ -369,6 +371,7 @@ SocialCalc.WorkBookControlDeleteSheetSubmit = function () {
 
     const sheetId = currentButton.id;
     const currentSheetName = control.currentSheetButton.value;
+    const sheetNames = SocialCalc.Callbacks.SheetNames(); // order before the delete, for spans of sheets
     delete control.sheetButtonArr[sheetId];
 
     containerElement.removeChild(currentButton);
@@ -380,7 +383,7 @@ SocialCalc.WorkBookControlDeleteSheetSubmit = function () {
 
     control.currentSheetButton = null;
     // Delete the sheet from workbook
-    control.workbook.DeleteWorkBookSheet(sheetId, currentSheetName);
+    control.workbook.DeleteWorkBookSheet(sheetId, currentSheetName, sheetNames);
     control.numSheets = control.numSheets - 1;
 
     const commandString = `delsheet ${sheetId}`;
@@ -402,6 +405,7 @@ SocialCalc.WorkBookControlDeleteSheetSubmit = function () {
 
     if (control.currentSheetButton != null) {
         control.workbook.ActivateWorkBookSheet(control.currentSheetButton.id, null);
+        control.workbook.spreadsheet.ExecuteCommand('recalc', ''); // spans of sheets may have changed
     }
 };
 
@@ -1343,6 +1347,7 @@ SocialCalc.WorkBookControlMove = function(direction) {
     
     control.sheetButtonArr = newSheetArray;
     SocialCalc.SheetBarButtonActivate(currentId, true);
+    control.workbook.spreadsheet.ExecuteCommand('recalc', ''); // spans of sheets (Jan:Dec!B5) follow the new order
 };
 
 /**
@@ -2062,6 +2067,19 @@ SocialCalc.EditableCells.allow = false;
 SocialCalc.EditableCells.cells = {};
 SocialCalc.EditableCells.constraints = {};
 
+/**
+ * Callback giving the sheet names in sheet bar order, used for spans of sheets like Jan:Dec!B5
+ * @returns {Array<string>} Names of all the sheets, including hidden ones
+ */
+SocialCalc.Callbacks.SheetNames = function() {
+    const control = SocialCalc.GetCurrentWorkBookControl();
+    if (!control) return [];
+
+    return Object.keys(control.sheetButtonArr)
+        .filter(sheetId => control.workbook.sheetArr[sheetId])
+        .map(sheetId => control.workbook.sheetArr[sheetId].sheet.sheetname);
+};
+
 /**
  * Callback to determine if a cell is editable
  * @param {Object} editor - The spreadsheet editor object
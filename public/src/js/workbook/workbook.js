@@ -76,10 +76,11 @@ SocialCalc.WorkBook = class {
      * Deletes a sheet from the workbook
      * @param {string} sheetname - The sheet to delete
      * @param {string} cursheetname - The current sheet name
+     * @param {Array<string>} [sheetnames] - All the sheet names in order, before the delete
      * @returns {*} Result of the deletion
      */
-    DeleteWorkBookSheet(sheetname, cursheetname) {
-        return SocialCalc.DeleteWorkBookSheet(this, sheetname, cursheetname);
+    DeleteWorkBookSheet(sheetname, cursheetname, sheetnames) {
+        return SocialCalc.DeleteWorkBookSheet(this, sheetname, cursheetname, sheetnames);
     }
 
     /**
@@ -465,14 +466,33 @@ SocialCalc.ActivateWorkBookSheet = (workbook, sheetnamestr, oldsheetnamestr) =>
  * @param {Object} workbook - The workbook instance
  * @param {string} oldname - The sheet to delete
  * @param {string} curname - The current sheet name
+ * @param {Array<string>} [sheetnames] - All the sheet names in order, before the delete,
+ *   so spans of sheets (Jan:Dec!B5) that start or end with the deleted sheet can be fixed up
  */
-SocialCalc.DeleteWorkBookSheet = (workbook, oldname, curname) => {
+SocialCalc.DeleteWorkBookSheet = (workbook, oldname, curname, sheetnames) => {
 	try {
 		//alert(`delete ${oldname},${curname}`);
 		
 		if (!workbook.sheetArr[oldname]) {
 			throw new Error(`Sheet ${oldname} not found`);
 		}
+
+		if (sheetnames) {
+			for (const sheet of Object.keys(workbook.sheetArr)) {
+				if (sheet === oldname) continue;
+				const { cells } = workbook.sheetArr[sheet].sheet;
+				for (const cr of Object.keys(cells)) {
+					const cell = cells[cr];
+					if (cell && cell.datatype === "f" && cell.formula.indexOf(":") !== -1) {
+						const formula = SocialCalc.DeleteWorkBookSheetCell(cell.formula, curname, sheetnames);
+						if (formula !== cell.formula) {
+							cell.formula = formula;
+							delete cell.parseinfo;
+						}
+					}
+				}
+			}
+		}
 		
 		delete workbook.sheetArr[oldname].context;
 		delete workbook.sheetArr[oldname].sheet;
@@ -564,12 +584,20 @@ SocialCalc.RenameWorkBookSheetCell = (formula, oldname, newname) => {
    	const { op: token_op, string: token_string, coord: token_coord } = TokenType;
 
    	const parseinfo = SocialCalc.Formula.ParseFormulaIntoTokens(formula);
+   	let spanpos = 0; // where to look for the next span in the formula text
 
    	for (i = 0; i < parseinfo.length; i++) {
    		const { type: ttype, text: ttext } = parseinfo[i];
 		//alert(`${ttype},${ttext}`);
 		//console.log(`${scf.NormalizeSheetName(ttext)}   ${oldname}`);
-		if ((ttype === TokenType.name) && (scf.NormalizeSheetName(ttext) === oldname) && (i < parseinfo.length)) {
+		if ((ttype === TokenType.name) && (ttext.indexOf(":") !== -1) && parseinfo[i + 1] && (parseinfo[i + 1].text === "!")) {
+			// span of sheets, like Jan:Dec!B5 -- the tokens are upper case, so keep the other end as typed
+			spanpos = formula.toUpperCase().indexOf(`${ttext.toUpperCase()}!`, spanpos);
+			const spantext = spanpos >= 0 ? formula.substring(spanpos, spanpos + ttext.length) : ttext;
+			spanpos = spanpos >= 0 ? spanpos + ttext.length : 0;
+			const ends = SocialCalc.WorkBookSheetSpanEnds(spantext).map(name => (scf.NormalizeSheetName(name) === oldname ? newname : name));
+			updatedformula += SocialCalc.WorkBookSheetSpanText(ends[0], ends[1]);
+		} else if ((ttype === TokenType.name) && (scf.NormalizeSheetName(ttext) === oldname) && (i < parseinfo.length)) {
    			if ((parseinfo[i + 1].type === token_op) && (parseinfo[i + 1].text === "!")) {
 				updatedformula += newname;//console.log (updatedformula);
 			} else {
@@ -587,6 +615,76 @@ SocialCalc.RenameWorkBookSheetCell = (formula, oldname, newname) => {
 	}
 }
 
+/**
+ * Splits a span of sheets as it appears in a formula, such as Jan:Dec or 'Jan 24:Mar', into its first and last sheet names
+ * @param {string} span - The span, in single quotes if the formula has them
+ * @returns {Array<string>} The two sheet names, without quotes
+ */
+SocialCalc.WorkBookSheetSpanEnds = (span) => {
+	if (span.charAt(0) === "'") {
+		span = span.substring(1, span.length - 1).replace(/''/g, "'");
+	}
+	const pos = span.indexOf(":");
+	return [span.substring(0, pos), span.substring(pos + 1)];
+};
+
+/**
+ * Makes the text of a span of sheets for a formula, in single quotes if either name needs them
+ * @param {string} name1 - The first sheet name
+ * @param {string} name2 - The last sheet name
+ * @returns {string} The span, such as Jan:Dec or 'Jan 24:Mar'
+ */
+SocialCalc.WorkBookSheetSpanText = (name1, name2) => {
+	const plain = /^[A-Z_][A-Z0-9_.]*$/i;
+	if (plain.test(name1) && plain.test(name2)) {
+		return `${name1}:${name2}`;
+	}
+	return `'${`${name1}:${name2}`.replace(/'/g, "''")}'`;
+};
+
+/**
+ * Moves the first or last sheet of spans of sheets (Jan:Dec!B5) in a formula off a sheet being deleted,
+ * to the next sheet inside the span
+ * @param {string} formula - The formula to update
+ * @param {string} delname - The name of the sheet being deleted
+ * @param {Array<string>} sheetnames - All the sheet names in order, before the delete
+ * @returns {string} The updated formula, or formula itself if there was nothing to change
+ */
+SocialCalc.DeleteWorkBookSheetCell = (formula, delname, sheetnames) => {
+	const scf = SocialCalc.Formula;
+	const { TokenType, TokenOpExpansion } = scf;
+	const names = sheetnames.map(name => scf.NormalizeSheetName(name));
+	const deleted = scf.NormalizeSheetName(delname);
+	const parseinfo = scf.ParseFormulaIntoTokens(formula);
+	let updatedformula = "";
+	let changed = false;
+
+	for (let i = 0; i < parseinfo.length; i++) {
+		let { type: ttype, text: ttext } = parseinfo[i];
+		if (ttype === TokenType.name && ttext.indexOf(":") !== -1 && parseinfo[i + 1] && parseinfo[i + 1].text === "!") {
+			const ends = SocialCalc.WorkBookSheetSpanEnds(ttext).map(name => names.indexOf(scf.NormalizeSheetName(name)));
+			const step = ends[0] <= ends[1] ? 1 : -1;
+			if (ends[0] >= 0 && ends[1] >= 0 && ends[0] !== ends[1]) { // a span of one sheet just goes away
+				if (names[ends[0]] === deleted) {
+					ends[0] += step;
+					changed = true;
+				} else if (names[ends[1]] === deleted) {
+					ends[1] -= step;
+					changed = true;
+				}
+				ttext = SocialCalc.WorkBookSheetSpanText(sheetnames[ends[0]], sheetnames[ends[1]]);
+			}
+		} else if (ttype === TokenType.string) {
+			ttext = `"${ttext.replace(/"/g, '""')}"`;
+		} else if (ttype === TokenType.op) {
+			ttext = TokenOpExpansion[ttext] || ttext; // make sure short tokens (e.g., "G") go back full (">=")
+		}
+		updatedformula += ttext;
+	}
+
+	return changed ? updatedformula : formula;
+};
+
 /**
  * Renames a workbook sheet and updates all formula references
  * @param {Object} workbook - The workbook instance
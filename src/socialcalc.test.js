@@ -0,0 +1,485 @@
+import fs from 'fs';
+import path from 'path';
+
+// The engine is plain scripts that define the global SocialCalc, as loaded by public/index.html
+const scripts = ['constants.js', 'number-formatter.js', 'formula-parser.js', 'socialcalc-engine.js'];
+
+beforeAll(() => {
+  for (const file of scripts) {
+    // eslint-disable-next-line no-eval
+    (0, eval)(fs.readFileSync(path.join(__dirname, '../public/src/js/core', file), 'utf8'));
+  }
+});
+
+const makeSheet = (commands) => {
+  const sheet = new window.SocialCalc.Sheet();
+  for (const cmd of commands) {
+    window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse(cmd), false);
+  }
+  return sheet;
+};
+
+const recalcFinished = (sheet) => new Promise((resolve) => {
+  sheet.statuscallback = (data, status) => {
+    if (status === 'calcfinished') resolve();
+  };
+});
+
+const recalc = (sheet) => {
+  const finished = recalcFinished(sheet);
+  window.SocialCalc.RecalcSheet(sheet);
+  return finished;
+};
+
+const evaluate = (formula, sheet = makeSheet([])) => {
+  const scf = window.SocialCalc.Formula;
+  return scf.evaluate_parsed_formula(scf.ParseFormulaIntoTokens(formula), sheet, false);
+};
+
+describe('dynamic arrays', () => {
+  const numbers = ['set A1 value n 1', 'set A2 value n 2', 'set A3 value n 3'];
+  const column = (sheet, col) => [1, 2, 3].map((row) => sheet.cells[col + row].datavalue);
+
+  test('IF takes each element of an array condition', async () => {
+    const sheet = makeSheet([...numbers, 'set C1 formula IF(A1:A3>1,"y","n")', 'set D1 formula IF(A1:A3-1,"y","n")',
+      'set E1 formula SUM(IF(A1:A3>1,A1:A3,0))']);
+    await recalc(sheet);
+    expect(column(sheet, 'C')).toEqual(['n', 'y', 'y']);
+    expect(column(sheet, 'D')).toEqual(['n', 'y', 'y']);
+    expect(sheet.cells.E1.datavalue).toBe(5);
+  });
+
+  test('NOT and ABS take each element of an array', async () => {
+    const sheet = makeSheet([...numbers, 'set C1 formula NOT(A1:A3>1)', 'set D1 formula ABS(A1:A3-2)',
+      'set E1 formula ROUND(A1:A3/3,{1,2})']);
+    await recalc(sheet);
+    expect(column(sheet, 'C')).toEqual([1, 0, 0]);
+    expect(column(sheet, 'D')).toEqual([1, 0, 1]);
+    expect(sheet.cells.E1.spillrange).toBe('E1:F3');
+    expect(sheet.cells.F1.datavalue).toBe(0.33);
+  });
+
+  const execute = (sheet, command) => {
+    window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse(command), false);
+    return recalc(sheet);
+  };
+
+  test('formulas spill into the cells below and A1# is the whole spill', async () => {
+    const sheet = makeSheet(['set A1 formula SEQUENCE(3)', 'set C1 formula SUM(A1#)']);
+    await recalc(sheet);
+    expect(column(sheet, 'A')).toEqual([1, 2, 3]);
+    expect(sheet.cells.A1.spillrange).toBe('A1:A3');
+    expect(sheet.cells.A3.spillfrom).toBe('A1');
+    expect(sheet.cells.C1.datavalue).toBe(6);
+    await execute(sheet, 'set A1 formula SEQUENCE(2)');
+    expect(sheet.cells.A3.valuetype).toBe('b');
+    expect(sheet.cells.C1.datavalue).toBe(3);
+  });
+
+  test('#SPILL! while a cell is in the way', async () => {
+    const sheet = makeSheet(['set A1 formula SEQUENCE(2)', 'set A2 value n 5']);
+    await recalc(sheet);
+    expect(sheet.cells.A1.valuetype).toBe('e#SPILL!');
+    expect(sheet.cells.A2.datavalue).toBe(5);
+    await execute(sheet, 'erase A2 formulas');
+    expect(sheet.cells.A1.datavalue).toBe(1);
+    expect(sheet.cells.A2.datavalue).toBe(2);
+  });
+
+  test('FILTER, SORT and UNIQUE', async () => {
+    const sheet = makeSheet([...numbers, 'set C1 formula SORT(A1:A3,1,-1)', 'set D1 formula UNIQUE({1;1;2})',
+      'set E1 formula FILTER(A1:A3,A1:A3<>2)']);
+    await recalc(sheet);
+    expect(column(sheet, 'C')).toEqual([3, 2, 1]);
+    expect(sheet.cells.D1.spillrange).toBe('D1:D2');
+    expect(sheet.cells.E1.spillrange).toBe('E1:E2');
+    expect(sheet.cells.E2.datavalue).toBe(3);
+  });
+
+  test('spilled values are saved like ordinary values', async () => {
+    const sheet = makeSheet(['set A1 formula SEQUENCE(3)']);
+    await recalc(sheet);
+    const loaded = new window.SocialCalc.Sheet();
+    loaded.ParseSheetSave(window.SocialCalc.CreateSheetSave(sheet));
+    expect(column(loaded, 'A')).toEqual([1, 2, 3]);
+    expect(loaded.cells.A1.spillrange).toBe('A1:A3');
+    expect(loaded.cells.A2.spillfrom).toBe('A1');
+  });
+
+  test('arrays too large for the sheet are #NUM!', () => {
+    expect(evaluate('SEQUENCE(100000,100000)').type).toBe('e#NUM!');
+    expect(evaluate('SEQUENCE(1,703)').type).toBe('e#NUM!');
+    expect(evaluate('RANDARRAY(1000000)').type).toBe('e#NUM!');
+    expect(evaluate('MUNIT(1000)').type).toBe('e#NUM!');
+    expect(evaluate('SUM(SEQUENCE(1000,100))').value).toBe(5000050000);
+  });
+});
+
+describe('LET and LAMBDA', () => {
+  test('LET names values for the calculation', () => {
+    const sheet = makeSheet(['set A1 value n 2', 'set A2 value n 4', 'set A3 value n 9']);
+    expect(evaluate('LET(x,5,y,x+1,x*y)').value).toBe(30);
+    expect(evaluate('LET(r,A1:A3,SUM(r)/COUNT(r))', sheet).value).toBe(5);
+    expect(evaluate('LET(f,LAMBDA(a,a*2),f(4))').value).toBe(8);
+    expect(evaluate('LET(x,5)').type).toBe('e#VALUE!');
+  });
+
+  test('a LAMBDA that is not called is #CALC!', () => {
+    expect(evaluate('LAMBDA(a,a+1)').type).toBe('e#CALC!');
+    expect(evaluate('LAMBDA(a,b,a+b)(2,3)').error).toBe('Error in formula.');
+  });
+
+  test('named LAMBDAs are called like functions and saved with the sheet', async () => {
+    const sheet = makeSheet(['set A1 value n 100', 'name define TAX =LAMBDA(x,x*0.2)',
+      'name define FACTORIAL =LAMBDA(n,IF(n<=1,1,n*FACTORIAL(n-1)))', 'set B1 formula TAX(A1)', 'set B2 formula FACTORIAL(5)']);
+    await recalc(sheet);
+    expect(sheet.cells.B1.datavalue).toBe(20);
+    expect(sheet.cells.B2.datavalue).toBe(120);
+    const loaded = new window.SocialCalc.Sheet();
+    loaded.ParseSheetSave(window.SocialCalc.CreateSheetSave(sheet));
+    expect(loaded.names.TAX.definition).toBe('=LAMBDA(x,x*0.2)');
+    window.SocialCalc.ExecuteSheetCommand(loaded, new window.SocialCalc.Parse('set A1 value n 50'), false);
+    await recalc(loaded);
+    expect(loaded.cells.B1.datavalue).toBe(10);
+    expect(loaded.cells.B2.datavalue).toBe(120);
+  });
+});
+
+describe('array constants', () => {
+  test('work as operands and as range arguments', () => {
+    const sheet = makeSheet(['set A1 value n 1', 'set A2 value n 2', 'set A3 value n 3']);
+    expect(evaluate('SUM(A1:A3*{1;2;3})', sheet).value).toBe(14);
+    expect(evaluate('SUMPRODUCT(A1:A3,{1;2;3})', sheet).value).toBe(14);
+    expect(evaluate('MATCH(2,{1,2,3},0)').value).toBe(2);
+    expect(evaluate('INDEX({1,2;3,4},2,1)').value).toBe(3);
+    expect(evaluate('CHOOSE(2,{1,2},{3,4})').array).toEqual([[{ type: 'n', value: 3 }, { type: 'n', value: 4 }]]);
+  });
+
+  test('elements may be text, logical values and errors', () => {
+    expect(evaluate('{"a",TRUE,#N/A,-2.5}').array).toEqual([[{ type: 't', value: 'a' }, { type: 'nl', value: 1 },
+      { type: 'e#N/A', value: 0 }, { type: 'n', value: -2.5 }]]);
+  });
+
+  test('rows must be the same length', () => {
+    expect(evaluate('{1,2;3}').type).toBe('e#VALUE!');
+  });
+
+  test('spill when entered in a cell', async () => {
+    const sheet = makeSheet(['set A1 formula {1,2;3,4}']);
+    await recalc(sheet);
+    expect(sheet.cells.A1.spillrange).toBe('A1:B2');
+    expect(sheet.cells.B2.datavalue).toBe(4);
+  });
+});
+
+describe('formula locales', () => {
+  const de = () => window.SocialCalc.FormulaLocales.de;
+
+  test('formulas are stored canonically and shown as typed', () => {
+    const typed = ['SUMME(A1;B1)+1,5', 'WENN(A1>1;"a,b";{1\\2;3\\4})', 'RUNDEN(1234,567;1)'];
+    const stored = ['SUM(A1,B1)+1.5', 'IF(A1>1,"a,b",{1,2;3,4})', 'ROUND(1234.567,1)'];
+    typed.forEach((formula, i) => {
+      expect(window.SocialCalc.ConvertFormulaFromLocale(formula, de())).toBe(stored[i]);
+      expect(window.SocialCalc.ConvertFormulaToLocale(stored[i], de())).toBe(formula);
+    });
+  });
+
+  test('numbers use the decimal and thousands characters', () => {
+    expect(window.SocialCalc.DetermineValueType('1.234,5', de()).value).toBe(1234.5);
+    expect(window.SocialCalc.ConvertValueFromLocale('1.234,5', de())).toBe('1234.5');
+    expect(window.SocialCalc.ConvertValueToLocale('1234.5', de())).toBe('1234,5');
+  });
+
+  test('the locale is saved with the sheet and formulas stay canonical', () => {
+    const sheet = makeSheet(['set sheet locale de', 'set A1 formula SUM(1.5,2)']);
+    const loaded = new window.SocialCalc.Sheet();
+    loaded.ParseSheetSave(window.SocialCalc.CreateSheetSave(sheet));
+    expect(loaded.attribs.locale).toBe('de');
+    expect(loaded.cells.A1.formula).toBe('SUM(1.5,2)');
+  });
+});
+
+describe('CONVERT', () => {
+  test('temperatures convert exactly', () => {
+    expect(evaluate('CONVERT(100,"C","F")').value).toBe(212);
+    expect(evaluate('CONVERT(212,"F","C")').value).toBe(100);
+    expect(evaluate('CONVERT(-40,"F","C")').value).toBe(-40);
+    expect(evaluate('CONVERT(100,"C","Reau")').value).toBe(80);
+    expect(evaluate('CONVERT(300,"mK","K")').value).toBe(0.3);
+  });
+
+  test('other units', () => {
+    expect(evaluate('CONVERT(1,"lbm","kg")').value).toBe(0.45359237);
+    expect(evaluate('CONVERT(1,"ft","sec")').type).toBe('e#N/A');
+  });
+});
+
+describe('MEDIAN', () => {
+  test('middle value of the numbers given', () => {
+    expect(evaluate('MEDIAN(1,3,2,4)').value).toBe(2.5);
+    expect(evaluate('MEDIAN(5,1,3)').value).toBe(3);
+  });
+
+  test('no numeric values is #NUM!', () => {
+    const sheet = makeSheet(['set A1 text t abc']);
+    expect(evaluate('MEDIAN(A1:A3)', sheet).type).toBe('e#NUM!');
+  });
+});
+
+describe('R1C1 references', () => {
+  test('whole columns and rows convert both ways', () => {
+    const formula = 'SUM(A:A)+SUM($A:$B)+SUM(C:C)+SUM(3:3)+SUM($1:5)+C3';
+    const r1c1 = window.SocialCalc.ConvertFormulaToR1C1(formula, 'C3');
+    expect(r1c1).toBe('SUM(C[-2])+SUM(C1:C2)+SUM(C)+SUM(R)+SUM(R1:R[2])+RC');
+    expect(window.SocialCalc.ConvertFormulaFromR1C1(r1c1, 'C3', true)).toBe(formula);
+  });
+
+  test('A1 style formulas are left alone', () => {
+    const formula = 'SUM(C3:D5)+C3+R5+SUM(R:R)';
+    expect(window.SocialCalc.ConvertFormulaFromR1C1(formula, 'C3')).toBe(formula);
+  });
+
+  test('LET and LAMBDA parameters and defined names are not references', () => {
+    const sheet = makeSheet(['name define RC A1']);
+    const convert = window.SocialCalc.ConvertFormulaFromR1C1;
+    expect(convert('LET(rc,5,rc*2)+R[-1]C', 'C3')).toBe('LET(rc,5,rc*2)+C2');
+    expect(convert('LAMBDA(r,c,r*c)(R,C)', 'C3', true)).toBe('LAMBDA(r,c,r*c)(R,C)');
+    expect(convert('RC+1', 'D4', false, sheet)).toBe('RC+1');
+    expect(convert('RC+1', 'D4')).toBe('D4+1');
+  });
+
+  test('sheet commands store formulas as given', async () => {
+    const sheet = makeSheet(['set A1 value n 3', 'name define RC A1', 'set C3 formula LET(rc,5,rc*2)',
+      'set D4 formula RC+1', 'set E5 formula R[-1]C']);
+    await recalc(sheet);
+    expect(sheet.cells.C3.formula).toBe('LET(rc,5,rc*2)');
+    expect(sheet.cells.C3.datavalue).toBe(10);
+    expect(sheet.cells.D4.formula).toBe('RC+1');
+    expect(sheet.cells.D4.datavalue).toBe(4);
+    expect(sheet.cells.E5.formula).toBe('R[-1]C');
+  });
+});
+
+describe('custom functions', () => {
+  afterEach(() => {
+    for (const fname of Object.keys(window.SocialCalc.Formula.CustomFunctions)) {
+      window.SocialCalc.Formula.UnregisterFunction(fname);
+    }
+  });
+
+  test('ragged array results are padded with blanks', async () => {
+    window.SocialCalc.Formula.RegisterFunction('RAGGED', () => [[1, 2], [3]]);
+    const sheet = makeSheet(['set A1 formula RAGGED()', 'set D1 formula SUM(A1:B2)']);
+    await recalc(sheet);
+    expect(sheet.cells.A2.datavalue).toBe(3);
+    expect(sheet.cells.B2.datavalue).toBe(0); // blanks spill as zero
+    expect(sheet.cells.D1.datavalue).toBe(6);
+  });
+
+  test('array results with only empty rows are #CALC!', async () => {
+    window.SocialCalc.Formula.RegisterFunction('EMPTYROW', () => [[], []]);
+    const sheet = makeSheet(['set A1 formula EMPTYROW()', 'set A2 formula SUM(EMPTYROW())']);
+    await recalc(sheet);
+    expect(sheet.cells.A1.valuetype).toBe('e#CALC!');
+    expect(sheet.cells.A2.valuetype).toBe('e#CALC!');
+    expect(evaluate('EMPTYROW()').type).toBe('e#CALC!');
+  });
+
+  test('volatile async results are fetched again by each recalc', async () => {
+    let calls = 0;
+    window.SocialCalc.Formula.RegisterFunction('TICK', () => Promise.resolve(++calls), { volatile: true });
+    const sheet = makeSheet(['set A1 formula TICK()']);
+    await recalc(sheet);
+    expect(sheet.cells.A1.valuetype).toBe('e#BUSY!');
+    await recalcFinished(sheet); // recalc for the result
+    expect(sheet.cells.A1.datavalue).toBe(1);
+    await recalc(sheet);
+    await recalcFinished(sheet);
+    expect(sheet.cells.A1.datavalue).toBe(2);
+    expect(calls).toBe(2);
+  });
+
+  test('async results are fetched again by the recalc command and dropped when unused', async () => {
+    let calls = 0;
+    window.SocialCalc.Formula.RegisterFunction('FETCH', (n) => Promise.resolve(n * 10 + ++calls),
+      { params: [{ name: 'n', type: 'number' }] });
+    const results = window.SocialCalc.Formula.AsyncFunctionInfo.results;
+    const sheet = makeSheet(['set A1 formula FETCH(1)']);
+    await recalc(sheet);
+    await recalcFinished(sheet);
+    expect(sheet.cells.A1.datavalue).toBe(11);
+    await recalc(sheet);
+    expect(sheet.cells.A1.datavalue).toBe(11); // kept
+    window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse('recalc'), false);
+    await recalc(sheet);
+    await recalcFinished(sheet);
+    expect(sheet.cells.A1.datavalue).toBe(12);
+    window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse('set A1 formula FETCH(2)'), false);
+    await recalc(sheet);
+    await recalcFinished(sheet);
+    expect(sheet.cells.A1.datavalue).toBe(23);
+    expect(Object.keys(results)).toEqual(['FETCH[2]']);
+  });
+});
+
+describe('sheet spans', () => {
+  const quarters = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+  beforeAll(() => {
+    // eslint-disable-next-line no-eval
+    (0, eval)(fs.readFileSync(path.join(__dirname, '../public/src/js/workbook/workbook.js'), 'utf8'));
+    quarters.forEach((name, i) => {
+      window.SocialCalc.Formula.AddSheetToCache(name, window.SocialCalc.CreateSheetSave(makeSheet([`set B5 value n ${i + 1}`])));
+    });
+    window.SocialCalc.Callbacks.SheetNames = () => quarters;
+  });
+
+  afterAll(() => {
+    delete window.SocialCalc.Callbacks.SheetNames;
+    window.SocialCalc.Formula.SheetCache.sheets = {};
+  });
+
+  test('sheets named like cells', () => {
+    expect(evaluate('SUM(Q1:Q4!B5)').value).toBe(10);
+    expect(evaluate('SUM(Q2:Q3!B5)').value).toBe(5);
+    expect(evaluate('SUM(q4:q1!B5)').value).toBe(10);
+  });
+
+  test('deleting an end sheet moves the end inside the span', () => {
+    const remove = window.SocialCalc.DeleteWorkBookSheetCell;
+    expect(remove('SUM(Q1:Q4!B5)', 'Q1', quarters)).toBe('SUM(Q2:Q4!B5)');
+    expect(remove('SUM(Q1:Q4!B5)', 'Q4', quarters)).toBe('SUM(Q1:Q3!B5)');
+    expect(remove('SUM(Q1:Q4!B5)', 'Q2', quarters)).toBe('SUM(Q1:Q4!B5)');
+    expect(remove("SUM('Jan 24:Mar'!B5)", 'Jan 24', ['Jan 24', 'Feb', 'Mar'])).toBe('SUM(Feb:Mar!B5)');
+  });
+
+  test('renaming an end sheet keeps the rest as typed', () => {
+    const rename = window.SocialCalc.RenameWorkBookSheetCell;
+    expect(rename('SUM(Q1:Q4!B5)', 'q4', 'FY24')).toBe('SUM(Q1:FY24!B5)');
+    expect(rename('SUM(Jan:mar!B5)', 'jan', 'Start 2')).toBe("SUM('Start 2:mar'!B5)");
+    expect(rename("SUM('Jan 24:Mar'!B5)+A1", 'mar', 'Dec')).toBe("SUM('Jan 24:Dec'!B5)+A1");
+  });
+});
+
+describe('external links', () => {
+  const callbacks = () => window.SocialCalc.Callbacks;
+  const otherWorkbook = (value) => window.SocialCalc.CreateSheetSave(makeSheet([`set B4 value n ${value}`]));
+  const loadedSheet = async () => {
+    callbacks().LoadExternalSheet = (workbook, sheetname, done) => {
+      done(workbook === 'budget.wb' && sheetname === 'Summary' ? otherWorkbook(42) : '');
+      return true;
+    };
+    const sheet = makeSheet(["set A1 formula '[budget.wb]Summary'!B4+1"]);
+    await recalc(sheet);
+    return sheet;
+  };
+  const updateLinks = (sheet) => {
+    window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse('updatelinks'), false);
+    return recalc(sheet);
+  };
+
+  afterEach(() => {
+    callbacks().LoadExternalSheet = null;
+    window.SocialCalc.Formula.SheetCache.sheets = {};
+    window.SocialCalc.RecalcInfo.loadtimeout = 30000;
+  });
+
+  test('values come from the loader and are kept in the save', async () => {
+    const sheet = await loadedSheet();
+    expect(sheet.cells.A1.datavalue).toBe(43);
+    const saved = window.SocialCalc.CreateSheetSave(sheet);
+    expect(saved).toContain('xlink:[budget.wb]Summary:B4:v:42');
+    callbacks().LoadExternalSheet = null;
+    window.SocialCalc.Formula.SheetCache.sheets = {};
+    const reloaded = new window.SocialCalc.Sheet();
+    reloaded.ParseSheetSave(saved);
+    await recalc(reloaded);
+    expect(reloaded.cells.A1.datavalue).toBe(43);
+  });
+
+  test('updatelinks loads a Promise of new values', async () => {
+    const sheet = await loadedSheet();
+    callbacks().LoadExternalSheet = () => Promise.resolve(otherWorkbook(50));
+    await updateLinks(sheet);
+    expect(sheet.cells.A1.datavalue).toBe(51);
+  });
+
+  test('saved values are used when the loader fails', async () => {
+    const sheet = await loadedSheet();
+    window.SocialCalc.RecalcInfo.loadtimeout = 20;
+    const loaders = [
+      () => { throw new Error('no file'); },
+      () => Promise.reject(new Error('fetch failed')),
+      () => true, // never calls done
+    ];
+    for (const loader of loaders) {
+      callbacks().LoadExternalSheet = loader;
+      await updateLinks(sheet);
+      expect(sheet.cells.A1.datavalue).toBe(43);
+    }
+  });
+});
+
+describe('incremental recalc', () => {
+  const base = [
+    'set A1 value n 1', 'set A2 value n 2', 'set A3 value n 3', 'set B1 formula A1*10', 'set B2 formula B1+A2',
+    'set B3 formula SUM(A1:A3)', 'set B4 formula SUM(A:A)', 'set C3 formula OFFSET(A1,2,0)', 'set D1 formula SEQUENCE(A1+1)',
+    'set E1 formula SUM(D1#)', 'set E2 formula $B$2*2', 'name define TOTAL B3', 'set F1 formula TOTAL+1',
+    'set G5 value n 7', 'set F2 formula G5', 'set H1 formula SUM(C1:G1)',
+  ];
+  const values = (sheet) => Object.keys(sheet.cells).sort()
+    .filter((coord) => sheet.cells[coord].datavalue !== '') // spills can leave blank cells behind
+    .map((coord) => `${coord}=${sheet.cells[coord].datavalue}`).join(' ');
+
+  test.each([
+    ['a changed value', ['set A1 value n 5']],
+    ['insertrow', ['insertrow A2', 'set A2 value n 20']],
+    ['deletecol', ['deletecol C']],
+    ['paste', ['copy A1:A2 all', 'paste G4 all']],
+    ['a changed name', ['name define TOTAL A1']],
+    ['a deleted name', ['name delete TOTAL']],
+  ])('gives the same results as a full recalc after %s', async (what, commands) => {
+    const scf = window.SocialCalc.Formula;
+    const evaluateParsed = scf.evaluate_parsed_formula;
+    let evaluated = 0;
+    const sheet = makeSheet(base);
+    await recalc(sheet);
+    scf.evaluate_parsed_formula = (...args) => {
+      evaluated += 1;
+      return evaluateParsed(...args);
+    };
+    try {
+      for (const cmd of commands) {
+        window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse(cmd), false);
+      }
+      await recalc(sheet);
+    } finally {
+      scf.evaluate_parsed_formula = evaluateParsed;
+    }
+    const full = makeSheet([...base, ...commands]);
+    await recalc(full);
+    expect(values(sheet)).toBe(values(full));
+    expect(evaluated).toBeGreaterThan(0);
+  });
+
+  test('only cells that depend on a change are evaluated again', async () => {
+    const scf = window.SocialCalc.Formula;
+    const evaluateParsed = scf.evaluate_parsed_formula;
+    const evaluated = [];
+    const sheet = makeSheet(base);
+    await recalc(sheet);
+    scf.evaluate_parsed_formula = (...args) => {
+      evaluated.push(sheet.recalcdata.calccoord);
+      return evaluateParsed(...args);
+    };
+    try {
+      window.SocialCalc.ExecuteSheetCommand(sheet, new window.SocialCalc.Parse('set G5 value n 8'), false);
+      await recalc(sheet);
+    } finally {
+      scf.evaluate_parsed_formula = evaluateParsed;
+    }
+    expect(evaluated).toContain('F2');
+    ['B1', 'B2', 'B3', 'B4', 'E2', 'F1'].forEach((coord) => expect(evaluated).not.toContain(coord));
+    expect(sheet.cells.F2.datavalue).toBe(8);
+  });
+});